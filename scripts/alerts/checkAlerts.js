@@ -0,0 +1,83 @@
+// =============================================
+// File: scripts/alerts/checkAlerts.js
+// Looks over the newest hours of each registry token (or the one in ZYPTO_TOKEN /
+// ZYPTO_ADDR) for trouble and posts what it finds to the configured webhooks
+// (lib/alerts.js): a large hour-over-hour move of the canonical price, a price
+// stuck on one value (canonical or any provider), canonical hours missing in
+// the lookback window (counted from the first hour present, as in lib/gaps.js;
+// every hour when none is but the token has older ones, i.e. an outage), and —
+// when run by the ingestor — the providers that failed in that run.
+//
+// Runs after every hourly ingest (ingestors/zyptoIngestHourly.js); without
+// ZYPTO_ALERT_WEBHOOKS alerts are only logged. Env: see lib/alerts.js.
+//
+// Usage:
+//   node scripts/alerts/checkAlerts.js
+//   (or `zypto-history alerts`)
+// =============================================
+
+import { alertPolicy, detectMissing, detectMove, detectStale, dispatchAlerts, ingestAlerts, parseWebhooks } from "../lib/alerts.js";
+import { readAll } from "../lib/gaps.js";
+import { logHttpMetrics } from "../lib/http.js";
+import { hourOhlc } from "../lib/hourlyRecord.js";
+import { isMain } from "../lib/main.js";
+import { hourlyProviderNames } from "../lib/rollup.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymdh } from "../lib/time.js";
+import { HOUR_MS } from "../lib/volume.js";
+
+// The `n` hour ids up to the one holding `now`, newest first.
+function lastHours(now, n) {
+  return Array.from({ length: n }, (_, k) => ymdh(now - k * HOUR_MS));
+}
+
+// One target (lib/target.js). `ingest`: what the ingest run just reported
+// ({ failures } or { error }), if any. Resolves { token, alerts, sent, suppressed, failed }.
+export async function checkAlerts(db, { ingest = null, now = Date.now(), policy = alertPolicy(), webhooks = parseWebhooks(), ...target }) {
+  const { collections } = target;
+  const token = target.id;
+  const stale = lastHours(now, policy.staleHours);
+  const lookback = lastHours(now - HOUR_MS, policy.lookbackHours).reverse();
+  const ids = [...new Set([...stale, ...lookback])];
+  const hourly = await readAll(db, db.collection(collections.hourly), ids);
+
+  const alerts = ingest ? ingestAlerts({ token, ...ingest }) : [];
+  const [hour, prevHour] = lastHours(now, 2);
+  const prev = hourly.get(prevHour);
+  alerts.push(detectMove({ token, hour, price: hourly.get(hour)?.priceUSD, prevHour, prevPrice: prev && hourOhlc(prev)?.close }, policy));
+
+  alerts.push(detectStale({ token, series: "canonical", prices: stale.map((id) => hourly.get(id)?.priceUSD ?? null) }, policy));
+  for (const provider of await hourlyProviderNames(db, collections)) {
+    const docs = await readAll(db, db.collection(collections.hourlyProviders).doc(provider).collection("hours"), stale);
+    alerts.push(detectStale({ token, series: provider, prices: stale.map((id) => docs.get(id)?.priceUSD ?? null) }, policy));
+  }
+
+  const first = lookback.findIndex((id) => hourly.get(id));
+  let missing = first === -1 ? [] : lookback.slice(first).filter((id) => !hourly.get(id));
+  if (first === -1) {
+    const windowStart = Math.floor((now - policy.lookbackHours * HOUR_MS) / HOUR_MS) * HOUR_MS;
+    const older = await db.collection(collections.hourly).where("ts", "<", windowStart).limit(1).get();
+    if (!older.empty) missing = lookback;
+  }
+  alerts.push(detectMissing({ token, hours: lookback, missing }));
+
+  const found = alerts.filter(Boolean);
+  const result = await dispatchAlerts(db, token, found, { collections, webhooks, policy, now });
+  console.log(`[alerts] ${token}: ${found.length} alerts, ${result.sent.length} sent, ${result.suppressed.length} cooling down`);
+  return { token, alerts: found.map((a) => a.key), ...result };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { db } = await openStore();
+      for (const target of resolveTargets()) await checkAlerts(db, target);
+    } catch (e) {
+      console.error("[alerts] failed:", e?.stack || e);
+      process.exitCode = 1;
+    } finally {
+      logHttpMetrics("[alerts]");
+    }
+  })();
+}
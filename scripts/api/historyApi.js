@@ -0,0 +1,256 @@
+// =============================
+// File: scripts/api/historyApi.js (ESM)
+// Purpose: Read-only HTTP API over the stored price series, so apps stop
+//          reading the collections (and their internal doc shapes) directly.
+//
+//   GET /tokens                                   registry tokens
+//   GET /tokens/:token                            one registry token
+//   GET /tokens/:token/latest                     newest hourly and daily candle
+//   GET /tokens/:token/candles                    canonical series
+//   GET /tokens/:token/providers/:provider/candles  one provider's series
+//   GET /tokens/:token/liquidity                  liquidity / pool-state history
+//   GET /tokens/:token/swaps/candles              candles built from the stored trades
+//
+// :token is a registry id or contract address (lib/registry.js).
+// Candle queries: ?interval=1d|1h|4h|1w|1M (default 1d; providers: 1d|1h) &from=YYYY-MM-DD &to=YYYY-MM-DD
+// (default: today, and 30 days before `to`) &limit=1..1000 (default 500)
+// &cursor=<next from the previous page>. Oldest first; missing days/hours are
+// left out, as in exportHistory.js.
+//
+// Every candle has the lib/series.js shape, whatever collection it came from.
+// Liquidity takes the same range/paging query with ?interval=1d|1h; its points
+// have the lib/liquidity.js toLiquidityPoint shape (`thin` only on days).
+// Swap candles take ?resolution=<N>m|<N>h|<N>d (default 1h) &from &to (default:
+// today and yesterday), at most 31 days, unpaged; candles have the lib/swaps.js
+// buildSwapCandles shape.
+// Errors: { error: { status, message } }. Every 200 carries an ETag (304 on
+// If-None-Match) and a Cache-Control max-age: short while the range can
+// still change, longer once it ends before today.
+//
+// Usage:
+//   node scripts/api/historyApi.js   (ZYPTO_API_PORT, default 8787; ZYPTO_API_HOST, default 0.0.0.0)
+// =============================
+
+import crypto from "node:crypto";
+import http from "node:http";
+import { collectionsFor } from "../lib/collections.js";
+import { toLiquidityPoint } from "../lib/liquidity.js";
+import { isMain } from "../lib/main.js";
+import { findToken, loadRegistry } from "../lib/registry.js";
+import { INTERVALS, PROVIDER_INTERVALS, rangeQuery, seriesCollection, toCandle } from "../lib/series.js";
+import { openStore } from "../lib/storage/index.js";
+import { buildSwapCandles, readSwaps, resolutionMs } from "../lib/swaps.js";
+import { ymd } from "../lib/time.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_RE = /^\d{4}-\d{2}-\d{2}-\d{2}$/;
+const ID_RE = { "1d": DAY_RE, "1h": HOUR_RE, "4h": HOUR_RE, "1w": /^\d{4}-W\d{2}$/, "1M": /^\d{4}-\d{2}$/ };
+const PROVIDER_RE = /^[a-z0-9][a-z0-9-]*$/;
+const DEFAULT_DAYS = 30;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+const MAX_SWAP_DAYS = 31;
+const MAX_AGE = { live: 60, settled: 3600 };
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+function tokenInfo(t) {
+  return { id: t.id, symbol: t.symbol, chain: t.chain, address: t.address, decimals: t.decimals, pools: t.pools };
+}
+
+function tokenFor(env, key) {
+  let entry = null;
+  try {
+    entry = findToken(loadRegistry(env), decodeURIComponent(key));
+  } catch (e) {
+    if (!(e instanceof URIError)) throw e; // a malformed escape names no token
+  }
+  if (!entry) throw new ApiError(404, `unknown token "${key}"`);
+  return entry;
+}
+
+const LIQUIDITY_INTERVALS = ["1d", "1h"];
+
+function dayRange(q, now, days = DEFAULT_DAYS) {
+  const to = q.get("to") || ymd(now);
+  const from = q.get("from") || ymd(Date.parse(`${to}T00:00:00Z`) - days * DAY_MS);
+  if (!DAY_RE.test(from) || !DAY_RE.test(to)) throw new ApiError(400, "from/to must be YYYY-MM-DD");
+  if (from > to) throw new ApiError(400, "from must not be after to");
+  return { from, to };
+}
+
+function candleQuery(q, now, intervals = INTERVALS) {
+  const interval = q.get("interval") || "1d";
+  if (!intervals.includes(interval)) throw new ApiError(400, `interval must be one of ${intervals.join("|")}`);
+  const { from, to } = dayRange(q, now);
+  const limit = q.has("limit") ? Number(q.get("limit")) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new ApiError(400, `limit must be an integer in 1..${MAX_LIMIT}`);
+  const cursor = q.get("cursor");
+  if (cursor && !ID_RE[interval].test(cursor)) throw new ApiError(400, `cursor "${cursor}" is not a ${interval} id`);
+  return { interval, from, to, limit, cursor };
+}
+
+function swapQuery(q, now) {
+  const resolution = q.get("resolution") || "1h";
+  try {
+    resolutionMs(resolution);
+  } catch (e) {
+    throw new ApiError(400, e.message);
+  }
+  const { from, to } = dayRange(q, now, 1);
+  const fromMs = Date.parse(`${from}T00:00:00Z`);
+  const toMs = Date.parse(`${to}T00:00:00Z`) + DAY_MS;
+  if (toMs - fromMs > MAX_SWAP_DAYS * DAY_MS) throw new ApiError(400, `swap candles cover at most ${MAX_SWAP_DAYS} days per request`);
+  return { resolution, from, to, fromMs, toMs };
+}
+
+async function readPage(collection, FieldPath, { limit, cursor, ...range }, toPoint = toCandle) {
+  let q = rangeQuery(collection, FieldPath, range).limit(limit + 1);
+  if (cursor) q = q.startAfter(cursor);
+  const snap = await q.get();
+  const docs = snap.docs.slice(0, limit);
+  return {
+    points: docs.map((s) => toPoint(s.id, s.data())),
+    next: snap.docs.length > limit ? docs.at(-1).id : null,
+  };
+}
+
+async function newest(collection, FieldPath) {
+  const snap = await collection.orderBy(FieldPath.documentId(), "desc").limit(1).get();
+  return snap.empty ? null : toCandle(snap.docs[0].id, snap.docs[0].data());
+}
+
+// [pattern, handler(ctx, ...captures) -> { body, maxAge }]
+const ROUTES = [
+  [/^\/tokens$/, ({ env }) => ({ body: { tokens: loadRegistry(env).map(tokenInfo) }, maxAge: MAX_AGE.live })],
+
+  [/^\/tokens\/([^/]+)$/, ({ env }, key) => ({ body: tokenInfo(tokenFor(env, key)), maxAge: MAX_AGE.live })],
+
+  [/^\/tokens\/([^/]+)\/latest$/, async ({ db, FieldPath, env }, key) => {
+    const entry = tokenFor(env, key);
+    const collections = collectionsFor(entry.id);
+    const [hourly, daily] = await Promise.all([
+      newest(db.collection(collections.hourly), FieldPath),
+      newest(db.collection(collections.daily), FieldPath),
+    ]);
+    return { body: { token: entry.id, priceUSD: hourly?.close ?? daily?.close ?? null, hourly, daily }, maxAge: MAX_AGE.live };
+  }],
+
+  [/^\/tokens\/([^/]+)(?:\/providers\/([^/]+))?\/candles$/, async ({ db, FieldPath, env, query, now }, key, provider = null) => {
+    const entry = tokenFor(env, key);
+    if (provider && !PROVIDER_RE.test(provider)) throw new ApiError(400, `bad provider name "${provider}"`);
+    const range = candleQuery(query, now);
+    if (provider && !PROVIDER_INTERVALS.includes(range.interval)) {
+      throw new ApiError(400, `provider candles are only stored for ${PROVIDER_INTERVALS.join("|")}`);
+    }
+    const collection = seriesCollection(db, collectionsFor(entry.id), range.interval, provider);
+    const { points, next } = await readPage(collection, FieldPath, range);
+    return {
+      body: { token: entry.id, interval: range.interval, provider, from: range.from, to: range.to, candles: points, next },
+      maxAge: range.to < ymd(now) ? MAX_AGE.settled : MAX_AGE.live,
+    };
+  }],
+
+  [/^\/tokens\/([^/]+)\/liquidity$/, async ({ db, FieldPath, env, query, now }, key) => {
+    const entry = tokenFor(env, key);
+    const range = candleQuery(query, now, LIQUIDITY_INTERVALS);
+    const collections = collectionsFor(entry.id);
+    const collection = db.collection(range.interval === "1d" ? collections.liquidityDaily : collections.liquidityHourly);
+    const { points, next } = await readPage(collection, FieldPath, range, toLiquidityPoint);
+    return {
+      body: { token: entry.id, interval: range.interval, from: range.from, to: range.to, liquidity: points, next },
+      maxAge: range.to < ymd(now) ? MAX_AGE.settled : MAX_AGE.live,
+    };
+  }],
+
+  [/^\/tokens\/([^/]+)\/swaps\/candles$/, async ({ db, env, query, now }, key) => {
+    const entry = tokenFor(env, key);
+    const { resolution, from, to, fromMs, toMs } = swapQuery(query, now);
+    const trades = await readSwaps(db, { fromMs, toMs, collections: collectionsFor(entry.id) });
+    return {
+      body: { token: entry.id, resolution, from, to, candles: buildSwapCandles(trades, resolution) },
+      maxAge: to < ymd(now) ? MAX_AGE.settled : MAX_AGE.live,
+    };
+  }],
+];
+
+function send(req, res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(json),
+    "access-control-allow-origin": "*",
+    ...headers,
+  });
+  res.end(req.method === "HEAD" ? undefined : json);
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64url")}"`;
+}
+
+// -> (req, res) request handler. `FieldPath` comes from openStore().
+export function createHistoryApi(db, { FieldPath, env = process.env, now = () => Date.now() } = {}) {
+  return async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, "http://api");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") throw new ApiError(405, `${req.method} not allowed`);
+      const match = ROUTES.map(([re, handler]) => [re.exec(path), handler]).find(([m]) => m);
+      if (!match) throw new ApiError(404, `no route for ${path}`);
+      const [m, handler] = match;
+      const { body, maxAge } = await handler({ db, FieldPath, env, query: url.searchParams, now: now() }, ...m.slice(1));
+      const etag = etagOf(body);
+      const headers = { etag, "cache-control": `public, max-age=${maxAge}` };
+      if (req.headers["if-none-match"]?.split(",").map((s) => s.trim()).includes(etag)) {
+        res.writeHead(304, headers);
+        res.end();
+      } else {
+        send(req, res, 200, body, headers);
+      }
+    } catch (e) {
+      const status = e instanceof ApiError ? e.status : 500;
+      if (status === 500) console.error(`[api] ${req.method} ${url.pathname} failed:`, e?.stack || e);
+      send(req, res, status, { error: { status, message: status === 500 ? "internal error" : e.message } },
+        { "cache-control": "no-store", ...(status === 405 ? { allow: "GET, HEAD" } : {}) });
+    } finally {
+      console.log(`[api] ${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`);
+    }
+  };
+}
+
+// Resolves the listening http.Server.
+export async function startHistoryApi(db, { port = 8787, host = "0.0.0.0", ...opts } = {}) {
+  const server = http.createServer(createHistoryApi(db, opts));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const store = await openStore();
+      const port = Number(process.env.ZYPTO_API_PORT || process.env.PORT || 8787);
+      const server = await startHistoryApi(store.db, { port, host: process.env.ZYPTO_API_HOST || "0.0.0.0", FieldPath: store.FieldPath });
+      const { address, port: bound } = server.address();
+      console.log(`[api] listening on http://${address}:${bound} (tokens: ${loadRegistry().map((t) => t.id).join(", ")})`);
+      for (const signal of ["SIGINT", "SIGTERM"]) {
+        process.once(signal, () => server.close(() => store.close()));
+      }
+    } catch (e) {
+      console.error("[api] failed:", e?.stack || e);
+      process.exitCode = 1;
+    }
+  })();
+}
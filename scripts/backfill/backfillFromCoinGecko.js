@@ -1,118 +1,143 @@
 // scripts/backfill/backfillFromCoinGecko.js
-// Backfills daily prices into Firestore from CoinGecko.
+// Backfills daily prices into Firestore from CoinGecko, for every token in the
+// registry (config/tokens.json) or the one in ZYPTO_TOKEN / ZYPTO_ADDR.
 // - Works with DEMO key (free): falls back to last 365 days
 // - Will use PRO endpoint if you later set COINGECKO_TIER=pro
+// - Optional --from/--to YYYY-MM-DD range (market_chart/range); progress is
+//   checkpointed per batch and a rerun resumes (--restart to start over)
+//
+// - Also `zypto-history backfill coingecko`
 //
 // Required ENV (set as GitHub repo secrets when run in Actions):
-//   FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY
-//   ZYPTO_ADDR (token address, lowercase)
+//   FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY (or ZYPTO_STORE=local|emulator)
 //   COINGECKO_API_KEY (your demo/pro key)
 // Optional:
-//   CHAIN (default 'ethereum')
+//   ZYPTO_TOKEN / ZYPTO_ADDR (one token), ZYPTO_CHAIN (CHAIN still read) — see lib/target.js
 //   COINGECKO_TIER ('demo' | 'pro')
 
-import admin from 'firebase-admin';
+import { daySeconds, inRange, openCheckpoint, parseBackfillArgs } from '../lib/checkpoint.js';
+import { providerRecord, upsertDailyBatch } from '../lib/dailyRecord.js';
+import { HttpError, getJSON, logHttpMetrics } from '../lib/http.js';
+import { isMain } from '../lib/main.js';
+import { coinPath, coingeckoEndpoint } from '../lib/providers/coingecko.js';
+import { openStore } from '../lib/storage/index.js';
+import { resolveTargets } from '../lib/target.js';
+import { ymd } from '../lib/time.js';
 
-// ---- Firebase Admin init (service account from env) ----
-const projectId = process.env.FIREBASE_PROJECT_ID;
-const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
-let privateKey = process.env.FIREBASE_PRIVATE_KEY || '';
-if (privateKey?.includes('\\n')) privateKey = privateKey.replace(/\\n/g, '\n');
+// ---- Config ----
+// Host + key header from COINGECKO_TIER / COINGECKO_API_KEY (COINGECKO_BASE_URL overrides the host)
+const { base: CG_BASE, headers: CG_HEADERS } = coingeckoEndpoint();
+const DEMO_WINDOW_DAYS = 365;
 
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({ projectId, clientEmail, privateKey }),
-  });
+// 10012 = range outside the key's history window (past 365 days on demo)
+function isDemoLimit(e) {
+  return e instanceof HttpError && (e.code === 10012 || e.status === 401 || /past 365 days/i.test(e.message));
 }
-const db = admin.firestore();
 
-// ---- Config ----
-const ZYPTO_ADDR = (process.env.ZYPTO_ADDR || '').toLowerCase();
-const CHAIN = process.env.CHAIN || 'ethereum';
-const CG_KEY = process.env.COINGECKO_API_KEY || '';
-const CG_TIER = (process.env.COINGECKO_TIER || 'demo').toLowerCase(); // 'demo' or 'pro'
-
-const CG_BASE = CG_TIER === 'pro' ? 'https://pro-api.coingecko.com' : 'https://api.coingecko.com';
-const CG_HEADER_NAME = CG_TIER === 'pro' ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key';
+async function fetchCG(coin, { days = 'max' } = {}) {
+  return fetchCGUrl(`${CG_BASE}/api/v3/${coinPath(coin)}/market_chart?vs_currency=usd&days=${days}&precision=6&interval=daily`);
+}
 
-function dayKeyUTC(tsMs) {
-  return new Date(tsMs).toISOString().slice(0, 10); // YYYY-MM-DD
+// Range endpoint; granularity is daily for spans over 90 days, hourly below
+// (we keep the last sample per day either way).
+async function fetchCGRange(coin, { from, to }) {
+  const url = `${CG_BASE}/api/v3/${coinPath(coin)}/market_chart/range?vs_currency=usd&from=${from}&to=${to}&precision=6`;
+  return fetchCGUrl(url);
 }
 
-async function fetchCG(contract, { days = 'max' } = {}) {
-  const url = `${CG_BASE}/api/v3/coins/${CHAIN}/contract/${contract}/market_chart?vs_currency=usd&days=${days}&precision=6&interval=daily`;
-  const res = await fetch(url, { headers: CG_KEY ? { [CG_HEADER_NAME]: CG_KEY } : undefined });
-  const text = await res.text();
-  if (!res.ok) {
-    let body; try { body = JSON.parse(text); } catch { body = text; }
-    const msg = typeof body === 'string' ? body : JSON.stringify(body);
-    throw new Error(`coingecko ${res.status}: ${msg}`);
-  }
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    throw new Error(`coingecko parse error: ${String(e?.message || e)}`);
-  }
+async function fetchCGUrl(url) {
+  return getJSON(url, { headers: CG_HEADERS, timeout: 30000 });
 }
 
-async function getCGPricesDaysMax(contract) {
+async function getCGPricesDaysMax(coin) {
   try {
     // First try full history
-    return await fetchCG(contract, { days: 'max' });
+    return await fetchCG(coin, { days: 'max' });
   } catch (e) {
-    const msg = String(e?.message || e);
     // Demo key historical limit -> auto-fallback to 365 days
-    if (/past 365 days/i.test(msg) || /10012/.test(msg) || /401/.test(msg)) {
+    if (isDemoLimit(e)) {
       console.log('[backfill] falling back to 365 days (demo key limit)');
-      return await fetchCG(contract, { days: '365' });
+      return await fetchCG(coin, { days: '365' });
     }
     throw e;
   }
 }
 
-async function backfillDaily() {
-  if (!ZYPTO_ADDR) throw new Error('ZYPTO_ADDR missing');
-  console.log(`[backfill] start for ${ZYPTO_ADDR} on ${CHAIN}`);
+async function getCGPricesRange(coin, { from, to }) {
+  const fromSec = from ? daySeconds(from) : 0;
+  const toSec = to ? daySeconds(to, { end: true }) : Math.floor(Date.now() / 1000);
+  try {
+    return await fetchCGRange(coin, { from: fromSec, to: toSec });
+  } catch (e) {
+    if (!isDemoLimit(e)) throw e;
+    const floor = Math.floor(Date.now() / 1000) - (DEMO_WINDOW_DAYS - 1) * 86400;
+    if (toSec <= floor) throw e;
+    console.log(`[backfill] clamping range to the last ${DEMO_WINDOW_DAYS} days (demo key limit)`);
+    return await fetchCGRange(coin, { from: Math.max(fromSec, floor), to: toSec });
+  }
+}
 
-  const data = await getCGPricesDaysMax(ZYPTO_ADDR);
+// One target (lib/target.js). Resolves { written, skipped } — skipped when the
+// checkpoint says the range is done.
+export async function backfillFromCoinGecko(db, { token, chain = 'ethereum', coingeckoId = null, collections, from = null, to = null, restart = false }) {
+  if (!token) throw new Error('token address missing');
+  console.log(`[backfill] start for ${coingeckoId || token} on ${chain} range=${from || 'max'}..${to || 'now'}`);
+  const coin = { coingeckoId, chain, token };
+
+  const checkpoint = await openCheckpoint(db, { provider: 'coingecko', key: token, from, to, restart, collections });
+  if (checkpoint.state.done) {
+    console.log('[backfill] range already complete (use --restart to redo)');
+    return { written: 0, skipped: true };
+  }
+
+  const data = from || to
+    ? await getCGPricesRange(coin, { from, to })
+    : await getCGPricesDaysMax(coin);
   const prices = Array.isArray(data?.prices) ? data.prices : [];
   if (!prices.length) throw new Error('coingecko returned no prices');
 
   // Reduce to { YYYY-MM-DD: { ts, close } } using the *last* sample of the day as close
   const byDay = new Map();
   for (const [tsMs, price] of prices) {
-    const k = dayKeyUTC(tsMs);
+    const k = ymd(tsMs);
     const prev = byDay.get(k);
     if (!prev || tsMs > prev.ts) byDay.set(k, { ts: tsMs, close: Number(price) });
   }
 
-  // Write to Firestore in small batches to avoid timeouts
-  const entries = Array.from(byDay.entries()).sort(([a], [b]) => a.localeCompare(b));
-  let wrote = 0;
-  while (entries.length) {
-    const chunk = entries.splice(0, 400);
-    const batch = db.batch();
-    for (const [day, { ts, close }] of chunk) {
-      if (!Number.isFinite(close)) continue;
-      const ref = db.collection('zypto_prices_daily').doc(day);
-      batch.set(ref, {
-        day,
-        priceUSD: close,
-        source: 'coingecko',
-        chain: CHAIN,
-        contract: ZYPTO_ADDR,
-        ts,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      }, { merge: true });
-    }
-    await batch.commit();
-    wrote += chunk.length;
-  }
+  // Oldest first; each day lands in providers.coingecko of the shared daily doc.
+  // Days up to the checkpoint were committed by an earlier run; a finished
+  // open-ended one gets its last (then partial) day again.
+  const resumeAfter = checkpoint.state.lastDay;
+  const rows = Array.from(byDay.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .filter(([day, { close }]) => Number.isFinite(close) && inRange(day, { from, to }))
+    .filter(([day]) => !resumeAfter || (checkpoint.reopened ? day >= resumeAfter : day > resumeAfter))
+    .map(([day, { ts, close }]) => ({ day, record: providerRecord({ close, ts }) }));
+  if (resumeAfter) console.log(`[backfill] resuming after ${resumeAfter}, ${rows.length} days left`);
+
+  const wrote = await upsertDailyBatch(db, 'coingecko', rows, { token, chain }, {
+    collections,
+    onBatch: (slice) => checkpoint.save({ lastDay: slice.at(-1).day, cursor: slice.at(-1).day, written: slice.length }),
+  });
+  await checkpoint.finish();
 
   console.log(`[backfill] wrote days: ${wrote}`);
+  return { written: wrote, skipped: false };
+}
+
+async function backfillDaily() {
+  const { from, to, restart } = parseBackfillArgs();
+  const targets = resolveTargets();
+  const { db } = await openStore();
+  for (const target of targets) await backfillFromCoinGecko(db, { ...target, from, to, restart });
 }
 
-backfillDaily().catch((err) => {
-  console.error('[backfill] ERROR', String(err?.message || err));
-  process.exit(1);
-});
+if (isMain(import.meta.url)) {
+  backfillDaily()
+    .then(() => logHttpMetrics('[backfill]'))
+    .catch((err) => {
+      console.error('[backfill] ERROR', String(err?.message || err));
+      logHttpMetrics('[backfill]');
+      process.exit(1);
+    });
+}
@@ -1,134 +1,262 @@
 // scripts/backfill/backfillFromGeckoTerminal.js
-// ESM version. Pulls daily OHLCV from GeckoTerminal (public tier) and
-// upserts into Firestore. Soft‑handles the 180‑day limit (HTTP 401) as success.
+// ESM version. Pulls OHLCV from GeckoTerminal (public tier) and upserts into
+// Firestore, per timeframe (--timeframes, default day,hour):
+//   day     ohlcv/day    -> the daily docs (providers.geckoterminal)
+//   hour    ohlcv/hour   -> the geckoterminal and canonical hourly docs, as each
+//                           hour's candle (lib/hourlyRecord.js)
+//   minute  ohlcv/minute -> `<ns>_prices_intraday/<N>m/candles/<YYYY-MM-DD-HH-mm>`
+//                           with --aggregate N = 1 | 5 | 15 (default 5)
+// Soft‑handles the 180‑day limit (HTTP 401) as success.
+// Pages backwards with before_timestamp; optional --from/--to YYYY-MM-DD.
+// Runs for every registry token with a pool (config/tokens.json), or the one
+// given as arg1 / ZYPTO_TOKEN / ZYPTO_ADDR.
+// The oldest page written is checkpointed per timeframe, so a rerun continues
+// further back (--restart to start over); once a run without --to has finished,
+// the next one fetches from now back to where it ended.
+// An hour the ingestor already stored only gets its candle; a new one is written
+// whole, with the interval volume the ingestor would have recorded (the
+// previous hour's candle). The 4h candles over the hours written are rebuilt;
+// daily docs are left to the day timeframe (`zypto-history rollup` rebuilds
+// them from the hours).
+// Writes go to the store picked by ZYPTO_STORE (scripts/lib/storage).
+// Also `zypto-history backfill geckoterminal --pair 0x… [--timeframes day,hour,minute] [--aggregate 5]`.
 
-import admin from "firebase-admin";
+import { rollupCandles } from "../lib/candles.js";
+import { daySeconds, inRange, openCheckpoint, parseBackfillArgs } from "../lib/checkpoint.js";
+import { SCHEMA_VERSION, providerRecord, upsertDailyBatch } from "../lib/dailyRecord.js";
+import { readAll } from "../lib/gaps.js";
+import { hourlyDoc, providerCandle } from "../lib/hourlyRecord.js";
+import { HttpError, getJSON, logHttpMetrics } from "../lib/http.js";
+import { isMain } from "../lib/main.js";
+import { geckoterminalBase, poolSide } from "../lib/providers/geckoterminal.js";
+import { hourlyProviderNames, rollupHour } from "../lib/rollup.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd, ymdh, ymdhm } from "../lib/time.js";
+import { HOUR_MS } from "../lib/volume.js";
 
 // --- Env ---
-const PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
-const CLIENT_EMAIL = process.env.FIREBASE_CLIENT_EMAIL;
-const PRIVATE_KEY = (process.env.FIREBASE_PRIVATE_KEY || "").replace(/\\n/g, "\n");
-
 const GT_KEY = process.env.GECKOTERMINAL_API_KEY; // required
-const GT_NETWORK = process.env.GT_NETWORK || "eth"; // e.g. "eth", "bsc", "base"
+const PAGE_LIMIT = 1000; // GeckoTerminal max per request
+const BATCH_SIZE = 400;
+const PROVIDER = "geckoterminal";
 
-// CLI args (token not currently used for GT daily; we backfill by pair)
-const [,, tokenArg, pairArg] = process.argv; // token optional, pair required
-const PAIR = (pairArg || process.env.UNIV2_PAIR || "").toLowerCase();
-
-if (!PROJECT_ID || !CLIENT_EMAIL || !PRIVATE_KEY) {
-  console.error("[gt] missing FIREBASE_* envs");
-  process.exit(1);
-}
-if (!GT_KEY) {
-  console.error("[gt] missing GECKOTERMINAL_API_KEY env");
-  process.exit(1);
-}
-if (!PAIR) {
-  console.error("[gt] missing pair address (arg2 or UNIV2_PAIR)");
-  process.exit(1);
-}
-
-// --- Firebase Admin ---
-if (admin.apps.length === 0) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: PROJECT_ID,
-      clientEmail: CLIENT_EMAIL,
-      privateKey: PRIVATE_KEY,
-    }),
-  });
-}
-const db = admin.firestore();
+export const TIMEFRAMES = ["day", "hour", "minute"];
+export const DEFAULT_TIMEFRAMES = ["day", "hour"];
+export const MINUTE_AGGREGATES = [1, 5, 15];
+const DEFAULT_AGGREGATE = 5;
 
 // --- Helpers ---
-function ymd(tsMs) {
-  const d = new Date(tsMs);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(d.getUTCDate()).padStart(2, "0");
-  return `${y}-${m}-${dd}`;
-}
-
-async function fetchGT_Daily({ network, pair, limit = 365 }) {
-  // Public tier: up to ~180 days; we'll request 365 and accept partial
-  const url = `https://api.geckoterminal.com/api/v2/networks/${network}/pools/${pair}/ohlcv/day?limit=${limit}`;
-  const res = await fetch(url, {
-    headers: { "accept": "application/json", "x-api-key": GT_KEY },
-  });
-
-  if (res.status === 401) {
+// Day candles are requested as before; hour/minute ones for our side of the pool.
+async function fetchGT_OHLCV({ network, pair, timeframe = "day", aggregate = 1, side = null, limit = 365, before = null }) {
+  // Public tier: up to ~180 days; we'll request more and accept partial
+  const params = [`limit=${limit}`];
+  if (timeframe !== "day") params.push(`aggregate=${aggregate}`, "currency=usd", `token=${side}`);
+  if (before) params.push(`before_timestamp=${before}`);
+  const url = `${geckoterminalBase()}/networks/${network}/pools/${pair}/ohlcv/${timeframe}?${params.join("&")}`;
+  let json;
+  try {
+    json = await getJSON(url, { headers: { "accept": "application/json", "x-api-key": GT_KEY }, timeout: 30000 });
+  } catch (e) {
     // Public tier hard‑limit hit; treat as soft success with empty/partial data
-    const txt = await res.text().catch(() => "");
-    console.warn("[gt] 401 soft‑limit:", txt.slice(0, 200));
+    if (!(e instanceof HttpError && e.status === 401)) throw e;
+    console.warn("[gt] 401 soft‑limit:", e.message);
     return { candles: [], softLimited: true };
   }
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`[geckoterminal ${res.status}] ${txt}`);
-  }
-
-  const json = await res.json();
   // Shape: { data: { attributes: { ohlcv_list: [[ts, o,h,l,c,v], ...] }}}
   const list = json?.data?.attributes?.ohlcv_list || [];
   const candles = list.map((row) => {
     const [tsSec, o, h, l, c, v] = row;
-    return { ts: Number(tsSec) * 1000, o: +o, h: +h, l: +l, c: +c, v: +v };
-  }).filter(c => Number.isFinite(c.ts) && Number.isFinite(c.c));
+    return { ts: Number(tsSec) * 1000, open: +o, high: +h, low: +l, close: +c, volumeUSD: +v };
+  }).filter(c => Number.isFinite(c.ts) && Number.isFinite(c.close));
 
   return { candles, softLimited: false };
 }
 
-async function upsertDaily(candles) {
-  if (!candles.length) return 0;
-  const batchSize = 450; // stay under 500 writes/batch
-  let written = 0;
-
-  for (let i = 0; i < candles.length; i += batchSize) {
-    const slice = candles.slice(i, i + batchSize);
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
     const batch = db.batch();
-    for (const k of slice) {
-      const docId = ymd(k.ts);
-      const ref = db.collection("zypto_prices_daily").doc(docId);
-      batch.set(ref, {
-        close: k.c,
-        high: k.h,
-        low: k.l,
-        open: k.o,
-        volumeUSD: k.v,
-        source_gt: true,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      }, { merge: true });
-      written++;
-    }
+    for (const [ref, data] of writes.slice(i, i + BATCH_SIZE)) batch.set(ref, data, { merge: true });
     await batch.commit();
   }
-  return written;
 }
 
-(async function main() {
-  try {
-    console.log("[uni-v2→gt] backfill start pair=", PAIR, "network=", GT_NETWORK);
+async function upsertDaily(db, candles, { token, chain, collections }) {
+  if (!candles.length) return 0;
+  const rows = candles.map((k) => ({ day: ymd(k.ts), record: providerRecord(k) }));
+  return upsertDailyBatch(db, PROVIDER, rows, { token, chain }, { collections });
+}
 
-    const { candles, softLimited } = await fetchGT_Daily({ network: GT_NETWORK, pair: PAIR, limit: 365 });
+const intervalFields = (k) => ({ volumeUSD: k.volumeUSD, volumeMethod: "candle", intervalStart: k.ts, intervalEnd: k.ts + HOUR_MS });
 
-    if (candles.length) {
-      // Oldest first so last write is the newest (useful for client caches)
-      candles.sort((a, b) => a.ts - b.ts);
-      const wrote = await upsertDaily(candles);
-      console.log(`[gt] wrote ${wrote} rows (total ${candles.length}) — up to ${ymd(candles.at(-1).ts)}`);
-    } else {
-      console.log("[gt] no candles returned (likely limit)");
-    }
+// candles: one page, oldest first. `state` carries across pages: the oldest
+// hour of the previous (newer) page, which gets its interval from this page's
+// newest candle, and the hours whose canonical candle needs re-deriving.
+async function upsertHourly(db, candles, { token, pair, collections }, state) {
+  if (!candles.length) return 0;
+  const own = db.collection(collections.hourlyProviders).doc(PROVIDER).collection("hours");
+  const canonical = db.collection(collections.hourly);
+  const ids = candles.map((k) => ymdh(k.ts));
+  const ownDocs = await readAll(db, own, ids);
+  const canonicalDocs = await readAll(db, canonical, ids);
 
-    if (softLimited) {
-      console.log("[gt] reached public‑tier window; treating as success");
+  const writes = [];
+  candles.forEach((k, i) => {
+    const id = ids[i];
+    const prev = candles[i - 1]?.ts === k.ts - HOUR_MS ? candles[i - 1] : null;
+    const candle = providerCandle(k);
+    // A new hour's sample is taken at its start, i.e. the candle's open.
+    const fields = { ts: k.ts, priceUSD: k.open, ...(prev ? intervalFields(prev) : {}), token, pair, ...candle };
+    writes.push([own.doc(id), ownDocs.get(id) ? candle : hourlyDoc(id, fields)]);
+    if (canonicalDocs.get(id)) state.rederive.add(id);
+    else writes.push([canonical.doc(id), hourlyDoc(id, { ...fields, provider: PROVIDER, sources: [PROVIDER] })]);
+  });
+  const { newer } = state;
+  if (newer && newer.ts === candles.at(-1).ts + HOUR_MS) {
+    if (newer.created) writes.push([own.doc(ymdh(newer.ts)), intervalFields(candles.at(-1))]);
+    if (newer.canonicalCreated) writes.push([canonical.doc(ymdh(newer.ts)), intervalFields(candles.at(-1))]);
+  }
+  state.newer = { ts: candles[0].ts, created: !ownDocs.get(ids[0]), canonicalCreated: !canonicalDocs.get(ids[0]) };
+  state.first = Math.min(state.first ?? Infinity, candles[0].ts);
+  state.last = Math.max(state.last ?? -Infinity, candles.at(-1).ts);
+  await commitInBatches(db, writes);
+  return candles.length;
+}
+
+// Hours that already had a canonical doc get it re-derived from every provider
+// (lib/rollup.js); the 4h candles over everything written are rebuilt.
+async function finishHourly(db, state, { token, chain, collections }) {
+  if (state.first == null) return;
+  const providers = await hourlyProviderNames(db, collections);
+  for (const id of [...state.rederive].sort()) await rollupHour(db, id, providers, { collections });
+  await rollupCandles(db, {
+    from: ymd(state.first), to: ymd(state.last), resolutions: ["4h"], collections, meta: { token, chain },
+  });
+}
+
+async function upsertIntraday(db, candles, { aggregate, token, pair, collections }) {
+  const interval = `${aggregate}m`;
+  const ref = db.collection(collections.intraday).doc(interval).collection("candles");
+  await commitInBatches(db, candles.map((k) => [ref.doc(ymdhm(k.ts)), {
+    schemaVersion: SCHEMA_VERSION, interval, minute: ymdhm(k.ts), ts: k.ts,
+    open: k.open, high: k.high, low: k.low, close: k.close, volumeUSD: k.volumeUSD,
+    provider: PROVIDER, token: token ?? null, pair: pair ?? null,
+  }]));
+  return candles.length;
+}
+
+// One timeframe: page back from --to (or the checkpoint) until --from, the end
+// of the data, the tier limit or what an earlier open-ended run covered, handing each in-range page to `write`.
+async function backfillTimeframe(db, { label, key, timeframe, aggregate, side, write, pair, network, collections, from, to, restart }) {
+  const checkpoint = await openCheckpoint(db, { provider: PROVIDER, key, from, to, restart, collections });
+  if (checkpoint.state.done) {
+    console.log(`[gt] ${label}: range already complete (use --restart to redo)`);
+    return { written: 0, skipped: true };
+  }
+
+  // cursor = before_timestamp (unix seconds) of the next, older page. A finished
+  // open-ended range pages back from now again, down to the day it ended on.
+  const { coveredTo } = checkpoint.state;
+  let before = checkpoint.reopened ? null : checkpoint.state.cursor ?? (to ? daySeconds(to, { end: true }) : null);
+  let total = 0;
+  while (true) {
+    const { candles, softLimited } = await fetchGT_OHLCV({ network, pair, timeframe, aggregate, side, limit: PAGE_LIMIT, before });
+    if (!candles.length) {
+      console.log(softLimited ? "[gt] reached public‑tier window; treating as success" : `[gt] ${label}: no more candles`);
+      break;
     }
 
-    process.exit(0);
-  } catch (e) {
-    console.error("[gt] ERROR", String(e?.message || e));
-    process.exit(1);
+    // Oldest first so last write is the newest (useful for client caches)
+    candles.sort((a, b) => a.ts - b.ts);
+    const oldest = candles[0];
+    const page = candles.filter((k) => inRange(ymd(k.ts), { from, to }));
+    const wrote = await write(page);
+    total += wrote;
+    before = Math.floor(oldest.ts / 1000);
+    await checkpoint.save({ cursor: before, lastDay: ymd(oldest.ts), written: wrote });
+    console.log(`[gt] ${label}: wrote ${wrote} rows — ${ymd(oldest.ts)}..${ymd(candles.at(-1).ts)}`);
+
+    if (softLimited || candles.length < PAGE_LIMIT || (from && ymd(oldest.ts) <= from) || (coveredTo && ymd(oldest.ts) <= coveredTo)) break;
   }
-})();
+
+  await checkpoint.finish();
+  return { written: total, skipped: false };
+}
+
+// One target (lib/target.js). Resolves { written, skipped, timeframes: { <tf>: { written, skipped } } };
+// skipped when every timeframe's checkpoint says the range is done.
+export async function backfillFromGeckoTerminal(db, {
+  token, pair, network, chain, collections, from = null, to = null, restart = false,
+  timeframes = DEFAULT_TIMEFRAMES, aggregate = DEFAULT_AGGREGATE,
+}) {
+  if (!GT_KEY) throw new Error("missing GECKOTERMINAL_API_KEY env");
+  if (!pair) throw new Error("missing pair address");
+  if (!network) throw new Error("missing GeckoTerminal network");
+  const bad = timeframes.filter((tf) => !TIMEFRAMES.includes(tf));
+  if (bad.length) throw new Error(`unknown timeframe(s) ${bad.join(", ")} (known: ${TIMEFRAMES.join(", ")})`);
+  const minutes = Number(aggregate);
+  if (timeframes.includes("minute") && !MINUTE_AGGREGATES.includes(minutes)) {
+    throw new Error(`--aggregate must be one of ${MINUTE_AGGREGATES.join(", ")} for minute candles`);
+  }
+  console.log("[uni-v2→gt] backfill start pair=", pair, "network=", network, `range=${from || "max"}..${to || "now"}`, `timeframes=${timeframes.join(",")}`);
+
+  const side = timeframes.some((tf) => tf !== "day") ? await poolSide({ token, pair, network }) : null;
+  const ctx = { pair, network, collections, from, to, restart, side };
+  const out = {};
+  for (const timeframe of TIMEFRAMES.filter((tf) => timeframes.includes(tf))) {
+    if (timeframe === "day") {
+      out.day = await backfillTimeframe(db, {
+        ...ctx, label: "day", key: pair, timeframe, write: (page) => upsertDaily(db, page, { token, chain, collections }),
+      });
+    } else if (timeframe === "hour") {
+      const state = { newer: null, rederive: new Set() };
+      out.hour = await backfillTimeframe(db, {
+        ...ctx, label: "hour", key: `${pair}__hour`, timeframe, aggregate: 1,
+        write: (page) => upsertHourly(db, page, { token, pair, collections }, state),
+      });
+      await finishHourly(db, state, { token, chain, collections });
+    } else {
+      out.minute = await backfillTimeframe(db, {
+        ...ctx, label: `${minutes}m`, key: `${pair}__minute${minutes}`, timeframe, aggregate: minutes,
+        write: (page) => upsertIntraday(db, page, { aggregate: minutes, token, pair, collections }),
+      });
+    }
+  }
+
+  const written = Object.values(out).reduce((n, r) => n + r.written, 0);
+  console.log(`[gt] backfill complete, wrote ${written} rows`);
+  return { written, skipped: Object.values(out).every((r) => r.skipped), timeframes: out };
+}
+
+// CLI args: [token] [pair] — see lib/target.js; GT pages by pair.
+if (isMain(import.meta.url)) {
+  (async function main() {
+    try {
+      const { from, to, restart, timeframes, aggregate, positionals } = parseBackfillArgs(undefined, {
+        timeframes: { type: "string" },
+        aggregate: { type: "string" },
+      });
+      const [tokenArg, pairArg] = positionals;
+      const targets = resolveTargets({ token: tokenArg, pair: pairArg });
+      const { db } = await openStore();
+      for (const target of targets) {
+        if (!target.pair || !target.network) {
+          console.log(`[gt] ${target.id}: no pool / GeckoTerminal network in the registry, skipping`);
+          continue;
+        }
+        await backfillFromGeckoTerminal(db, {
+          ...target, from, to, restart,
+          timeframes: timeframes ? timeframes.split(",").map((s) => s.trim()).filter(Boolean) : undefined,
+          aggregate,
+        });
+      }
+      logHttpMetrics("[gt]");
+      process.exit(0);
+    } catch (e) {
+      console.error("[gt] ERROR", String(e?.message || e));
+      logHttpMetrics("[gt]");
+      process.exit(1);
+    }
+  })();
+}
@@ -1,64 +1,45 @@
 // backfillFromUniswapV2.js
 // Free daily history via Uniswap v2 hosted subgraph (no API key).
 // - Queries tokenDayDatas for the ERC‑20 token
-// - Upserts into Firestore collection: `zypto_prices_daily/<YYYY-MM-DD>`
-// - Merges alongside any CoinGecko fields (cgUSD) and computes `priceUSD` as the average
+// - Upserts into Firestore collection: `<ns>_prices_daily/<YYYY-MM-DD>` (per-token namespace)
+// - Without a token arg: every Ethereum token in the registry (config/tokens.json)
+// - Writes providers["uniswap-v2"] of the shared daily doc (see scripts/lib/dailyRecord.js)
+// - and of the liquidity daily doc: totalLiquidityUSD / totalLiquidityToken (see scripts/lib/liquidity.js)
+//
+// - Pages by date (not skip), checkpoints the last committed date, resumes on rerun
+// - Then every v2 pair holding the token: pairDayDatas (+ pairHourDatas with
+//   --timeframes day,hour) under `<ns>_pools`, re-weighting providers["uniswap-pools"]
+//   across all stored v2/v3 pools (see scripts/lib/pools.js)
 //
 // Usage (locally):
-//   FIREBASE_PROJECT_ID=... FIREBASE_CLIENT_EMAIL=... FIREBASE_PRIVATE_KEY=... 
-//   node scripts/backfill/backfillFromUniswapV2.js 0xTOKEN
+//   FIREBASE_PROJECT_ID=... FIREBASE_CLIENT_EMAIL=... FIREBASE_PRIVATE_KEY=... (or ZYPTO_STORE=local)
+//   node scripts/backfill/backfillFromUniswapV2.js [0xTOKEN|id] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--restart] [--timeframes day,hour]
 //
 // Usage (GitHub Actions): see workflow backfill-uniswap-v2.yml
-
-import admin from "firebase-admin";
-
-// ----- Firestore init from env (same pattern you used already) -----
-function initFirestore() {
-  const projectId = process.env.FIREBASE_PROJECT_ID;
-  const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
-  let privateKey = process.env.FIREBASE_PRIVATE_KEY;
-  if (!projectId || !clientEmail || !privateKey) {
-    throw new Error("Missing FIREBASE_* env vars");
-  }
-  // GH/Actions often stores the key with literal \n; normalize to real newlines
-  privateKey = privateKey.replace(/\\n/g, "\n");
-
-  if (!admin.apps.length) {
-    admin.initializeApp({
-      credential: admin.credential.cert({ projectId, clientEmail, privateKey }),
-    });
-  }
-  return admin.firestore();
-}
+// Or: zypto-history backfill uniswap-v2 --token 0xTOKEN
+
+import { daySeconds, forwardCursor, openCheckpoint, parseBackfillArgs } from "../lib/checkpoint.js";
+import { providerRecord, upsertDailyBatch } from "../lib/dailyRecord.js";
+import { gql, logHttpMetrics } from "../lib/http.js";
+import { thinThreshold, upsertLiquidityDays } from "../lib/liquidity.js";
+import { isMain } from "../lib/main.js";
+import { backfillPools, checkPoolTimeframes } from "../lib/pools.js";
+import { discoverPools, poolHistory, uniswapV2Endpoint } from "../lib/providers/uniswapV2.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
 
 // ----- Graph helpers -----
-const UNISWAP_V2_HOSTED = "https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v2";
+const UNISWAP_V2_HOSTED = uniswapV2Endpoint(); // UNIV2_SUBGRAPH_URL or the hosted subgraph
 
-async function gql(query, variables = {}) {
-  const res = await fetch(UNISWAP_V2_HOSTED, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ query, variables }),
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`uniswap-v2 gql ${res.status}: ${txt}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error(`uniswap-v2 gql errors: ${JSON.stringify(json.errors)}`);
-  }
-  return json.data;
-}
 
 const Q_TOKEN_DAY_DATAS = `#graphql
-  query TDD($token: String!, $skip: Int!) {
+  query TDD($token: String!, $after: Int!, $before: Int!) {
     tokenDayDatas(
       first: 1000,
-      skip: $skip,
       orderBy: date,
       orderDirection: asc,
-      where: { token: $token }
+      where: { token: $token, date_gt: $after, date_lt: $before }
     ) {
       date
       priceUSD
@@ -68,76 +49,87 @@ const Q_TOKEN_DAY_DATAS = `#graphql
   }
 `;
 
-function tsToDay(ts) {
-  const d = new Date(ts * 1000);
-  // YYYY-MM-DD
-  return d.toISOString().slice(0, 10);
-}
-
-function mean(arr) {
-  const xs = arr.filter((n) => typeof n === "number" && isFinite(n));
-  if (!xs.length) return undefined;
-  return xs.reduce((a, b) => a + b, 0) / xs.length;
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
 }
 
-async function upsertDaily(db, day, updates) {
-  const ref = db.collection("zypto_prices_daily").doc(day);
-  const snap = await ref.get();
-  const prev = snap.exists ? snap.data() : {};
-
-  const cg = typeof prev.cgUSD === "number" ? prev.cgUSD : undefined;
-  const uni = typeof updates.uniV2USD === "number" ? updates.uniV2USD : undefined;
-  const priceUSD = mean([cg, uni]);
-
-  const sources = new Set([...(prev.sources || [])]);
-  if (cg != null) sources.add("coingecko");
-  if (uni != null) sources.add("uniswap-v2");
-
-  const payload = {
-    ...prev,
-    uniV2USD: uni,
-    // Keep a canonical "priceUSD" for consumers (avg if two sources, else the one we have)
-    ...(priceUSD != null ? { priceUSD } : {}),
-    sources: Array.from(sources),
-    updatedAt: Date.now(),
-  };
-
-  await ref.set(payload, { merge: true });
+// One target (lib/target.js). Resolves { written, skipped, pools } — skipped when
+// the checkpoints say the range is done, `pools` as lib/pools.js backfillPools.
+export async function backfillFromUniswapV2(db, {
+  token: tokenAddr, chain = "ethereum", collections, thinLiquidityUSD = null, from = null, to = null, restart = false,
+  timeframes = ["day"],
+}) {
+  const token = String(tokenAddr).toLowerCase();
+  checkPoolTimeframes(timeframes);
+  console.log(`[uni-v2] backfill start token=${token} range=${from || "start"}..${to || "now"}`);
+  const days = await backfillTokenDays(db, { token, chain, collections, thinLiquidityUSD, from, to, restart });
+  const pools = await backfillPools(db, {
+    dex: "uniswap-v2", discover: discoverPools, history: poolHistory, token, chain, collections, from, to, restart, timeframes,
+  });
+  return { ...days, skipped: days.skipped && pools.skipped, pools };
 }
 
-async function backfillFromUniswapV2(tokenAddr) {
-  const token = String(tokenAddr).toLowerCase();
-  const db = initFirestore();
-  console.log(`[uni-v2] backfill start token=${token}`);
+// Token-level tokenDayDatas -> providers["uniswap-v2"] of the price and liquidity daily docs.
+async function backfillTokenDays(db, { token, chain, collections, thinLiquidityUSD, from, to, restart }) {
+  const checkpoint = await openCheckpoint(db, { provider: "uniswap-v2", key: token, from, to, restart, collections });
+  if (checkpoint.state.done) {
+    console.log("[uni-v2] range already complete (use --restart to redo)");
+    return { written: 0, skipped: true };
+  }
 
-  let skip = 0;
+  // cursor = last committed tokenDayData.date (unix seconds)
+  let after = forwardCursor(checkpoint, from);
+  const before = to ? daySeconds(to, { end: true }) : 2 ** 31 - 1;
   let total = 0;
   while (true) {
-    const data = await gql(Q_TOKEN_DAY_DATAS, { token, skip });
+    const data = await gql(UNISWAP_V2_HOSTED, Q_TOKEN_DAY_DATAS, { token, after, before }, { timeout: 30000 });
     const rows = data?.tokenDayDatas || [];
     if (!rows.length) break;
 
-    // Batch in chunks to keep Firestore writes snappy
-    for (const r of rows) {
-      const day = tsToDay(r.date);
-      const uniV2USD = Number(r.priceUSD);
-      if (uniV2USD && isFinite(uniV2USD)) {
-        await upsertDaily(db, day, { uniV2USD });
-        total++;
-      }
-    }
-    skip += rows.length;
+    // One batched write per page, then checkpoint
+    const days = rows
+      .map((r) => ({ ts: Number(r.date) * 1000, priceUSD: Number(r.priceUSD) }))
+      .filter(({ priceUSD }) => priceUSD && isFinite(priceUSD))
+      .map(({ ts, priceUSD }) => ({ day: ymd(ts), record: providerRecord({ close: priceUSD, ts }) }));
+    const wrote = await upsertDailyBatch(db, "uniswap-v2", days, { token, chain }, { collections });
+    const liquidity = rows
+      .map((r) => ({ ts: Number(r.date) * 1000, liquidityUSD: num(r.totalLiquidityUSD), liquidityToken: num(r.totalLiquidityToken) }))
+      .filter(({ liquidityUSD }) => liquidityUSD != null)
+      .map(({ ts, ...record }) => ({ day: ymd(ts), record }));
+    await upsertLiquidityDays(db, "uniswap-v2", liquidity, {
+      collections, meta: { token, chain }, thresholdUSD: thinThreshold({ thinLiquidityUSD }),
+    });
+    total += wrote;
+    after = Number(rows.at(-1).date);
+    await checkpoint.save({ cursor: after, lastDay: ymd(after * 1000), written: wrote });
+    if (rows.length < 1000) break;
   }
-  console.log(`[uni-v2] backfill wrote days: ${total}`);
+  await checkpoint.finish();
+  console.log(`[uni-v2] token days wrote: ${total}`);
+  return { written: total, skipped: false };
 }
 
 // ---- main ----
-const token = process.argv[2] || process.env.ZYPTO_ADDR;
-if (!token) {
-  console.error("Usage: node scripts/backfill/backfillFromUniswapV2.js <erc20 token addr>");
-  process.exit(1);
+if (isMain(import.meta.url)) {
+  let args;
+  try {
+    args = parseBackfillArgs(undefined, { timeframes: { type: "string" } });
+  } catch (e) {
+    console.error(`[uni-v2] ${e.message}`);
+    process.exit(1);
+  }
+  const targets = resolveTargets({ token: args.positionals[0] }).filter((t) => t.chain === "ethereum");
+  openStore()
+    .then(async ({ db }) => {
+      const timeframes = args.timeframes ? args.timeframes.split(",").map((s) => s.trim()).filter(Boolean) : undefined;
+      for (const target of targets) await backfillFromUniswapV2(db, { ...target, ...args, timeframes });
+    })
+    .then(() => logHttpMetrics("[uni-v2]"))
+    .catch((e) => {
+      console.error("[uni-v2] ERROR", e?.message || e);
+      logHttpMetrics("[uni-v2]");
+      process.exit(1);
+    });
 }
-backfillFromUniswapV2(token).catch((e) => {
-  console.error("[uni-v2] ERROR", e?.message || e);
-  process.exit(1);
-});
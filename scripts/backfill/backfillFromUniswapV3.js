@@ -1,73 +1,48 @@
 // scripts/backfill/backfillFromUniswapV3.js
 // Fetch full daily price history from Uniswap v3 subgraph (via The Graph Gateway)
-// and upsert into Firestore under collection `zypto_prices_daily`.
+// and upsert into Firestore under `<ns>_prices_daily` (providers["uniswap-v3"]).
+// Without a token arg: every Ethereum token in the registry (config/tokens.json).
 //
 // USAGE (GitHub Action or local):
-//   node scripts/backfill/backfillFromUniswapV3.js <erc20_token_address_lowercase>
+//   node scripts/backfill/backfillFromUniswapV3.js [erc20_token_address|registry id] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--restart]
+//     [--timeframes day,hour]
+//
+// Pages by date and writes each page as it arrives; the last committed date is
+// checkpointed so a rerun resumes after it.
+//
+// Then every v3 pool holding the token: poolDayDatas (and poolHourDatas with
+// --timeframes day,hour) per pool under `<ns>_pools`, and the volume- or
+// liquidity-weighted price across all stored v2/v3 pools as providers["uniswap-pools"]
+// (scripts/lib/pools.js, ZYPTO_POOL_WEIGHTING=volume|liquidity).
 //
 // Requires env secrets (GH Actions -> repo "Secrets and variables" -> Actions):
 //   FIREBASE_PROJECT_ID
 //   FIREBASE_CLIENT_EMAIL
 //   FIREBASE_PRIVATE_KEY           (use \n for newlines if set in GH Secrets)
+//                                  — not needed with ZYPTO_STORE=local|emulator
 //   THEGRAPH_API_KEY
 //   UNIV3_SUBGRAPH_ID              (e.g. 5zvR82Qo...)
+//   — or UNIV3_SUBGRAPH_URL instead of the two above (full subgraph URL)
+//
+// Or: zypto-history backfill uniswap-v3 --token 0xTOKEN
 
-import admin from "firebase-admin";
-
-const token = (process.argv[2] || process.env.ZYPTO_ADDR || "").toLowerCase();
-if (!token) {
-  console.error("[uni-v3] missing token address arg");
-  process.exit(1);
-}
-
-const projectId = process.env.FIREBASE_PROJECT_ID;
-const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
-const privateKeyRaw = process.env.FIREBASE_PRIVATE_KEY || "";
-const privateKey = privateKeyRaw.replace(/\\n/g, "\n");
-const graphKey = process.env.THEGRAPH_API_KEY;
-const v3Id = process.env.UNIV3_SUBGRAPH_ID;
-
-if (!projectId || !clientEmail || !privateKey || !graphKey || !v3Id) {
-  console.error("[uni-v3] missing one of required env vars: FIREBASE_*, THEGRAPH_API_KEY, UNIV3_SUBGRAPH_ID");
-  process.exit(1);
-}
-
-// Initialize Admin SDK (idempotent if already initialized)
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId,
-      clientEmail,
-      privateKey,
-    }),
-  });
-}
-const db = admin.firestore();
-
-const GW_BASE = `https://gateway.thegraph.com/api/${graphKey}/subgraphs/id/${v3Id}`;
-
-async function gql(query, variables) {
-  const res = await fetch(GW_BASE, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ query, variables }),
-  });
-  const json = await res.json();
-  if (!res.ok || json.errors) {
-    console.error("[uni-v3] gql error:", json.errors || json);
-    throw new Error("uniswap-v3 gql error");
-  }
-  return json.data;
-}
+import { daySeconds, forwardCursor, openCheckpoint, parseBackfillArgs } from "../lib/checkpoint.js";
+import { providerRecord, upsertDailyBatch } from "../lib/dailyRecord.js";
+import { gql, logHttpMetrics } from "../lib/http.js";
+import { isMain } from "../lib/main.js";
+import { backfillPools, checkPoolTimeframes } from "../lib/pools.js";
+import { discoverPools, poolHistory, uniswapV3Endpoint } from "../lib/providers/uniswapV3.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
 
 const Q = /* GraphQL */ `#graphql
-  query TokenDays($token: String!, $skip: Int!) {
+  query TokenDays($token: String!, $after: Int!, $before: Int!) {
     tokenDayDatas(
       first: 1000
-      skip: $skip
       orderBy: date
       orderDirection: asc
-      where: { token_: { id: $token } }
+      where: { token_: { id: $token }, date_gt: $after, date_lt: $before }
     ) {
       date
       priceUSD
@@ -76,63 +51,78 @@ const Q = /* GraphQL */ `#graphql
   }
 `;
 
-function yyyyMmDd(ts) {
-  const d = new Date(ts);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const da = String(d.getUTCDate()).padStart(2, "0");
-  return `${y}-${m}-${da}`;
+// One target (lib/target.js). Resolves { written, skipped, pools } — skipped when
+// the checkpoints say the range is done, `pools` as lib/pools.js backfillPools.
+export async function backfillFromUniswapV3(db, {
+  token: tokenAddr, chain = "ethereum", collections, from = null, to = null, restart = false, timeframes = ["day"],
+}) {
+  const token = String(tokenAddr).toLowerCase();
+  checkPoolTimeframes(timeframes);
+  if (!process.env.UNIV3_SUBGRAPH_URL && (!process.env.THEGRAPH_API_KEY || !process.env.UNIV3_SUBGRAPH_ID)) {
+    throw new Error("missing one of required env vars: THEGRAPH_API_KEY, UNIV3_SUBGRAPH_ID");
+  }
+  console.log("[uni-v3] backfill start token=", token, `range=${from || "start"}..${to || "now"}`);
+  const days = await backfillTokenDays(db, { token, chain, collections, from, to, restart });
+  const pools = await backfillPools(db, {
+    dex: "uniswap-v3", discover: discoverPools, history: poolHistory, token, chain, collections, from, to, restart, timeframes,
+  });
+  return { ...days, skipped: days.skipped && pools.skipped, pools };
 }
 
-async function backfill() {
-  console.log("[uni-v3] backfill start token=", token);
-  let all = [];
-  let skip = 0;
-  while (true) {
-    const data = await gql(Q, { token, skip });
-    const chunk = data?.tokenDayDatas || [];
-    all = all.concat(chunk);
-    console.log(`[uni-v3] fetched ${chunk.length} rows (total ${all.length})`);
-    if (chunk.length < 1000) break;
-    skip += 1000;
-  }
-  if (!all.length) {
-    console.log("[uni-v3] no rows returned");
-    return;
+// Token-level tokenDayDatas -> providers["uniswap-v3"].
+async function backfillTokenDays(db, { token, chain, collections, from, to, restart }) {
+  const GW_BASE = uniswapV3Endpoint();
+  const checkpoint = await openCheckpoint(db, { provider: "uniswap-v3", key: token, from, to, restart, collections });
+  if (checkpoint.state.done) {
+    console.log("[uni-v3] range already complete (use --restart to redo)");
+    return { written: 0, skipped: true };
   }
 
-  // Firestore batched upserts (max 500 per batch)
-  const BATCH_LIMIT = 500;
-  let batch = db.batch();
+  // cursor = last committed tokenDayData.date (unix seconds)
+  let after = forwardCursor(checkpoint, from);
+  const before = to ? daySeconds(to, { end: true }) : 2 ** 31 - 1;
   let ops = 0;
+  while (true) {
+    const data = await gql(GW_BASE, Q, { token, after, before }, { timeout: 30000 });
+    const chunk = data?.tokenDayDatas || [];
+    console.log(`[uni-v3] fetched ${chunk.length} rows`);
+    if (!chunk.length) break;
 
-  for (const row of all) {
-    const ts = Number(row.date) * 1000;
-    const id = yyyyMmDd(ts); // daily doc id
-    const ref = db.collection("zypto_prices_daily").doc(id);
-    batch.set(
-      ref,
-      {
-        ts,
-        uniV3: { priceUSD: Number(row.priceUSD) || null, volumeUSD: Number(row.volumeUSD) || null },
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
-    ops++;
-    if (ops % BATCH_LIMIT === 0) {
-      await batch.commit();
-      batch = db.batch();
-      console.log(`[uni-v3] committed ${ops} docs...`);
-    }
-  }
-  if (ops % BATCH_LIMIT !== 0) {
-    await batch.commit();
+    const rows = chunk
+      .map((row) => {
+        const ts = Number(row.date) * 1000;
+        return { day: ymd(ts), record: providerRecord({ close: Number(row.priceUSD) || null, volumeUSD: row.volumeUSD, ts }) };
+      })
+      .filter(({ record }) => record.close != null);
+    const wrote = await upsertDailyBatch(db, "uniswap-v3", rows, { token, chain }, { collections });
+    ops += wrote;
+    after = Number(chunk.at(-1).date);
+    await checkpoint.save({ cursor: after, lastDay: ymd(after * 1000), written: wrote });
+    if (chunk.length < 1000) break;
   }
-  console.log(`[uni-v3] backfill complete. wrote ${ops} daily docs.`);
+  await checkpoint.finish();
+  console.log(`[uni-v3] token days complete. wrote ${ops} daily docs.`);
+  return { written: ops, skipped: false };
 }
 
-backfill().catch((e) => {
-  console.error("[uni-v3] ERROR", e?.message || e);
-  process.exit(1);
-});
+if (isMain(import.meta.url)) {
+  let args;
+  try {
+    args = parseBackfillArgs(undefined, { timeframes: { type: "string" } });
+  } catch (e) {
+    console.error(`[uni-v3] ${e.message}`);
+    process.exit(1);
+  }
+  const targets = resolveTargets({ token: args.positionals[0] }).filter((t) => t.chain === "ethereum");
+  openStore()
+    .then(async ({ db }) => {
+      const timeframes = args.timeframes ? args.timeframes.split(",").map((s) => s.trim()).filter(Boolean) : undefined;
+      for (const target of targets) await backfillFromUniswapV3(db, { ...target, ...args, timeframes });
+    })
+    .then(() => logHttpMetrics("[uni-v3]"))
+    .catch((e) => {
+      console.error("[uni-v3] ERROR", e?.message || e);
+      logHttpMetrics("[uni-v3]");
+      process.exit(1);
+    });
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+// =============================================
+// File: scripts/cli/zyptoHistory.js
+// One entry point for every job in this repo. Each subcommand runs the same
+// exported function the standalone script under scripts/ does, against the
+// store picked by ZYPTO_STORE (scripts/lib/storage).
+//
+//   zypto-history ingest                                           (then the alert check, alerts/checkAlerts.js)
+//   zypto-history alerts
+//   zypto-history swaps   [--source subgraph|rpc] [--from] [--to]   (trades of the pair, lib/swaps.js)
+//   zypto-history backfill <coingecko|geckoterminal|uniswap-v2|uniswap-v3> [--from] [--to] [--restart]
+//                         [--timeframes day,hour,minute] [--aggregate 1|5|15]   (geckoterminal)
+//                         [--timeframes day,hour]   (uniswap-v2/v3 pool history, lib/pools.js)
+//   zypto-history rollup  --from YYYY-MM-DD [--to] [--providers a,b]
+//   zypto-history candles --from YYYY-MM-DD [--to] [--resolutions 4h,1w,1M]
+//   zypto-history repair  --from YYYY-MM-DD [--to] [--providers a,b]
+//   zypto-history migrate [--only daily,hourly] [--batch 300] [--reset]
+//   zypto-history export  --from YYYY-MM-DD [--to] [--interval 1d|1h|4h|1w|1M] [--provider p] [--format json|ndjson|csv|parquet]
+//                         [--columns a,b] [--tz UTC|local|<zone>] [--out file]
+//   zypto-history verify  --from YYYY-MM-DD [--to] [--providers a,b] [--reconcile [--out dir]]
+//   zypto-history publish [--out snapshots | --out s3://bucket/prefix]
+//
+// Target flags shared by all commands (see scripts/lib/target.js for the env
+// fallbacks): --token (registry id or address), --pair, --chain, --network.
+// Without --token every command but export runs once per registry token
+// (config/tokens.json); a token that fails doesn't stop the rest.
+//
+// --dry-run  runs the command against an in-memory overlay of the store
+//            (scripts/lib/storage/dryRun.js) and prints every doc it would
+//            have written; nothing reaches the real store, and alerts are
+//            logged but not posted to the webhooks.
+// --json     logs go to stderr; stdout gets a single JSON object:
+//            { command, dryRun, ok, result, writes? } (or { ok: false, error }),
+//            where `result` is one entry per token ({ token, … }) except for export.
+// =============================================
+
+import { parseArgs } from "node:util";
+import { backfillFromCoinGecko } from "../backfill/backfillFromCoinGecko.js";
+import { backfillFromGeckoTerminal } from "../backfill/backfillFromGeckoTerminal.js";
+import { backfillFromUniswapV2 } from "../backfill/backfillFromUniswapV2.js";
+import { backfillFromUniswapV3 } from "../backfill/backfillFromUniswapV3.js";
+import { exportHistory, readSeries } from "../export/exportHistory.js";
+import { checkAlerts } from "../alerts/checkAlerts.js";
+import { parseWebhooks } from "../lib/alerts.js";
+import { ingestSwaps } from "../ingestors/ingestSwaps.js";
+import { ingestWithAlerts } from "../ingestors/zyptoIngestHourly.js";
+import { rebuildCandles } from "../ingestors/rollupCandles.js";
+import { rollupRange } from "../ingestors/rollupDaily.js";
+import { checkRange } from "../lib/checkpoint.js";
+import { logHttpMetrics } from "../lib/http.js";
+import { createDryRunStore } from "../lib/storage/dryRun.js";
+import { openObjectStore } from "../lib/objectStore.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTarget, resolveTargets } from "../lib/target.js";
+import { migrateSchema } from "../migrations/migrateSchema.js";
+import { DEFAULT_OUT, publishSnapshots } from "../publish/publishSnapshots.js";
+import { repairGaps } from "../repair/repairGaps.js";
+import { verifyHistory } from "../sanity/verifyHistory.js";
+
+const USAGE = `Usage: zypto-history <command> [options]
+
+Commands:
+  ingest                  one hourly ingest run (all configured providers), then the alert check
+  alerts                  check the newest hours for anomalies and post them to ZYPTO_ALERT_WEBHOOKS
+  swaps                   store the pair's trades and rebuild candles from them (--source subgraph|rpc)
+  backfill <provider>     daily history from coingecko | geckoterminal | uniswap-v2 | uniswap-v3
+                          (geckoterminal also hourly and minute candles, uniswap-v2/v3 also
+                          every pool's history and the pool-weighted price; see --timeframes)
+  rollup                  rebuild daily docs from hourly docs (needs --from)
+  candles                 rebuild 4h/weekly/monthly candles from hourly/daily docs (needs --from)
+  repair                  find and fill missing hours/days (needs --from)
+  migrate                 rewrite stored docs into the current schema
+  export                  dump a daily/hourly series as json, ndjson, csv or parquet (needs --from)
+  verify                  report gaps and malformed docs, exit 1 if any (needs --from);
+                          --reconcile also compares the providers day by day (report files in --out)
+  publish                 write chart snapshot files to --out (directory or s3://bucket/prefix)
+
+Target:   --token <id|0x…> --pair 0x… --chain ethereum --network eth   (default: every registry token)
+Range:    --from YYYY-MM-DD --to YYYY-MM-DD
+Options:  --providers a,b  --resolutions 4h,1w,1M  --restart  --only daily,hourly  --batch N  --reset
+          --timeframes day,hour,minute  --aggregate 1|5|15  --source subgraph|rpc
+          --interval 1d|1h|4h|1w|1M  --provider name  --format json|ndjson|csv|parquet  --out file
+          --columns time,close  --tz UTC|local|Europe/Berlin
+          --reconcile  --dry-run  --json  -h, --help`;
+
+const OPTIONS = {
+  token: { type: "string" },
+  pair: { type: "string" },
+  chain: { type: "string" },
+  network: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  providers: { type: "string" },
+  resolutions: { type: "string" },
+  restart: { type: "boolean", default: false },
+  timeframes: { type: "string" },
+  aggregate: { type: "string" },
+  source: { type: "string", default: "subgraph" },
+  only: { type: "string" },
+  batch: { type: "string" },
+  reset: { type: "boolean", default: false },
+  reconcile: { type: "boolean", default: false },
+  interval: { type: "string", default: "1d" },
+  provider: { type: "string" },
+  format: { type: "string", default: "json" },
+  columns: { type: "string" },
+  tz: { type: "string", default: "UTC" },
+  out: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// `skip(target)` -> reason a token can't be backfilled from this provider.
+const BACKFILLS = {
+  coingecko: { run: backfillFromCoinGecko },
+  geckoterminal: { run: backfillFromGeckoTerminal, skip: (t) => (!t.pair || !t.network) && "no pool / GeckoTerminal network" },
+  "uniswap-v2": { run: backfillFromUniswapV2, skip: (t) => t.chain !== "ethereum" && `not on ethereum (${t.chain})` },
+  "uniswap-v3": { run: backfillFromUniswapV3, skip: (t) => t.chain !== "ethereum" && `not on ethereum (${t.chain})` },
+};
+
+const list = (s) => (s ? s.split(",").map((x) => x.trim()).filter(Boolean) : null);
+
+// Each command: ({ db, FieldPath, target, args, positionals, objectStore, webhooks }) -> result, run
+// once per target unless listed in SINGLE_TARGET.
+const SINGLE_TARGET = new Set(["export"]);
+const COMMANDS = {
+  ingest: ({ db, target, args, webhooks }) => ingestWithAlerts(db, { ...target, providers: args.providers, webhooks }),
+
+  alerts: ({ db, target, webhooks }) => checkAlerts(db, { ...target, webhooks }),
+
+  backfill: ({ db, target, args, positionals }) => {
+    const [provider] = positionals;
+    const backfill = BACKFILLS[provider];
+    const reason = backfill.skip?.(target);
+    if (reason) {
+      console.log(`[backfill] ${target.id}: skipping ${provider}, ${reason}`);
+      return { skipped: true, reason };
+    }
+    return backfill.run(db, {
+      ...target, from: args.from ?? null, to: args.to ?? null, restart: args.restart,
+      timeframes: list(args.timeframes) ?? undefined, aggregate: args.aggregate,
+    });
+  },
+
+  swaps: ({ db, target, args }) => {
+    if (target.chain !== "ethereum") {
+      console.log(`[swaps] ${target.id}: skipping, not on ethereum (${target.chain})`);
+      return { skipped: true, reason: `not on ethereum (${target.chain})` };
+    }
+    return ingestSwaps(db, { ...target, source: args.source, from: args.from ?? null, to: args.to ?? null });
+  },
+
+  rollup: ({ db, target, args }) =>
+    rollupRange(db, { ...target, from: args.from, to: args.to, providers: list(args.providers) }),
+
+  candles: ({ db, target, args }) =>
+    rebuildCandles(db, { ...target, from: args.from, to: args.to, resolutions: list(args.resolutions) }),
+
+  repair: ({ db, target, args }) =>
+    repairGaps(db, { ...target, from: args.from, to: args.to, providers: list(args.providers) }),
+
+  migrate: ({ db, FieldPath, target, args }) =>
+    migrateSchema(db, FieldPath, { ...target, only: list(args.only), batch: args.batch, reset: args.reset }),
+
+  // --json without --out puts the rows in the result instead of on stdout.
+  export: async ({ db, FieldPath, target, args }) => {
+    const range = {
+      FieldPath, from: args.from, to: args.to, interval: args.interval, provider: args.provider ?? null,
+      columns: list(args.columns), tz: args.tz, collections: target.collections,
+    };
+    if (args.json && !args.out) return { rows: await readSeries(db, range) };
+    return exportHistory(db, { ...range, format: args.format, out: args.out ?? null });
+  },
+
+  verify: ({ db, target, args }) => verifyHistory(db, {
+    ...target, from: args.from, to: args.to, providers: list(args.providers), reconcile: args.reconcile, out: args.out ?? null,
+  }),
+
+  publish: ({ db, FieldPath, target, objectStore }) => publishSnapshots(db, { ...target, FieldPath, objectStore }),
+};
+
+// A result with ok: false / failed: true still prints, but exits 1.
+const succeeded = (result) => (Array.isArray(result) ? result.every(succeeded) : result?.ok !== false && result?.failed !== true);
+
+// Under --dry-run, snapshot files are compared against what's published but
+// not written.
+function snapshotStore(args, dryRun) {
+  const objectStore = openObjectStore(args.out || process.env.ZYPTO_SNAPSHOT_OUT || DEFAULT_OUT);
+  if (!dryRun) return objectStore;
+  return { ...objectStore, write: async (key) => console.log(`[dry-run] publish ${objectStore.location}/${key}`) };
+}
+
+// Under --dry-run, alerts are only logged, as without ZYPTO_ALERT_WEBHOOKS.
+function alertWebhooks(dryRun) {
+  const webhooks = parseWebhooks();
+  if (!dryRun) return webhooks;
+  if (webhooks.length) console.log(`[dry-run] not posting alerts to ${webhooks.length} webhook(s)`);
+  return [];
+}
+
+async function runPerTarget(command, ctx, targets) {
+  const results = [];
+  for (const target of targets) {
+    try {
+      results.push({ token: target.id, ...await COMMANDS[command]({ ...ctx, target }) });
+    } catch (e) {
+      console.error(`[${command}] ${target.id} failed:`, e?.message || e);
+      results.push({ token: target.id, ok: false, error: String(e?.message || e) });
+    }
+  }
+  return results;
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (args.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new Error(`unknown command "${command}"\n\n${USAGE}`);
+  checkRange(args);
+  if (command === "backfill" && !BACKFILLS[rest[0]]) throw new Error(`backfill needs a provider: ${Object.keys(BACKFILLS).join(" | ")}`);
+  const targets = SINGLE_TARGET.has(command) ? [resolveTarget(args)] : resolveTargets(args);
+
+  // Keep stdout for the JSON result (or the export body).
+  if (args.json || command === "export") console.log = console.info = console.error;
+  const dryRun = args["dry-run"];
+  const store = await openStore();
+  const db = dryRun
+    ? createDryRunStore(store.db, {
+      onWrite: (w) => console.log(`[dry-run] ${w.op}${w.merge ? " (merge)" : ""} ${w.path}${w.data ? ` ${JSON.stringify(w.data)}` : ""}`),
+    })
+    : store.db;
+
+  try {
+    const objectStore = command === "publish" ? snapshotStore(args, dryRun) : null;
+    const webhooks = command === "ingest" || command === "alerts" ? alertWebhooks(dryRun) : null;
+    const ctx = { db, FieldPath: store.FieldPath, args, positionals: rest, objectStore, webhooks };
+    const result = SINGLE_TARGET.has(command)
+      ? await COMMANDS[command]({ ...ctx, target: targets[0] })
+      : await runPerTarget(command, ctx, targets);
+    if (dryRun) console.log(`[dry-run] ${db.writes.length} writes, none committed`);
+    if (args.json) {
+      const out = { command, dryRun, ok: succeeded(result), result };
+      if (dryRun) out.writes = db.writes;
+      process.stdout.write(`${JSON.stringify(out)}\n`);
+    }
+    if (!succeeded(result)) process.exitCode = 1;
+  } finally {
+    logHttpMetrics(`[${command}]`);
+    await store.close();
+  }
+}
+
+main().catch((e) => {
+  if (process.argv.includes("--json")) {
+    process.stdout.write(`${JSON.stringify({ ok: false, error: String(e?.message || e) })}\n`);
+  }
+  console.error("[zypto-history] ERROR", e?.message || e);
+  process.exitCode = 1;
+});
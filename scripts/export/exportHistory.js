@@ -0,0 +1,192 @@
+// =============================
+// File: scripts/export/exportHistory.js (ESM)
+// Purpose: Stream one token's canonical daily, hourly, 4h, weekly or monthly
+//          candles (or one provider's daily/hourly) for a date range as JSON, NDJSON, CSV or Parquet,
+//          oldest first. Reads page by page (lib/series.js), so a long hourly
+//          range never sits in memory. Missing days/hours are left out, not
+//          padded.
+//
+// Rows are lib/series.js candles: id, time, open, high, low, close, volumeUSD,
+// sources, backfilled — all of them in that order unless --columns picks (and
+// orders) a subset. `time` is the UTC interval start; --tz local|<IANA zone>
+// prints it with that zone's offset instead (the buckets stay UTC days/hours).
+// Parquet stores `time` as a UTC timestamp whatever --tz says. In CSV and
+// Parquet, `sources` is joined with "|".
+//
+// Usage:
+//   node scripts/export/exportHistory.js --from 2024-05-01 [--to 2024-05-31] [--token zypto]
+//        [--interval 1d|1h|4h|1w|1M] [--provider geckoterminal] [--format json|ndjson|csv|parquet]
+//        [--columns time,close,volumeUSD] [--tz UTC|local|Europe/Berlin] [--out prices.csv]
+//   (or `zypto-history export …`)
+// =============================
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { COLLECTIONS } from "../lib/collections.js";
+import { isMain } from "../lib/main.js";
+import { createParquetWriter } from "../lib/parquet.js";
+import { CANDLE_FIELDS, INTERVALS, scanSeries, seriesCollection, toCandle } from "../lib/series.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTarget } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
+
+export { INTERVALS };
+export const FORMATS = ["json", "ndjson", "csv", "parquet"];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const PARQUET_TYPES = {
+  id: "string", time: "timestamp", open: "double", high: "double", low: "double", close: "double",
+  volumeUSD: "double", sources: "string", backfilled: "boolean",
+};
+
+export function selectColumns(columns) {
+  if (!columns?.length) return CANDLE_FIELDS;
+  const unknown = columns.filter((c) => !CANDLE_FIELDS.includes(c));
+  if (unknown.length) throw new Error(`unknown column(s) ${unknown.join(", ")} (known: ${CANDLE_FIELDS.join(",")})`);
+  return columns;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// -> (ISO string) -> ISO 8601 in `tz`, with its UTC offset at that instant
+export function timeFormatter(tz = "UTC") {
+  if (!tz || tz.toUpperCase() === "UTC") return (iso) => iso;
+  const zone = tz === "local" ? Intl.DateTimeFormat().resolvedOptions().timeZone : tz;
+  let fmt;
+  try {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+  } catch {
+    throw new Error(`--tz: unknown time zone "${tz}"`);
+  }
+  return (iso) => {
+    const ms = Date.parse(iso);
+    const p = Object.fromEntries(fmt.formatToParts(ms).map((x) => [x.type, x.value]));
+    const offset = Math.round((Date.UTC(+p.year, p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - ms) / 60000);
+    const sign = offset < 0 ? "-" : "+";
+    const abs = Math.abs(offset);
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+  };
+}
+
+async function* rowPages(collection, FieldPath, { interval, from, to, pageSize }, columns, time) {
+  for await (const page of scanSeries(collection, FieldPath, { interval, from, to, pageSize })) {
+    yield page.map(([id, doc]) => {
+      const candle = toCandle(id, doc);
+      candle.time = time(candle.time);
+      return Object.fromEntries(columns.map((c) => [c, candle[c]]));
+    });
+  }
+}
+
+// -> async iterable of row pages (candles cut down to `columns`, `time` in `tz`).
+// Bad options throw here, before anything is read or written.
+export function exportPages(db, {
+  FieldPath, from, to = ymd(), interval = "1d", provider = null, collections = COLLECTIONS, columns = null, tz = "UTC", pageSize,
+}) {
+  if (!DAY_RE.test(from || "") || !DAY_RE.test(to)) throw new Error("--from (and optional --to) must be YYYY-MM-DD");
+  if (!INTERVALS.includes(interval)) throw new Error(`--interval must be one of ${INTERVALS.join("|")}`);
+  const collection = seriesCollection(db, collections, interval, provider);
+  return rowPages(collection, FieldPath, { interval, from, to, pageSize }, selectColumns(columns), timeFormatter(tz));
+}
+
+// -> every row in [from, to]; for callers that want them in memory anyway.
+export async function readSeries(db, opts) {
+  const rows = [];
+  for await (const page of exportPages(db, opts)) rows.push(...page);
+  return rows;
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = Array.isArray(v) ? v.join("|") : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Text formats: { head, row(r, i), tail(n) } -> strings
+function textFormat(format, columns) {
+  switch (format) {
+    case "json":
+      return { head: "[", row: (r, i) => `${i ? "," : ""}\n${JSON.stringify(r)}`, tail: (n) => `${n ? "\n" : ""}]\n` };
+    case "ndjson":
+      return { head: "", row: (r) => `${JSON.stringify(r)}\n`, tail: () => "" };
+    case "csv":
+      return { head: `${columns.join(",")}\n`, row: (r) => `${columns.map((c) => csvCell(r[c])).join(",")}\n`, tail: () => "" };
+    default:
+      throw new Error(`--format must be one of ${FORMATS.join("|")}`);
+  }
+}
+
+// Writes that wait for "drain" when the stream is backed up.
+function sinkFor(out) {
+  const stream = out ? fs.createWriteStream(out) : process.stdout;
+  const finished = out ? new Promise((resolve, reject) => stream.on("finish", resolve).on("error", reject)) : null;
+  finished?.catch(() => {});
+  return {
+    write: (chunk) => (stream.write(chunk) ? undefined : new Promise((resolve) => stream.once("drain", resolve))),
+    end: () => {
+      if (!out) return undefined;
+      stream.end();
+      return finished;
+    },
+  };
+}
+
+// Writes to `out`, or stdout when it's missing. Resolves { rows, out }.
+export async function exportHistory(db, { out = null, format = "json", ...range }) {
+  if (!FORMATS.includes(format)) throw new Error(`--format must be one of ${FORMATS.join("|")}`);
+  const columns = selectColumns(range.columns);
+  const pages = exportPages(db, { ...range, columns });
+  const sink = sinkFor(out);
+  let rows = 0;
+  if (format === "parquet") {
+    const writer = createParquetWriter(sink.write, columns.map((name) => ({ name, type: PARQUET_TYPES[name] })));
+    for await (const page of pages) {
+      await writer.writeRows(page.map((r) => (Array.isArray(r.sources) ? { ...r, sources: r.sources.join("|") } : r)));
+      rows += page.length;
+    }
+    await writer.close();
+  } else {
+    const fmt = textFormat(format, columns);
+    await sink.write(fmt.head);
+    for await (const page of pages) {
+      await sink.write(page.map((r, i) => fmt.row(r, rows + i)).join(""));
+      rows += page.length;
+    }
+    await sink.write(fmt.tail(rows));
+  }
+  await sink.end();
+  if (out) console.error(`[export] wrote ${rows} rows to ${out}`);
+  return { rows, out };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({
+        options: {
+          token: { type: "string" },
+          from: { type: "string" },
+          to: { type: "string" },
+          interval: { type: "string", default: "1d" },
+          provider: { type: "string" },
+          format: { type: "string", default: "json" },
+          columns: { type: "string" },
+          tz: { type: "string", default: "UTC" },
+          out: { type: "string" },
+        },
+      });
+      // Store banner and progress go to stderr so stdout stays pure data.
+      console.log = console.error;
+      const { collections } = resolveTarget({ token: args.token });
+      const { db, FieldPath } = await openStore();
+      const columns = args.columns ? args.columns.split(",").map((s) => s.trim()).filter(Boolean) : null;
+      await exportHistory(db, { ...args, columns, FieldPath, collections });
+    } catch (e) {
+      console.error("[export] failed:", e?.stack || e);
+      process.exitCode = 1;
+    }
+  })();
+}
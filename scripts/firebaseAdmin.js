@@ -2,7 +2,9 @@
 // File: scripts/firebaseAdmin.js (ESM)
 // Purpose: Initialize Firebase Admin SDK from ENV (GitHub Actions) OR from a
 //          local service-account JSON (dev). Includes the "newline fix" when
-//          using env vars so multi-line PEM keys work.
+//          using env vars so multi-line PEM keys work. With
+//          FIRESTORE_EMULATOR_HOST set no credentials are needed at all.
+//          Scripts get here through scripts/lib/storage (ZYPTO_STORE).
 // =============================
 
 import admin from 'firebase-admin';
@@ -30,7 +32,10 @@ export function initAdmin() {
     const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
     let privateKey = process.env.FIREBASE_PRIVATE_KEY;
 
-    if (pid && clientEmail && privateKey) {
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+      // The emulator accepts any project id; "demo-" ids never reach production.
+      admin.initializeApp({ projectId: pid || 'demo-zypto' });
+    } else if (pid && clientEmail && privateKey) {
       // GitHub/ENV secrets often contain literal "\\n" sequences. Convert to real newlines.
       if (privateKey.includes('\\n')) privateKey = privateKey.replace(/\\n/g, '\n');
       admin.initializeApp({
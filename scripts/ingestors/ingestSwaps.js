@@ -0,0 +1,206 @@
+// =============================================
+// File: scripts/ingestors/ingestSwaps.js
+// Trade-level ingest for each registry token's main Uniswap v2 pair: pages
+// through the subgraph `swaps` (--source subgraph, default; UNIV2_SUBGRAPH_URL)
+// or the pair's Swap logs over JSON-RPC (--source rpc; ETH_RPC_URL, logs read
+// ZYPTO_SWAP_LOG_BLOCKS blocks at a time, default 2000), and stores every trade
+// (lib/swaps.js). RPC trades are valued at the quote token's USD price in
+// their block (stablecoin, or WETH via the reference pair, see
+// lib/providers/uniswapV2Onchain.js).
+//
+// Every day a run touched is then rebuilt from all of its stored trades as the
+// "swaps" provider: hourly candles (ohlcSource "candle") and the daily record,
+// so the consensus gets exact OHLCV. Hours the canonical series already has get
+// their candle re-derived, and the 4h candles over them are rebuilt.
+//
+// Without --from a run continues from the newest stored trade (trade ids are
+// stable, so the overlap is rewritten, not duplicated); the first rpc run needs
+// --from. --to (inclusive) ends the range; without it, up to now.
+//
+// Usage:
+//   node scripts/ingestors/ingestSwaps.js [--source subgraph|rpc] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//   (or `zypto-history swaps …`)
+// =============================================
+
+import { parseArgs } from "node:util";
+import { rollupCandles } from "../lib/candles.js";
+import { checkRange, daySeconds } from "../lib/checkpoint.js";
+import { providerRecord, upsertDailyBatch } from "../lib/dailyRecord.js";
+import { hourlyDoc, providerCandle } from "../lib/hourlyRecord.js";
+import { gql, logHttpMetrics } from "../lib/http.js";
+import { isMain } from "../lib/main.js";
+import { uniswapV2Endpoint } from "../lib/providers/uniswapV2.js";
+import { quoteTokenUSD, readPair } from "../lib/providers/uniswapV2Onchain.js";
+import { hourlyProviderNames, rollupHour } from "../lib/rollup.js";
+import { TOPICS, blockAtTime, blockNumber, decodeAddress, decodeWords, getBlock, getLogs } from "../lib/rpc.js";
+import { openStore } from "../lib/storage/index.js";
+import { buildSwapCandles, normalizeSwap, readSwaps, saveSwaps } from "../lib/swaps.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd, ymdh } from "../lib/time.js";
+import { HOUR_MS } from "../lib/volume.js";
+
+export const PROVIDER = "swaps";
+export const SOURCES = ["subgraph", "rpc"];
+const DAY_MS = 24 * HOUR_MS;
+const PAGE_SIZE = 1000;
+
+const Q_PAIR = `#graphql
+  query Pair($pair: ID!) {
+    pair(id: $pair) { token0 { id } token1 { id } }
+  }
+`;
+
+const Q_SWAPS = `#graphql
+  query Swaps($pair: String!, $after: Int!, $before: Int!) {
+    swaps(first: 1000, orderBy: timestamp, orderDirection: asc,
+      where: { pair: $pair, timestamp_gte: $after, timestamp_lt: $before }) {
+      id timestamp logIndex to amount0In amount1In amount0Out amount1Out amountUSD
+      transaction { id blockNumber }
+    }
+  }
+`;
+
+async function newestSwap(db, collections) {
+  const snap = await db.collection(collections.swaps).orderBy("ts", "desc").limit(1).get();
+  return snap.empty ? null : snap.docs[0].data();
+}
+
+// Subgraph swaps with after <= timestamp < before (unix seconds), a page at a time.
+// Pages overlap by the last second; rows already seen are dropped.
+async function* subgraphSwaps({ token, pair, after, before }) {
+  const url = uniswapV2Endpoint();
+  const info = (await gql(url, Q_PAIR, { pair }, { timeout: 30000 }))?.pair;
+  if (!info) throw new Error(`pair ${pair} not found in the v2 subgraph`);
+  const side = info.token0.id.toLowerCase() === token ? 0 : 1;
+  const seen = new Set();
+  while (true) {
+    const rows = (await gql(url, Q_SWAPS, { pair, after, before }, { timeout: 30000 }))?.swaps || [];
+    const fresh = rows.filter((r) => !seen.has(r.id));
+    yield fresh.map((r) => normalizeSwap({
+      ts: Number(r.timestamp) * 1000, block: r.transaction.blockNumber, txHash: r.transaction.id, logIndex: r.logIndex,
+      pair, side, amount0In: r.amount0In, amount1In: r.amount1In, amount0Out: r.amount0Out, amount1Out: r.amount1Out,
+      amountUSD: r.amountUSD, recipient: r.to, source: "subgraph",
+    })).filter(Boolean);
+    if (rows.length < PAGE_SIZE) return;
+    const last = Number(rows.at(-1).timestamp);
+    if (last === after) throw new Error(`more than ${PAGE_SIZE} swaps at timestamp ${last}, can't page past it`);
+    for (const r of rows) if (Number(r.timestamp) === last) seen.add(r.id);
+    after = last;
+  }
+}
+
+// Swap logs of the pair from block `fromBlock` through `toBlock`, a chunk at a time.
+async function* rpcSwaps({ token, pair, fromBlock, toBlock, url, chunk }) {
+  const info = await readPair(url, pair, toBlock);
+  const side = info.token0 === token ? 0 : 1;
+  const quote = side === 0 ? info.token1 : info.token0;
+  const scale = [10 ** info.decimals0, 10 ** info.decimals1];
+  for (let start = fromBlock; start <= toBlock; start += chunk) {
+    const logs = await getLogs(url, { address: pair, topics: [TOPICS.uniswapV2Swap], fromBlock: start, toBlock: Math.min(start + chunk - 1, toBlock) });
+    const blocks = new Map();
+    for (const n of [...new Set(logs.map((l) => Number(BigInt(l.blockNumber))))]) {
+      const [{ timestamp }, { quoteUSD }] = await Promise.all([getBlock(url, n), quoteTokenUSD(url, quote, n)]);
+      blocks.set(n, { ts: timestamp * 1000, quoteUSD });
+    }
+    yield logs.filter((l) => !l.removed).map((l) => {
+      const block = Number(BigInt(l.blockNumber));
+      const [a0In, a1In, a0Out, a1Out] = decodeWords(l.data).map((w, i) => Number(w) / scale[i % 2]);
+      return normalizeSwap({
+        ts: blocks.get(block).ts, block, txHash: l.transactionHash, logIndex: Number(BigInt(l.logIndex)),
+        pair, side, amount0In: a0In, amount1In: a1In, amount0Out: a0Out, amount1Out: a1Out,
+        quoteUSD: blocks.get(block).quoteUSD, recipient: decodeAddress(l.topics[2]), source: "rpc",
+      });
+    }).filter(Boolean);
+  }
+}
+
+// Rebuild the swaps provider's hours and daily records of `days` from the stored trades.
+async function rebuildDays(db, days, { token, chain, pair, collections }) {
+  const hourRows = [];
+  const dayRows = [];
+  for (const day of days) {
+    const fromMs = Date.parse(`${day}T00:00:00Z`);
+    const trades = await readSwaps(db, { fromMs, toMs: fromMs + DAY_MS, collections });
+    hourRows.push(...buildSwapCandles(trades, "1h").filter((k) => k.close != null));
+    const [k] = buildSwapCandles(trades, "1d");
+    if (k?.close != null) {
+      dayRows.push({ day, record: providerRecord({ ...k, firstTs: trades[0].ts, lastTs: trades.at(-1).ts }) });
+    }
+  }
+
+  const own = db.collection(collections.hourlyProviders).doc(PROVIDER).collection("hours");
+  for (const k of hourRows) {
+    await own.doc(ymdh(k.ts)).set(hourlyDoc(ymdh(k.ts), {
+      ts: k.ts, priceUSD: k.close, token, pair, ...providerCandle(k),
+      volumeUSD: k.volumeUSD, volumeMethod: "candle", intervalStart: k.ts, intervalEnd: k.ts + HOUR_MS,
+    }));
+  }
+  const providers = await hourlyProviderNames(db, collections);
+  for (const k of hourRows) await rollupHour(db, ymdh(k.ts), providers, { collections });
+  if (hourRows.length) {
+    await rollupCandles(db, { from: days[0], to: days.at(-1), resolutions: ["4h"], collections, meta: { token, chain } });
+  }
+  await upsertDailyBatch(db, PROVIDER, dayRows, { token, chain }, { collections });
+  return { hours: hourRows.length, days: dayRows.length };
+}
+
+// One target (lib/target.js). Resolves { token, source, trades, hours, days, newest }.
+export async function ingestSwaps(db, { source = "subgraph", from = null, to = null, ...target }) {
+  const { token, pair, chain, collections } = target;
+  if (!SOURCES.includes(source)) throw new Error(`--source must be one of ${SOURCES.join("|")}, got "${source}"`);
+  if (!pair) throw new Error(`${target.id}: no pair to read swaps from`);
+  checkRange({ from, to });
+  const newest = from ? null : await newestSwap(db, collections);
+
+  let pages;
+  if (source === "subgraph") {
+    const after = from ? daySeconds(from) : newest ? Math.floor(newest.ts / 1000) : 0;
+    const before = to ? daySeconds(to, { end: true }) : Math.ceil(Date.now() / 1000) + 1;
+    pages = subgraphSwaps({ token, pair, after, before });
+  } else {
+    const url = process.env.ETH_RPC_URL;
+    if (!url) throw new Error("missing ETH_RPC_URL env");
+    if (!from && !newest) throw new Error("the first rpc run needs --from");
+    const latest = await blockNumber(url);
+    const fromBlock = from ? await blockAtTime(url, daySeconds(from), latest) : newest.block;
+    const toBlock = to ? (await blockAtTime(url, daySeconds(to, { end: true }), latest)) - 1 : latest;
+    const chunk = Number(process.env.ZYPTO_SWAP_LOG_BLOCKS || 2000);
+    pages = rpcSwaps({ token, pair, fromBlock, toBlock, url, chunk });
+  }
+  console.log(`[swaps] ${target.id}: ${source} ${pair} from ${from || (newest ? new Date(newest.ts).toISOString() : "the start")}`);
+
+  const days = new Set();
+  let trades = 0;
+  for await (const page of pages) {
+    trades += await saveSwaps(db, page, { collections });
+    for (const t of page) days.add(ymd(t.ts));
+    if (page.length) console.log(`[swaps] ${target.id}: ${page.length} trades, ${ymd(page[0].ts)}..${ymd(page.at(-1).ts)}`);
+  }
+  const rebuilt = await rebuildDays(db, [...days].sort(), { token, chain, pair, collections });
+  console.log(`[swaps] ${target.id}: ${trades} trades stored, ${rebuilt.hours} hours and ${rebuilt.days} days rebuilt`);
+  const last = await newestSwap(db, collections);
+  return { token: target.id, source, trades, ...rebuilt, newest: last ? new Date(last.ts).toISOString() : null };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({
+        options: {
+          source: { type: "string", default: "subgraph" },
+          from: { type: "string" },
+          to: { type: "string" },
+        },
+      });
+      const { db } = await openStore();
+      for (const target of resolveTargets().filter((t) => t.chain === "ethereum")) {
+        await ingestSwaps(db, { ...target, source: args.source, from: args.from ?? null, to: args.to ?? null });
+      }
+    } catch (e) {
+      console.error("[swaps] failed:", e?.stack || e);
+      process.exitCode = 1;
+    } finally {
+      logHttpMetrics("[swaps]");
+    }
+  })();
+}
@@ -0,0 +1,60 @@
+// =============================================
+// File: scripts/ingestors/rollupCandles.js
+// Rebuilds the 4h, weekly and monthly candles (lib/candles.js) overlapping a
+// date range from the canonical hourly and daily docs, for every registry
+// token (or the one in ZYPTO_TOKEN / ZYPTO_ADDR). The hourly ingestor keeps
+// them current; run this after backfills, repairs or a daily rollup rebuild.
+// Weeks and months at the edges of the range are rebuilt whole.
+//
+// Usage:
+//   node scripts/ingestors/rollupCandles.js --from 2024-05-01 [--to 2024-05-31] [--resolutions 4h,1w,1M]
+//   (or `zypto-history candles …`)
+// =============================================
+
+import { parseArgs } from "node:util";
+import { checkResolutions, rollupCandles } from "../lib/candles.js";
+import { isMain } from "../lib/main.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// One target (lib/target.js). -> { token, resolutions: { <res>: { written, deleted } } }
+export async function rebuildCandles(db, { from, to = ymd(), resolutions = null, ...target }) {
+  if (!DAY_RE.test(from || "") || !DAY_RE.test(to)) throw new Error("--from (and optional --to) must be YYYY-MM-DD");
+  const only = checkResolutions(resolutions);
+  const counts = await rollupCandles(db, {
+    from, to, resolutions: only, collections: target.collections, meta: { token: target.token, chain: target.chain },
+  });
+  for (const [res, { written, deleted }] of Object.entries(counts)) {
+    console.log(`[candles] ${target.id} ${res} ${from}..${to}: ${written} written, ${deleted} empty`);
+  }
+  return { token: target.id, resolutions: counts };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({
+        options: {
+          from: { type: "string" },
+          to: { type: "string" },
+          resolutions: { type: "string" },
+        },
+      });
+      const { db } = await openStore();
+      for (const target of resolveTargets()) {
+        await rebuildCandles(db, {
+          ...target,
+          from: args.from,
+          to: args.to,
+          resolutions: args.resolutions ? args.resolutions.split(",").map((s) => s.trim()) : null,
+        });
+      }
+    } catch (e) {
+      console.error("[candles] failed:", e?.stack || e);
+      process.exitCode = 1;
+    }
+  })();
+}
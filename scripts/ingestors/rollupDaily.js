@@ -0,0 +1,67 @@
+// =============================================
+// File: scripts/ingestors/rollupDaily.js
+// Rebuilds `<ns>_prices_daily` (and the per-provider day docs) for a date
+// range from the hourly per-provider docs, for every registry token (or the one
+// in ZYPTO_TOKEN / ZYPTO_ADDR). Same code path the hourly ingestor uses, so
+// running it over already-correct days is a no-op.
+//
+// Usage:
+//   node scripts/ingestors/rollupDaily.js --from 2024-05-01 [--to 2024-05-31] [--providers dexscreener,geckoterminal]
+//   (or `zypto-history rollup …`)
+// =============================================
+
+import { parseArgs } from "node:util";
+import { isMain } from "../lib/main.js";
+import { hourlyProviderNames, rollupDay } from "../lib/rollup.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// One target (lib/target.js); providers: names to roll up (default: every
+// provider with hourly docs for the token).
+export async function rollupRange(db, { from, to = ymd(), providers = null, ...target }) {
+  if (!DAY_RE.test(from || "") || !DAY_RE.test(to)) throw new Error("--from (and optional --to) must be YYYY-MM-DD");
+  const { collections } = target;
+  const names = providers || await hourlyProviderNames(db, collections);
+
+  const days = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 86400 * 1000) {
+    const doc = await rollupDay(db, ymd(t), names, { token: target.token, chain: target.chain }, { collections });
+    if (!doc) {
+      console.log(`[rollup] ${target.id} ${ymd(t)}: no hourly data, skipped`);
+      continue;
+    }
+    console.log(`[rollup] ${target.id} ${doc.date} close=${doc.close} sources=${doc.sources.join(",") || "-"}`);
+    days.push({ date: doc.date, close: doc.close, sources: doc.sources });
+  }
+  console.log(`[rollup] ${target.id}: rebuilt ${days.length} days from hourly docs (${names.join(", ")})`);
+  return { token: target.id, providers: names, days };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({
+        options: {
+          from: { type: "string" },
+          to: { type: "string" },
+          providers: { type: "string" },
+        },
+      });
+      const { db } = await openStore();
+      for (const target of resolveTargets()) {
+        await rollupRange(db, {
+          ...target,
+          from: args.from,
+          to: args.to,
+          providers: args.providers ? args.providers.split(",").map((s) => s.trim()) : null,
+        });
+      }
+    } catch (e) {
+      console.error("[rollup] failed:", e?.stack || e);
+      process.exitCode = 1;
+    }
+  })();
+}
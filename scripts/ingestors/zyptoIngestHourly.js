@@ -1,151 +1,210 @@
 // =============================================
 // File: scripts/ingestors/zyptoIngestHourly.js
 // ESM version — fixes "require is not defined" on GitHub Actions.
-// Also writes provider-specific hourly & daily docs so you can
-// filter by source of truth later.
+// Samples every configured provider (lib/providers) for each registry token
+// (lib/target.js), writes provider and canonical hourly docs (lib/hourlyRecord.js,
+// lib/consensus.js), rolls up days and candles (lib/rollup.js, lib/candles.js)
+// and liquidity (lib/liquidity.js), then checks for alerts (lib/alerts.js).
+//
+// Usage:
+//   node scripts/ingestors/zyptoIngestHourly.js   (or `zypto-history ingest`)
 // =============================================
 
-import { init as initAdmin } from "../firebaseAdmin.js";
+import { checkAlerts } from "../alerts/checkAlerts.js";
+import { rollupCandles } from "../lib/candles.js";
+import { consensus } from "../lib/consensus.js";
+import { hourlyDoc, mergeSamples, providerCandle, samplesCandle } from "../lib/hourlyRecord.js";
+import { logHttpMetrics } from "../lib/http.js";
+import { liquidityHourDoc, liquidityReading, rollupLiquidityDay, thinThreshold } from "../lib/liquidity.js";
+import { isMain } from "../lib/main.js";
+import { fetchQuotes, resolveProviders, supportsChain } from "../lib/providers/index.js";
+import { rollupDay, rollupHour } from "../lib/rollup.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd, ymdh } from "../lib/time.js";
+import { HOUR_MS, intervalVolume } from "../lib/volume.js";
 
-// --- Basic config (can be overridden by env vars) ---
-const TOKEN_ADDRESS = (process.env.ZYPTO_ADDR || "0x7a65cb87f596caf31a4932f074c59c0592be77d7").toLowerCase();
-const UNI_PAIR = (process.env.ZYPTO_UNI_PAIR || "0x1ecb460a532c1d76937bedbadf7d333da30255a4").toLowerCase();
+// Canonical hourly price: consensus of every provider that answered (see lib/consensus.js)
+function pickCanonical(quotes) {
+  const c = consensus(quotes.map((q) => ({ provider: q.provider, price: q.priceUSD, weight: q.liquidityUSD })));
+  if (!c) throw new Error("no usable price from any provider");
+  const source = quotes.find((q) => q.provider === c.source);
+  return {
+    ...source,
+    priceUSD: c.price,
+    sources: c.included,
+    consensus: { method: c.method, reference: c.reference, maxDeviation: c.maxDeviation, excluded: c.excluded },
+  };
+}
 
-// Prefer Node 18+ global fetch
-async function getJSON(url, opts = {}) {
-  const ctl = new AbortController();
-  const timeout = setTimeout(() => ctl.abort(), opts.timeout || 15000);
-  try {
-    const res = await fetch(url, { signal: ctl.signal, headers: opts.headers });
-    if (!res.ok) throw new Error(`${res.status}`);
-    return await res.json();
-  } finally {
-    clearTimeout(timeout);
-  }
+function providerHours(db, collections, provider) {
+  return db.collection(collections.hourlyProviders).doc(provider).collection("hours");
 }
 
-function pickDexPair(json) {
-  const pairs = Array.isArray(json?.pairs) ? json.pairs : (json?.pair ? [json.pair] : []);
-  if (!pairs.length) return null;
-  // 1) exact pair match
-  const byPair = pairs.find(p => (p?.pairAddress || "").toLowerCase() === UNI_PAIR);
-  if (byPair) return byPair;
-  // 2) any ethereum pair containing our token
-  const t = TOKEN_ADDRESS;
-  const byToken = pairs.find(p => (
-    (p?.chainId === "ethereum" || p?.chain === "ethereum") &&
-    ((p?.baseToken?.address || "").toLowerCase() === t || (p?.quoteToken?.address || "").toLowerCase() === t)
-  ));
-  if (byToken) return byToken;
-  // 3) otherwise first
-  return pairs[0];
+async function readHour(db, collections, provider, id) {
+  const snap = await providerHours(db, collections, provider).doc(id).get();
+  return snap.exists ? snap.data() : null;
 }
 
-async function pullDexScreenerQuote() {
-  // Try pair endpoint first, then token, then search
-  const tries = [
-    `https://api.dexscreener.com/latest/dex/pairs/ethereum/${UNI_PAIR}`,
-    `https://api.dexscreener.com/latest/dex/pairs/${UNI_PAIR}`,
-    `https://api.dexscreener.com/latest/dex/tokens/${TOKEN_ADDRESS}`,
-    `https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(TOKEN_ADDRESS)}`,
-  ];
-  let lastErr = null;
-  for (const url of tries) {
-    try {
-      const j = await getJSON(url, { timeout: 12000 });
-      const pair = pickDexPair(j);
-      if (!pair) { lastErr = "no pair in response"; continue; }
-      const priceUSD = Number(pair.priceUsd);
-      const volUSD = Number(pair.volume?.h24 || pair.volume || 0);
-      if (!isFinite(priceUSD) || priceUSD <= 0) { lastErr = "invalid price"; continue; }
-      return { provider: "dexscreener", priceUSD, volumeUSD: volUSD, pairAddress: pair.pairAddress };
-    } catch (e) {
-      lastErr = e.message || String(e);
-    }
-  }
-  throw new Error(`dexscreener_failed: ${lastErr || "unknown"}`);
+// Attach each quote's interval volume (lib/volume.js) plus its stored docs for
+// this hour and the previous one: counter-based providers diff against the
+// latter, and both get their candles updated.
+async function withHours(db, collections, quotes, ts) {
+  const hourId = ymdh(ts);
+  const prevHourId = ymdh(ts - HOUR_MS);
+  return Promise.all(quotes.map(async (q) => {
+    const [current, prevHour] = await Promise.all([
+      readHour(db, collections, q.provider, hourId),
+      readHour(db, collections, q.provider, prevHourId),
+    ]);
+    return { ...q, interval: intervalVolume(q, prevHour, ts), current, prevHour };
+  }));
 }
 
-function ymd(date = new Date()) {
-  const d = new Date(date);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
+// Candle fields of the current hour once `sample` is in; a provider candle
+// already stored for it wins over one built from samples. A doc written before
+// hours kept their samples counts as one.
+function sampledCandle(current, sample) {
+  const samples = mergeSamples(current?.samples ?? (current ? [current] : []), [sample]);
+  return current?.ohlcSource === "candle" ? { samples } : { samples, ...samplesCandle(samples) };
 }
 
-function ymdh(date = new Date()) {
-  const d = new Date(date);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  const h = String(d.getUTCHours()).padStart(2, "0");
-  return `${y}-${m}-${day}-${h}`; // safe for doc id
+// Fields that close the previous hour's doc, or null: the provider's candle for
+// that hour, else the volume of the interval that started in it.
+function closedHourFields(q, prevHourId) {
+  if (!q.prevHour) return null;
+  if (q.hourCandle && ymdh(q.hourCandle.ts) === prevHourId && Number.isFinite(q.hourCandle.close)) {
+    return providerCandle(q.hourCandle);
+  }
+  if (q.interval && ymdh(q.interval.startTs) === prevHourId) return { candleVolumeUSD: q.interval.volumeUSD };
+  return null;
+}
+
+function volumeFields(q) {
+  return {
+    volumeUSD: q.interval?.volumeUSD,
+    volumeMethod: q.interval?.method,
+    intervalStart: q.interval?.startTs,
+    intervalEnd: q.interval?.endTs,
+    volume24hUSD: q.volume24hUSD,
+    cumulativeVolumeUSD: q.cumulativeVolumeUSD,
+  };
 }
 
-async function writeHourlyAndDaily(db, quote) {
+async function writeHourlyAndDaily(db, rawQuotes, target) {
   const now = new Date();
   const hourId = ymdh(now);
+  const prevHourId = ymdh(now.getTime() - HOUR_MS);
   const dayId = ymd(now);
-  const ts = Date.now();
-  const provider = quote.provider || "unknown";
-
-  // --- Hourly (canonical) ---
-  await db.collection("zypto_prices_hourly").doc(hourId).set({
-    ts, provider, priceUSD: quote.priceUSD, volumeUSD: quote.volumeUSD ?? null,
-    token: TOKEN_ADDRESS, pair: quote.pairAddress ?? null,
-  }, { merge: true });
-
-  // --- Hourly (per-provider) ---
-  await db.collection("zypto_prices_hourly_providers")
-    .doc(provider).collection("hours")
-    .doc(hourId).set({
-      ts, priceUSD: quote.priceUSD, volumeUSD: quote.volumeUSD ?? null,
-      token: TOKEN_ADDRESS, pair: quote.pairAddress ?? null,
-    }, { merge: true });
-
-  // --- Daily OHLC aggregator (canonical) ---
-  const dailyRef = db.collection("zypto_prices_daily").doc(dayId);
-  const snap = await dailyRef.get();
-  if (!snap.exists) {
-    await dailyRef.set({
-      date: dayId, open: quote.priceUSD, high: quote.priceUSD, low: quote.priceUSD, close: quote.priceUSD,
-      volumeUSD: quote.volumeUSD || 0, firstTs: ts, lastTs: ts,
-    });
-  } else {
-    const d = snap.data();
-    const high = Math.max(d.high, quote.priceUSD);
-    const low = Math.min(d.low, quote.priceUSD);
-    const volumeUSD = (d.volumeUSD || 0) + (quote.volumeUSD || 0);
-    await dailyRef.set({ high, low, close: quote.priceUSD, volumeUSD, lastTs: ts }, { merge: true });
+  const ts = now.getTime();
+  const { collections } = target;
+  const quotes = await withHours(db, collections, rawQuotes, ts);
+  const canonical = pickCanonical(quotes);
+  const meta = { token: target.token, chain: target.chain };
+
+  // --- Hourly (canonical); its candle is derived below ---
+  await db.collection(collections.hourly).doc(hourId).set(hourlyDoc(hourId, {
+    ts, provider: canonical.provider, sources: canonical.sources, consensus: canonical.consensus,
+    priceUSD: canonical.priceUSD, ...volumeFields(canonical), liquidityUSD: canonical.liquidityUSD,
+    token: target.token, pair: canonical.pairAddress,
+  }), { merge: true });
+
+  // --- Hourly (per-provider): this hour's sample, the previous hour's candle ---
+  let closedHour = false;
+  for (const q of quotes) {
+    await providerHours(db, collections, q.provider).doc(hourId).set(hourlyDoc(hourId, {
+      ts, priceUSD: q.priceUSD, ...volumeFields(q), liquidityUSD: q.liquidityUSD,
+      token: target.token, pair: q.pairAddress, onchain: q.onchain,
+      ...sampledCandle(q.current, { ts, priceUSD: q.priceUSD }),
+    }), { merge: true });
+    const closed = closedHourFields(q, prevHourId);
+    if (closed) {
+      await providerHours(db, collections, q.provider).doc(prevHourId).set(closed, { merge: true });
+      closedHour = true;
+    }
   }
 
-  // --- Daily OHLC aggregator (per-provider) ---
-  const provDailyRef = db.collection("zypto_prices_daily_providers")
-    .doc(provider).collection("days").doc(dayId);
-  const provSnap = await provDailyRef.get();
-  if (!provSnap.exists) {
-    await provDailyRef.set({
-      date: dayId, open: quote.priceUSD, high: quote.priceUSD, low: quote.priceUSD, close: quote.priceUSD,
-      volumeUSD: quote.volumeUSD || 0, firstTs: ts, lastTs: ts,
-    });
-  } else {
-    const d = provSnap.data();
-    const high = Math.max(d.high, quote.priceUSD);
-    const low = Math.min(d.low, quote.priceUSD);
-    const volumeUSD = (d.volumeUSD || 0) + (quote.volumeUSD || 0);
-    await provDailyRef.set({ high, low, close: quote.priceUSD, volumeUSD, lastTs: ts }, { merge: true });
+  // --- Canonical hourly candles: consensus of the providers' (lib/rollup.js) ---
+  const providers = quotes.map((q) => q.provider);
+  if (closedHour) await rollupHour(db, prevHourId, providers, { collections });
+  await rollupHour(db, hourId, providers, { collections });
+
+  // --- Daily: recomputed from the hourly docs, in a transaction (lib/rollup.js) ---
+  // Also redo the day an interval started in; at 00:02 that's yesterday.
+  const days = new Set([dayId, ...quotes.filter((q) => q.interval).map((q) => ymd(q.interval.startTs))]);
+  if (closedHour) days.add(prevHourId.slice(0, 10));
+  for (const day of [...days].sort()) await rollupDay(db, day, providers, meta, { collections });
+
+  // --- 4h / weekly / monthly: the periods this run touched, recomputed (lib/candles.js) ---
+  const times = [ts, ...quotes.filter((q) => q.interval).map((q) => q.interval.startTs)];
+  if (closedHour) times.push(ts - HOUR_MS);
+  await rollupCandles(db, { times, collections, meta });
+
+  // --- Liquidity: this hour's pool state, then its day and the trades' day (lib/liquidity.js) ---
+  await db.collection(collections.liquidityHourly).doc(hourId).set(
+    liquidityHourDoc(hourId, quotes.map(liquidityReading), { ts, ...meta }),
+  );
+  const thresholdUSD = thinThreshold(target);
+  for (const day of [...new Set([ymd(ts - HOUR_MS), dayId])].sort()) {
+    await rollupLiquidityDay(db, day, { collections, meta, thresholdUSD });
   }
+  return { hour: hourId, days: [...days].sort(), canonical };
 }
 
-(async () => {
+// One ingest run for `target` (lib/target.js); `providers` is a
+// ZYPTO_PROVIDERS-style list. Resolves a summary of what was written.
+export async function ingestHourly(db, { providers: only, ...target }) {
+  const providers = resolveProviders(only).filter((p) => supportsChain(p, target.chain));
+  const { quotes, failures } = await fetchQuotes(providers, target);
+  for (const f of failures) console.warn(`[ingest] ${target.id}: ${f.provider} failed:`, f.error);
+  if (!quotes.length) throw new Error(`${target.id}: all providers failed (${providers.map((p) => p.name).join(", ")})`);
+
+  const { hour, days, canonical } = await writeHourlyAndDaily(db, quotes, target);
+  console.log(`[ingest] ${target.id} ok:`, { canonical: canonical.provider, priceUSD: canonical.priceUSD, sources: canonical.sources });
+  return {
+    token: target.id, hour, days,
+    canonical: canonical.provider, priceUSD: canonical.priceUSD, sources: canonical.sources,
+    failures,
+  };
+}
+
+// ingestHourly, then the alert check with what the run reported; resolves or
+// rejects like ingestHourly. An alerting failure is logged, never thrown.
+export async function ingestWithAlerts(db, opts) {
+  let result = null;
+  let error = null;
+  try {
+    result = await ingestHourly(db, opts);
+  } catch (e) {
+    error = e;
+  }
   try {
-    const { db } = initAdmin();
-    const quote = await pullDexScreenerQuote();
-    await writeHourlyAndDaily(db, quote);
-    console.log("[ingest] ok:", quote);
+    await checkAlerts(db, { ...opts, ingest: error ? { error: String(error?.message || error) } : { failures: result.failures } });
   } catch (e) {
-    console.error("[ingest] failed:", e?.stack || e);
-    process.exitCode = 1;
+    console.error(`[alerts] ${opts.id} failed:`, e?.message || e);
   }
-})();
+  if (error) throw error;
+  return result;
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { db } = await openStore();
+      // One token failing doesn't stop the others.
+      for (const target of resolveTargets()) {
+        try {
+          await ingestWithAlerts(db, { ...target, providers: process.env.ZYPTO_PROVIDERS });
+        } catch (e) {
+          console.error("[ingest] failed:", e?.stack || e);
+          process.exitCode = 1;
+        }
+      }
+    } catch (e) {
+      console.error("[ingest] failed:", e?.stack || e);
+      process.exitCode = 1;
+    } finally {
+      logHttpMetrics("[ingest]");
+    }
+  })();
+}
@@ -0,0 +1,197 @@
+// =============================
+// File: scripts/lib/alerts.js (ESM)
+// Purpose: What alerts/checkAlerts.js looks for after an ingest run, and how
+//          alerts reach people: webhook payloads, deduplication and cooldowns.
+//
+// Alert: { key, kind, severity: "warning"|"critical", token, title, message, details, ts }
+//   move             the canonical price moved more than movePct from the previous hour
+//   stale            the last staleHours hourly prices (canonical or one provider's) are identical
+//   provider_failed  a provider threw during the ingest run
+//   ingest_failed    the run wrote nothing (every provider failed, or an error)
+//   missing_hours    canonical hours missing among the last lookbackHours
+// `key` names what the alert is about (`move__<hour>`, `stale__<provider>`,
+// `provider_failed__<provider>`…). An alert is sent at most once per key per
+// cooldown; `<ns>_alerts/<key>` holds { key, kind, lastSentAt, sent, last }.
+// Nothing is recorded when no webhook took the alert, so it goes out next run.
+//
+// Env:
+//   ZYPTO_ALERT_WEBHOOKS          comma-separated [json=|slack=|discord=]<url> (bare url: json)
+//   ZYPTO_ALERT_MOVE_PCT=20       hour-over-hour move, percent
+//   ZYPTO_ALERT_STALE_HOURS=6     identical prices in a row
+//   ZYPTO_ALERT_LOOKBACK_HOURS=24 hours checked for gaps
+//   ZYPTO_ALERT_COOLDOWN_MIN=180  minutes before the same key alerts again
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { postJSON } from "./http.js";
+
+export const FORMATS = ["json", "slack", "discord"];
+const DEFAULTS = { movePct: 20, staleHours: 6, lookbackHours: 24, cooldownMin: 180 };
+const HOUR_COUNTS = ["staleHours", "lookbackHours"];
+const ENV = {
+  movePct: "ZYPTO_ALERT_MOVE_PCT",
+  staleHours: "ZYPTO_ALERT_STALE_HOURS",
+  lookbackHours: "ZYPTO_ALERT_LOOKBACK_HOURS",
+  cooldownMin: "ZYPTO_ALERT_COOLDOWN_MIN",
+};
+const COLOR = { warning: { slack: "warning", discord: 0xf0b232 }, critical: { slack: "danger", discord: 0xda373c } };
+const DISCORD_MAX_EMBEDS = 10;
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function alertPolicy(env = process.env) {
+  const policy = {};
+  for (const [field, key] of Object.entries(ENV)) {
+    const value = env[key] == null || env[key] === "" ? DEFAULTS[field] : Number(env[key]);
+    if (!(value > 0)) throw new Error(`${key} must be a positive number, got "${env[key]}"`);
+    if (HOUR_COUNTS.includes(field) && !Number.isInteger(value)) throw new Error(`${key} must be a whole number of hours, got "${env[key]}"`);
+    policy[field] = value;
+  }
+  return policy;
+}
+
+// ZYPTO_ALERT_WEBHOOKS -> [{ format, url }]
+export function parseWebhooks(env = process.env) {
+  return String(env.ZYPTO_ALERT_WEBHOOKS || "").split(",").map((s) => s.trim()).filter(Boolean).map((entry) => {
+    const m = /^([a-z]+)=(.+)$/.exec(entry);
+    const [format, url] = m && FORMATS.includes(m[1]) ? [m[1], m[2]] : ["json", entry];
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`ZYPTO_ALERT_WEBHOOKS: bad url "${url}"`);
+    }
+    return { format, url };
+  });
+}
+
+const pct = (v) => `${v > 0 ? "+" : ""}${v.toFixed(2)}%`;
+
+// Hourly price of the hour before and the current one -> move alert or null.
+export function detectMove({ token, hour, price, prevHour, prevPrice }, policy = alertPolicy()) {
+  if (!(num(price) > 0) || !(num(prevPrice) > 0)) return null;
+  const changePct = ((price - prevPrice) / prevPrice) * 100;
+  if (Math.abs(changePct) <= policy.movePct) return null;
+  return {
+    key: `move__${hour}`,
+    kind: "move",
+    severity: Math.abs(changePct) > 2 * policy.movePct ? "critical" : "warning",
+    token,
+    title: `${token} moved ${pct(changePct)} in an hour`,
+    message: `${prevHour} ${prevPrice} -> ${hour} ${price} (threshold ${policy.movePct}%)`,
+    details: { hour, prevHour, price, prevPrice, changePct: Number(changePct.toFixed(4)) },
+  };
+}
+
+// prices = the last staleHours hourly prices of `series` (canonical or a
+// provider), newest first, null where the hour is missing -> stale alert or null.
+export function detectStale({ token, series, prices }, policy = alertPolicy()) {
+  if (prices.length < Math.max(policy.staleHours, 2) || prices.some((p) => num(p) == null)) return null;
+  if (new Set(prices.map(num)).size !== 1) return null;
+  return {
+    key: `stale__${series}`,
+    kind: "stale",
+    severity: "warning",
+    token,
+    title: `${token} ${series} price stuck at ${prices[0]}`,
+    message: `the last ${prices.length} hourly ${series} prices are identical`,
+    details: { series, price: num(prices[0]), hours: prices.length },
+  };
+}
+
+// hours = the last lookbackHours hour ids, `missing` those without a canonical doc.
+export function detectMissing({ token, hours, missing }) {
+  if (!missing.length) return null;
+  return {
+    key: "missing_hours",
+    kind: "missing_hours",
+    severity: missing.length > hours.length / 2 ? "critical" : "warning",
+    token,
+    title: `${token}: ${missing.length} of the last ${hours.length} hours missing`,
+    message: `missing: ${missing.join(", ")}`,
+    details: { missing, checked: hours.length },
+  };
+}
+
+// What an ingest run reported: { failures: [{ provider, error }] } or { error }.
+export function ingestAlerts({ token, failures = [], error = null }) {
+  const out = failures.map((f) => ({
+    key: `provider_failed__${f.provider}`,
+    kind: "provider_failed",
+    severity: "warning",
+    token,
+    title: `${token}: ${f.provider} failed`,
+    message: f.error,
+    details: { provider: f.provider, error: f.error },
+  }));
+  if (error) {
+    out.push({
+      key: "ingest_failed",
+      kind: "ingest_failed",
+      severity: "critical",
+      token,
+      title: `${token}: ingest failed`,
+      message: error,
+      details: { error },
+    });
+  }
+  return out;
+}
+
+// One webhook body for every alert of a run.
+export function webhookPayload(format, token, alerts) {
+  const summary = `${alerts.length} alert${alerts.length === 1 ? "" : "s"} for ${token}`;
+  if (format === "slack") {
+    return {
+      text: summary,
+      attachments: alerts.map((a) => ({ color: COLOR[a.severity].slack, title: a.title, text: a.message, ts: Math.floor(a.ts / 1000) })),
+    };
+  }
+  if (format === "discord") {
+    const shown = alerts.slice(0, DISCORD_MAX_EMBEDS);
+    return {
+      content: alerts.length > shown.length ? `${summary} (first ${shown.length} shown)` : summary,
+      embeds: shown.map((a) => ({ title: a.title, description: a.message, color: COLOR[a.severity].discord, timestamp: new Date(a.ts).toISOString() })),
+    };
+  }
+  return { token, alerts: alerts.map((a) => ({ ...a, time: new Date(a.ts).toISOString() })) };
+}
+
+// Sends what isn't cooling down to every webhook, and records what went out.
+// Resolves { sent: [key], suppressed: [key], failed: [{ format, url, error }] }.
+export async function dispatchAlerts(db, token, alerts, {
+  collections = COLLECTIONS, webhooks = parseWebhooks(), policy = alertPolicy(), now = Date.now(),
+} = {}) {
+  const unique = [...new Map(alerts.map((a) => [a.key, { ...a, ts: now }])).values()];
+  const ref = db.collection(collections.alerts);
+  const snaps = unique.length ? await db.getAll(...unique.map((a) => ref.doc(a.key))) : [];
+  const cooldownMs = policy.cooldownMin * 60 * 1000;
+  const due = unique.filter((a, i) => !(snaps[i].exists && now - snaps[i].data().lastSentAt < cooldownMs));
+  const suppressed = unique.filter((a) => !due.includes(a)).map((a) => a.key);
+  for (const a of due) console.log(`[alerts] ${a.severity} ${a.key}: ${a.title}`);
+  if (!due.length || !webhooks.length) return { sent: [], suppressed, failed: [] };
+
+  const failed = [];
+  for (const { format, url } of webhooks) {
+    try {
+      // No retries: a post that timed out may still have been delivered, and
+      // one that failed goes out again next run anyway.
+      await postJSON(url, webhookPayload(format, token, due), { raw: true, timeout: 10000, retries: 0 });
+    } catch (e) {
+      console.warn(`[alerts] ${format} webhook ${new URL(url).host} failed:`, e?.message || e);
+      failed.push({ format, url, error: String(e?.message || e) });
+    }
+  }
+  if (failed.length === webhooks.length) return { sent: [], suppressed, failed };
+
+  const batch = db.batch();
+  for (const a of due) {
+    const prev = snaps[unique.indexOf(a)];
+    batch.set(ref.doc(a.key), { key: a.key, kind: a.kind, lastSentAt: now, sent: (prev.exists ? prev.data().sent ?? 0 : 0) + 1, last: a });
+  }
+  await batch.commit();
+  return { sent: due.map((a) => a.key), suppressed, failed };
+}
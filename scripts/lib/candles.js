@@ -0,0 +1,188 @@
+// =============================
+// File: scripts/lib/candles.js (ESM)
+// Purpose: Coarser candles derived from the canonical series:
+//
+//   4h  `<ns>_prices_4h/<YYYY-MM-DD-HH>`  (HH = 00, 04, … 20)  from hourly docs
+//   1w  `<ns>_prices_weekly/<YYYY-Www>`   (ISO week)           from daily docs
+//   1M  `<ns>_prices_monthly/<YYYY-MM>`                        from daily docs
+//
+// Doc shape:
+//   { schemaVersion, interval, period, start, end, open, high, low, close,
+//     volumeUSD, count, complete, token, chain, updatedAt }
+//
+// Like the daily rollup (lib/rollup.js), a candle is always recomputed from
+// its source docs, never incremented, so reruns converge; a period whose
+// sources are all gone loses its doc. `count` is the number of source docs
+// used, `complete` whether the period had ended when it was computed.
+//
+//   4h      open of the first hourly candle, close of the last, high/low
+//           over them (lib/hourlyRecord.js hourOhlc),
+//           volumeUSD — interval volumes whose interval starts in the 4h
+//   1w, 1M  open of the first day, close of the last, high/low over the days,
+//           volumeUSD — sum of the daily volumes
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { SCHEMA_VERSION } from "./dailyRecord.js";
+import { readAll } from "./gaps.js";
+import { hourOhlc } from "./hourlyRecord.js";
+import { isoWeek, periodStart, ym, ymd, ymdh, ymdh4 } from "./time.js";
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BATCH_SIZE = 400;
+
+// resolution -> { collection (key in lib/collections.js), key(ms), end(start), step }
+// `step` walks a range finely enough to hit every period in it.
+export const RESOLUTIONS = {
+  "4h": { collection: "candles4h", source: "hourly", key: ymdh4, end: (start) => start + 4 * HOUR_MS, step: HOUR_MS },
+  "1w": { collection: "weekly", source: "daily", key: isoWeek, end: (start) => start + 7 * DAY_MS, step: DAY_MS },
+  "1M": {
+    collection: "monthly",
+    source: "daily",
+    key: ym,
+    end: (start) => {
+      const d = new Date(start);
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    },
+    step: DAY_MS,
+  },
+};
+export const RESOLUTION_NAMES = Object.keys(RESOLUTIONS);
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function checkResolutions(list) {
+  const bad = (list || []).filter((r) => !RESOLUTIONS[r]);
+  if (bad.length) throw new Error(`unknown resolution(s) ${bad.join(", ")} (known: ${RESOLUTION_NAMES.join(", ")})`);
+  return list?.length ? list : RESOLUTION_NAMES;
+}
+
+// Period keys of `resolution` touching any of `times` (epoch ms), sorted.
+export function periodsAt(resolution, times) {
+  return [...new Set(times.map((t) => RESOLUTIONS[resolution].key(t)))].sort();
+}
+
+// Period keys of `resolution` overlapping the days [from, to].
+export function periodsInRange(resolution, from, to) {
+  const times = [];
+  const end = Date.parse(`${to}T00:00:00Z`) + DAY_MS;
+  for (let t = Date.parse(`${from}T00:00:00Z`); t < end; t += RESOLUTIONS[resolution].step) times.push(t);
+  return periodsAt(resolution, times);
+}
+
+// Source doc ids for one period. 4h also reads the hour after it: a sample
+// taken just after the boundary carries the interval volume that started inside.
+function sourceIds(resolution, start, end) {
+  const ids = [];
+  if (RESOLUTIONS[resolution].source === "hourly") {
+    for (let t = start; t <= end; t += HOUR_MS) ids.push(ymdh(t));
+  } else {
+    for (let t = start; t < end; t += DAY_MS) ids.push(ymd(t));
+  }
+  return ids;
+}
+
+const priceOf = (d) => num(d.close) ?? num(d.priceUSD);
+
+function fromHours(hours, start, end) {
+  const at = (h) => (h.hour ? periodStart(h.hour) : num(h.ts));
+  const candles = hours
+    .filter((h) => hourOhlc(h) && at(h) >= start && at(h) < end)
+    .sort((a, b) => at(a) - at(b))
+    .map(hourOhlc);
+  const intervals = hours.filter((h) => {
+    const t = num(h.intervalStart) ?? num(h.ts);
+    return num(h.volumeUSD) != null && t >= start && t < end;
+  });
+  if (!candles.length) return null;
+  return {
+    open: candles[0].open,
+    high: Math.max(...candles.map((k) => k.high)),
+    low: Math.min(...candles.map((k) => k.low)),
+    close: candles.at(-1).close,
+    volumeUSD: intervals.length ? intervals.reduce((a, h) => a + num(h.volumeUSD), 0) : null,
+    count: candles.length,
+  };
+}
+
+function fromDays(days) {
+  const rows = days.filter((d) => priceOf(d) != null);
+  if (!rows.length) return null;
+  const volumes = rows.map((d) => num(d.volumeUSD)).filter((v) => v != null);
+  return {
+    open: num(rows[0].open) ?? priceOf(rows[0]),
+    high: Math.max(...rows.map((d) => num(d.high) ?? priceOf(d))),
+    low: Math.min(...rows.map((d) => num(d.low) ?? priceOf(d))),
+    close: priceOf(rows.at(-1)),
+    volumeUSD: volumes.length ? volumes.reduce((a, v) => a + v, 0) : null,
+    count: rows.length,
+  };
+}
+
+// sources: source docs in id order (with `hour`/`date` as stored). -> doc or null
+export function buildCandle(resolution, period, sources, { meta = {}, now = Date.now() } = {}) {
+  const start = periodStart(period);
+  const end = RESOLUTIONS[resolution].end(start);
+  const ohlc = RESOLUTIONS[resolution].source === "hourly" ? fromHours(sources, start, end) : fromDays(sources);
+  if (!ohlc) return null;
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    interval: resolution,
+    period,
+    start,
+    end,
+    ...ohlc,
+    complete: end <= now,
+    token: meta.token ?? null,
+    chain: meta.chain ?? null,
+    updatedAt: now,
+  };
+}
+
+// Recompute `periods` of one resolution. -> { written, deleted }
+export async function rollupPeriods(db, resolution, periods, { collections = COLLECTIONS, meta = {}, now = Date.now() } = {}) {
+  const r = RESOLUTIONS[resolution];
+  const source = db.collection(collections[r.source]);
+  const target = db.collection(collections[r.collection]);
+  let written = 0;
+  let deleted = 0;
+  let batch = db.batch();
+  let pending = 0;
+  for (const period of periods) {
+    const start = periodStart(period);
+    const ids = sourceIds(resolution, start, r.end(start));
+    const docs = await readAll(db, source, ids);
+    const sources = ids.filter((id) => docs.get(id)).map((id) => docs.get(id));
+    const doc = buildCandle(resolution, period, sources, { meta, now });
+    if (doc) {
+      batch.set(target.doc(period), doc);
+      written++;
+    } else {
+      batch.delete(target.doc(period));
+      deleted++;
+    }
+    if (++pending >= BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+  if (pending) await batch.commit();
+  return { written, deleted };
+}
+
+// Recompute every resolution's periods that touch `times` (after an ingest) or
+// the days [from, to] (a rebuild). -> { <resolution>: { written, deleted } }
+export async function rollupCandles(db, { times = null, from = null, to = null, resolutions = null, ...opts }) {
+  const out = {};
+  for (const resolution of checkResolutions(resolutions)) {
+    const periods = times ? periodsAt(resolution, times) : periodsInRange(resolution, from, to);
+    out[resolution] = await rollupPeriods(db, resolution, periods, opts);
+  }
+  return out;
+}
@@ -0,0 +1,110 @@
+// =============================
+// File: scripts/lib/checkpoint.js (ESM)
+// Purpose: --from/--to range parsing and persisted checkpoints for backfills.
+//
+// A checkpoint lives at `<ns>_backfill_checkpoints/<provider>__<key>` and is
+// saved after every committed batch:
+//   { provider, key, from, to, cursor, lastDay, written, done, startedAt, updatedAt }
+//   { …, coveredTo }   // set by finish(): `to`, or the day an open-ended run ended
+// `cursor` is provider-specific (subgraph date, GeckoTerminal before_timestamp…).
+// A rerun with the same range resumes from it; a different range or --restart
+// starts over. A finished open-ended run (no --to) is never done for good: the
+// next run is `reopened` and picks up again from `lastDay` inclusive, which
+// the earlier run most likely stored while it was still in progress (or,
+// paging backwards, from now down to `coveredTo`), so new days keep coming in.
+// =============================
+
+import { parseArgs } from "node:util";
+import { COLLECTIONS } from "./collections.js";
+import { ymd } from "./time.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// `extra` adds script-specific parseArgs options; their values are returned as well.
+export function parseBackfillArgs(argv = process.argv.slice(2), extra = {}) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      ...extra,
+      from: { type: "string" },
+      to: { type: "string" },
+      restart: { type: "boolean", default: false },
+    },
+  });
+  checkRange(values);
+  const { from = null, to = null, restart, ...rest } = values;
+  return { ...rest, from, to, restart, positionals };
+}
+
+// Throws on a malformed or inverted { from, to }; either end may be missing.
+export function checkRange({ from, to }) {
+  for (const [k, v] of Object.entries({ from, to })) {
+    if (v != null && !DAY_RE.test(v)) throw new Error(`--${k} must be YYYY-MM-DD, got "${v}"`);
+  }
+  if (from && to && from > to) throw new Error("--from is after --to");
+}
+
+export function inRange(day, { from, to }) {
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// Unix seconds at 00:00 UTC of `day`, or of the day after it with { end: true }.
+export function daySeconds(day, { end = false } = {}) {
+  return Date.parse(`${day}T00:00:00Z`) / 1000 + (end ? 86400 : 0);
+}
+
+// Unix seconds to page forward from (`date_gt`): the checkpoint's cursor, the
+// start of its last day when reopened, or just before `from`.
+export function forwardCursor(checkpoint, from = null) {
+  const { cursor, lastDay } = checkpoint.state;
+  if (checkpoint.reopened && lastDay) return daySeconds(lastDay) - 1;
+  return cursor ?? (from ? daySeconds(from) - 1 : -1);
+}
+
+export async function openCheckpoint(db, { provider, key, from = null, to = null, restart = false, collections = COLLECTIONS }) {
+  const ref = db.collection(collections.checkpoints).doc(`${provider}__${key}`);
+  const snap = restart ? null : await ref.get();
+  const prev = snap?.exists ? snap.data() : null;
+  const resume = prev && prev.from === from && prev.to === to ? prev : null;
+  if (prev && !resume) {
+    console.log(`[checkpoint] ${provider}: stored checkpoint is for ${prev.from || "start"}..${prev.to || "now"}, starting over`);
+  }
+
+  const reopened = !!resume?.done && to == null;
+  const state = {
+    provider, key, from, to,
+    cursor: resume?.cursor ?? null,
+    lastDay: resume?.lastDay ?? null,
+    written: resume?.written ?? 0,
+    done: !!resume?.done && !reopened,
+    coveredTo: resume?.coveredTo ?? null,
+    startedAt: resume?.startedAt ?? Date.now(),
+  };
+  if (reopened) {
+    console.log(`[checkpoint] ${provider}: open-ended range done up to ${state.coveredTo ?? state.lastDay}, fetching what's new`);
+  } else if (resume) {
+    console.log(`[checkpoint] ${provider}: resuming (${state.done ? "already done" : `last day ${state.lastDay}, cursor ${state.cursor}`})`);
+  }
+
+  async function persist() {
+    await ref.set({ ...state, updatedAt: Date.now() });
+  }
+
+  return {
+    state,
+    resumed: !!resume,
+    reopened,
+    // Call after each committed batch.
+    async save({ cursor = state.cursor, lastDay = state.lastDay, written = 0 }) {
+      Object.assign(state, { cursor, lastDay, done: false });
+      state.written += written;
+      await persist();
+    },
+    async finish() {
+      state.done = true;
+      state.coveredTo = to ?? ymd(Date.now());
+      await persist();
+    },
+  };
+}
@@ -0,0 +1,30 @@
+// =============================
+// File: scripts/lib/collections.js (ESM)
+// Purpose: Firestore collection names used by the ingestor and backfills.
+//          Every tracked token gets its own set, prefixed with its registry id
+//          (lib/registry.js); "zypto" keeps the original names.
+// =============================
+
+export const DEFAULT_NAMESPACE = "zypto";
+
+export function collectionsFor(namespace = DEFAULT_NAMESPACE) {
+  return {
+    daily: `${namespace}_prices_daily`,
+    dailyProviders: `${namespace}_prices_daily_providers`,
+    hourly: `${namespace}_prices_hourly`,
+    hourlyProviders: `${namespace}_prices_hourly_providers`,
+    intraday: `${namespace}_prices_intraday`,
+    candles4h: `${namespace}_prices_4h`,
+    weekly: `${namespace}_prices_weekly`,
+    monthly: `${namespace}_prices_monthly`,
+    liquidityHourly: `${namespace}_liquidity_hourly`,
+    liquidityDaily: `${namespace}_liquidity_daily`,
+    pools: `${namespace}_pools`,
+    swaps: `${namespace}_swaps`,
+    reconciliation: `${namespace}_reconciliation`,
+    alerts: `${namespace}_alerts`,
+    checkpoints: `${namespace}_backfill_checkpoints`,
+  };
+}
+
+export const COLLECTIONS = collectionsFor(DEFAULT_NAMESPACE);
@@ -0,0 +1,106 @@
+// =============================
+// File: scripts/lib/consensus.js (ESM)
+// Purpose: Pick one canonical price from several providers' prices.
+//
+// Steps:
+//   1) reference = median of all candidate prices (with fewer than 3 sources
+//      the median can't outvote anyone, so the highest-priority source is used)
+//   2) drop sources deviating more than `maxDeviation` (fraction) from it
+//   3) combine the rest with the policy method:
+//        median   — median of the remaining prices
+//        weighted — liquidity-weighted mean (falls back to median without weights)
+//        priority — first remaining source in `priority` order
+//
+// Configured from env:
+//   ZYPTO_CONSENSUS=median|weighted|priority   (default median)
+//   ZYPTO_CONSENSUS_MAX_DEV=0.15               (15%)
+//   ZYPTO_CONSENSUS_PRIORITY=geckoterminal,dexscreener,...
+// =============================
+
+export const DEFAULT_PRIORITY = [
+  "uniswap-v2-onchain", "swaps", "geckoterminal", "dexscreener", "uniswap-pools", "uniswap-v3", "uniswap-v2", "coingecko",
+];
+export const METHODS = ["median", "weighted", "priority"];
+
+export function consensusPolicy(env = process.env) {
+  const method = (env.ZYPTO_CONSENSUS || "median").toLowerCase();
+  if (!METHODS.includes(method)) throw new Error(`ZYPTO_CONSENSUS must be one of ${METHODS.join("|")}, got "${method}"`);
+  const maxDeviation = env.ZYPTO_CONSENSUS_MAX_DEV != null && env.ZYPTO_CONSENSUS_MAX_DEV !== ""
+    ? Number(env.ZYPTO_CONSENSUS_MAX_DEV)
+    : 0.15;
+  const priority = env.ZYPTO_CONSENSUS_PRIORITY
+    ? env.ZYPTO_CONSENSUS_PRIORITY.split(",").map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_PRIORITY;
+  return { method, maxDeviation, priority };
+}
+
+function rank(priority, name) {
+  const i = priority.indexOf(name);
+  return i === -1 ? priority.length : i;
+}
+
+export function byPriority(priority = DEFAULT_PRIORITY) {
+  return (a, b) => rank(priority, a) - rank(priority, b) || a.localeCompare(b);
+}
+
+export function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// rows = [{ provider, price, weight? }], all already accepted.
+export function combinePrices(rows, policy = consensusPolicy()) {
+  if (!rows.length) return null;
+  const { method } = policy;
+  const cmp = byPriority(policy.priority);
+  if (method === "priority") return [...rows].sort((a, b) => cmp(a.provider, b.provider))[0].price;
+  if (method === "weighted") {
+    const weighted = rows.filter((r) => r.weight > 0);
+    if (weighted.length) {
+      const total = weighted.reduce((a, r) => a + r.weight, 0);
+      return weighted.reduce((a, r) => a + r.price * r.weight, 0) / total;
+    }
+  }
+  return median(rows.map((r) => r.price));
+}
+
+function partition(rows, reference, policy) {
+  const included = [];
+  const excluded = [];
+  for (const r of rows) {
+    const deviation = Math.abs(r.price - reference) / reference;
+    if (Number.isFinite(policy.maxDeviation) && deviation > policy.maxDeviation) {
+      excluded.push({ provider: r.provider, price: r.price, deviation: Number(deviation.toFixed(6)) });
+    } else {
+      included.push(r);
+    }
+  }
+  return { reference, included, excluded };
+}
+
+// candidates = [{ provider, price, weight? }]. Returns null when there is nothing usable.
+export function consensus(candidates, policy = consensusPolicy()) {
+  const cmp = byPriority(policy.priority);
+  const rows = candidates
+    .filter((c) => typeof c.price === "number" && Number.isFinite(c.price) && c.price > 0)
+    .sort((a, b) => cmp(a.provider, b.provider));
+  if (!rows.length) return null;
+
+  // An even split (e.g. 1, 1, 10, 10) can leave nobody within range of the
+  // median; the highest-priority source breaks the tie then.
+  let split = partition(rows, rows.length >= 3 ? median(rows.map((r) => r.price)) : rows[0].price, policy);
+  if (!split.included.length) split = partition(rows, rows[0].price, policy);
+  const { reference, included, excluded } = split;
+
+  return {
+    price: combinePrices(included, policy),
+    method: policy.method,
+    reference,
+    maxDeviation: policy.maxDeviation,
+    source: included[0].provider, // highest-priority source that survived
+    included: included.map((r) => r.provider),
+    excluded,
+  };
+}
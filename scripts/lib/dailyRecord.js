@@ -0,0 +1,137 @@
+// =============================
+// File: scripts/lib/dailyRecord.js (ESM)
+// Purpose: The one schema for `zypto_prices_daily/<YYYY-MM-DD>`, shared by the
+//          hourly ingestor and every backfill.
+//
+// Doc shape (schemaVersion 2):
+//   {
+//     schemaVersion: 2, date: "YYYY-MM-DD", token, chain,
+//     providers: { <name>: { open, high, low, close, volumeUSD, volume24hUSD, liquidityUSD,
+//                            firstTs, lastTs, backfilled, updatedAt } },
+//     open, high, low, close, priceUSD, volumeUSD, volume24hUSD,   // canonical, derived
+//     canonicalSource, sources, consensus: { method, reference, maxDeviation, excluded },
+//     backfilled,   // canonical source's record was filled in by the repair job
+//     updatedAt,
+//   }
+//
+// Writers only ever touch their own `providers.<name>` entry. The top-level
+// OHLCV is re-derived from all provider entries on every write (see
+// deriveCanonical + scripts/lib/consensus.js), so the result doesn't depend on
+// which script ran last.
+//
+// Volume: `volumeUSD` is volume traded within the UTC day; `volume24hUSD` is the
+// provider's rolling 24h figure as of its last sample. Never add the latter up.
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { combinePrices, consensus, consensusPolicy } from "./consensus.js";
+
+export const SCHEMA_VERSION = 2;
+
+const BATCH_SIZE = 400; // stay under 500 writes/batch
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Normalize whatever a provider gives us into a sub-record. Only `close` is
+// required; missing OHLC legs stay null rather than being invented.
+export function providerRecord(input = {}) {
+  const close = num(input.close ?? input.priceUSD);
+  const ts = num(input.ts);
+  return {
+    open: num(input.open),
+    high: num(input.high),
+    low: num(input.low),
+    close,
+    volumeUSD: num(input.volumeUSD),
+    volume24hUSD: num(input.volume24hUSD),
+    liquidityUSD: num(input.liquidityUSD),
+    firstTs: num(input.firstTs) ?? ts,
+    lastTs: num(input.lastTs) ?? ts,
+    backfilled: input.backfilled === true,
+    updatedAt: Date.now(),
+  };
+}
+
+// The deterministic rule: the close is the consensus of every provider's close
+// (outliers dropped and recorded); open/high/low use the same method over the
+// surviving providers, falling back to the close. Volume isn't comparable across
+// providers, so it comes from the highest-priority surviving one.
+export function deriveCanonical(providers = {}, policy = consensusPolicy()) {
+  const names = Object.keys(providers).filter((name) => num(providers[name]?.close) != null);
+  const c = consensus(names.map((name) => ({
+    provider: name, price: num(providers[name].close), weight: num(providers[name].liquidityUSD),
+  })), policy);
+  if (!c) return null;
+
+  const leg = (key) => combinePrices(c.included
+    .map((name) => ({ provider: name, price: num(providers[name][key]), weight: num(providers[name].liquidityUSD) }))
+    .filter((r) => r.price != null), policy);
+  const close = c.price;
+  const open = leg("open") ?? close;
+  return {
+    open,
+    high: Math.max(leg("high") ?? close, open, close),
+    low: Math.min(leg("low") ?? close, open, close),
+    close,
+    priceUSD: close,
+    volumeUSD: num(providers[c.source].volumeUSD),
+    volume24hUSD: num(providers[c.source].volume24hUSD),
+    canonicalSource: c.source,
+    sources: c.included,
+    backfilled: providers[c.source].backfilled === true,
+    consensus: { method: c.method, reference: c.reference, maxDeviation: c.maxDeviation, excluded: c.excluded },
+  };
+}
+
+// Build the full v2 doc from the previous doc (any shape) plus provider updates.
+// Legacy top-level fields are left alone here; the migration script rewrites them.
+export function buildDailyDoc(day, prev, updates = {}, meta = {}) {
+  const prevProviders = prev?.schemaVersion === SCHEMA_VERSION ? (prev.providers || {}) : {};
+  const providers = { ...prevProviders, ...updates };
+  const canonical = deriveCanonical(providers) || {
+    open: null, high: null, low: null, close: null, priceUSD: null, volumeUSD: null, volume24hUSD: null,
+    canonicalSource: null, sources: [], consensus: null, backfilled: false,
+  };
+
+  const doc = { schemaVersion: SCHEMA_VERSION, date: day };
+  for (const key of ["token", "chain"]) {
+    const v = meta[key] ?? prev?.[key];
+    if (v != null) doc[key] = v;
+  }
+  return { ...doc, providers, ...canonical, updatedAt: Date.now() };
+}
+
+export function dailyRef(db, day, collections = COLLECTIONS) {
+  return db.collection(collections.daily).doc(day);
+}
+
+// Bulk writer for backfills: rows = [{ day, record }], all for the same provider.
+// Each record also goes to the provider's own day doc
+// (`<ns>_prices_daily_providers/<p>/days/<day>`), as lib/rollup.js rollupDay
+// writes it. `onBatch(slice)` runs after each committed batch (checkpointing);
+// `collections` picks the token's namespace.
+export async function upsertDailyBatch(db, provider, rows, meta = {}, { onBatch, collections = COLLECTIONS } = {}) {
+  const rowsPerBatch = BATCH_SIZE / 2; // two writes per row
+  const days = db.collection(collections.dailyProviders).doc(provider).collection("days");
+  let written = 0;
+  for (let i = 0; i < rows.length; i += rowsPerBatch) {
+    const slice = rows.slice(i, i + rowsPerBatch);
+    const refs = slice.map(({ day }) => dailyRef(db, day, collections));
+    const snaps = await db.getAll(...refs);
+    const batch = db.batch();
+    slice.forEach(({ day, record }, j) => {
+      const prev = snaps[j].exists ? snaps[j].data() : null;
+      const doc = buildDailyDoc(day, prev, { [provider]: record }, meta);
+      batch.set(refs[j], doc, { merge: true });
+      batch.set(days.doc(day), { schemaVersion: SCHEMA_VERSION, date: day, ...doc.providers[provider] });
+    });
+    await batch.commit();
+    written += slice.length;
+    if (onBatch) await onBatch(slice);
+  }
+  return written;
+}
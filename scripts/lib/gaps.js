@@ -0,0 +1,75 @@
+// =============================
+// File: scripts/lib/gaps.js (ESM)
+// Purpose: Find missing hours/days in the canonical and per-provider price
+//          collections for a date range.
+//
+// Canonical series are expected to be complete over the whole range. A
+// per-provider series is only checked from its first entry inside the range,
+// so a provider added last month doesn't report a year of gaps.
+// The current (possibly not yet ingested) hour is never reported.
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { HOUR_MS } from "./volume.js";
+import { ymd, ymdh } from "./time.js";
+
+const GET_ALL_CHUNK = 300;
+
+export function daysInRange(from, to) {
+  const out = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * HOUR_MS) out.push(ymd(t));
+  return out;
+}
+
+export function hoursInRange(from, to, { until = Date.now() } = {}) {
+  const out = [];
+  const end = Math.min(Date.parse(`${to}T00:00:00Z`) + 24 * HOUR_MS, until - HOUR_MS);
+  for (let t = Date.parse(`${from}T00:00:00Z`); t < end; t += HOUR_MS) out.push(ymdh(t));
+  return out;
+}
+
+// Map id -> data (or null) for `ids` in `collection`, read in chunks.
+export async function readAll(db, collection, ids) {
+  const out = new Map();
+  for (let i = 0; i < ids.length; i += GET_ALL_CHUNK) {
+    const slice = ids.slice(i, i + GET_ALL_CHUNK);
+    const snaps = await db.getAll(...slice.map((id) => collection.doc(id)));
+    snaps.forEach((s, j) => out.set(slice[j], s.exists ? s.data() : null));
+  }
+  return out;
+}
+
+function afterFirst(ids, isPresent) {
+  const first = ids.findIndex(isPresent);
+  return first === -1 ? [] : ids.slice(first).filter((id) => !isPresent(id));
+}
+
+// providers: optional list to restrict per-provider checks.
+export async function findGaps(db, { from, to, providers = null, until = Date.now(), collections = COLLECTIONS }) {
+  const hours = hoursInRange(from, to, { until });
+  const days = daysInRange(from, to).filter((d) => d <= ymd(until));
+
+  const hourly = await readAll(db, db.collection(collections.hourly), hours);
+  const hourlyProviders = {};
+  const hourlyNames = (await db.collection(collections.hourlyProviders).listDocuments()).map((r) => r.id);
+  for (const p of hourlyNames.filter((n) => !providers || providers.includes(n))) {
+    const docs = await readAll(db, db.collection(collections.hourlyProviders).doc(p).collection("hours"), hours);
+    hourlyProviders[p] = afterFirst(hours, (id) => !!docs.get(id));
+  }
+
+  const daily = await readAll(db, db.collection(collections.daily), days);
+  const seen = new Set();
+  for (const d of daily.values()) for (const p of Object.keys(d?.providers || {})) seen.add(p);
+  const dailyProviders = {};
+  for (const p of [...seen].filter((n) => !providers || providers.includes(n)).sort()) {
+    dailyProviders[p] = afterFirst(days, (id) => daily.get(id)?.providers?.[p]?.close != null);
+  }
+
+  return {
+    from, to,
+    hourly: hours.filter((id) => !hourly.get(id)),
+    hourlyProviders,
+    daily: days.filter((id) => daily.get(id)?.close == null),
+    dailyProviders,
+  };
+}
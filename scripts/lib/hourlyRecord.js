@@ -0,0 +1,110 @@
+// =============================
+// File: scripts/lib/hourlyRecord.js (ESM)
+// Purpose: Shape of `zypto_prices_hourly/<YYYY-MM-DD-HH>` and of the
+//          per-provider `zypto_prices_hourly_providers/<p>/hours/<id>` docs.
+//          Versioned together with the daily schema.
+// =============================
+
+import { SCHEMA_VERSION } from "./dailyRecord.js";
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Volume fields (see lib/volume.js):
+//   volumeUSD            — volume traded in [intervalStart, intervalEnd), or null
+//   volumeMethod         — "candle" | "cumulative" | "bucket"
+//   volume24hUSD         — provider's rolling 24h volume at sample time
+//   cumulativeVolumeUSD  — lifetime counter, kept so the next hour can diff it
+// `liquidityUSD` (pool TVL at sample time) weights the daily consensus.
+// `onchain` (block number + raw reserves) is kept for quotes read over JSON-RPC.
+// Docs written by the repair job carry `backfilled: true` + `backfillSource`.
+//
+// `provider` (highest-priority source kept by consensus), `sources` (providers
+// that made it into the consensus) and `consensus` (method + exclusions) are only
+// stored on canonical hourly docs; per-provider docs are already keyed by provider.
+//
+// `ts`/`priceUSD` are the latest point sample. The candle of the hour the id
+// names is kept apart from it (left out when not given, so merges keep it):
+//   open/high/low/close — the hour's OHLC
+//   ohlcSource          — "candle": the provider's own hourly candle (GeckoTerminal
+//                         ohlcv/hour, written by the next hour's run); "samples":
+//                         built from `samples`
+//   samples             — [{ ts, priceUSD }] every sample taken in the hour, oldest first
+//   candleVolumeUSD     — volume traded in the hour: the candle's, or the interval
+//                         volume that started in it (also set by the next hour's run)
+// Canonical docs get their candle from the providers' (lib/rollup.js rollupHour).
+export function hourlyDoc(hour, {
+  ts, provider, sources, consensus, priceUSD, liquidityUSD, token, pair, onchain, backfilled, backfillSource,
+  volumeUSD, volumeMethod, intervalStart, intervalEnd, volume24hUSD, cumulativeVolumeUSD,
+  open, high, low, close, ohlcSource, samples, candleVolumeUSD,
+} = {}) {
+  const doc = {
+    schemaVersion: SCHEMA_VERSION,
+    hour,
+    ts: num(ts),
+    priceUSD: num(priceUSD),
+    volumeUSD: num(volumeUSD),
+    volumeMethod: volumeMethod ?? null,
+    intervalStart: num(intervalStart),
+    intervalEnd: num(intervalEnd),
+    volume24hUSD: num(volume24hUSD),
+    liquidityUSD: num(liquidityUSD),
+    token: token ?? null,
+    pair: pair ?? null,
+  };
+  if (num(cumulativeVolumeUSD) != null) doc.cumulativeVolumeUSD = num(cumulativeVolumeUSD);
+  if (onchain) doc.onchain = onchain;
+  if (backfilled) Object.assign(doc, { backfilled: true, backfillSource: backfillSource ?? null });
+  if (provider) doc.provider = provider;
+  if (sources) doc.sources = sources;
+  if (consensus) doc.consensus = consensus;
+  if (num(close) != null) {
+    Object.assign(doc, { open: num(open), high: num(high), low: num(low), close: num(close), ohlcSource: ohlcSource ?? "samples" });
+  }
+  if (samples?.length) doc.samples = samples;
+  if (num(candleVolumeUSD) != null) doc.candleVolumeUSD = num(candleVolumeUSD);
+  return doc;
+}
+
+// Union of two sample lists, one per ts, oldest first.
+export function mergeSamples(prev = [], next = []) {
+  const byTs = new Map();
+  for (const s of [...prev, ...next]) {
+    if (num(s?.ts) != null && num(s.priceUSD) != null) byTs.set(num(s.ts), { ts: num(s.ts), priceUSD: num(s.priceUSD) });
+  }
+  return [...byTs.values()].sort((a, b) => a.ts - b.ts);
+}
+
+// Candle fields built from an hour's samples; null without any.
+export function samplesCandle(samples) {
+  if (!samples?.length) return null;
+  const prices = samples.map((s) => s.priceUSD);
+  return {
+    open: prices[0], high: Math.max(...prices), low: Math.min(...prices), close: prices.at(-1), ohlcSource: "samples",
+  };
+}
+
+// Candle fields from a provider's hourly candle ({ ts, open, high, low, close, volumeUSD }).
+export function providerCandle(k) {
+  return {
+    open: num(k.open), high: num(k.high), low: num(k.low), close: num(k.close),
+    candleVolumeUSD: num(k.volumeUSD), ohlcSource: "candle",
+  };
+}
+
+// OHLC of the hour a doc describes. Docs written before hours carried a candle
+// only have the sample, which then stands in for all four legs.
+export function hourOhlc(d) {
+  const close = num(d.close) ?? num(d.priceUSD);
+  if (close == null) return null;
+  const open = num(d.open) ?? close;
+  return {
+    open,
+    high: Math.max(num(d.high) ?? close, open, close),
+    low: Math.min(num(d.low) ?? close, open, close),
+    close,
+  };
+}
@@ -0,0 +1,255 @@
+// =============================
+// File: scripts/lib/http.js (ESM)
+// Purpose: The HTTP client every ingestor, backfill and provider adapter goes
+//          through. Relies on Node 18+ global fetch and adds:
+//            - per-host request spacing (requests/minute, see HOST_RATES)
+//            - retries with exponential backoff + full jitter on network
+//              errors, timeouts, 429 and 5xx; Retry-After is honoured and
+//              holds back every request to that host, not just the retry
+//            - request timeouts
+//            - structured errors (HttpError / TimeoutError / GraphQLError),
+//              with the provider's own error code when the body has one
+//              (e.g. CoinGecko 10012 = outside the plan's history window)
+//            - per-host request metrics (httpMetrics / logHttpMetrics)
+//
+// Env:
+//   ZYPTO_HTTP_RETRIES=3                        retries after the first attempt
+//   ZYPTO_HTTP_RATES=api.coingecko.com=30,...   requests/minute per host (merged over defaults)
+// =============================
+
+import { setTimeout as sleep } from "node:timers/promises";
+
+// Public-tier limits, kept a little under the documented numbers.
+const HOST_RATES = {
+  "api.coingecko.com": 25,
+  "pro-api.coingecko.com": 450,
+  "api.geckoterminal.com": 28,
+  "api.dexscreener.com": 280,
+};
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// ---- errors ----
+
+// Base class; also used as-is for network failures and unparseable bodies.
+export class RequestError extends Error {
+  constructor(message, { host = null, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "RequestError";
+    this.host = host;
+    this.retryable = retryable;
+  }
+}
+
+export class HttpError extends RequestError {
+  constructor({ status, host, code = null, detail = "", body = null, retryAfterMs = null }) {
+    super(`${status} ${host}${code != null ? ` [${code}]` : ""}${detail ? `: ${detail}` : ""}`, {
+      host,
+      retryable: status === 429 || (status >= 500 && status !== 501),
+    });
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class TimeoutError extends RequestError {
+  constructor({ host, timeout }) {
+    super(`timeout after ${timeout}ms: ${host}`, { host, retryable: true });
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+export class GraphQLError extends RequestError {
+  constructor({ host, errors }) {
+    super(`gql errors: ${JSON.stringify(errors).slice(0, 300)}`, { host });
+    this.name = "GraphQLError";
+    this.errors = errors;
+  }
+}
+
+// Error code/message as reported by the provider, across the shapes we see:
+//   CoinGecko      { status: { error_code, error_message } } (sometimes wrapped in `error`)
+//   GeckoTerminal  { errors: [{ status, title }] }
+//   generic        { error: { code, message } } | { error: "..." }
+function providerError(body) {
+  if (!body || typeof body !== "object") return { code: null, detail: typeof body === "string" ? body.slice(0, 200) : "" };
+  const status = body.status || body.error?.status;
+  if (status?.error_code != null) return { code: status.error_code, detail: status.error_message || "" };
+  if (Array.isArray(body.errors) && body.errors.length) {
+    const e = body.errors[0];
+    return { code: e.code ?? null, detail: e.title || e.detail || e.message || "" };
+  }
+  if (body.error && typeof body.error === "object") return { code: body.error.code ?? null, detail: body.error.message || "" };
+  return { code: null, detail: typeof body.error === "string" ? body.error : JSON.stringify(body).slice(0, 200) };
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function retryAfterMs(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// ---- per-host pacing ----
+
+function hostRates(env = process.env) {
+  const rates = { ...HOST_RATES };
+  for (const pair of (env.ZYPTO_HTTP_RATES || "").split(",")) {
+    const [host, rpm] = pair.split("=").map((s) => s?.trim());
+    if (host && Number(rpm) > 0) rates[host] = Number(rpm);
+  }
+  return rates;
+}
+
+const nextSlot = new Map(); // host -> earliest time (ms) the next request may start
+
+// Reserve the next slot synchronously so concurrent callers queue up.
+async function waitTurn(host) {
+  const rpm = hostRates()[host];
+  const now = Date.now();
+  const at = Math.max(now, nextSlot.get(host) || 0);
+  if (rpm) nextSlot.set(host, at + 60000 / rpm);
+  if (at > now) await sleep(at - now);
+}
+
+function holdHost(host, ms) {
+  nextSlot.set(host, Math.max(nextSlot.get(host) || 0, Date.now() + ms));
+}
+
+function backoff(attempt) {
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+function defaultRetries(env = process.env) {
+  const n = Number(env.ZYPTO_HTTP_RETRIES);
+  return env.ZYPTO_HTTP_RETRIES != null && env.ZYPTO_HTTP_RETRIES !== "" && Number.isInteger(n) && n >= 0 ? n : 3;
+}
+
+// ---- metrics ----
+
+const metrics = new Map();
+
+function metricsFor(host) {
+  if (!metrics.has(host)) metrics.set(host, { requests: 0, ok: 0, failed: 0, retries: 0, rateLimited: 0, timeouts: 0, totalMs: 0 });
+  return metrics.get(host);
+}
+
+// { host: { requests, ok, failed, retries, rateLimited, timeouts, totalMs } }
+export function httpMetrics() {
+  return Object.fromEntries([...metrics].map(([host, m]) => [host, { ...m }]));
+}
+
+export function resetHttpMetrics() {
+  metrics.clear();
+}
+
+export function logHttpMetrics(tag = "[http]") {
+  for (const [host, m] of metrics) {
+    const avg = m.requests ? Math.round(m.totalMs / m.requests) : 0;
+    console.log(`${tag} http ${host}: ${m.requests} req, ${m.ok} ok, ${m.failed} failed, ${m.retries} retried, ${m.rateLimited} rate-limited, ${m.timeouts} timeouts, avg ${avg}ms`);
+  }
+}
+
+// ---- requests ----
+
+async function attempt(url, host, { method, headers, body, timeout, raw }) {
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), timeout);
+  let res;
+  let text;
+  try {
+    res = await fetch(url, { method, headers, body, signal: ctl.signal });
+    text = await res.text();
+  } catch (e) {
+    if (ctl.signal.aborted) throw new TimeoutError({ host, timeout });
+    throw new RequestError(`network error: ${host}: ${e?.cause?.code || e?.message || e}`, { host, retryable: true, cause: e });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (raw && res.ok) return text;
+  let json;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (e) {
+    if (!res.ok) json = text;
+    else throw new RequestError(`invalid JSON from ${host}: ${text.slice(0, 120)}`, { host, cause: e });
+  }
+  if (!res.ok) {
+    const { code, detail } = providerError(json);
+    throw new HttpError({ status: res.status, host, code, detail, body: json, retryAfterMs: retryAfterMs(res.headers.get("retry-after")) });
+  }
+  return json;
+}
+
+// JSON request with pacing, retries and metrics. Returns the parsed body, or
+// the body text with `raw` (for endpoints that don't answer in JSON).
+//   opts: { method, headers, body (string), timeout, retries, raw }
+export async function request(url, opts = {}) {
+  const { method = "GET", headers, body, timeout = 15000, retries = defaultRetries(), raw = false } = opts;
+  const host = new URL(url).host;
+  const m = metricsFor(host);
+  for (let n = 0; ; n++) {
+    await waitTurn(host);
+    const started = Date.now();
+    m.requests++;
+    try {
+      const json = await attempt(url, host, { method, headers, body, timeout, raw });
+      m.totalMs += Date.now() - started;
+      m.ok++;
+      return json;
+    } catch (e) {
+      m.totalMs += Date.now() - started;
+      if (e instanceof TimeoutError) m.timeouts++;
+      if (e instanceof HttpError && e.status === 429) m.rateLimited++;
+      if (!e.retryable || n >= retries) {
+        m.failed++;
+        throw e;
+      }
+      if (e.retryAfterMs != null) holdHost(host, e.retryAfterMs);
+      m.retries++;
+      await sleep(Math.max(e.retryAfterMs ?? 0, backoff(n)));
+    }
+  }
+}
+
+export async function getJSON(url, opts = {}) {
+  return request(url, { ...opts, method: "GET" });
+}
+
+export async function postJSON(url, body, opts = {}) {
+  return request(url, {
+    ...opts,
+    method: "POST",
+    headers: { "content-type": "application/json", ...opts.headers },
+    body: JSON.stringify(body),
+  });
+}
+
+// GraphQL POST that surfaces `errors` as a GraphQLError.
+export async function gql(url, query, variables = {}, opts = {}) {
+  const json = await postJSON(url, { query, variables }, opts);
+  if (json?.errors) throw new GraphQLError({ host: new URL(url).host, errors: json.errors });
+  return json?.data;
+}
+
+// Pages of a subgraph entity list ordered by a time field (unix seconds), oldest
+// first: `query` takes $after / $before and returns up to `pageSize` rows under
+// `key`. Yields each non-empty page; the next one starts after its last row.
+export async function* gqlPages(url, query, { key, field, variables = {}, after, before, pageSize = 1000, timeout = 30000 }) {
+  while (true) {
+    const data = await gql(url, query, { ...variables, after, before }, { timeout });
+    const rows = data?.[key] || [];
+    if (!rows.length) return;
+    yield rows;
+    if (rows.length < pageSize) return;
+    after = Number(rows.at(-1)[field]);
+  }
+}
@@ -0,0 +1,222 @@
+// =============================
+// File: scripts/lib/liquidity.js (ESM)
+// Purpose: Liquidity / pool-state history next to the price series, so depth
+//          can be charted with price and thin days flagged.
+//
+// `<ns>_liquidity_hourly/<YYYY-MM-DD-HH>`, rewritten by every ingest run:
+//   { schemaVersion, hour, ts, token, chain,
+//     pools: { <pair>: { liquidityUSD, reserveToken, reserveQuote, buys, sells, sources } },
+//     liquidityUSD,           // sum over pools
+//     fdvUSD, marketCapUSD,   // token-wide
+//     buys, sells, trades,    // trades in the hour before `ts`, summed over pools
+//     updatedAt }
+// Every field comes from the highest-priority provider that reports it
+// (lib/consensus.js order); `sources` lists the providers used for a pool.
+// Reserves are in token units (`reserveToken` = our token's side).
+//
+// `<ns>_liquidity_daily/<YYYY-MM-DD>`, same layering as the price daily docs:
+//   { schemaVersion, date, token, chain,
+//     providers: {
+//       ingest:       { liquidityUSD, liquidityLowUSD, liquidityHighUSD, fdvUSD, marketCapUSD,
+//                       buys, sells, trades, hours, pools: { <pair>: { liquidityUSD, liquidityLowUSD,
+//                       reserveToken, reserveQuote } }, updatedAt },   // rolled up from the hours
+//       "uniswap-v2": { liquidityUSD, liquidityToken, updatedAt },      // tokenDayDatas backfill
+//     },
+//     liquidityUSD, liquidityLowUSD, fdvUSD, trades, source,   // `ingest` when present, else uniswap-v2
+//     thin, thinThresholdUSD, updatedAt }
+// Levels (liquidityUSD = the day's last reading) come from samples taken in the
+// day; trades from the hourly buckets that start in it, as with volume. The
+// uniswap-v2 entry covers all of the token's v2 pairs, not just the registry pool.
+// `thin`: the day's lowest liquidity is below thinThresholdUSD (registry
+// `thinLiquidityUSD`, else ZYPTO_THIN_LIQUIDITY_USD, else 25000).
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { byPriority, consensusPolicy } from "./consensus.js";
+import { SCHEMA_VERSION } from "./dailyRecord.js";
+import { hourIdsForDay } from "./rollup.js";
+import { periodStart, ymd } from "./time.js";
+import { HOUR_MS } from "./volume.js";
+
+export const DEFAULT_THIN_LIQUIDITY_USD = 25000;
+const SOURCE_ORDER = ["ingest", "uniswap-v2"];
+const BATCH_SIZE = 400;
+const POOL_FIELDS = ["liquidityUSD", "reserveToken", "reserveQuote", "buys", "sells"];
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+const sum = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) : null);
+const present = (xs) => xs.map(num).filter((v) => v != null);
+
+export function thinThreshold(target = {}, env = process.env) {
+  return num(target.thinLiquidityUSD) ?? num(env.ZYPTO_THIN_LIQUIDITY_USD) ?? DEFAULT_THIN_LIQUIDITY_USD;
+}
+
+// What a quote (lib/providers) says about its pool.
+export function liquidityReading(q) {
+  return {
+    provider: q.provider,
+    pair: q.pairAddress ? String(q.pairAddress).toLowerCase() : null,
+    liquidityUSD: num(q.liquidityUSD),
+    reserveToken: num(q.reserveToken),
+    reserveQuote: num(q.reserveQuote),
+    buys: num(q.txns1h?.buys),
+    sells: num(q.txns1h?.sells),
+    fdvUSD: num(q.fdvUSD),
+    marketCapUSD: num(q.marketCapUSD),
+  };
+}
+
+// First non-null `key` in `readings` (already in priority order) -> [value, provider]
+function first(readings, key) {
+  const r = readings.find((x) => x[key] != null);
+  return r ? [r[key], r.provider] : [null, null];
+}
+
+export function liquidityHourDoc(hour, readings, { ts, token, chain, priority = consensusPolicy().priority } = {}) {
+  const cmp = byPriority(priority);
+  const sorted = [...readings].sort((a, b) => cmp(a.provider, b.provider));
+  const pools = {};
+  for (const pair of [...new Set(sorted.map((r) => r.pair).filter(Boolean))].sort()) {
+    const mine = sorted.filter((r) => r.pair === pair);
+    const pool = { sources: [] };
+    for (const key of POOL_FIELDS) {
+      const [value, provider] = first(mine, key);
+      pool[key] = value;
+      if (provider && !pool.sources.includes(provider)) pool.sources.push(provider);
+    }
+    if (pool.sources.length) pools[pair] = pool;
+  }
+  const list = Object.values(pools);
+  const buys = sum(present(list.map((p) => p.buys)));
+  const sells = sum(present(list.map((p) => p.sells)));
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    hour,
+    ts: num(ts),
+    token: token ?? null,
+    chain: chain ?? null,
+    pools,
+    liquidityUSD: sum(present(list.map((p) => p.liquidityUSD))),
+    fdvUSD: first(sorted, "fdvUSD")[0],
+    marketCapUSD: first(sorted, "marketCapUSD")[0],
+    buys,
+    sells,
+    trades: buys == null && sells == null ? null : (buys ?? 0) + (sells ?? 0),
+    updatedAt: Date.now(),
+  };
+}
+
+// hours = liquidity hour docs (any subset of hourIdsForDay(day)) -> `ingest` record or null.
+export function rollupLiquidityHours(day, hours) {
+  const at = (h) => num(h.ts) ?? periodStart(h.hour);
+  const levels = hours.filter((h) => ymd(at(h)) === day && num(h.liquidityUSD) != null).sort((a, b) => at(a) - at(b));
+  const buckets = hours.filter((h) => ymd(at(h) - HOUR_MS) === day);
+  if (!levels.length && !buckets.length) return null;
+
+  const last = levels.at(-1);
+  const pools = {};
+  for (const pair of [...new Set(levels.flatMap((h) => Object.keys(h.pools || {})))].sort()) {
+    const seen = levels.filter((h) => num(h.pools?.[pair]?.liquidityUSD) != null);
+    const lastSeen = seen.at(-1)?.pools[pair];
+    pools[pair] = {
+      liquidityUSD: num(lastSeen?.liquidityUSD),
+      liquidityLowUSD: seen.length ? Math.min(...seen.map((h) => h.pools[pair].liquidityUSD)) : null,
+      reserveToken: num(lastSeen?.reserveToken),
+      reserveQuote: num(lastSeen?.reserveQuote),
+    };
+  }
+  const buys = sum(present(buckets.map((h) => h.buys)));
+  const sells = sum(present(buckets.map((h) => h.sells)));
+  const liquidity = levels.map((h) => num(h.liquidityUSD));
+  return {
+    liquidityUSD: num(last?.liquidityUSD),
+    liquidityLowUSD: liquidity.length ? Math.min(...liquidity) : null,
+    liquidityHighUSD: liquidity.length ? Math.max(...liquidity) : null,
+    fdvUSD: num(last?.fdvUSD),
+    marketCapUSD: num(last?.marketCapUSD),
+    buys,
+    sells,
+    trades: buys == null && sells == null ? null : (buys ?? 0) + (sells ?? 0),
+    hours: levels.length,
+    pools,
+    updatedAt: Date.now(),
+  };
+}
+
+// Full daily doc from the previous one plus provider updates; the top level is
+// re-derived every time, like lib/dailyRecord.js buildDailyDoc.
+export function buildLiquidityDailyDoc(day, prev, updates = {}, { token, chain, thresholdUSD = DEFAULT_THIN_LIQUIDITY_USD } = {}) {
+  const providers = { ...(prev?.providers || {}), ...updates };
+  const source = SOURCE_ORDER.find((p) => num(providers[p]?.liquidityUSD) != null) ?? null;
+  const r = source ? providers[source] : {};
+  const low = num(r.liquidityLowUSD) ?? num(r.liquidityUSD);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    date: day,
+    token: token ?? prev?.token ?? null,
+    chain: chain ?? prev?.chain ?? null,
+    providers,
+    liquidityUSD: num(r.liquidityUSD),
+    liquidityLowUSD: low,
+    fdvUSD: num(providers.ingest?.fdvUSD),
+    trades: num(providers.ingest?.trades),
+    source,
+    thin: low == null ? null : low < thresholdUSD,
+    thinThresholdUSD: thresholdUSD,
+    updatedAt: Date.now(),
+  };
+}
+
+// Recompute the `ingest` entry of `day` from the liquidity hour docs, in a transaction.
+export async function rollupLiquidityDay(db, day, { collections = COLLECTIONS, meta = {}, thresholdUSD } = {}) {
+  const ref = db.collection(collections.liquidityDaily).doc(day);
+  const hoursRef = db.collection(collections.liquidityHourly);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const snaps = await tx.getAll(...hourIdsForDay(day).map((id) => hoursRef.doc(id)));
+    const record = rollupLiquidityHours(day, snaps.filter((s) => s.exists).map((s) => s.data()));
+    const prev = snap.exists ? snap.data() : null;
+    if (!record && !prev) return null;
+    const doc = buildLiquidityDailyDoc(day, prev, record ? { ingest: record } : {}, { ...meta, thresholdUSD });
+    tx.set(ref, doc);
+    return doc;
+  });
+}
+
+// Bulk writer for backfills: rows = [{ day, record }], all for `provider`.
+export async function upsertLiquidityDays(db, provider, rows, { collections = COLLECTIONS, meta = {}, thresholdUSD } = {}) {
+  let written = 0;
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const slice = rows.slice(i, i + BATCH_SIZE);
+    const refs = slice.map(({ day }) => db.collection(collections.liquidityDaily).doc(day));
+    const snaps = await db.getAll(...refs);
+    const batch = db.batch();
+    slice.forEach(({ day, record }, j) => {
+      const prev = snaps[j].exists ? snaps[j].data() : null;
+      batch.set(refs[j], buildLiquidityDailyDoc(day, prev, { [provider]: { ...record, updatedAt: Date.now() } }, { ...meta, thresholdUSD }));
+    });
+    await batch.commit();
+    written += slice.length;
+  }
+  return written;
+}
+
+// The one shape readers hand out (HTTP API), for hourly and daily docs alike.
+export function toLiquidityPoint(id, d) {
+  return {
+    id,
+    time: new Date(periodStart(id)).toISOString(),
+    liquidityUSD: num(d.liquidityUSD),
+    liquidityLowUSD: num(d.liquidityLowUSD) ?? num(d.liquidityUSD),
+    fdvUSD: num(d.fdvUSD),
+    trades: num(d.trades),
+    thin: typeof d.thin === "boolean" ? d.thin : null,
+    source: d.source ?? null,
+    pools: d.pools ?? d.providers?.ingest?.pools ?? null,
+  };
+}
@@ -0,0 +1,21 @@
+// =============================
+// File: scripts/lib/main.js (ESM)
+// Purpose: Tell whether a module was started directly (`node scripts/…`) or
+//          imported (by scripts/cli/zyptoHistory.js or a test), so scripts can
+//          keep their standalone entry points next to their exports.
+// =============================
+
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+// Usage: if (isMain(import.meta.url)) { … }
+export function isMain(moduleUrl) {
+  const entry = process.argv[1];
+  if (!entry) return false;
+  let file = path.resolve(entry);
+  try {
+    file = fs.realpathSync(file); // npm bin links
+  } catch {}
+  return pathToFileURL(file).href === moduleUrl;
+}
@@ -0,0 +1,119 @@
+// =============================
+// File: scripts/lib/objectStore.js (ESM)
+// Purpose: Where published files go: a local directory or an S3-compatible
+//          bucket (AWS S3, Cloudflare R2, MinIO, …), behind one interface:
+//
+//   { kind, location, read(key) -> string | null, write(key, body, { contentType, cacheControl }) }
+//
+// `location` is a directory path or s3://bucket[/prefix]. Local writes go
+// through a temp file + rename, so a web server never sees half a file.
+// Bucket requests go through lib/http.js, signed with AWS Signature V4
+// (path-style URLs, so custom endpoints work without DNS-style bucket names).
+//
+// Env (buckets only):
+//   AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN (optional)
+//   AWS_REGION / AWS_DEFAULT_REGION   default us-east-1 ("auto" for R2)
+//   ZYPTO_S3_ENDPOINT                 default https://s3.<region>.amazonaws.com
+// =============================
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { HttpError, request } from "./http.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 wants it for each path segment.
+const encodeSegment = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// -> headers to send (everything but host) with the SigV4 `authorization`.
+export function signV4({ method, url, headers = {}, body = "", region, accessKeyId, secretAccessKey, sessionToken = null, service = "s3", now = Date.now() }) {
+  const u = new URL(url);
+  const amzDate = new Date(now).toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const all = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: u.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+    ...(sessionToken ? { "x-amz-security-token": sessionToken } : {}),
+  };
+  const names = Object.keys(all).sort();
+  const query = [...u.searchParams].map(([k, v]) => `${encodeSegment(k)}=${encodeSegment(v)}`).sort().join("&");
+  const canonical = [method, u.pathname, query, names.map((n) => `${n}:${all[n]}\n`).join(""), names.join(";"), payloadHash].join("\n");
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), "aws4_request");
+  const { host, ...send } = all;
+  return {
+    ...send,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${hmac(key, toSign).toString("hex")}`,
+  };
+}
+
+function directoryStore(dir) {
+  const file = (key) => path.join(dir, ...key.split("/"));
+  return {
+    kind: "dir",
+    location: dir,
+    async read(key) {
+      try {
+        return fs.readFileSync(file(key), "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async write(key, body) {
+      const target = file(key);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const tmp = `${target}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, body);
+      fs.renameSync(tmp, target);
+    },
+  };
+}
+
+function bucketStore(location, env) {
+  const [, bucket, prefix = ""] = /^s3:\/\/([^/]+)\/?(.*)$/.exec(location) || [];
+  if (!bucket) throw new Error(`bad bucket location "${location}" (expected s3://bucket[/prefix])`);
+  const region = env.AWS_REGION || env.AWS_DEFAULT_REGION || "us-east-1";
+  const creds = {
+    region,
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.AWS_SESSION_TOKEN || null,
+  };
+  if (!creds.accessKeyId || !creds.secretAccessKey) throw new Error(`${location}: AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are required`);
+  const endpoint = (env.ZYPTO_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, "");
+  const base = [bucket, ...prefix.split("/").filter(Boolean)];
+  const urlFor = (key) => `${endpoint}/${[...base, ...key.split("/")].map(encodeSegment).join("/")}`;
+
+  return {
+    kind: "s3",
+    location,
+    // Published files are JSON, so request()'s parsed body is re-serialized.
+    async read(key) {
+      const url = urlFor(key);
+      try {
+        const json = await request(url, { method: "GET", headers: signV4({ ...creds, method: "GET", url }) });
+        return json == null ? null : JSON.stringify(json);
+      } catch (e) {
+        if (e instanceof HttpError && e.status === 404) return null;
+        throw e;
+      }
+    },
+    async write(key, body, { contentType = "application/json", cacheControl = null } = {}) {
+      const url = urlFor(key);
+      const headers = { "content-type": contentType, ...(cacheControl ? { "cache-control": cacheControl } : {}) };
+      await request(url, { method: "PUT", body, headers: signV4({ ...creds, method: "PUT", url, headers, body }) });
+    },
+  };
+}
+
+export function openObjectStore(location, env = process.env) {
+  if (!location) throw new Error("no output location (directory or s3://bucket/prefix)");
+  return location.startsWith("s3://") ? bucketStore(location, env) : directoryStore(path.resolve(location));
+}
@@ -0,0 +1,256 @@
+// =============================
+// File: scripts/lib/parquet.js (ESM)
+// Purpose: Just enough of a Parquet writer for the exports: flat schema, every
+//          column OPTIONAL, PLAIN encoding, uncompressed, one data page per
+//          column per row group. Rows are written a row group at a time, so an
+//          export never holds more than one page of rows.
+//
+// Column types: "double", "string" (UTF8), "boolean",
+//               "timestamp" (INT64 TIMESTAMP_MILLIS, UTC; takes ms or a date string).
+//
+// Spec: https://github.com/apache/parquet-format (thrift compact protocol for
+// the page headers and footer).
+// =============================
+
+const MAGIC = Buffer.from("PAR1");
+
+const TYPE = { boolean: 0, int64: 2, double: 5, byteArray: 6 };
+const CONVERTED = { utf8: 0, timestampMillis: 9 };
+const OPTIONAL = 1;
+const ENCODING = { plain: 0, rle: 3 };
+const UNCOMPRESSED = 0;
+const DATA_PAGE = 0;
+
+const COLUMN_TYPES = {
+  double: { type: TYPE.double },
+  string: { type: TYPE.byteArray, converted: CONVERTED.utf8 },
+  boolean: { type: TYPE.boolean },
+  timestamp: { type: TYPE.int64, converted: CONVERTED.timestampMillis },
+};
+
+// ---- thrift compact protocol (writer only) ----
+
+const CT = { true: 1, false: 2, i32: 5, i64: 6, binary: 8, list: 9, struct: 12 };
+
+class Thrift {
+  constructor() {
+    this.bytes = [];
+    this.last = [0];
+  }
+
+  varint(n) {
+    let v = BigInt(n);
+    while (v >= 0x80n) {
+      this.bytes.push(Number(v & 0x7fn) | 0x80);
+      v >>= 7n;
+    }
+    this.bytes.push(Number(v));
+  }
+
+  zigzag(n) {
+    const v = BigInt(n);
+    this.varint((v << 1n) ^ (v >> 63n));
+  }
+
+  binary(s) {
+    const b = Buffer.from(s);
+    this.varint(b.length);
+    this.bytes.push(...b);
+  }
+
+  field(id, type) {
+    const delta = id - this.last.at(-1);
+    if (delta > 0 && delta <= 15) {
+      this.bytes.push((delta << 4) | type);
+    } else {
+      this.bytes.push(type);
+      this.zigzag(id);
+    }
+    this.last[this.last.length - 1] = id;
+  }
+
+  // fields: [[id, kind, value]], kind = "i32" | "i64" | "string" | "struct" | ["list", elemKind]
+  struct(fields) {
+    this.last.push(0);
+    for (const [id, kind, value] of fields) {
+      if (value == null) continue;
+      if (Array.isArray(kind)) {
+        this.field(id, CT.list);
+        this.list(kind[1], value);
+      } else {
+        this.field(id, CT[kind === "string" ? "binary" : kind]);
+        this.value(kind, value);
+      }
+    }
+    this.bytes.push(0);
+    this.last.pop();
+  }
+
+  list(kind, items) {
+    const type = CT[kind === "string" ? "binary" : kind];
+    if (items.length < 15) {
+      this.bytes.push((items.length << 4) | type);
+    } else {
+      this.bytes.push(0xf0 | type);
+      this.varint(items.length);
+    }
+    for (const item of items) this.value(kind, item);
+  }
+
+  value(kind, v) {
+    if (kind === "i32" || kind === "i64") this.zigzag(v);
+    else if (kind === "string") this.binary(v);
+    else if (kind === "struct") this.struct(v);
+    else throw new Error(`thrift: unsupported kind ${kind}`);
+  }
+
+  static encode(fields) {
+    const t = new Thrift();
+    t.struct(fields);
+    return Buffer.from(t.bytes);
+  }
+}
+
+// ---- pages ----
+
+// Definition levels (0 = null, 1 = present) as one bit-packed RLE/bit-packing
+// hybrid run, prefixed with its byte length.
+function definitionLevels(present) {
+  const groups = Math.ceil(present.length / 8);
+  const header = new Thrift();
+  header.varint((groups << 1) | 1);
+  const bits = Buffer.alloc(groups);
+  present.forEach((p, i) => { if (p) bits[i >> 3] |= 1 << (i & 7); });
+  const body = Buffer.concat([Buffer.from(header.bytes), bits]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(body.length);
+  return Buffer.concat([len, body]);
+}
+
+function timestampMs(v) {
+  const ms = typeof v === "number" ? v : Date.parse(v);
+  if (!Number.isFinite(ms)) throw new Error(`parquet: bad timestamp ${v}`);
+  return BigInt(Math.trunc(ms));
+}
+
+function plainValues(kind, values) {
+  switch (kind) {
+    case "double": {
+      const b = Buffer.alloc(8 * values.length);
+      values.forEach((v, i) => b.writeDoubleLE(Number(v), 8 * i));
+      return b;
+    }
+    case "timestamp": {
+      const b = Buffer.alloc(8 * values.length);
+      values.forEach((v, i) => b.writeBigInt64LE(timestampMs(v), 8 * i));
+      return b;
+    }
+    case "boolean": {
+      const b = Buffer.alloc(Math.ceil(values.length / 8));
+      values.forEach((v, i) => { if (v) b[i >> 3] |= 1 << (i & 7); });
+      return b;
+    }
+    case "string":
+      return Buffer.concat(values.map((v) => {
+        const s = Buffer.from(String(v));
+        const len = Buffer.alloc(4);
+        len.writeUInt32LE(s.length);
+        return Buffer.concat([len, s]);
+      }));
+    default:
+      throw new Error(`parquet: unsupported column type "${kind}"`);
+  }
+}
+
+function dataPage(kind, column) {
+  const present = column.map((v) => v != null);
+  const body = Buffer.concat([definitionLevels(present), plainValues(kind, column.filter((v) => v != null))]);
+  const header = Thrift.encode([
+    [1, "i32", DATA_PAGE],
+    [2, "i32", body.length],
+    [3, "i32", body.length],
+    [5, "struct", [
+      [1, "i32", column.length],
+      [2, "i32", ENCODING.plain],
+      [3, "i32", ENCODING.rle],
+      [4, "i32", ENCODING.rle],
+    ]],
+  ]);
+  return Buffer.concat([header, body]);
+}
+
+// ---- writer ----
+
+// columns: [{ name, type }]; write(buf) may return a promise (backpressure).
+// -> { writeRows(rows) (one row group per call), close() (writes the footer) }
+export function createParquetWriter(write, columns, { createdBy = "zypto-history" } = {}) {
+  for (const c of columns) {
+    if (!COLUMN_TYPES[c.type]) throw new Error(`parquet: column "${c.name}" has unsupported type "${c.type}"`);
+  }
+  let offset = 0;
+  let numRows = 0;
+  const rowGroups = [];
+
+  const emit = async (buf) => {
+    offset += buf.length;
+    await write(buf);
+  };
+
+  return {
+    async writeRows(rows) {
+      if (!rows.length) return;
+      if (offset === 0) await emit(MAGIC);
+      const chunks = [];
+      let groupBytes = 0;
+      for (const c of columns) {
+        const page = dataPage(c.type, rows.map((r) => r[c.name] ?? null));
+        const pageOffset = offset;
+        await emit(page);
+        groupBytes += page.length;
+        chunks.push([
+          [2, "i64", pageOffset],
+          [3, "struct", [
+            [1, "i32", COLUMN_TYPES[c.type].type],
+            [2, ["list", "i32"], [ENCODING.plain, ENCODING.rle]],
+            [3, ["list", "string"], [c.name]],
+            [4, "i32", UNCOMPRESSED],
+            [5, "i64", rows.length],
+            [6, "i64", page.length],
+            [7, "i64", page.length],
+            [9, "i64", pageOffset],
+          ]],
+        ]);
+      }
+      rowGroups.push([
+        [1, ["list", "struct"], chunks],
+        [2, "i64", groupBytes],
+        [3, "i64", rows.length],
+      ]);
+      numRows += rows.length;
+    },
+
+    async close() {
+      if (offset === 0) await emit(MAGIC);
+      const schema = [
+        [[4, "string", "schema"], [5, "i32", columns.length]],
+        ...columns.map((c) => [
+          [1, "i32", COLUMN_TYPES[c.type].type],
+          [3, "i32", OPTIONAL],
+          [4, "string", c.name],
+          [6, "i32", COLUMN_TYPES[c.type].converted],
+        ]),
+      ];
+      const footer = Thrift.encode([
+        [1, "i32", 1],
+        [2, ["list", "struct"], schema],
+        [3, "i64", numRows],
+        [4, ["list", "struct"], rowGroups],
+        [6, "string", createdBy],
+      ]);
+      const len = Buffer.alloc(4);
+      len.writeUInt32LE(footer.length);
+      await emit(Buffer.concat([footer, len, MAGIC]));
+      return { rows: numRows, bytes: offset };
+    },
+  };
+}
@@ -0,0 +1,189 @@
+// =============================
+// File: scripts/lib/pools.js (ESM)
+// Purpose: Pool-level history for every Uniswap v2/v3 pool holding a token
+//          (lib/providers/uniswapV2.js, uniswapV3.js: discoverPools/poolHistory),
+//          and the token price weighted across those pools, which joins the
+//          consensus as the "uniswap-pools" provider.
+//
+// `<ns>_pools/<dex>__<address>`:
+//   { dex, address, feeTier, side, quote: { id, symbol }, tvlUSD, updatedAt }
+//   days/<YYYY-MM-DD>, hours/<YYYY-MM-DD-HH>:
+//     { ts, open, high, low, close, volumeUSD, tvlUSD, feesUSD, dex, pool, feeTier, updatedAt }
+// Prices are our token's, in USD; v2 pairs only have a close. `side` is our
+// token's index in the pool; feeTier is in hundredths of a bip (3000 = 0.3%).
+//
+// Weighted price of a period, over the pools with a close in it
+// (ZYPTO_POOL_WEIGHTING, default volume):
+//   volume    — weight = the pool's volumeUSD in the period; liquidity when
+//               nothing traded
+//   liquidity — weight = the pool's tvlUSD
+// Open/high/low are weighted over the pools that have them. The result goes to
+// providers["uniswap-pools"] of the daily docs and to the uniswap-pools hourly
+// docs (volumeUSD summed, liquidityUSD = total TVL); hours the canonical series
+// already has get their candle re-derived (lib/rollup.js rollupHour).
+// =============================
+
+import { rollupCandles } from "./candles.js";
+import { daySeconds, forwardCursor, openCheckpoint } from "./checkpoint.js";
+import { COLLECTIONS } from "./collections.js";
+import { providerRecord, upsertDailyBatch } from "./dailyRecord.js";
+import { readAll } from "./gaps.js";
+import { hourlyDoc, providerCandle } from "./hourlyRecord.js";
+import { hourlyProviderNames, rollupHour } from "./rollup.js";
+import { periodStart, ymd, ymdh } from "./time.js";
+
+export const PROVIDER = "uniswap-pools";
+export const POOL_TIMEFRAMES = ["day", "hour"];
+export const WEIGHTINGS = ["volume", "liquidity"];
+const BATCH_SIZE = 400;
+const SUBCOLLECTION = { day: "days", hour: "hours" };
+const PERIOD_ID = { day: ymd, hour: ymdh };
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function poolWeighting(env = process.env) {
+  const weighting = (env.ZYPTO_POOL_WEIGHTING || "volume").toLowerCase();
+  if (!WEIGHTINGS.includes(weighting)) throw new Error(`ZYPTO_POOL_WEIGHTING must be one of ${WEIGHTINGS.join("|")}, got "${weighting}"`);
+  return weighting;
+}
+
+export const poolDocId = (pool) => `${pool.dex}__${pool.address}`;
+
+// Validated --timeframes list for the pool backfill.
+export function checkPoolTimeframes(list) {
+  const timeframes = list ?? ["day"];
+  const bad = timeframes.filter((tf) => !POOL_TIMEFRAMES.includes(tf));
+  if (bad.length) throw new Error(`unknown pool timeframe(s) ${bad.join(", ")} (known: ${POOL_TIMEFRAMES.join(", ")})`);
+  return timeframes;
+}
+
+function weightedMean(rows, key) {
+  const legs = rows.filter((r) => num(r[key]) != null);
+  const total = legs.reduce((a, r) => a + r.weight, 0);
+  return total > 0 ? legs.reduce((a, r) => a + r[key] * r.weight, 0) / total : null;
+}
+
+// candles = [{ id, open, high, low, close, volumeUSD, tvlUSD }] of one period ->
+// { open, high, low, close, volumeUSD, liquidityUSD, weighting, weights: { <id>: share } } or null.
+export function weightPools(candles, weighting = "volume") {
+  const priced = candles.filter((k) => num(k.close) != null);
+  const by = (key) => priced.map((k) => ({ ...k, weight: Math.max(num(k[key]) ?? 0, 0) }));
+  let used = weighting;
+  let rows = by(weighting === "volume" ? "volumeUSD" : "tvlUSD");
+  if (used === "volume" && !rows.some((r) => r.weight > 0)) [used, rows] = ["liquidity", by("tvlUSD")];
+  const total = rows.reduce((a, r) => a + r.weight, 0);
+  if (!(total > 0)) return null;
+
+  return {
+    open: weightedMean(rows, "open"),
+    high: weightedMean(rows, "high"),
+    low: weightedMean(rows, "low"),
+    close: weightedMean(rows, "close"),
+    volumeUSD: candles.reduce((a, k) => a + (num(k.volumeUSD) ?? 0), 0),
+    liquidityUSD: candles.reduce((a, k) => a + (num(k.tvlUSD) ?? 0), 0),
+    weighting: used,
+    weights: Object.fromEntries(rows.filter((r) => r.weight > 0).map((r) => [r.id, r.weight / total])),
+  };
+}
+
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [ref, data] of writes.slice(i, i + BATCH_SIZE)) batch.set(ref, data, { merge: true });
+    await batch.commit();
+  }
+}
+
+// Writes one page of a pool's candles (from poolHistory); resolves their period ids.
+async function savePoolPage(db, pool, timeframe, rows, collections) {
+  const ref = db.collection(collections.pools).doc(poolDocId(pool)).collection(SUBCOLLECTION[timeframe]);
+  const ids = rows.map((k) => PERIOD_ID[timeframe](k.ts));
+  await commitInBatches(db, rows.map((k, i) => [ref.doc(ids[i]), {
+    ts: k.ts, open: k.open, high: k.high, low: k.low, close: k.close,
+    volumeUSD: k.volumeUSD, tvlUSD: k.tvlUSD, feesUSD: k.feesUSD,
+    dex: pool.dex, pool: pool.address, feeTier: pool.feeTier, updatedAt: Date.now(),
+  }]));
+  return ids;
+}
+
+// Recompute the uniswap-pools record of each period in `ids` from every stored
+// pool (any DEX). Resolves the number of periods written.
+export async function aggregatePools(db, timeframe, ids, {
+  collections = COLLECTIONS, weighting = poolWeighting(), meta = {},
+} = {}) {
+  if (!ids.length) return 0;
+  const pools = (await db.collection(collections.pools).get()).docs;
+  const series = await Promise.all(pools.map((p) => readAll(db, p.ref.collection(SUBCOLLECTION[timeframe]), ids)));
+  const periods = ids
+    .map((id) => [id, weightPools(pools.map((p, i) => ({ id: p.id, ...series[i].get(id) })).filter((k) => k.ts != null), weighting)])
+    .filter(([, agg]) => agg);
+
+  if (timeframe === "day") {
+    const rows = periods.map(([day, agg]) => ({ day, record: providerRecord({ ...agg, ts: periodStart(day) }) }));
+    return upsertDailyBatch(db, PROVIDER, rows, meta, { collections });
+  }
+
+  const own = db.collection(collections.hourlyProviders).doc(PROVIDER).collection("hours");
+  await commitInBatches(db, periods.map(([hour, agg]) => [own.doc(hour), hourlyDoc(hour, {
+    ts: periodStart(hour), priceUSD: agg.close, liquidityUSD: agg.liquidityUSD, token: meta.token, ...providerCandle(agg),
+  })]));
+  const providers = await hourlyProviderNames(db, collections);
+  for (const [hour] of periods) await rollupHour(db, hour, providers, { collections });
+  if (periods.length) {
+    await rollupCandles(db, {
+      from: periods[0][0].slice(0, 10), to: periods.at(-1)[0].slice(0, 10), resolutions: ["4h"], collections, meta,
+    });
+  }
+  return periods.length;
+}
+
+// Backfills every pool `discover(token)` finds, one checkpoint per pool and
+// timeframe (`<dex>__<address>__pool_<timeframe>`), then re-aggregates the
+// periods written. `history` is the DEX's poolHistory.
+// Resolves { pools, written, skipped, timeframes: { <tf>: { written, aggregated } } };
+// skipped when no pool had anything left to fetch. Without --to a finished pool
+// is picked up again from its last day (lib/checkpoint.js forwardCursor).
+export async function backfillPools(db, {
+  dex, discover, history, token, chain, collections = COLLECTIONS, from = null, to = null, restart = false,
+  timeframes = ["day"], weighting = poolWeighting(),
+}) {
+  checkPoolTimeframes(timeframes);
+  const pools = await discover(token);
+  console.log(`[pools] ${dex}: ${pools.length} pools hold ${token}`);
+  await commitInBatches(db, pools.map((p) => [db.collection(collections.pools).doc(poolDocId(p)), { ...p, updatedAt: Date.now() }]));
+
+  const touched = Object.fromEntries(timeframes.map((tf) => [tf, new Set()]));
+  const out = Object.fromEntries(timeframes.map((tf) => [tf, { written: 0, aggregated: 0 }]));
+  let skipped = true;
+  for (const pool of pools) {
+    for (const timeframe of POOL_TIMEFRAMES.filter((tf) => timeframes.includes(tf))) {
+      const checkpoint = await openCheckpoint(db, {
+        provider: dex, key: `${pool.address}__pool_${timeframe}`, from, to, restart, collections,
+      });
+      if (checkpoint.state.done) continue;
+      skipped = false;
+      const after = forwardCursor(checkpoint, from);
+      const before = to ? daySeconds(to, { end: true }) : 2 ** 31 - 1;
+      for await (const rows of history(pool, { timeframe, after, before })) {
+        const ids = await savePoolPage(db, pool, timeframe, rows, collections);
+        for (const id of ids) touched[timeframe].add(id);
+        out[timeframe].written += rows.length;
+        const cursor = Math.floor(rows.at(-1).ts / 1000);
+        await checkpoint.save({ cursor, lastDay: ymd(rows.at(-1).ts), written: rows.length });
+      }
+      await checkpoint.finish();
+    }
+  }
+
+  const meta = { token, chain };
+  for (const timeframe of timeframes) {
+    out[timeframe].aggregated = await aggregatePools(db, timeframe, [...touched[timeframe]].sort(), { collections, weighting, meta });
+    console.log(`[pools] ${dex} ${timeframe}: ${out[timeframe].written} pool rows, ${out[timeframe].aggregated} ${PROVIDER} periods`);
+  }
+  const written = Object.values(out).reduce((n, r) => n + r.written, 0);
+  return { pools: pools.length, written, skipped, timeframes: out };
+}
@@ -0,0 +1,57 @@
+// =============================
+// File: scripts/lib/providers/coingecko.js (ESM)
+// Purpose: CoinGecko adapter: "simple token price" for quotes and
+//          market_chart/range for daily history. Works keyless, with a demo
+//          key, or with a pro key (COINGECKO_TIER=pro). COINGECKO_BASE_URL
+//          overrides the host picked by the tier.
+// =============================
+
+import { getJSON } from "../http.js";
+import { ymd } from "../time.js";
+
+export function coingeckoEndpoint(env = process.env) {
+  const key = env.COINGECKO_API_KEY || "";
+  const tier = (env.COINGECKO_TIER || "demo").toLowerCase(); // 'demo' or 'pro'
+  const base = (env.COINGECKO_BASE_URL || (tier === "pro" ? "https://pro-api.coingecko.com" : "https://api.coingecko.com")).replace(/\/$/, "");
+  const headerName = tier === "pro" ? "x-cg-pro-api-key" : "x-cg-demo-api-key";
+  return { base, headers: key ? { [headerName]: key } : undefined };
+}
+
+// By CoinGecko id when the registry has one, by contract otherwise.
+export function coinPath({ coingeckoId, chain, token }) {
+  return coingeckoId ? `coins/${coingeckoId}` : `coins/${chain}/contract/${token}`;
+}
+
+export default {
+  name: "coingecko",
+  capabilities: { quote: true, history: ["1d"], ohlc: false, volume: "rolling" },
+  requires: [],
+
+  async fetchQuote({ token, chain }) {
+    const { base, headers } = coingeckoEndpoint();
+    const url = `${base}/api/v3/simple/token_price/${chain}?contract_addresses=${token}&vs_currencies=usd&include_24hr_vol=true&precision=full`;
+    const j = await getJSON(url, { headers, timeout: 12000 });
+    const row = j?.[token];
+    const priceUSD = Number(row?.usd);
+    if (!isFinite(priceUSD) || priceUSD <= 0) throw new Error("coingecko_failed: no price for token");
+    return { provider: "coingecko", priceUSD, volume24hUSD: Number(row.usd_24h_vol) || null, pairAddress: null };
+  },
+
+  // Close-only daily candles (last sample of each UTC day). from/to in ms.
+  async fetchHistory(target, { interval, from, to }) {
+    if (interval !== "1d") throw new Error(`coingecko history supports 1d only, not ${interval}`);
+    const { base, headers } = coingeckoEndpoint();
+    const url = `${base}/api/v3/${coinPath(target)}/market_chart/range?vs_currency=usd&from=${Math.floor(from / 1000)}&to=${Math.ceil(to / 1000)}&precision=6`;
+    const j = await getJSON(url, { headers, timeout: 30000 });
+    const byDay = new Map();
+    for (const [tsMs, price] of j?.prices || []) {
+      const day = ymd(tsMs);
+      const prev = byDay.get(day);
+      if (!prev || tsMs > prev.lastTs) byDay.set(day, { lastTs: tsMs, close: Number(price) });
+    }
+    return [...byDay.entries()]
+      .map(([day, { close }]) => ({ ts: Date.parse(`${day}T00:00:00Z`), close }))
+      .filter((k) => Number.isFinite(k.close))
+      .sort((a, b) => a.ts - b.ts);
+  },
+};
@@ -0,0 +1,78 @@
+// =============================
+// File: scripts/lib/providers/dexscreener.js (ESM)
+// Purpose: DexScreener live quote adapter (no key, no history).
+//          DEXSCREENER_BASE_URL overrides the API host (tests, proxies).
+// =============================
+
+import { getJSON } from "../http.js";
+
+function num(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+function txns(t) {
+  return t ? { buys: num(t.buys), sells: num(t.sells) } : null;
+}
+
+export function dexscreenerBase(env = process.env) {
+  return (env.DEXSCREENER_BASE_URL || "https://api.dexscreener.com").replace(/\/$/, "");
+}
+
+export function pickDexPair(json, { token, pair, chain = "ethereum" }) {
+  const pairs = Array.isArray(json?.pairs) ? json.pairs : (json?.pair ? [json.pair] : []);
+  if (!pairs.length) return null;
+  // 1) exact pair match
+  const byPair = pairs.find(p => (p?.pairAddress || "").toLowerCase() === pair);
+  if (byPair) return byPair;
+  // 2) any pair on our chain containing our token
+  const byToken = pairs.find(p => (
+    (p?.chainId === chain || p?.chain === chain) &&
+    ((p?.baseToken?.address || "").toLowerCase() === token || (p?.quoteToken?.address || "").toLowerCase() === token)
+  ));
+  if (byToken) return byToken;
+  // 3) otherwise first
+  return pairs[0];
+}
+
+export default {
+  name: "dexscreener",
+  capabilities: { quote: true, history: [], ohlc: false, volume: "bucket" },
+  requires: [],
+
+  async fetchQuote({ token, pair, chain = "ethereum" }) {
+    // Try pair endpoint first, then token, then search
+    const base = dexscreenerBase();
+    const tries = [
+      `${base}/latest/dex/pairs/${chain}/${pair}`,
+      `${base}/latest/dex/pairs/${pair}`,
+      `${base}/latest/dex/tokens/${token}`,
+      `${base}/latest/dex/search?q=${encodeURIComponent(token)}`,
+    ];
+    let lastErr = null;
+    for (const url of tries) {
+      try {
+        const j = await getJSON(url, { timeout: 12000 });
+        const found = pickDexPair(j, { token, pair, chain });
+        if (!found) { lastErr = "no pair in response"; continue; }
+        const priceUSD = Number(found.priceUsd);
+        if (!isFinite(priceUSD) || priceUSD <= 0) { lastErr = "invalid price"; continue; }
+        const isBase = (found.baseToken?.address || "").toLowerCase() === token;
+        return {
+          provider: "dexscreener", priceUSD, pairAddress: found.pairAddress,
+          volume24hUSD: num(found.volume?.h24),
+          volume1hUSD: num(found.volume?.h1),
+          liquidityUSD: num(found.liquidity?.usd),
+          reserveToken: num(isBase ? found.liquidity?.base : found.liquidity?.quote),
+          reserveQuote: num(isBase ? found.liquidity?.quote : found.liquidity?.base),
+          fdvUSD: num(found.fdv),
+          marketCapUSD: num(found.marketCap),
+          txns1h: txns(found.txns?.h1),
+        };
+      } catch (e) {
+        lastErr = e.message || String(e);
+      }
+    }
+    throw new Error(`dexscreener_failed: ${lastErr || "unknown"}`);
+  },
+};
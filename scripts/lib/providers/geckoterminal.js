@@ -0,0 +1,121 @@
+// =============================
+// File: scripts/lib/providers/geckoterminal.js (ESM)
+// Purpose: GeckoTerminal pool adapter. Reads the pool's base/quote USD prices and
+//          picks the side that is our token, plus the last completed hourly
+//          candle, which becomes that hour's OHLC and exact volume. History: ohlcv/day and
+//          ohlcv/hour paged backwards until the tier limit (HTTP 401).
+//          GECKOTERMINAL_BASE_URL overrides the API root.
+// =============================
+
+import { HttpError, getJSON } from "../http.js";
+import { HOUR_MS } from "../volume.js";
+
+export function geckoterminalBase(env = process.env) {
+  return (env.GECKOTERMINAL_BASE_URL || "https://api.geckoterminal.com/api/v2").replace(/\/$/, "");
+}
+
+export function geckoterminalHeaders(env = process.env) {
+  const key = env.GECKOTERMINAL_API_KEY;
+  return { accept: "application/json", ...(key ? { "x-api-key": key } : {}) };
+}
+
+function num(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+function parseOhlcv(json) {
+  return (json?.data?.attributes?.ohlcv_list || [])
+    .map(([tsSec, o, h, l, c, v]) => ({ ts: Number(tsSec) * 1000, open: +o, high: +h, low: +l, close: +c, volumeUSD: +v }))
+    .filter((k) => Number.isFinite(k.ts) && Number.isFinite(k.close));
+}
+
+async function fetchPool({ network, pair }) {
+  return getJSON(`${geckoterminalBase()}/networks/${network}/pools/${pair}`, { headers: geckoterminalHeaders(), timeout: 12000 });
+}
+
+// "base" or "quote": which side of the pool our token is on. Token ids look like "eth_0xabc..."
+function sideOf(poolJson, token) {
+  const baseId = String(poolJson?.data?.relationships?.base_token?.data?.id || "").toLowerCase();
+  return baseId.endsWith(token) ? "base" : "quote";
+}
+
+// The `token=` value for ohlcv requests on our side of the pool.
+export async function poolSide({ token, pair, network }) {
+  return sideOf(await fetchPool({ network, pair }), token);
+}
+
+// Newest completed hour for our side of the pool; null when unavailable.
+async function fetchLastHourCandle({ network, pair, side }) {
+  const url = `${geckoterminalBase()}/networks/${network}/pools/${pair}/ohlcv/hour?limit=3&currency=usd&token=${side}`;
+  const j = await getJSON(url, { headers: geckoterminalHeaders(), timeout: 12000 });
+  const now = Date.now();
+  const candles = parseOhlcv(j)
+    .filter((k) => k.ts + HOUR_MS <= now)
+    .sort((a, b) => b.ts - a.ts);
+  return candles[0] || null;
+}
+
+export default {
+  name: "geckoterminal",
+  capabilities: { quote: true, history: ["1d", "1h"], ohlc: true, volume: "candle" },
+  requires: [],
+
+  async fetchQuote({ token, pair, network }) {
+    const j = await fetchPool({ network, pair });
+    const attrs = j?.data?.attributes || {};
+    const isBase = sideOf(j, token) === "base";
+    const priceUSD = Number(isBase ? attrs.base_token_price_usd : attrs.quote_token_price_usd);
+    if (!isFinite(priceUSD) || priceUSD <= 0) throw new Error("geckoterminal_failed: invalid price");
+
+    // The candle only refines volume; a failure here shouldn't lose the quote
+    let hourCandle = null;
+    try {
+      hourCandle = await fetchLastHourCandle({ network, pair, side: isBase ? "base" : "quote" });
+    } catch (e) {
+      console.warn("[geckoterminal] hourly candle unavailable:", e?.message || e);
+    }
+
+    return {
+      provider: "geckoterminal",
+      priceUSD,
+      pairAddress: (attrs.address || pair).toLowerCase(),
+      volume24hUSD: num(attrs.volume_usd?.h24),
+      volume1hUSD: num(attrs.volume_usd?.h1),
+      liquidityUSD: num(attrs.reserve_in_usd),
+      fdvUSD: num(attrs.fdv_usd),
+      marketCapUSD: num(attrs.market_cap_usd),
+      txns1h: attrs.transactions?.h1 ? { buys: num(attrs.transactions.h1.buys), sells: num(attrs.transactions.h1.sells) } : null,
+      hourCandle,
+    };
+  },
+
+  // OHLCV candles (ts = interval start, ms) within [from, to], oldest first.
+  // Stops quietly at the public-tier history window.
+  async fetchHistory({ token, pair, network }, { interval, from, to }) {
+    const timeframe = { "1h": "hour", "1d": "day" }[interval];
+    if (!timeframe) throw new Error(`geckoterminal history supports 1h/1d, not ${interval}`);
+    const side = await poolSide({ token, pair, network });
+    const out = [];
+    let before = Math.ceil(to / 1000);
+    while (true) {
+      const url = `${geckoterminalBase()}/networks/${network}/pools/${pair}/ohlcv/${timeframe}?limit=1000&currency=usd&token=${side}&before_timestamp=${before}`;
+      let page;
+      try {
+        page = parseOhlcv(await getJSON(url, { headers: geckoterminalHeaders(), timeout: 30000 }));
+      } catch (e) {
+        if (e instanceof HttpError && e.status === 401) break; // tier limit
+        throw e;
+      }
+      if (!page.length) break;
+      out.push(...page);
+      const oldest = Math.min(...page.map((k) => k.ts));
+      if (oldest <= from || page.length < 1000) break;
+      before = Math.floor(oldest / 1000);
+    }
+    const seen = new Set();
+    return out
+      .filter((k) => k.ts >= from && k.ts <= to && !seen.has(k.ts) && seen.add(k.ts))
+      .sort((a, b) => a.ts - b.ts);
+  },
+};
@@ -0,0 +1,71 @@
+// =============================
+// File: scripts/lib/providers/index.js (ESM)
+// Purpose: Price-provider registry.
+//
+// Every provider is a plain object:
+//   {
+//     name: "dexscreener",
+//     capabilities: { quote, history: ["1d", "1h"], ohlc,
+//                     volume: "candle" | "cumulative" | "bucket" | "rolling" },
+//     requires: ["ENV_VAR", ...],          // skipped when any is unset
+//     chains?: ["ethereum", ...],          // only these chains; all when absent
+//     fetchQuote(ctx) -> { provider, priceUSD, pairAddress, liquidityUSD?,
+//                          volume24hUSD?, volume1hUSD?, cumulativeVolumeUSD?, hourCandle?,
+//                          reserveToken?, reserveQuote?, fdvUSD?, marketCapUSD?,
+//                          txns1h?: { buys, sells }, onchain? },
+//     fetchHistory?(ctx, { interval, from, to }) -> [{ ts, open?, high?, low?, close, volumeUSD? }]
+//                                        // only when capabilities.history is non-empty;
+//                                        // ts = interval start, from/to in ms
+//   }
+// Quotes never carry a plain `volumeUSD`: interval volume is derived from the
+// fields above by lib/volume.js. Pool state (reserves in token units, TVL, FDV,
+// trade counts of the last hour) feeds the liquidity history (lib/liquidity.js).
+// ctx = a target from lib/target.js: { token, pair, chain, network, … } (addresses lowercase).
+// =============================
+
+import coingecko from "./coingecko.js";
+import dexscreener from "./dexscreener.js";
+import geckoterminal from "./geckoterminal.js";
+import uniswapV2 from "./uniswapV2.js";
+import uniswapV2Onchain from "./uniswapV2Onchain.js";
+import uniswapV3 from "./uniswapV3.js";
+
+export const PROVIDERS = [dexscreener, geckoterminal, coingecko, uniswapV2, uniswapV3, uniswapV2Onchain];
+
+export function getProvider(name) {
+  const p = PROVIDERS.find((x) => x.name === name);
+  if (!p) throw new Error(`unknown provider "${name}" (known: ${PROVIDERS.map((x) => x.name).join(", ")})`);
+  return p;
+}
+
+export function isConfigured(provider, env = process.env) {
+  return provider.requires.every((k) => !!env[k]);
+}
+
+// `list` is a comma-separated list of names (e.g. ZYPTO_PROVIDERS); empty means
+// "every provider whose required env is present".
+export function resolveProviders(list, env = process.env) {
+  if (list) return list.split(",").map((s) => s.trim()).filter(Boolean).map(getProvider);
+  return PROVIDERS.filter((p) => isConfigured(p, env));
+}
+
+export function supportsChain(provider, chain) {
+  return !provider.chains || provider.chains.includes(chain);
+}
+
+// Configured providers that can answer historical queries at `interval` ("1h" | "1d").
+export function historyProviders(interval, env = process.env) {
+  return PROVIDERS.filter((p) => p.fetchHistory && p.capabilities.history.includes(interval) && isConfigured(p, env));
+}
+
+// Query all providers in parallel. Failures are collected, not thrown.
+export async function fetchQuotes(providers, ctx) {
+  const settled = await Promise.allSettled(providers.map((p) => p.fetchQuote(ctx)));
+  const quotes = [];
+  const failures = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") quotes.push({ ...r.value, provider: providers[i].name });
+    else failures.push({ provider: providers[i].name, error: String(r.reason?.message || r.reason) });
+  });
+  return { quotes, failures };
+}
@@ -0,0 +1,136 @@
+// =============================
+// File: scripts/lib/providers/uniswapV2.js (ESM)
+// Purpose: Uniswap v2 subgraph adapter: price = token.derivedETH * bundle.ethPrice,
+//          daily history from tokenDayDatas. Endpoint (UNIV2_SUBGRAPH_URL)
+//          defaults to the hosted subgraph; the v2 backfill uses the same one.
+//          Also every v2 pair holding a token (discoverPools) and its day/hour
+//          closes in USD (poolHistory) for lib/pools.js.
+// =============================
+
+import { gql, gqlPages } from "../http.js";
+
+export function uniswapV2Endpoint(env = process.env) {
+  return env.UNIV2_SUBGRAPH_URL || "https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v2";
+}
+
+const Q_TOKEN_PRICE = `#graphql
+  query Price($token: ID!, $pair: ID!) {
+    token(id: $token) { derivedETH }
+    bundle(id: "1") { ethPrice }
+    pair(id: $pair) { volumeUSD }
+  }
+`;
+
+const Q_TOKEN_DAYS = `#graphql
+  query Days($token: String!, $after: Int!, $before: Int!) {
+    tokenDayDatas(first: 1000, orderBy: date, orderDirection: asc,
+      where: { token: $token, date_gt: $after, date_lt: $before }) {
+      date
+      priceUSD
+    }
+  }
+`;
+
+const PAIR_FIELDS = "id reserveUSD token0 { id symbol } token1 { id symbol }";
+const Q_PAIRS = `#graphql
+  query Pairs($token: String!) {
+    as0: pairs(first: 100, orderBy: reserveUSD, orderDirection: desc, where: { token0: $token }) { ${PAIR_FIELDS} }
+    as1: pairs(first: 100, orderBy: reserveUSD, orderDirection: desc, where: { token1: $token }) { ${PAIR_FIELDS} }
+  }
+`;
+
+const PAIR_SERIES = {
+  day: {
+    field: "date",
+    volume: "dailyVolumeUSD",
+    key: "pairDayDatas",
+    query: `#graphql
+      query PairDays($pool: Bytes!, $after: Int!, $before: Int!) {
+        pairDayDatas(first: 1000, orderBy: date, orderDirection: asc,
+          where: { pairAddress: $pool, date_gt: $after, date_lt: $before }) {
+          date reserve0 reserve1 reserveUSD dailyVolumeUSD
+        }
+      }
+    `,
+  },
+  hour: {
+    field: "hourStartUnix",
+    volume: "hourlyVolumeUSD",
+    key: "pairHourDatas",
+    query: `#graphql
+      query PairHours($pool: String!, $after: Int!, $before: Int!) {
+        pairHourDatas(first: 1000, orderBy: hourStartUnix, orderDirection: asc,
+          where: { pair: $pool, hourStartUnix_gt: $after, hourStartUnix_lt: $before }) {
+          hourStartUnix reserve0 reserve1 reserveUSD hourlyVolumeUSD
+        }
+      }
+    `,
+  },
+};
+
+// Every v2 pair with `token` on either side, largest reserves first (lib/pools.js shape).
+export async function discoverPools(token) {
+  const data = await gql(uniswapV2Endpoint(), Q_PAIRS, { token }, { timeout: 30000 });
+  return [...(data?.as0 || []), ...(data?.as1 || [])]
+    .map((p) => {
+      const side = p.token0.id.toLowerCase() === token ? 0 : 1;
+      const quote = side === 0 ? p.token1 : p.token0;
+      return {
+        dex: "uniswap-v2", address: p.id.toLowerCase(), feeTier: 3000, side,
+        quote: { id: quote.id.toLowerCase(), symbol: quote.symbol ?? null }, tvlUSD: Number(p.reserveUSD) || 0,
+      };
+    })
+    .sort((a, b) => b.tvlUSD - a.tvlUSD);
+}
+
+// Yields pages of { ts, close, volumeUSD, tvlUSD } for one pair, oldest first.
+// Both sides of a v2 pair hold the same value, so our token's USD price at the
+// snapshot is half the reserves' USD value over our reserve; no open/high/low.
+export async function* poolHistory(pool, { timeframe, after, before }) {
+  const { field, volume, key, query } = PAIR_SERIES[timeframe];
+  for await (const rows of gqlPages(uniswapV2Endpoint(), query, { key, field, variables: { pool: pool.address }, after, before })) {
+    yield rows.map((r) => {
+      const reserve = Number(pool.side === 0 ? r.reserve0 : r.reserve1);
+      const tvlUSD = Number(r.reserveUSD) || 0;
+      return {
+        ts: Number(r[field]) * 1000, open: null, high: null, low: null,
+        close: reserve > 0 && tvlUSD > 0 ? tvlUSD / 2 / reserve : null,
+        volumeUSD: Number(r[volume]) || 0, tvlUSD, feesUSD: ((Number(r[volume]) || 0) * pool.feeTier) / 1e6,
+      };
+    });
+  }
+}
+
+export default {
+  name: "uniswap-v2",
+  capabilities: { quote: true, history: ["1d"], ohlc: false, volume: "cumulative" },
+  requires: [],
+  chains: ["ethereum"],
+
+  async fetchQuote({ token, pair }) {
+    const data = await gql(uniswapV2Endpoint(), Q_TOKEN_PRICE, { token, pair }, { timeout: 12000 });
+    const priceUSD = Number(data?.token?.derivedETH) * Number(data?.bundle?.ethPrice);
+    if (!isFinite(priceUSD) || priceUSD <= 0) throw new Error("uniswap-v2_failed: invalid price");
+    // pair.volumeUSD is a lifetime counter; lib/volume.js diffs it hour to hour
+    const cumulative = Number(data?.pair?.volumeUSD);
+    return {
+      provider: "uniswap-v2", priceUSD, pairAddress: pair,
+      cumulativeVolumeUSD: Number.isFinite(cumulative) && data?.pair ? cumulative : null,
+    };
+  },
+
+  // Close-only daily candles. from/to in ms.
+  async fetchHistory({ token }, { interval, from, to }) {
+    if (interval !== "1d") throw new Error(`uniswap-v2 history supports 1d only, not ${interval}`);
+    const out = [];
+    let after = Math.floor(from / 1000) - 1;
+    while (true) {
+      const data = await gql(uniswapV2Endpoint(), Q_TOKEN_DAYS, { token, after, before: Math.ceil(to / 1000) }, { timeout: 30000 });
+      const rows = data?.tokenDayDatas || [];
+      for (const r of rows) out.push({ ts: Number(r.date) * 1000, close: Number(r.priceUSD) });
+      if (rows.length < 1000) break;
+      after = Number(rows.at(-1).date);
+    }
+    return out.filter((k) => k.close > 0);
+  },
+};
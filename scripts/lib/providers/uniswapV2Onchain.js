@@ -0,0 +1,118 @@
+// =============================
+// File: scripts/lib/providers/uniswapV2Onchain.js (ESM)
+// Purpose: Price straight from the Uniswap v2 pair contract over JSON-RPC:
+//          getReserves() / token0() / token1() / decimals(), all pinned to one
+//          block. ZYPTO is priced in WETH by the pair, then converted to USD
+//          through a WETH/stablecoin reference pair (stablecoin taken as $1).
+//
+// Env:
+//   ETH_RPC_URL      (required) any Ethereum JSON-RPC endpoint
+//   WETH_USD_PAIR    reference pair, default Uniswap v2 USDC/WETH
+//   WETH_ADDRESS     default mainnet WETH
+// =============================
+
+import { SELECTORS, blockNumber, decodeAddress, decodeUint, ethCall } from "../rpc.js";
+
+const DEFAULT_WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const DEFAULT_WETH_USD_PAIR = "0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc"; // USDC/WETH v2
+
+// Mainnet USD stablecoins a pair may be quoted in directly
+const STABLES = new Set([
+  "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48", // USDC
+  "0xdac17f958d2ee523a2206206994597c13d831ec7", // USDT
+  "0x6b175474e89094c44da98b954eedeac495271d0f", // DAI
+]);
+
+function config(env = process.env) {
+  return {
+    url: env.ETH_RPC_URL,
+    weth: (env.WETH_ADDRESS || DEFAULT_WETH).toLowerCase(),
+    refPair: (env.WETH_USD_PAIR || DEFAULT_WETH_USD_PAIR).toLowerCase(),
+  };
+}
+
+// Read one pair's tokens, decimals and reserves at `block`.
+export async function readPair(url, pair, block) {
+  const [t0, t1, reserves] = await Promise.all([
+    ethCall(url, pair, SELECTORS.token0, block),
+    ethCall(url, pair, SELECTORS.token1, block),
+    ethCall(url, pair, SELECTORS.getReserves, block),
+  ]);
+  const token0 = decodeAddress(t0);
+  const token1 = decodeAddress(t1);
+  const [d0, d1] = await Promise.all([
+    ethCall(url, token0, SELECTORS.decimals, block),
+    ethCall(url, token1, SELECTORS.decimals, block),
+  ]);
+  return {
+    pair,
+    token0, token1,
+    decimals0: Number(decodeUint(d0)),
+    decimals1: Number(decodeUint(d1)),
+    reserve0: decodeUint(reserves, 0),
+    reserve1: decodeUint(reserves, 1),
+  };
+}
+
+function units(raw, decimals) {
+  return Number(raw) / 10 ** decimals;
+}
+
+// Price of `token` in units of the other token of the pair.
+export function pairPrice(p, token) {
+  const isToken0 = p.token0 === token;
+  if (!isToken0 && p.token1 !== token) throw new Error(`token ${token} not in pair ${p.pair}`);
+  const mine = isToken0 ? units(p.reserve0, p.decimals0) : units(p.reserve1, p.decimals1);
+  const other = isToken0 ? units(p.reserve1, p.decimals1) : units(p.reserve0, p.decimals0);
+  if (!(mine > 0) || !(other > 0)) throw new Error(`empty reserves in pair ${p.pair}`);
+  return { price: other / mine, otherToken: isToken0 ? p.token1 : p.token0, reserve: mine, otherReserve: other };
+}
+
+function reservesRecord(p) {
+  return {
+    pair: p.pair, token0: p.token0, token1: p.token1,
+    reserve0: p.reserve0.toString(), reserve1: p.reserve1.toString(),
+    decimals0: p.decimals0, decimals1: p.decimals1,
+  };
+}
+
+// USD value of one `quoteToken` at `block`: 1 for a stablecoin, the reference
+// pair's price for WETH. -> { quoteUSD, reference }
+export async function quoteTokenUSD(url, quoteToken, block, env = process.env) {
+  const { weth, refPair } = config(env);
+  if (STABLES.has(quoteToken)) return { quoteUSD: 1, reference: null };
+  if (quoteToken !== weth) {
+    throw new Error(`uniswap-v2-onchain_failed: pair quote token ${quoteToken} is neither WETH nor a stablecoin`);
+  }
+  const ref = await readPair(url, refPair, block);
+  const { price: wethUSD, otherToken: stable } = pairPrice(ref, weth);
+  if (!STABLES.has(stable)) throw new Error(`reference pair ${refPair} is not WETH/stablecoin`);
+  return { quoteUSD: wethUSD, reference: { ...reservesRecord(ref), wethUSD } };
+}
+
+export default {
+  name: "uniswap-v2-onchain",
+  capabilities: { quote: true, history: [], ohlc: false, volume: null },
+  requires: ["ETH_RPC_URL"],
+  chains: ["ethereum"],
+
+  async fetchQuote({ token, pair }) {
+    const { url } = config();
+    const block = await blockNumber(url);
+    const main = await readPair(url, pair, block);
+    const { price, otherToken, reserve, otherReserve } = pairPrice(main, token);
+    const { quoteUSD, reference } = await quoteTokenUSD(url, otherToken, block); // USD value of one `otherToken`
+
+    const priceUSD = price * quoteUSD;
+    if (!isFinite(priceUSD) || priceUSD <= 0) throw new Error("uniswap-v2-onchain_failed: invalid price");
+    return {
+      provider: "uniswap-v2-onchain",
+      priceUSD,
+      pairAddress: pair,
+      liquidityUSD: 2 * otherReserve * quoteUSD, // v2 pools hold equal value on both sides
+      reserveToken: reserve,
+      reserveQuote: otherReserve,
+      onchain: { blockNumber: block, ...reservesRecord(main), reference },
+    };
+  },
+};
@@ -0,0 +1,166 @@
+// =============================
+// File: scripts/lib/providers/uniswapV3.js (ESM)
+// Purpose: Uniswap v3 subgraph adapter via The Graph gateway:
+//          price = token.derivedETH * bundle.ethPriceUSD, daily history from
+//          tokenDayDatas. UNIV3_SUBGRAPH_URL replaces the whole gateway URL.
+//          Also every v3 pool holding a token (discoverPools) and its day/hour
+//          candles in USD (poolHistory) for lib/pools.js.
+// =============================
+
+import { gql, gqlPages } from "../http.js";
+
+export function uniswapV3Endpoint(env = process.env) {
+  if (env.UNIV3_SUBGRAPH_URL) return env.UNIV3_SUBGRAPH_URL;
+  return `https://gateway.thegraph.com/api/${env.THEGRAPH_API_KEY}/subgraphs/id/${env.UNIV3_SUBGRAPH_ID}`;
+}
+
+const Q_TOKEN_PRICE = `#graphql
+  query Price($token: ID!) {
+    token(id: $token) { derivedETH volumeUSD }
+    bundle(id: "1") { ethPriceUSD }
+  }
+`;
+
+const Q_TOKEN_DAYS = `#graphql
+  query Days($token: String!, $after: Int!, $before: Int!) {
+    tokenDayDatas(first: 1000, orderBy: date, orderDirection: asc,
+      where: { token_: { id: $token }, date_gt: $after, date_lt: $before }) {
+      date
+      priceUSD
+      volumeUSD
+    }
+  }
+`;
+
+const POOL_FIELDS = "id feeTier totalValueLockedUSD token0 { id symbol } token1 { id symbol }";
+const Q_POOLS = `#graphql
+  query Pools($token: String!) {
+    as0: pools(first: 100, orderBy: totalValueLockedUSD, orderDirection: desc, where: { token0: $token }) { ${POOL_FIELDS} }
+    as1: pools(first: 100, orderBy: totalValueLockedUSD, orderDirection: desc, where: { token1: $token }) { ${POOL_FIELDS} }
+  }
+`;
+
+// Per timeframe: the pool's candles and the quote token's USD price, both
+// keyed by `field` (period start, unix seconds).
+const POOL_SERIES = {
+  day: {
+    field: "date",
+    pool: ["poolDayDatas", `#graphql
+      query PoolDays($pool: String!, $after: Int!, $before: Int!) {
+        poolDayDatas(first: 1000, orderBy: date, orderDirection: asc,
+          where: { pool: $pool, date_gt: $after, date_lt: $before }) {
+          date open high low close volumeUSD tvlUSD feesUSD
+        }
+      }
+    `],
+    quote: ["tokenDayDatas", `#graphql
+      query QuoteDays($token: String!, $after: Int!, $before: Int!) {
+        tokenDayDatas(first: 1000, orderBy: date, orderDirection: asc,
+          where: { token_: { id: $token }, date_gt: $after, date_lt: $before }) {
+          date priceUSD
+        }
+      }
+    `],
+  },
+  hour: {
+    field: "periodStartUnix",
+    pool: ["poolHourDatas", `#graphql
+      query PoolHours($pool: String!, $after: Int!, $before: Int!) {
+        poolHourDatas(first: 1000, orderBy: periodStartUnix, orderDirection: asc,
+          where: { pool: $pool, periodStartUnix_gt: $after, periodStartUnix_lt: $before }) {
+          periodStartUnix open high low close volumeUSD tvlUSD feesUSD
+        }
+      }
+    `],
+    quote: ["tokenHourDatas", `#graphql
+      query QuoteHours($token: String!, $after: Int!, $before: Int!) {
+        tokenHourDatas(first: 1000, orderBy: periodStartUnix, orderDirection: asc,
+          where: { token_: { id: $token }, periodStartUnix_gt: $after, periodStartUnix_lt: $before }) {
+          periodStartUnix priceUSD
+        }
+      }
+    `],
+  },
+};
+
+const positive = (v) => (Number(v) > 0 ? Number(v) : null);
+
+// Every v3 pool with `token` on either side, largest TVL first (lib/pools.js shape).
+export async function discoverPools(token) {
+  const data = await gql(uniswapV3Endpoint(), Q_POOLS, { token }, { timeout: 30000 });
+  return [...(data?.as0 || []), ...(data?.as1 || [])]
+    .map((p) => {
+      const side = p.token0.id.toLowerCase() === token ? 0 : 1;
+      const quote = side === 0 ? p.token1 : p.token0;
+      return {
+        dex: "uniswap-v3", address: p.id.toLowerCase(), feeTier: Number(p.feeTier), side,
+        quote: { id: quote.id.toLowerCase(), symbol: quote.symbol ?? null }, tvlUSD: Number(p.totalValueLockedUSD) || 0,
+      };
+    })
+    .sort((a, b) => b.tvlUSD - a.tvlUSD);
+}
+
+// The subgraph's pool OHLC is pool.token0Price (token0 per token1), i.e. token1
+// priced in token0: kept for side 1, inverted (high <-> low) for side 0, then
+// priced in USD at the quote token's close for the period.
+function toUSD(row, side, quoteUSD) {
+  const [o, h, l, c] = [row.open, row.high, row.low, row.close].map(positive);
+  const legs = side === 1 ? [o, h, l, c] : [o, l, h, c].map((v) => (v ? 1 / v : null));
+  return legs.map((v) => (v != null && quoteUSD != null ? v * quoteUSD : null));
+}
+
+// Yields pages of { ts, open, high, low, close, volumeUSD, tvlUSD, feesUSD } for
+// one pool (from discoverPools), oldest first; after/before in unix seconds.
+export async function* poolHistory(pool, { timeframe, after, before }) {
+  const { field, pool: [key, query], quote: [quoteKey, quoteQuery] } = POOL_SERIES[timeframe];
+  const url = uniswapV3Endpoint();
+  for await (const rows of gqlPages(url, query, { key, field, variables: { pool: pool.address }, after, before })) {
+    const quotes = new Map();
+    const span = { after: Number(rows[0][field]) - 1, before: Number(rows.at(-1)[field]) + 1 };
+    for await (const page of gqlPages(url, quoteQuery, { key: quoteKey, field, variables: { token: pool.quote.id }, ...span })) {
+      for (const q of page) quotes.set(Number(q[field]), positive(q.priceUSD));
+    }
+    yield rows.map((r) => {
+      const ts = Number(r[field]);
+      const [open, high, low, close] = toUSD(r, pool.side, quotes.get(ts) ?? null);
+      return {
+        ts: ts * 1000, open, high, low, close,
+        volumeUSD: Number(r.volumeUSD) || 0, tvlUSD: Number(r.tvlUSD) || 0, feesUSD: Number(r.feesUSD) || 0,
+      };
+    });
+  }
+}
+
+export default {
+  name: "uniswap-v3",
+  capabilities: { quote: true, history: ["1d"], ohlc: false, volume: "cumulative" },
+  requires: ["THEGRAPH_API_KEY", "UNIV3_SUBGRAPH_ID"],
+  chains: ["ethereum"],
+
+  async fetchQuote({ token }) {
+    const data = await gql(uniswapV3Endpoint(), Q_TOKEN_PRICE, { token }, { timeout: 12000 });
+    const priceUSD = Number(data?.token?.derivedETH) * Number(data?.bundle?.ethPriceUSD);
+    if (!isFinite(priceUSD) || priceUSD <= 0) throw new Error("uniswap-v3_failed: invalid price");
+    // token.volumeUSD is a lifetime counter across all v3 pools
+    const cumulative = Number(data?.token?.volumeUSD);
+    return {
+      provider: "uniswap-v3", priceUSD, pairAddress: null,
+      cumulativeVolumeUSD: Number.isFinite(cumulative) ? cumulative : null,
+    };
+  },
+
+  // Close + volume daily candles. from/to in ms.
+  async fetchHistory({ token }, { interval, from, to }) {
+    if (interval !== "1d") throw new Error(`uniswap-v3 history supports 1d only, not ${interval}`);
+    const out = [];
+    let after = Math.floor(from / 1000) - 1;
+    while (true) {
+      const data = await gql(uniswapV3Endpoint(), Q_TOKEN_DAYS, { token, after, before: Math.ceil(to / 1000) }, { timeout: 30000 });
+      const rows = data?.tokenDayDatas || [];
+      for (const r of rows) out.push({ ts: Number(r.date) * 1000, close: Number(r.priceUSD), volumeUSD: Number(r.volumeUSD) });
+      if (rows.length < 1000) break;
+      after = Number(rows.at(-1).date);
+    }
+    return out.filter((k) => k.close > 0);
+  },
+};
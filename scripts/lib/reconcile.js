@@ -0,0 +1,142 @@
+// =============================
+// File: scripts/lib/reconcile.js (ESM)
+// Purpose: Where the daily providers disagree: each provider's close and volume
+//          against the canonical figures of the day (lib/dailyRecord.js), with
+//          days flagged when a source is off by more than the threshold or
+//          missing. Run by `verify --reconcile` (sanity/verifyHistory.js).
+//
+// `<ns>_reconciliation/<YYYY-MM-DD>`, rewritten by every run over the day:
+//   { schemaVersion, date, token, chain,
+//     reference: { close, volumeUSD },
+//     providers: { <name>: { close, volumeUSD, closeDevPct, volumeDevPct } },
+//     missing: [<name>],                          // expected but without a close
+//     flags: [{ provider, field, deviationPct }],  // field: close | volumeUSD
+//     flagged, thresholds: { closePct, volumePct }, updatedAt }
+// Deviations are signed percentages of the reference, which is the day's
+// canonical close/volumeUSD (the median over the providers when the doc has
+// none). A provider is expected from its first day with a close in the range,
+// as in lib/gaps.js. Volume differs more between sources than price (each sees
+// different pools), hence its own threshold.
+//
+// Thresholds (percent): ZYPTO_RECONCILE_CLOSE_PCT (default 5),
+// ZYPTO_RECONCILE_VOLUME_PCT (default 50).
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { median } from "./consensus.js";
+import { SCHEMA_VERSION } from "./dailyRecord.js";
+
+export const DEFAULT_CLOSE_PCT = 5;
+export const DEFAULT_VOLUME_PCT = 50;
+const BATCH_SIZE = 400;
+const FIELDS = [["close", "closeDevPct", "closePct"], ["volumeUSD", "volumeDevPct", "volumePct"]];
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function envPct(env, key, fallback) {
+  if (env[key] == null || env[key] === "") return fallback;
+  const pct = Number(env[key]);
+  if (!(pct >= 0)) throw new Error(`${key} must be a percentage >= 0, got "${env[key]}"`);
+  return pct;
+}
+
+export function reconcileThresholds(env = process.env) {
+  return {
+    closePct: envPct(env, "ZYPTO_RECONCILE_CLOSE_PCT", DEFAULT_CLOSE_PCT),
+    volumePct: envPct(env, "ZYPTO_RECONCILE_VOLUME_PCT", DEFAULT_VOLUME_PCT),
+  };
+}
+
+const deviationPct = (v, ref) => (v == null || !(ref > 0) ? null : Number((((v - ref) / ref) * 100).toFixed(4)));
+
+// One daily doc -> reconciliation record. `expected`: providers that should have a close.
+export function reconcileDay(day, doc, { expected = [], thresholds = reconcileThresholds(), token, chain } = {}) {
+  const entries = Object.entries(doc?.providers || {}).filter(([, r]) => num(r?.close) != null).sort(([a], [b]) => a.localeCompare(b));
+  const reference = {
+    close: num(doc?.close) ?? median(entries.map(([, r]) => num(r.close))),
+    volumeUSD: num(doc?.volumeUSD) ?? median(entries.map(([, r]) => num(r.volumeUSD)).filter((v) => v != null)),
+  };
+  const providers = {};
+  const flags = [];
+  for (const [name, r] of entries) {
+    providers[name] = { close: num(r.close), volumeUSD: num(r.volumeUSD) };
+    for (const [field, key, limit] of FIELDS) {
+      const dev = deviationPct(providers[name][field], reference[field]);
+      providers[name][key] = dev;
+      if (dev != null && Math.abs(dev) > thresholds[limit]) flags.push({ provider: name, field, deviationPct: dev });
+    }
+  }
+  const missing = expected.filter((name) => !providers[name]).sort();
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    date: day,
+    token: token ?? doc?.token ?? null,
+    chain: chain ?? doc?.chain ?? null,
+    reference,
+    providers,
+    missing,
+    flags,
+    flagged: flags.length > 0 || missing.length > 0,
+    thresholds,
+    updatedAt: Date.now(),
+  };
+}
+
+// days = [[day, doc | null]] in order -> { <day>: [expected provider names] },
+// each provider expected from its first day with a close; `only` restricts the names.
+export function expectedProviders(days, only = null) {
+  const firstDay = {};
+  for (const [day, doc] of days) {
+    for (const [name, r] of Object.entries(doc?.providers || {})) {
+      if (num(r?.close) != null && !(name in firstDay) && (!only || only.includes(name))) firstDay[name] = day;
+    }
+  }
+  return Object.fromEntries(days.map(([day]) => [day, Object.keys(firstDay).filter((name) => firstDay[name] <= day)]));
+}
+
+export async function saveReconciliation(db, records, { collections = COLLECTIONS } = {}) {
+  const ref = db.collection(collections.reconciliation);
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const r of records.slice(i, i + BATCH_SIZE)) batch.set(ref.doc(r.date), r);
+    await batch.commit();
+  }
+  return records.length;
+}
+
+const fmt = (v) => (v == null ? "-" : Number(v.toPrecision(6)).toString());
+const fmtPct = (v) => (v == null ? "" : ` (${v > 0 ? "+" : ""}${v.toFixed(2)}%)`);
+
+// Summary of one token's run as Markdown: a close and a volume table, one row per day.
+export function reconciliationMarkdown({ token, from, to, records }) {
+  const names = [...new Set(records.flatMap((r) => [...Object.keys(r.providers), ...r.missing]))].sort();
+  const flagged = records.filter((r) => r.flagged);
+  const thresholds = records[0]?.thresholds ?? reconcileThresholds();
+  const lines = [
+    `# Reconciliation: ${token} ${from}..${to}`,
+    "",
+    `${records.length} days, ${flagged.length} flagged (close > ${thresholds.closePct}%, volume > ${thresholds.volumePct}% off the canonical value, or a source missing).`,
+  ];
+  for (const [field, key, title] of [["close", "closeDevPct", "Close"], ["volumeUSD", "volumeDevPct", "Volume (USD)"]]) {
+    lines.push("", `## ${title}`, "", `| Day | Canonical | ${names.join(" | ")} |`, `|---|---:|${names.map(() => "---:|").join("")}`);
+    for (const r of records) {
+      const cells = names.map((n) => (r.missing.includes(n) ? "missing" : r.providers[n] ? `${fmt(r.providers[n][field])}${fmtPct(r.providers[n][key])}` : ""));
+      lines.push(`| ${r.flagged ? `**${r.date}**` : r.date} | ${fmt(r.reference[field])} | ${cells.join(" | ")} |`);
+    }
+  }
+  if (flagged.length) {
+    lines.push("", "## Flagged days", "");
+    for (const r of flagged) {
+      const why = [
+        ...r.flags.map((f) => `${f.provider} ${f.field === "close" ? "close" : "volume"}${fmtPct(f.deviationPct)}`),
+        ...r.missing.map((n) => `${n} missing`),
+      ];
+      lines.push(`- ${r.date}: ${why.join(", ")}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
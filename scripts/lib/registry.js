@@ -0,0 +1,83 @@
+// =============================
+// File: scripts/lib/registry.js (ESM)
+// Purpose: The tokens this repo tracks — config/tokens.json, or the file at
+//          ZYPTO_TOKENS_FILE:
+//
+//   { "tokens": [ { "id": "zypto", "symbol": "ZYPTO", "chain": "ethereum",
+//                   "address": "0x…", "decimals": 18, "coingeckoId": null,
+//                   "geckoterminalNetwork": "eth",
+//                   "pools": { "uniswap-v2": "0x…", "uniswap-v3": "0x…" } } ] }
+//
+// `id` namespaces the token's collections (lib/collections.js).
+// `chain` is the CoinGecko asset platform / DexScreener chain id.
+// `pools` is keyed by DEX; the first entry is the token's main pair (DexScreener
+// and GeckoTerminal quotes, the GeckoTerminal backfill).
+// `coingeckoId` is optional; CoinGecko history is fetched by id when set,
+// by contract address otherwise.
+// `thinLiquidityUSD` is optional: below it a day counts as thin (lib/liquidity.js).
+// =============================
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+export const DEFAULT_REGISTRY_PATH = path.join(ROOT, "config", "tokens.json");
+
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+const ADDRESS_RE = /^0x[0-9a-f]{40}$/;
+
+export function registryPath(env = process.env) {
+  return env.ZYPTO_TOKENS_FILE ? path.resolve(env.ZYPTO_TOKENS_FILE) : DEFAULT_REGISTRY_PATH;
+}
+
+function address(v, where) {
+  const a = String(v || "").toLowerCase();
+  if (!ADDRESS_RE.test(a)) throw new Error(`${where}: "${v}" is not a 0x address`);
+  return a;
+}
+
+export function normalizeToken(raw, i = 0) {
+  const where = `tokens[${i}]${raw?.id ? ` (${raw.id})` : ""}`;
+  if (!ID_RE.test(raw?.id || "")) throw new Error(`${where}: id must match ${ID_RE}`);
+  if (!raw.chain) throw new Error(`${where}: chain is required`);
+  const decimals = raw.decimals == null ? null : Number(raw.decimals);
+  if (decimals != null && !Number.isInteger(decimals)) throw new Error(`${where}: decimals must be an integer`);
+  const thin = raw.thinLiquidityUSD == null ? null : Number(raw.thinLiquidityUSD);
+  if (thin != null && !(thin >= 0)) throw new Error(`${where}: thinLiquidityUSD must be a non-negative number`);
+  return {
+    id: raw.id,
+    symbol: raw.symbol || raw.id.toUpperCase(),
+    chain: raw.chain,
+    address: address(raw.address, `${where}.address`),
+    decimals,
+    coingeckoId: raw.coingeckoId || null,
+    geckoterminalNetwork: raw.geckoterminalNetwork || null,
+    thinLiquidityUSD: thin,
+    pools: Object.fromEntries(Object.entries(raw.pools || {}).map(([dex, a]) => [dex, address(a, `${where}.pools.${dex}`)])),
+  };
+}
+
+const cache = new Map();
+
+// -> normalized entries, in file order. Read once per path.
+export function loadRegistry(env = process.env) {
+  const file = registryPath(env);
+  if (cache.has(file)) return cache.get(file);
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  const tokens = (json.tokens || []).map(normalizeToken);
+  if (!tokens.length) throw new Error(`${file}: no tokens`);
+  const ids = new Set();
+  for (const t of tokens) {
+    if (ids.has(t.id)) throw new Error(`${file}: duplicate token id "${t.id}"`);
+    ids.add(t.id);
+  }
+  cache.set(file, tokens);
+  return tokens;
+}
+
+// By registry id or contract address.
+export function findToken(registry, key) {
+  const k = String(key).toLowerCase();
+  return registry.find((t) => t.id === k || t.address === k) || null;
+}
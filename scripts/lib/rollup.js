@@ -0,0 +1,139 @@
+// =============================
+// File: scripts/lib/rollup.js (ESM)
+// Purpose: Hourly -> daily rollup. A provider's daily record is always
+//          recomputed from its hourly docs (never incremented), inside one
+//          Firestore transaction per day, so reruns of the same hour, late
+//          samples and out-of-order writes all converge to the same doc.
+//
+//   open/close — open of the day's first hourly candle / close of its last
+//   high/low   — max/min over the day's hourly candles (lib/hourlyRecord.js;
+//                an hour without one counts as its sample price)
+//   volumeUSD  — sum of interval volumes whose interval starts in the day
+//                (the 00:xx sample of the next day usually carries one)
+//
+// The canonical hourly candle is derived the same way the canonical daily
+// OHLC is: consensus over the providers' candles for the hour (rollupHour).
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+import { SCHEMA_VERSION, buildDailyDoc, dailyRef, deriveCanonical, providerRecord } from "./dailyRecord.js";
+import { hourOhlc } from "./hourlyRecord.js";
+import { ymd, ymdh } from "./time.js";
+
+// Hour docs that can hold data for `day`: its own 24 hours plus the first two
+// of the next day (intervals sampled after midnight but starting before it).
+export function hourIdsForDay(day) {
+  const start = Date.parse(`${day}T00:00:00Z`);
+  const ids = [];
+  for (let h = 0; h < 26; h++) {
+    const d = new Date(start + h * 3600 * 1000);
+    ids.push(`${ymd(d)}-${String(d.getUTCHours()).padStart(2, "0")}`);
+  }
+  return ids;
+}
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Hour id a doc belongs to (older docs may lack `hour`).
+const hourOf = (h) => h.hour ?? (num(h.ts) != null ? ymdh(h.ts) : null);
+
+// hours = per-provider hourly docs (any subset of hourIdsForDay(day)). Returns
+// a provider sub-record, or null when nothing in `hours` belongs to the day.
+export function rollupProviderDay(day, hours) {
+  const candles = hours
+    .filter((h) => hourOf(h)?.slice(0, 10) === day && hourOhlc(h))
+    .sort((a, b) => hourOf(a).localeCompare(hourOf(b)));
+  const intervals = hours
+    .filter((h) => num(h.volumeUSD) != null && num(h.intervalStart) != null && ymd(h.intervalStart) === day);
+  if (!candles.length && !intervals.length) return null;
+
+  const ohlc = candles.map(hourOhlc);
+  const first = candles[0];
+  const last = candles.at(-1);
+  return providerRecord({
+    open: ohlc[0]?.open,
+    high: ohlc.length ? Math.max(...ohlc.map((k) => k.high)) : null,
+    low: ohlc.length ? Math.min(...ohlc.map((k) => k.low)) : null,
+    close: ohlc.at(-1)?.close,
+    volumeUSD: intervals.length ? intervals.reduce((a, h) => a + num(h.volumeUSD), 0) : null,
+    volume24hUSD: last?.volume24hUSD,
+    liquidityUSD: last?.liquidityUSD,
+    firstTs: first?.samples?.[0]?.ts ?? first?.ts,
+    lastTs: last?.ts,
+    backfilled: candles.some((h) => h.backfilled === true),
+  });
+}
+
+function hoursRef(db, collections, provider) {
+  return db.collection(collections.hourlyProviders).doc(provider).collection("hours");
+}
+
+function providerDayRef(db, collections, provider, day) {
+  return db.collection(collections.dailyProviders).doc(provider).collection("days").doc(day);
+}
+
+// Recompute `providers` for one day from their hourly docs and rewrite the daily
+// doc + the per-provider day docs. Providers with no hourly data for the day
+// (e.g. backfill-only days) are left untouched. `collections` picks the
+// token's namespace (lib/collections.js). Resolves the daily doc, or null for a
+// day with neither hourly data nor a daily doc (nothing is written then).
+export async function rollupDay(db, day, providers, meta = {}, { collections = COLLECTIONS } = {}) {
+  const ids = hourIdsForDay(day);
+  const ref = dailyRef(db, day, collections);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const updates = {};
+    for (const p of providers) {
+      const snaps = await tx.getAll(...ids.map((id) => hoursRef(db, collections, p).doc(id)));
+      const record = rollupProviderDay(day, snaps.filter((s) => s.exists).map((s) => s.data()));
+      if (record) updates[p] = record;
+    }
+    if (!snap.exists && !Object.keys(updates).length) return null;
+    const doc = buildDailyDoc(day, snap.exists ? snap.data() : null, updates, meta);
+    tx.set(ref, doc, { merge: true });
+    for (const p of Object.keys(updates)) {
+      tx.set(providerDayRef(db, collections, p, day), { schemaVersion: SCHEMA_VERSION, date: day, ...doc.providers[p] });
+    }
+    return doc;
+  });
+}
+
+// Recompute the canonical candle of `hour` from `providers`' hourly docs
+// (deriveCanonical in lib/dailyRecord.js; volume from the canonical source) and
+// merge it into the canonical hourly doc. Hours without a canonical doc are left
+// to the repair job. Resolves the candle fields written, or null.
+export async function rollupHour(db, hour, providers, { collections = COLLECTIONS } = {}) {
+  const ref = db.collection(collections.hourly).doc(hour);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || !providers.length) return null;
+    const snaps = await tx.getAll(...providers.map((p) => hoursRef(db, collections, p).doc(hour)));
+    const candles = {};
+    snaps.forEach((s, i) => {
+      const ohlc = s.exists ? hourOhlc(s.data()) : null;
+      if (ohlc) {
+        const d = s.data();
+        candles[providers[i]] = {
+          ...ohlc, volumeUSD: d.candleVolumeUSD, liquidityUSD: d.liquidityUSD, ohlcSource: d.ohlcSource ?? "samples",
+        };
+      }
+    });
+    const c = deriveCanonical(candles);
+    if (!c) return null;
+    const fields = {
+      open: c.open, high: c.high, low: c.low, close: c.close,
+      candleVolumeUSD: c.volumeUSD, ohlcSource: candles[c.canonicalSource].ohlcSource,
+    };
+    tx.set(ref, fields, { merge: true });
+    return fields;
+  });
+}
+
+// Provider names that have an hourly subcollection.
+export async function hourlyProviderNames(db, collections = COLLECTIONS) {
+  return (await db.collection(collections.hourlyProviders).listDocuments()).map((r) => r.id);
+}
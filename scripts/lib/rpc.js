@@ -0,0 +1,83 @@
+// =============================
+// File: scripts/lib/rpc.js (ESM)
+// Purpose: Minimal Ethereum JSON-RPC client: eth_blockNumber / eth_call /
+//          eth_getLogs / eth_getBlockByNumber plus decoding of the few static
+//          return types we read from pools. No ABI library — every call we
+//          make takes no arguments.
+// =============================
+
+import { postJSON } from "./http.js";
+
+let nextId = 1;
+
+export async function rpc(url, method, params = [], opts = {}) {
+  const json = await postJSON(url, { jsonrpc: "2.0", id: nextId++, method, params }, opts);
+  if (json.error) throw new Error(`rpc ${method} error ${json.error.code}: ${json.error.message}`);
+  return json.result;
+}
+
+export async function blockNumber(url) {
+  return Number(BigInt(await rpc(url, "eth_blockNumber")));
+}
+
+// `block` is a number or "latest"; pin every call of one quote to the same block.
+export async function ethCall(url, to, selector, block = "latest") {
+  const tag = typeof block === "number" ? `0x${block.toString(16)}` : block;
+  return rpc(url, "eth_call", [{ to, data: selector }, tag]);
+}
+
+// Selectors (first 4 bytes of keccak256 of the signature)
+export const SELECTORS = {
+  getReserves: "0x0902f1ac", // getReserves() -> (uint112, uint112, uint32)
+  token0: "0x0dfe1681",      // token0() -> address
+  token1: "0xd21220a7",      // token1() -> address
+  decimals: "0x313ce567",    // decimals() -> uint8
+};
+
+// Event topics (keccak256 of the event signature)
+export const TOPICS = {
+  uniswapV2Swap: "0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822", // Swap(address,uint256,uint256,uint256,uint256,address)
+};
+
+const hexBlock = (block) => (typeof block === "number" ? `0x${block.toString(16)}` : block);
+
+// Logs of `address` matching `topics` in [fromBlock, toBlock], as returned by the node.
+export async function getLogs(url, { address, topics, fromBlock, toBlock }) {
+  return rpc(url, "eth_getLogs", [{ address, topics, fromBlock: hexBlock(fromBlock), toBlock: hexBlock(toBlock) }], { timeout: 30000 });
+}
+
+// -> { number, timestamp (unix seconds) }
+export async function getBlock(url, block) {
+  const b = await rpc(url, "eth_getBlockByNumber", [hexBlock(block), false]);
+  if (!b) throw new Error(`rpc eth_getBlockByNumber: no block ${block}`);
+  return { number: Number(BigInt(b.number)), timestamp: Number(BigInt(b.timestamp)) };
+}
+
+// First block with a timestamp >= `ts` (unix seconds), by bisection up to `latest`.
+export async function blockAtTime(url, ts, latest) {
+  let lo = 0;
+  let hi = latest ?? await blockNumber(url);
+  if ((await getBlock(url, hi)).timestamp < ts) return hi + 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await getBlock(url, mid)).timestamp < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function decodeWords(hex) {
+  const body = String(hex || "").replace(/^0x/, "");
+  if (!body.length || body.length % 64) throw new Error(`bad eth_call result: ${String(hex).slice(0, 80)}`);
+  const words = [];
+  for (let i = 0; i < body.length; i += 64) words.push(BigInt(`0x${body.slice(i, i + 64)}`));
+  return words;
+}
+
+export function decodeUint(hex, index = 0) {
+  return decodeWords(hex)[index];
+}
+
+export function decodeAddress(hex) {
+  return `0x${decodeWords(hex)[0].toString(16).padStart(40, "0")}`;
+}
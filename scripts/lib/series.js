@@ -0,0 +1,81 @@
+// =============================
+// File: scripts/lib/series.js (ESM)
+// Purpose: Reading a stored series back out — the canonical or one provider's
+//          daily/hourly collection, or the derived 4h/weekly/monthly candles
+//          (lib/candles.js, canonical only), scanned in doc-id order with
+//          paginated range queries (ids sort chronologically), and the one
+//          candle shape readers hand out (HTTP API, exports):
+//
+//   { id, time (ISO interval start), open, high, low, close, volumeUSD, sources, backfilled }
+//
+// Legs a doc doesn't store are null (hourly docs from before hours carried a
+// candle only have their sample, read as the close). An hourly doc's volume is
+// the one traded in its own hour (`candleVolumeUSD`, lib/hourlyRecord.js).
+// =============================
+
+import { RESOLUTIONS } from "./candles.js";
+import { periodStart } from "./time.js";
+
+export const INTERVALS = ["1d", "1h", ...Object.keys(RESOLUTIONS)];
+export const PROVIDER_INTERVALS = ["1d", "1h"];
+export const CANDLE_FIELDS = ["id", "time", "open", "high", "low", "close", "volumeUSD", "sources", "backfilled"];
+const DEFAULT_PAGE_SIZE = 500;
+
+// Canonical or per-provider (`provider` set) collection for `interval`.
+export function seriesCollection(db, collections, interval, provider = null) {
+  if (RESOLUTIONS[interval]) {
+    if (provider) throw new Error(`per-provider series are only stored for ${PROVIDER_INTERVALS.join("|")}`);
+    return db.collection(collections[RESOLUTIONS[interval].collection]);
+  }
+  if (interval === "1d") {
+    return provider ? db.collection(collections.dailyProviders).doc(provider).collection("days") : db.collection(collections.daily);
+  }
+  return provider ? db.collection(collections.hourlyProviders).doc(provider).collection("hours") : db.collection(collections.hourly);
+}
+
+// First and last doc id of the periods overlapping the days [from, to].
+function idRange(interval, from, to) {
+  if (interval === "1d") return [from, to];
+  if (interval === "1h" || interval === "4h") return [`${from}-00`, `${to}-23`];
+  const { key } = RESOLUTIONS[interval];
+  return [key(Date.parse(`${from}T00:00:00Z`)), key(Date.parse(`${to}T00:00:00Z`))];
+}
+
+// Docs of the periods overlapping the days [from, to], oldest first.
+export function rangeQuery(collection, FieldPath, { interval, from, to }) {
+  const [lo, hi] = idRange(interval, from, to);
+  return collection
+    .where(FieldPath.documentId(), ">=", lo)
+    .where(FieldPath.documentId(), "<=", hi)
+    .orderBy(FieldPath.documentId());
+}
+
+// Yields pages of [id, doc] until the range is exhausted; never holds more
+// than one page.
+export async function* scanSeries(collection, FieldPath, { interval, from, to, pageSize = DEFAULT_PAGE_SIZE }) {
+  const base = rangeQuery(collection, FieldPath, { interval, from, to }).limit(pageSize);
+  let cursor = null;
+  while (true) {
+    const snap = await (cursor ? base.startAfter(cursor) : base).get();
+    if (snap.empty) return;
+    yield snap.docs.map((s) => [s.id, s.data()]);
+    if (snap.docs.length < pageSize) return;
+    cursor = snap.docs.at(-1).id;
+  }
+}
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+export function toCandle(id, d) {
+  return {
+    id,
+    time: new Date(periodStart(id)).toISOString(),
+    open: num(d.open),
+    high: num(d.high),
+    low: num(d.low),
+    close: num(d.close) ?? num(d.priceUSD),
+    volumeUSD: d.ohlcSource ? num(d.candleVolumeUSD) : num(d.volumeUSD),
+    sources: d.sources ?? null,
+    backfilled: d.backfilled === true,
+  };
+}
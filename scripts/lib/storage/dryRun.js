@@ -0,0 +1,67 @@
+// =============================
+// File: scripts/lib/storage/dryRun.js (ESM)
+// Purpose: Wrap any store so writes land in an in-memory overlay instead of
+//          the real backend — what `zypto-history --dry-run` runs against.
+//
+// Document reads see the overlay first and fall back to the wrapped store, so
+// a run that reads back what it wrote (rollups, checkpoints) behaves as it
+// would for real. Queries and listDocuments() go to the wrapped store
+// (listDocuments() also includes ids only the overlay has).
+//
+// Each committed write is recorded as { op, path, merge, data } where `data`
+// is the whole doc as it would be stored afterwards (null for deletes).
+// =============================
+
+import { LocalStore } from "./localStore.js";
+
+const QUERY_METHODS = ["where", "orderBy", "limit", "startAfter", "startAt", "get"];
+
+class DryRunStore extends LocalStore {
+  constructor(base, onWrite) {
+    super(null);
+    this.base = base;
+    this.onWrite = onWrite;
+    this.writes = [];
+    this._seeded = new Set();
+  }
+
+  // Copy the real doc into the overlay the first time a path is touched.
+  async _seed(docPath) {
+    if (this._seeded.has(docPath)) return;
+    this._seeded.add(docPath);
+    const snap = await this.base.doc(docPath).get();
+    if (snap.exists) this.docs.set(docPath, snap.data());
+  }
+
+  async _snapshot(ref) {
+    await this._seed(ref.path);
+    return super._snapshot(ref);
+  }
+
+  async _commit(writes) {
+    for (const w of writes) await this._seed(w.ref.path);
+    super._commit(writes);
+    for (const w of writes) {
+      const entry = { op: w.type, path: w.ref.path, merge: !!w.merge, data: this.docs.get(w.ref.path) ?? null };
+      this.writes.push(entry);
+      this.onWrite?.(entry);
+    }
+  }
+
+  collection(collPath) {
+    const coll = super.collection(collPath);
+    const real = this.base.collection(collPath);
+    for (const m of QUERY_METHODS) coll[m] = real[m].bind(real);
+    coll.listDocuments = async () => {
+      const ids = new Set([...(await real.listDocuments()).map((r) => r.id), ...this._childIds(collPath)]);
+      return [...ids].sort().map((id) => coll.doc(id));
+    };
+    return coll;
+  }
+}
+
+// onWrite(entry) is called after every committed write; all of them are also
+// kept on `.writes`.
+export function createDryRunStore(base, { onWrite } = {}) {
+  return new DryRunStore(base, onWrite);
+}
@@ -0,0 +1,50 @@
+// =============================
+// File: scripts/lib/storage/index.js (ESM)
+// Purpose: Pick the document store the scripts read and write. Every backend
+//          exposes the Firestore Admin API subset this repo uses (collection/doc,
+//          get/set/update/delete, getAll, batch, runTransaction, listDocuments,
+//          where/orderBy/limit/startAfter), so callers only ever see `db`.
+//
+//   firestore  production Firestore — FIREBASE_* env or scripts/secrets/serviceAccount.json
+//   emulator   Firestore emulator at FIRESTORE_EMULATOR_HOST (default 127.0.0.1:8080), no credentials
+//   local      JSON-lines file at ZYPTO_STORE_PATH (default .zypto/store.jsonl), fully offline
+//   memory     in-process only, gone on exit
+//
+// Env: ZYPTO_STORE=firestore|emulator|local|memory — defaults to "emulator"
+// when FIRESTORE_EMULATOR_HOST is set, "firestore" otherwise.
+// =============================
+
+import { FieldPath, FieldValue, createLocalStore, createMemoryStore } from "./localStore.js";
+
+export const BACKENDS = ["firestore", "emulator", "local", "memory"];
+export const DEFAULT_LOCAL_PATH = ".zypto/store.jsonl";
+const DEFAULT_EMULATOR_HOST = "127.0.0.1:8080";
+
+export function storeKind(env = process.env) {
+  const kind = (env.ZYPTO_STORE || (env.FIRESTORE_EMULATOR_HOST ? "emulator" : "firestore")).toLowerCase();
+  if (!BACKENDS.includes(kind)) throw new Error(`ZYPTO_STORE must be one of ${BACKENDS.join("|")}, got "${kind}"`);
+  return kind;
+}
+
+// -> { kind, db, FieldValue, FieldPath, close() }
+export async function openStore(env = process.env) {
+  const kind = storeKind(env);
+  if (kind === "local" || kind === "memory") {
+    const db = kind === "local" ? createLocalStore(env.ZYPTO_STORE_PATH || DEFAULT_LOCAL_PATH) : createMemoryStore();
+    console.log(`[store] ${kind}${db.file ? ` (${db.file})` : ""}`);
+    return { kind, db, FieldValue, FieldPath, close: () => db.terminate() };
+  }
+
+  // firebase-admin reads the emulator address from the environment.
+  if (kind === "emulator" && !env.FIRESTORE_EMULATOR_HOST) process.env.FIRESTORE_EMULATOR_HOST = DEFAULT_EMULATOR_HOST;
+  const { initAdmin } = await import("../../firebaseAdmin.js");
+  const { admin, db } = initAdmin();
+  if (kind === "emulator") console.log(`[store] emulator (${process.env.FIRESTORE_EMULATOR_HOST})`);
+  return {
+    kind,
+    db,
+    FieldValue: admin.firestore.FieldValue,
+    FieldPath: admin.firestore.FieldPath,
+    close: () => db.terminate(),
+  };
+}
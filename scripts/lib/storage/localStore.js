@@ -0,0 +1,446 @@
+// =============================
+// File: scripts/lib/storage/localStore.js (ESM)
+// Purpose: Offline stand-in for Firestore: the same collection/doc/query API
+//          (the subset this repo uses), held in memory and optionally
+//          persisted to a JSON-lines file.
+//
+// File format: one write per line, replayed in order on open —
+//   {"op":"set","path":"zypto_prices_daily/2024-05-01","data":{...}}
+//   {"op":"delete","path":"..."}
+// Batches and transactions append all their lines in one write. The log is
+// compacted on open once it holds more than twice as many lines as docs.
+//
+// Semantics follow Firestore where the repo relies on them: set() replaces,
+// set(…, { merge: true }) deep-merges maps, update() needs an existing doc,
+// listDocuments() includes docs that only have subcollections, queries skip
+// docs missing the orderBy field, `undefined` values are rejected.
+// Server timestamps are stored as ISO strings.
+// =============================
+
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// ---- field values ----
+
+class Sentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+export const FieldValue = {
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  delete: () => new Sentinel("delete"),
+  increment: (n) => new Sentinel("increment", n),
+};
+
+const DOCUMENT_ID = "__name__";
+export const FieldPath = { documentId: () => DOCUMENT_ID };
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Sentinel) && !(v instanceof Date);
+}
+
+function resolveSentinel(s, prev) {
+  if (s.kind === "serverTimestamp") return new Date().toISOString();
+  if (s.kind === "increment") return (typeof prev === "number" ? prev : 0) + s.operand;
+  throw new Error(`FieldValue.${s.kind}() is only allowed at the top level of set(…, { merge: true }) / update()`);
+}
+
+// Validate + deep-copy a value being written.
+function encode(v, field, prev) {
+  if (v === undefined) throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${field}")`);
+  if (v instanceof Sentinel) return resolveSentinel(v, prev);
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) return v.map((x, i) => encode(x, `${field}.${i}`));
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = encode(x, `${field}.${k}`, prev?.[k]);
+    return out;
+  }
+  if (typeof v === "bigint") return Number(v);
+  return v;
+}
+
+function mergeInto(target, src, prefix = "") {
+  for (const [k, v] of Object.entries(src)) {
+    const field = prefix ? `${prefix}.${k}` : k;
+    if (v instanceof Sentinel && v.kind === "delete") delete target[k];
+    else if (isPlainObject(v) && isPlainObject(target[k])) mergeInto(target[k], v, field);
+    else target[k] = encode(v, field, target[k]);
+  }
+}
+
+function getField(data, field) {
+  return field.split(".").reduce((o, k) => (o == null ? undefined : o[k]), data);
+}
+
+// ---- ordering (Firestore type order, then value) ----
+
+function typeRank(v) {
+  if (v === null) return 0;
+  if (typeof v === "boolean") return 1;
+  if (typeof v === "number") return 2;
+  if (typeof v === "string") return 3;
+  if (Array.isArray(v)) return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 2 || ra === 1) return Number(a) - Number(b);
+  if (ra === 3) return a < b ? -1 : a > b ? 1 : 0;
+  return JSON.stringify(a).localeCompare(JSON.stringify(b));
+}
+
+const WHERE_OPS = {
+  "==": (v, x) => compareValues(v, x) === 0 && typeRank(v) === typeRank(x),
+  "!=": (v, x) => v !== undefined && !(compareValues(v, x) === 0 && typeRank(v) === typeRank(x)),
+  "<": (v, x) => typeRank(v) === typeRank(x) && compareValues(v, x) < 0,
+  "<=": (v, x) => typeRank(v) === typeRank(x) && compareValues(v, x) <= 0,
+  ">": (v, x) => typeRank(v) === typeRank(x) && compareValues(v, x) > 0,
+  ">=": (v, x) => typeRank(v) === typeRank(x) && compareValues(v, x) >= 0,
+  "in": (v, xs) => xs.some((x) => WHERE_OPS["=="](v, x)),
+  "not-in": (v, xs) => v !== undefined && !xs.some((x) => WHERE_OPS["=="](v, x)),
+  "array-contains": (v, x) => Array.isArray(v) && v.some((y) => WHERE_OPS["=="](y, x)),
+  "array-contains-any": (v, xs) => Array.isArray(v) && v.some((y) => xs.some((x) => WHERE_OPS["=="](y, x))),
+};
+
+// ---- snapshots ----
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data != null;
+    this._data = data;
+  }
+
+  data() {
+    return this._data == null ? undefined : structuredClone(this._data);
+  }
+
+  get(field) {
+    return field === DOCUMENT_ID ? this.id : structuredClone(getField(this._data, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+// ---- references + queries ----
+
+function fieldOf(snapOrData, field, id) {
+  return field === DOCUMENT_ID ? id : getField(snapOrData, field);
+}
+
+class Query {
+  constructor(store, collPath, spec = {}) {
+    this._store = store;
+    this._path = collPath;
+    this._spec = { filters: [], orders: [], limit: null, cursor: null, ...spec };
+  }
+
+  _with(patch) {
+    return new Query(this._store, this._path, { ...this._spec, ...patch });
+  }
+
+  where(field, op, value) {
+    if (!WHERE_OPS[op]) throw new Error(`unsupported where operator "${op}"`);
+    return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._spec.orders, { field, dir: direction === "desc" ? -1 : 1 }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  // Values (one per orderBy, or a document id when ordering by id) or a snapshot.
+  startAfter(...values) {
+    return this._with({ cursor: { values, inclusive: false } });
+  }
+
+  startAt(...values) {
+    return this._with({ cursor: { values, inclusive: true } });
+  }
+
+  async get() {
+    const { filters, orders, limit, cursor } = this._spec;
+    let rows = this._store._children(this._path)
+      .map(([id, data]) => ({ id, data }))
+      .filter(({ id, data }) => filters.every((f) => WHERE_OPS[f.op](fieldOf(data, f.field, id), f.value)))
+      .filter(({ id, data }) => orders.every((o) => fieldOf(data, o.field, id) !== undefined));
+
+    const keys = [...orders];
+    if (!keys.some((o) => o.field === DOCUMENT_ID)) keys.push({ field: DOCUMENT_ID, dir: keys.at(-1)?.dir ?? 1 });
+    const cmp = (a, b) => {
+      for (const o of keys) {
+        const c = compareValues(fieldOf(a.data, o.field, a.id), fieldOf(b.data, o.field, b.id));
+        if (c) return c * o.dir;
+      }
+      return 0;
+    };
+    rows.sort(cmp);
+
+    if (cursor) {
+      const [first] = cursor.values;
+      const pos = first instanceof DocumentSnapshot
+        ? keys.map((o) => fieldOf(first._data, o.field, first.id))
+        : cursor.values;
+      const vsCursor = (r) => {
+        for (const [i, o] of keys.entries()) {
+          if (i >= pos.length) return 0;
+          const c = compareValues(fieldOf(r.data, o.field, r.id), pos[i]);
+          if (c) return c * o.dir;
+        }
+        return 0;
+      };
+      rows = rows.filter((r) => (cursor.inclusive ? vsCursor(r) >= 0 : vsCursor(r) > 0));
+    }
+    if (limit != null) rows = rows.slice(0, limit);
+    return new QuerySnapshot(rows.map(({ id, data }) => new DocumentSnapshot(new DocumentReference(this._store, `${this._path}/${id}`), data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collPath) {
+    super(store, collPath);
+    this.path = collPath;
+    this.id = collPath.split("/").at(-1);
+  }
+
+  doc(id = randomUUID().replace(/-/g, "").slice(0, 20)) {
+    return new DocumentReference(this._store, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this._store._childIds(this.path).map((id) => this.doc(id));
+  }
+}
+
+class DocumentReference {
+  constructor(store, docPath) {
+    const parts = docPath.split("/");
+    if (parts.length % 2) throw new Error(`"${docPath}" is not a document path`);
+    this._store = store;
+    this.path = docPath;
+    this.id = parts.at(-1);
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this.path.split("/").slice(0, -1).join("/"));
+  }
+
+  collection(name) {
+    return this._store.collection(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._store._snapshot(this);
+  }
+
+  async set(data, opts) {
+    await this._store._commit([{ type: "set", ref: this, data, merge: !!opts?.merge }]);
+  }
+
+  async update(data) {
+    await this._store._commit([{ type: "update", ref: this, data }]);
+  }
+
+  async delete() {
+    await this._store._commit([{ type: "delete", ref: this }]);
+  }
+}
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, opts) {
+    this._writes.push({ type: "set", ref, data, merge: !!opts?.merge });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: "update", ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: "delete", ref });
+    return this;
+  }
+
+  async commit() {
+    await this._store._commit(this._writes);
+    this._writes = [];
+  }
+}
+
+// Single process, so a transaction is just reads + one buffered commit.
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery instanceof DocumentReference ? this._store._snapshot(refOrQuery) : refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((r) => this._store._snapshot(r)));
+  }
+}
+
+// ---- store ----
+
+// Every read goes through _snapshot() and every write through _commit(); both
+// may be async in subclasses (see dryRun.js).
+export class LocalStore {
+  constructor(file = null) {
+    this.file = file;
+    this.docs = new Map(); // doc path -> data
+    if (file) this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      return;
+    }
+    let lines = 0;
+    for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      lines++;
+      const w = JSON.parse(line);
+      if (w.op === "delete") this.docs.delete(w.path);
+      else this.docs.set(w.path, w.data);
+    }
+    if (lines > 2 * this.docs.size + 100) this._compact();
+  }
+
+  _compact() {
+    const tmp = `${this.file}.tmp`;
+    const body = [...this.docs].map(([p, data]) => JSON.stringify({ op: "set", path: p, data })).join("\n");
+    fs.writeFileSync(tmp, body ? `${body}\n` : "");
+    fs.renameSync(tmp, this.file);
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this.docs.get(ref.path) ?? null);
+  }
+
+  // [id, data] of the docs directly inside `collPath`.
+  _children(collPath) {
+    const depth = collPath.split("/").length + 1;
+    const out = [];
+    for (const [p, data] of this.docs) {
+      if (p.startsWith(`${collPath}/`) && p.split("/").length === depth) out.push([p.split("/").at(-1), data]);
+    }
+    return out;
+  }
+
+  // Ids of docs in `collPath`, including ones that only have subcollections.
+  _childIds(collPath) {
+    const ids = new Set();
+    for (const p of this.docs.keys()) {
+      if (p.startsWith(`${collPath}/`)) ids.add(p.slice(collPath.length + 1).split("/")[0]);
+    }
+    return [...ids].sort();
+  }
+
+  // Apply all writes or none.
+  _commit(writes) {
+    const next = new Map();
+    const current = (p) => (next.has(p) ? next.get(p) : this.docs.get(p) ?? null);
+    for (const w of writes) {
+      const p = w.ref.path;
+      if (w.type === "delete") {
+        next.set(p, null);
+      } else if (w.type === "update") {
+        const prev = current(p);
+        if (!prev) throw Object.assign(new Error(`5 NOT_FOUND: No document to update: ${p}`), { code: 5 });
+        const doc = structuredClone(prev);
+        for (const [field, v] of Object.entries(w.data)) {
+          const parts = field.split(".");
+          let o = doc;
+          for (const k of parts.slice(0, -1)) o = isPlainObject(o[k]) ? o[k] : (o[k] = {});
+          const last = parts.at(-1);
+          if (v instanceof Sentinel && v.kind === "delete") delete o[last];
+          else o[last] = encode(v, field, o[last]); // update() replaces maps, unlike merge
+        }
+        next.set(p, doc);
+      } else if (w.merge) {
+        const doc = structuredClone(current(p) || {});
+        mergeInto(doc, w.data);
+        next.set(p, doc);
+      } else {
+        next.set(p, encode(w.data, "", null));
+      }
+    }
+
+    const lines = [];
+    for (const [p, data] of next) {
+      if (data == null) this.docs.delete(p);
+      else this.docs.set(p, data);
+      lines.push(JSON.stringify(data == null ? { op: "delete", path: p } : { op: "set", path: p, data }));
+    }
+    if (this.file && lines.length) fs.appendFileSync(this.file, `${lines.join("\n")}\n`);
+  }
+
+  // ---- Firestore-shaped API ----
+
+  collection(collPath) {
+    return new CollectionReference(this, collPath);
+  }
+
+  doc(docPath) {
+    return new DocumentReference(this, docPath);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((r) => this._snapshot(r)));
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async runTransaction(fn) {
+    const tx = new Transaction(this);
+    const result = await fn(tx);
+    await tx.commit();
+    return result;
+  }
+
+  async terminate() {}
+}
+
+// `file` null/undefined -> memory only.
+export function createLocalStore(file) {
+  return new LocalStore(file ? path.resolve(file) : null);
+}
+
+export function createMemoryStore() {
+  return new LocalStore(null);
+}
@@ -0,0 +1,132 @@
+// =============================
+// File: scripts/lib/swaps.js (ESM)
+// Purpose: Trade-level history of the token's pair (ingestors/ingestSwaps.js)
+//          and candles of any resolution built from it: exact OHLCV with the
+//          buy/sell split.
+//
+// `<ns>_swaps/<ts ms, 13 digits>_<txHash>_<logIndex>` (ids sort by time):
+//   { ts, block, txHash, logIndex, pair, side, amountToken, amountQuote,
+//     priceQuote, priceUSD, amountUSD, recipient, source }
+// `side` is the trader's: "buy" when the token left the pool. Amounts are in
+// token units; prices are per token, `priceQuote` in the pair's other token,
+// `priceUSD` = amountUSD / amountToken (null when the trade has no USD value).
+// `recipient` is the Swap's `to` (often a router). `source`: "subgraph"
+// (Uniswap v2 `swaps`) or "rpc" (Swap logs, eth_getLogs).
+//
+// Resolutions: <N>m, <N>h or <N>d (1m, 5m, 4h, 1d…), buckets aligned to the
+// Unix epoch (so to UTC days). Candle:
+//   { ts, time, open, high, low, close, volumeUSD, volumeToken,
+//     buyVolumeUSD, sellVolumeUSD, buys, sells, trades }
+// Prices are USD; trades without one count towards volume only.
+// =============================
+
+import { COLLECTIONS } from "./collections.js";
+
+const BATCH_SIZE = 400;
+const PAGE_SIZE = 1000;
+const RESOLUTION_RE = /^(\d+)(m|h|d)$/;
+const UNIT_MS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function swapId(t) {
+  return `${String(t.ts).padStart(13, "0")}_${t.txHash}_${t.logIndex}`;
+}
+
+// One Uniswap v2 Swap (amounts in token units, either source) -> trade, or null
+// for a swap that moved none of our token. `side` is our token's index in the
+// pair; `amountUSD` is given by the subgraph, else priced at `quoteUSD`.
+export function normalizeSwap({
+  ts, block, txHash, logIndex, pair, side, amount0In, amount1In, amount0Out, amount1Out,
+  amountUSD = null, quoteUSD = null, recipient = null, source,
+}) {
+  const [tokenIn, tokenOut, quoteIn, quoteOut] = side === 0
+    ? [amount0In, amount0Out, amount1In, amount1Out].map((v) => num(v) ?? 0)
+    : [amount1In, amount1Out, amount0In, amount0Out].map((v) => num(v) ?? 0);
+  const amountToken = Math.abs(tokenOut - tokenIn);
+  const amountQuote = Math.abs(quoteIn - quoteOut);
+  if (!(amountToken > 0)) return null;
+  const usd = num(amountUSD) > 0 ? num(amountUSD) : num(quoteUSD) != null ? amountQuote * num(quoteUSD) : null;
+  return {
+    ts: num(ts),
+    block: num(block),
+    txHash: String(txHash).toLowerCase(),
+    logIndex: num(logIndex),
+    pair: String(pair).toLowerCase(),
+    side: tokenOut > tokenIn ? "buy" : "sell",
+    amountToken,
+    amountQuote,
+    priceQuote: amountQuote / amountToken,
+    priceUSD: usd != null ? usd / amountToken : null,
+    amountUSD: usd,
+    recipient: recipient ? String(recipient).toLowerCase() : null,
+    source,
+  };
+}
+
+// "5m" -> bucket length in ms.
+export function resolutionMs(resolution) {
+  const m = RESOLUTION_RE.exec(String(resolution || ""));
+  if (!m || Number(m[1]) < 1) throw new Error(`resolution must look like 1m, 15m, 4h or 1d, got "${resolution}"`);
+  return Number(m[1]) * UNIT_MS[m[2]];
+}
+
+// trades (any order) -> candles of `resolution`, oldest first; periods without
+// trades are left out.
+export function buildSwapCandles(trades, resolution) {
+  const size = resolutionMs(resolution);
+  const buckets = new Map();
+  for (const t of [...trades].sort((a, b) => a.ts - b.ts || a.logIndex - b.logIndex)) {
+    const start = Math.floor(t.ts / size) * size;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(t);
+  }
+  return [...buckets.entries()].sort(([a], [b]) => a - b).map(([ts, list]) => {
+    const prices = list.map((t) => num(t.priceUSD)).filter((p) => p != null);
+    const sum = (xs, key) => xs.reduce((a, t) => a + (num(t[key]) ?? 0), 0);
+    const buys = list.filter((t) => t.side === "buy");
+    const sells = list.filter((t) => t.side === "sell");
+    return {
+      ts,
+      time: new Date(ts).toISOString(),
+      open: prices[0] ?? null,
+      high: prices.length ? Math.max(...prices) : null,
+      low: prices.length ? Math.min(...prices) : null,
+      close: prices.at(-1) ?? null,
+      volumeUSD: sum(list, "amountUSD"),
+      volumeToken: sum(list, "amountToken"),
+      buyVolumeUSD: sum(buys, "amountUSD"),
+      sellVolumeUSD: sum(sells, "amountUSD"),
+      buys: buys.length,
+      sells: sells.length,
+      trades: list.length,
+    };
+  });
+}
+
+export async function saveSwaps(db, trades, { collections = COLLECTIONS } = {}) {
+  const ref = db.collection(collections.swaps);
+  for (let i = 0; i < trades.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const t of trades.slice(i, i + BATCH_SIZE)) batch.set(ref.doc(swapId(t)), t);
+    await batch.commit();
+  }
+  return trades.length;
+}
+
+// Stored trades with fromMs <= ts < toMs, oldest first, read a page at a time.
+export async function readSwaps(db, { fromMs, toMs, collections = COLLECTIONS }) {
+  const base = db.collection(collections.swaps).where("ts", ">=", fromMs).where("ts", "<", toMs).orderBy("ts").limit(PAGE_SIZE);
+  const out = [];
+  let last = null;
+  while (true) {
+    const snap = await (last ? base.startAfter(last) : base).get();
+    out.push(...snap.docs.map((s) => s.data()));
+    if (snap.docs.length < PAGE_SIZE) return out;
+    last = snap.docs.at(-1);
+  }
+}
@@ -0,0 +1,56 @@
+// =============================
+// File: scripts/lib/target.js (ESM)
+// Purpose: The token(s) a script works on, as registry entries (lib/registry.js)
+//          plus what the scripts need from them:
+//            { id, symbol, decimals, coingeckoId, pools, thinLiquidityUSD,
+//              token, pair, chain, network, collections }
+//
+// One token is selected by an explicit option (CLI --token, id or address),
+// else ZYPTO_TOKEN (id) or ZYPTO_ADDR. For a selected token, pair/chain/network
+// can be overridden by options, then env:
+//   pair     ZYPTO_UNI_PAIR, UNIV2_PAIR
+//   chain    ZYPTO_CHAIN, CHAIN (older CoinGecko backfill workflows)
+//   network  GT_NETWORK (GeckoTerminal network id)
+// With nothing selected, resolveTargets() returns every registry token as
+// configured and resolveTarget() the first one.
+// =============================
+
+import { collectionsFor } from "./collections.js";
+import { findToken, loadRegistry, registryPath } from "./registry.js";
+
+function toTarget(entry, overrides = {}) {
+  const pair = overrides.pair || Object.values(entry.pools)[0] || null;
+  return {
+    id: entry.id,
+    symbol: entry.symbol,
+    decimals: entry.decimals,
+    coingeckoId: entry.coingeckoId,
+    pools: entry.pools,
+    thinLiquidityUSD: entry.thinLiquidityUSD,
+    token: entry.address,
+    pair: pair && pair.toLowerCase(),
+    chain: overrides.chain || entry.chain,
+    network: overrides.network || entry.geckoterminalNetwork,
+    collections: collectionsFor(entry.id),
+  };
+}
+
+const selected = (opts, env) => opts.token || env.ZYPTO_TOKEN || env.ZYPTO_ADDR;
+
+export function resolveTarget(opts = {}, env = process.env) {
+  const registry = loadRegistry(env);
+  const key = selected(opts, env);
+  const entry = key ? findToken(registry, key) : registry[0];
+  if (!entry) throw new Error(`token "${key}" is not in the registry (${registryPath(env)})`);
+  return toTarget(entry, {
+    pair: opts.pair || env.ZYPTO_UNI_PAIR || env.UNIV2_PAIR,
+    chain: opts.chain || env.ZYPTO_CHAIN || env.CHAIN,
+    network: opts.network || env.GT_NETWORK,
+  });
+}
+
+export function resolveTargets(opts = {}, env = process.env) {
+  if (selected(opts, env)) return [resolveTarget(opts, env)];
+  if (opts.pair || opts.chain || opts.network) throw new Error("--pair/--chain/--network need --token");
+  return loadRegistry(env).map((entry) => toTarget(entry));
+}
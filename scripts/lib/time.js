@@ -0,0 +1,60 @@
+// =============================
+// File: scripts/lib/time.js (ESM)
+// Purpose: UTC date keys shared by every writer. Doc ids in the daily, hourly,
+//          intraday, 4h, weekly and monthly collections are built from these,
+//          so keep them stable. Every key sorts chronologically as a string.
+// =============================
+
+export function ymd(date = new Date()) {
+  const d = new Date(date);
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const day = String(d.getUTCDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+export function ymdh(date = new Date()) {
+  const d = new Date(date);
+  const h = String(d.getUTCHours()).padStart(2, "0");
+  return `${ymd(d)}-${h}`; // safe for doc id
+}
+
+// Minute key, e.g. "2024-05-20-13-05" (intraday candles).
+export function ymdhm(date = new Date()) {
+  const d = new Date(date);
+  return `${ymdh(d)}-${String(d.getUTCMinutes()).padStart(2, "0")}`;
+}
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// 4h bucket key: the ymdh of the bucket start (hours 00, 04, … 20).
+export function ymdh4(date = new Date()) {
+  const d = new Date(date);
+  return `${ymd(d)}-${String(d.getUTCHours() - (d.getUTCHours() % 4)).padStart(2, "0")}`;
+}
+
+// ISO 8601 week, e.g. "2024-W21" (weeks start Monday; week 1 holds the first Thursday).
+export function isoWeek(date = new Date()) {
+  const d = new Date(date);
+  const thursday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 3 - ((d.getUTCDay() + 6) % 7));
+  const year = new Date(thursday).getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS));
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+export function ym(date = new Date()) {
+  return ymd(date).slice(0, 7);
+}
+
+// Any of the keys above -> epoch ms of the period start.
+export function periodStart(key) {
+  const week = /^(\d{4})-W(\d{2})$/.exec(key);
+  if (week) {
+    const jan4 = Date.UTC(Number(week[1]), 0, 4);
+    const monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+    return monday + (Number(week[2]) - 1) * 7 * DAY_MS;
+  }
+  if (/^\d{4}-\d{2}$/.test(key)) return Date.parse(`${key}-01T00:00:00Z`);
+  const [hour = "00", minute = "00"] = key.slice(11).split("-").filter(Boolean);
+  return Date.parse(`${key.slice(0, 10)}T${hour}:${minute}:00Z`);
+}
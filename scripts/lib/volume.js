@@ -0,0 +1,39 @@
+// =============================
+// File: scripts/lib/volume.js (ESM)
+// Purpose: Turn what a provider reports at sample time into "volume traded in a
+//          known interval", so daily volume can be a sum of intervals instead
+//          of a sum of rolling 24h figures.
+//
+// Sources, most exact first:
+//   candle     — provider's completed hourly candle (GeckoTerminal ohlcv/hour)
+//   cumulative — difference of a lifetime counter vs. the previous hour's sample
+//                (Uniswap subgraph volumeUSD)
+//   bucket     — provider's rolling 1h volume (DexScreener/GeckoTerminal h1)
+//
+// The interval is attributed to the UTC day it starts in.
+// =============================
+
+export const HOUR_MS = 3600 * 1000;
+
+// quote: { hourCandle?, cumulativeVolumeUSD?, volume1hUSD? }
+// prevHour: previous per-provider hourly doc ({ ts, cumulativeVolumeUSD }) or null
+export function intervalVolume(quote, prevHour, ts) {
+  const candle = quote.hourCandle;
+  if (candle && Number.isFinite(candle.volumeUSD) && Number.isFinite(candle.ts)) {
+    return { volumeUSD: candle.volumeUSD, startTs: candle.ts, endTs: candle.ts + HOUR_MS, method: "candle" };
+  }
+
+  const cur = quote.cumulativeVolumeUSD;
+  const prev = prevHour?.cumulativeVolumeUSD;
+  // Only diff against a sample from roughly one hour ago; a longer gap would
+  // dump several hours of volume into one interval.
+  if (Number.isFinite(cur) && Number.isFinite(prev) && Number.isFinite(prevHour.ts) && ts - prevHour.ts <= 2 * HOUR_MS) {
+    const delta = cur - prev;
+    if (delta >= 0) return { volumeUSD: delta, startTs: prevHour.ts, endTs: ts, method: "cumulative" };
+  }
+
+  if (Number.isFinite(quote.volume1hUSD)) {
+    return { volumeUSD: quote.volume1hUSD, startTs: ts - HOUR_MS, endTs: ts, method: "bucket" };
+  }
+  return null;
+}
@@ -0,0 +1,293 @@
+// =============================
+// File: scripts/migrations/migrateSchema.js (ESM)
+// Purpose: Rewrite existing price docs into the current schema
+//          (scripts/lib/dailyRecord.js + scripts/lib/hourlyRecord.js).
+//
+// Scans, in order, for every registry token (or the one in ZYPTO_TOKEN / ZYPTO_ADDR):
+//   <ns>_prices_daily, <ns>_prices_hourly,
+//   <ns>_prices_daily_providers/<p>/days, <ns>_prices_hourly_providers/<p>/hours
+//
+// Each doc is classified by shape (see classifyDaily / classifyHourly), rewritten
+// with set() (no merge, so legacy fields are dropped) in batches, and the last
+// doc id of every committed batch is stored in `zypto_migrations/<id>[__<ns>]` so a rerun
+// picks up where the previous one stopped. Docs already in the target shape are
+// skipped, so rerunning from scratch is safe too.
+//
+// Usage:
+//   node scripts/migrations/migrateSchema.js --dry-run [--report report.json]   (report keyed by token id)
+//   node scripts/migrations/migrateSchema.js [--only daily,hourly] [--batch 300] [--reset]
+//   (or `zypto-history migrate …`)
+// =============================
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { DEFAULT_NAMESPACE } from "../lib/collections.js";
+import { SCHEMA_VERSION, buildDailyDoc, providerRecord } from "../lib/dailyRecord.js";
+import { hourlyDoc } from "../lib/hourlyRecord.js";
+import { isMain } from "../lib/main.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+
+const MIGRATION_ID = `schema-v${SCHEMA_VERSION}`;
+const MIGRATIONS_COLLECTION = "zypto_migrations";
+
+const DAILY_KEYS = new Set([
+  "schemaVersion", "date", "token", "chain", "providers",
+  "open", "high", "low", "close", "priceUSD", "volumeUSD", "volume24hUSD",
+  "canonicalSource", "sources", "consensus", "backfilled", "updatedAt", "migratedFrom",
+]);
+const HOURLY_KEYS = new Set([
+  "schemaVersion", "hour", "ts", "provider", "sources", "consensus", "priceUSD", "token", "pair",
+  "volumeUSD", "volumeMethod", "intervalStart", "intervalEnd", "volume24hUSD", "cumulativeVolumeUSD", "liquidityUSD", "onchain",
+  "backfilled", "backfillSource", "open", "high", "low", "close", "ohlcSource", "samples", "candleVolumeUSD",
+]);
+const PROVIDER_DAY_KEYS = new Set([
+  "schemaVersion", "date", "open", "high", "low", "close", "volumeUSD", "volume24hUSD", "liquidityUSD", "firstTs", "lastTs", "backfilled", "updatedAt",
+]);
+
+function hasOnlyKeys(d, keys) {
+  return Object.keys(d).every((k) => keys.has(k));
+}
+
+// ---------- daily ----------
+
+// A doc can carry several legacy shapes at once, since every script merged into it.
+export function classifyDaily(d) {
+  const shapes = [];
+  if (d.schemaVersion === SCHEMA_VERSION) shapes.push("v2");
+  if (d.source === "coingecko" || "cgUSD" in d) shapes.push("coingecko");
+  if ("uniV2USD" in d) shapes.push("uniswap-v2");
+  if (d.uniV3 && typeof d.uniV3 === "object") shapes.push("uniswap-v3");
+  if (d.source_gt) shapes.push("geckoterminal");
+  else if (d.schemaVersion == null && "open" in d && ("firstTs" in d || "lastTs" in d)) shapes.push("hourly-ohlc");
+  if (!shapes.length) shapes.push("unknown");
+  return shapes;
+}
+
+function legacyDailyProviders(d, shapes) {
+  const out = {};
+  const ts = typeof d.ts === "number" ? d.ts : null;
+  if (shapes.includes("coingecko")) {
+    // The Uniswap v2 backfill overwrote `priceUSD` with its own value, so only
+    // trust it as CoinGecko's when it differs from uniV2USD.
+    const cg = d.cgUSD ?? (d.source === "coingecko" && d.priceUSD !== d.uniV2USD ? d.priceUSD : null);
+    if (cg != null) out.coingecko = providerRecord({ close: cg, ts });
+  }
+  if (shapes.includes("uniswap-v2") && d.uniV2USD != null) {
+    out["uniswap-v2"] = providerRecord({ close: d.uniV2USD, ts });
+  }
+  if (shapes.includes("uniswap-v3") && d.uniV3.priceUSD != null) {
+    out["uniswap-v3"] = providerRecord({ close: d.uniV3.priceUSD, volumeUSD: d.uniV3.volumeUSD, ts });
+  }
+  const ohlc = { open: d.open, high: d.high, low: d.low, close: d.close, volumeUSD: d.volumeUSD };
+  if (shapes.includes("geckoterminal")) out.geckoterminal = providerRecord({ ...ohlc, ts });
+  if (shapes.includes("hourly-ohlc")) {
+    // The old aggregator summed DexScreener's rolling 24h volume every hour;
+    // that total is meaningless, so it's dropped rather than carried over.
+    out.dexscreener = providerRecord({ ...ohlc, volumeUSD: null, firstTs: d.firstTs, lastTs: d.lastTs });
+  }
+  return out;
+}
+
+export function migrateDaily(id, d, providerDays) {
+  const shapes = classifyDaily(d);
+  if (shapes.length === 1 && shapes[0] === "v2" && hasOnlyKeys(d, DAILY_KEYS)) return { shapes, next: null };
+
+  // Precedence: legacy top-level fields < dedicated per-provider day docs < existing v2 entries.
+  const providers = {
+    ...legacyDailyProviders(d, shapes),
+    ...providerDays,
+    ...(d.schemaVersion === SCHEMA_VERSION ? d.providers : {}),
+  };
+  const meta = { token: d.token ?? d.contract, chain: d.chain };
+  const next = buildDailyDoc(id, null, providers, meta);
+  next.migratedFrom = shapes;
+  return { shapes, next };
+}
+
+// ---------- hourly ----------
+
+function classifyHourly(d) {
+  if (d.schemaVersion === SCHEMA_VERSION) return ["v2"];
+  if ("priceUSD" in d) return ["ingest-v1"];
+  return ["unknown"];
+}
+
+function migrateHourly(id, d, provider) {
+  const shapes = classifyHourly(d);
+  if (shapes[0] === "v2" && hasOnlyKeys(d, HOURLY_KEYS)) return { shapes, next: null };
+  if (shapes[0] === "unknown") return { shapes, next: null };
+  const canonicalOnly = provider ? { provider: undefined, sources: undefined, consensus: undefined } : {};
+  // v1 hourly docs stored DexScreener's rolling 24h volume as `volumeUSD`
+  const volume = shapes[0] === "ingest-v1" ? { volumeUSD: null, volume24hUSD: d.volumeUSD } : {};
+  return { shapes, next: hourlyDoc(id, { ...d, ...canonicalOnly, ...volume }) };
+}
+
+function migrateProviderDay(id, d) {
+  const shapes = d.schemaVersion === SCHEMA_VERSION ? ["v2"] : ("close" in d ? ["hourly-ohlc"] : ["unknown"]);
+  if (shapes[0] === "v2" && hasOnlyKeys(d, PROVIDER_DAY_KEYS)) return { shapes, next: null };
+  if (shapes[0] === "unknown") return { shapes, next: null };
+  const volume = shapes[0] === "hourly-ohlc" ? { volumeUSD: null } : {}; // summed rolling 24h, see above
+  return { shapes, next: { schemaVersion: SCHEMA_VERSION, date: id, ...providerRecord({ ...d, ...volume }) } };
+}
+
+// ---------- diff report ----------
+
+function diff(prev, next) {
+  const removed = Object.keys(prev).filter((k) => !(k in next));
+  const added = Object.keys(next).filter((k) => !(k in prev));
+  const changed = Object.keys(next)
+    .filter((k) => k in prev && k !== "updatedAt" && JSON.stringify(prev[k]) !== JSON.stringify(next[k]));
+  return { removed, added, changed };
+}
+
+// ---------- runner ----------
+
+async function loadState(db, namespace, { dryRun, reset }) {
+  const id = namespace === DEFAULT_NAMESPACE ? MIGRATION_ID : `${MIGRATION_ID}__${namespace}`;
+  const ref = db.collection(MIGRATIONS_COLLECTION).doc(id);
+  if (reset && !dryRun) await ref.delete();
+  const snap = await ref.get();
+  return { ref, targets: (!reset && snap.exists && snap.data().targets) || {} };
+}
+
+async function runTarget(db, FieldPath, state, report, { dryRun, batch: batchSize }, { key, collection, migrate }) {
+  const st = state.targets[key] || { cursor: null, done: false, migrated: 0, skipped: 0 };
+  if (st.done && !dryRun) {
+    console.log(`[migrate] ${key}: already done (${st.migrated} migrated), skipping`);
+    return;
+  }
+  const cursorStart = dryRun ? null : st.cursor;
+  console.log(`[migrate] ${key}: start${cursorStart ? ` after ${cursorStart}` : ""}`);
+
+  let cursor = cursorStart;
+  while (true) {
+    let q = collection.orderBy(FieldPath.documentId()).limit(batchSize);
+    if (cursor) q = q.startAfter(cursor);
+    const page = await q.get();
+    if (page.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    for (const snap of page.docs) {
+      const prev = snap.data();
+      const { shapes, next } = await migrate(snap.id, prev);
+      for (const s of shapes) report.shapes[`${key}:${s}`] = (report.shapes[`${key}:${s}`] || 0) + 1;
+      if (!next) { st.skipped++; continue; }
+      st.migrated++;
+      writes++;
+      if (dryRun) {
+        const d = diff(prev, next);
+        report.docs.push({ target: key, id: snap.id, shapes, ...d });
+        console.log(`[dry-run] ${key}/${snap.id} [${shapes.join("+")}] -${d.removed.join(",") || "∅"} +${d.added.join(",") || "∅"} ~${d.changed.join(",") || "∅"}`);
+      } else {
+        batch.set(snap.ref, next);
+      }
+    }
+    cursor = page.docs.at(-1).id;
+
+    if (!dryRun) {
+      if (writes) await batch.commit();
+      st.cursor = cursor;
+      state.targets[key] = st;
+      await state.ref.set({ targets: state.targets, updatedAt: Date.now() }, { merge: true });
+    }
+    if (page.size < batchSize) break;
+  }
+
+  st.done = true;
+  state.targets[key] = st;
+  if (!dryRun) await state.ref.set({ targets: state.targets, updatedAt: Date.now() }, { merge: true });
+  report.targets[key] = { migrated: st.migrated, skipped: st.skipped };
+  console.log(`[migrate] ${key}: ${dryRun ? "would migrate" : "migrated"} ${st.migrated}, skipped ${st.skipped}`);
+}
+
+// One token (lib/target.js: `id` + `collections`). only: target keys ("daily",
+// "hourly", "daily_providers/<p>", … or a prefix like "daily_providers").
+// Resolves the report (per-target counts, shapes and, on a dry run, the
+// per-doc diffs).
+export async function migrateSchema(db, FieldPath, { dryRun = false, only = null, batch = 300, reset = false, id, collections }) {
+  const opts = { dryRun, batch: Math.min(Number(batch) || 300, 450) };
+  const state = await loadState(db, id, { dryRun, reset });
+  const report = { migration: MIGRATION_ID, token: id, dryRun, targets: {}, shapes: {}, docs: [] };
+
+  const dailyProviderNames = (await db.collection(collections.dailyProviders).listDocuments()).map((r) => r.id);
+  const hourlyProviderNames = (await db.collection(collections.hourlyProviders).listDocuments()).map((r) => r.id);
+
+  // The hourly aggregator's own per-provider day docs are the best source for
+  // that provider's OHLC, since the GeckoTerminal backfill overwrote the top level.
+  async function providerDaysFor(day) {
+    if (!dailyProviderNames.length) return {};
+    const refs = dailyProviderNames.map((p) => db.collection(collections.dailyProviders).doc(p).collection("days").doc(day));
+    const snaps = await db.getAll(...refs);
+    const out = {};
+    snaps.forEach((s, i) => {
+      if (!s.exists) return;
+      const d = s.data();
+      out[dailyProviderNames[i]] = providerRecord(d.schemaVersion === SCHEMA_VERSION ? d : { ...d, volumeUSD: null });
+    });
+    return out;
+  }
+
+  const targets = [
+    {
+      key: "daily",
+      collection: db.collection(collections.daily),
+      migrate: async (id, d) => migrateDaily(id, d, await providerDaysFor(id)),
+    },
+    {
+      key: "hourly",
+      collection: db.collection(collections.hourly),
+      migrate: (id, d) => migrateHourly(id, d, null),
+    },
+    ...dailyProviderNames.map((p) => ({
+      key: `daily_providers/${p}`,
+      collection: db.collection(collections.dailyProviders).doc(p).collection("days"),
+      migrate: migrateProviderDay,
+    })),
+    ...hourlyProviderNames.map((p) => ({
+      key: `hourly_providers/${p}`,
+      collection: db.collection(collections.hourlyProviders).doc(p).collection("hours"),
+      migrate: (id, d) => migrateHourly(id, d, p),
+    })),
+  ].filter((t) => !only || only.includes(t.key) || only.includes(t.key.split("/")[0]));
+
+  for (const t of targets) await runTarget(db, FieldPath, state, report, opts, t);
+  console.log("[migrate] shapes:", report.shapes);
+  return report;
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      report: { type: "string" },
+      only: { type: "string" },
+      batch: { type: "string", default: "300" },
+      reset: { type: "boolean", default: false },
+    },
+  });
+  const { db, FieldPath } = await openStore();
+  const reports = [];
+  for (const target of resolveTargets()) {
+    console.log(`[migrate] ${target.id} (${target.collections.daily})`);
+    reports.push(await migrateSchema(db, FieldPath, {
+      ...target,
+      dryRun: args["dry-run"],
+      only: args.only ? args.only.split(",").map((s) => s.trim()) : null,
+      batch: args.batch,
+      reset: args.reset,
+    }));
+  }
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(Object.fromEntries(reports.map((r) => [r.token, r])), null, 2));
+    console.log(`[migrate] report written to ${args.report}`);
+  }
+}
+
+if (isMain(import.meta.url)) {
+  main().catch((e) => {
+    console.error("[migrate] ERROR", e?.stack || e);
+    process.exitCode = 1;
+  });
+}
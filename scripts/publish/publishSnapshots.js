@@ -0,0 +1,143 @@
+// =============================
+// File: scripts/publish/publishSnapshots.js (ESM)
+// Purpose: Pre-built chart files, so the front-end loads static JSON instead of
+//          querying the store. Per registry token (or the one in ZYPTO_TOKEN /
+//          ZYPTO_ADDR), one file per window:
+//
+//   <token>/24h.json   hourly candles of the last 24 hours (current hour included)
+//   <token>/30d.json   daily candles of the last 30 days (today included)
+//   <token>/1y.json    daily candles of the last 365 days
+//   <token>/all.json   every daily candle
+//
+//   { token, symbol, window, interval, asOf, columns: ["t","o","h","l","c","v"],
+//     points: [[ms, open, high, low, close, volumeUSD], …],
+//     summary: { open, close, min, max, change, changePct, volumeUSD } | null }
+//
+// asOf is the newest candle's start, not the run time, so a file only changes
+// when its data does — and files whose content is unchanged are not rewritten.
+// Runs after each hourly ingest (.github/workflows/zypto-ingest.yml).
+//
+// Usage:
+//   node scripts/publish/publishSnapshots.js [--out snapshots | --out s3://bucket/prefix]
+//   (or `zypto-history publish …`; env ZYPTO_SNAPSHOT_OUT, bucket env in lib/objectStore.js)
+// =============================
+
+import { parseArgs } from "node:util";
+import { logHttpMetrics } from "../lib/http.js";
+import { isMain } from "../lib/main.js";
+import { openObjectStore } from "../lib/objectStore.js";
+import { scanSeries, seriesCollection, toCandle } from "../lib/series.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd, ymdh } from "../lib/time.js";
+import { HOUR_MS } from "../lib/volume.js";
+
+export const DEFAULT_OUT = "snapshots";
+const DAY_MS = 24 * HOUR_MS;
+const CACHE_CONTROL = "public, max-age=300";
+
+// window -> { interval, since(now) -> first id kept (null = all) }
+export const WINDOWS = {
+  "24h": { interval: "1h", since: (now) => ymdh(now - 23 * HOUR_MS) },
+  "30d": { interval: "1d", since: (now) => ymd(now - 29 * DAY_MS) },
+  "1y": { interval: "1d", since: (now) => ymd(now - 364 * DAY_MS) },
+  all: { interval: "1d", since: () => null },
+};
+
+const COLUMNS = ["t", "o", "h", "l", "c", "v"];
+
+async function readCandles(db, FieldPath, collections, interval, from, to) {
+  const candles = [];
+  for await (const page of scanSeries(seriesCollection(db, collections, interval), FieldPath, { interval, from, to })) {
+    for (const [id, doc] of page) candles.push(toCandle(id, doc));
+  }
+  return candles.filter((c) => c.close != null);
+}
+
+export function summarize(candles) {
+  if (!candles.length) return null;
+  const open = candles[0].open ?? candles[0].close;
+  const close = candles.at(-1).close;
+  const volumes = candles.map((c) => c.volumeUSD).filter((v) => v != null);
+  return {
+    open,
+    close,
+    min: Math.min(...candles.map((c) => c.low ?? c.close)),
+    max: Math.max(...candles.map((c) => c.high ?? c.close)),
+    change: close - open,
+    changePct: open ? Math.round(((close - open) / open) * 10000) / 100 : null,
+    volumeUSD: volumes.length ? volumes.reduce((a, b) => a + b, 0) : null,
+  };
+}
+
+function snapshot(target, window, interval, candles) {
+  return {
+    token: target.id,
+    symbol: target.symbol,
+    window,
+    interval,
+    asOf: candles.at(-1)?.time ?? null,
+    columns: COLUMNS,
+    points: candles.map((c) => [Date.parse(c.time), c.open, c.high, c.low, c.close, c.volumeUSD]),
+    summary: summarize(candles),
+  };
+}
+
+// -> { "<token>/<window>.json": body }
+export async function buildSnapshots(db, { FieldPath, now = Date.now(), ...target }) {
+  const { collections } = target;
+  const lastHour = ymdh(now);
+  const hourly = (await readCandles(db, FieldPath, collections, "1h", ymd(now - DAY_MS), ymd(now)))
+    .filter((c) => c.id <= lastHour);
+  const daily = await readCandles(db, FieldPath, collections, "1d", "1970-01-01", ymd(now));
+
+  const files = {};
+  for (const [window, { interval, since }] of Object.entries(WINDOWS)) {
+    const first = since(now);
+    const candles = (interval === "1h" ? hourly : daily).filter((c) => first == null || c.id >= first);
+    files[`${target.id}/${window}.json`] = `${JSON.stringify(snapshot(target, window, interval, candles))}\n`;
+  }
+  return files;
+}
+
+// One target (lib/target.js). Resolves { token, written: [keys], unchanged }.
+export async function publishSnapshots(db, { out = DEFAULT_OUT, objectStore = openObjectStore(out), ...rest }) {
+  const files = await buildSnapshots(db, rest);
+  const written = [];
+  let unchanged = 0;
+  for (const [key, body] of Object.entries(files)) {
+    const prev = await objectStore.read(key);
+    if (prev != null && prev.trimEnd() === body.trimEnd()) {
+      unchanged++;
+      continue;
+    }
+    await objectStore.write(key, body, { contentType: "application/json", cacheControl: CACHE_CONTROL });
+    written.push(key);
+  }
+  console.log(`[publish] ${rest.id} -> ${objectStore.location}: ${written.length} written, ${unchanged} unchanged`);
+  return { token: rest.id, written, unchanged };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({ options: { out: { type: "string" } } });
+      const objectStore = openObjectStore(args.out || process.env.ZYPTO_SNAPSHOT_OUT || DEFAULT_OUT);
+      const { db, FieldPath } = await openStore();
+      // One token failing doesn't stop the others.
+      for (const target of resolveTargets()) {
+        try {
+          await publishSnapshots(db, { ...target, FieldPath, objectStore });
+        } catch (e) {
+          console.error(`[publish] ${target.id} failed:`, e?.stack || e);
+          process.exitCode = 1;
+        }
+      }
+    } catch (e) {
+      console.error("[publish] failed:", e?.stack || e);
+      process.exitCode = 1;
+    } finally {
+      logHttpMetrics("[publish]");
+    }
+  })();
+}
@@ -0,0 +1,234 @@
+// =============================
+// File: scripts/repair/repairGaps.js (ESM)
+// Purpose: List missing hours/days (canonical + per-provider) for a date range,
+//          then fill them from providers that support historical queries:
+//            hours — GeckoTerminal ohlcv/hour
+//            days  — GeckoTerminal ohlcv/day, CoinGecko range, Uniswap subgraph day data
+//          Filled records are marked `backfilled: true` (+ `backfillSource` on hourly docs).
+//          The days of filled hours are then rolled up again (lib/rollup.js), and
+//          the 4h/1w/1M candles rebuilt over every repaired day (lib/candles.js).
+//
+// A repaired hour is written as backfillFromGeckoTerminal.js writes it: doc H
+// holds the candle that *starts* at H:00 (lib/hourlyRecord.js), its open as the
+// hour's sample and the previous hour's candle as the interval volume.
+//
+// Usage:
+//   node scripts/repair/repairGaps.js --from 2024-05-01 [--to 2024-05-31] [--dry-run]
+//        [--providers geckoterminal,coingecko] [--report gaps.json]
+//   (or `zypto-history repair …`)
+// Runs for every registry token, or the one in ZYPTO_TOKEN / ZYPTO_ADDR (lib/target.js);
+// the report is keyed by token id: { <id>: { gaps, filled } }.
+// =============================
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { rollupCandles } from "../lib/candles.js";
+import { byPriority, consensusPolicy } from "../lib/consensus.js";
+import { providerRecord, upsertDailyBatch } from "../lib/dailyRecord.js";
+import { findGaps } from "../lib/gaps.js";
+import { hourlyDoc, providerCandle } from "../lib/hourlyRecord.js";
+import { logHttpMetrics } from "../lib/http.js";
+import { isMain } from "../lib/main.js";
+import { historyProviders, supportsChain } from "../lib/providers/index.js";
+import { hourlyProviderNames, rollupDay } from "../lib/rollup.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd, ymdh } from "../lib/time.js";
+import { HOUR_MS } from "../lib/volume.js";
+
+const BATCH_SIZE = 400;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2024-05-01-03", "2024-05-01-04", "2024-05-01-05" -> "2024-05-01-03..2024-05-01-05"
+function runs(ids, stepMs, parse) {
+  const out = [];
+  let start = null;
+  let prev = null;
+  for (const id of ids) {
+    if (prev && parse(id) - parse(prev) === stepMs) { prev = id; continue; }
+    if (start) out.push(start === prev ? start : `${start}..${prev}`);
+    start = prev = id;
+  }
+  if (start) out.push(start === prev ? start : `${start}..${prev}`);
+  return out;
+}
+
+const parseHour = (id) => Date.parse(`${id.slice(0, 10)}T${id.slice(11)}:00:00Z`);
+const parseDay = (id) => Date.parse(`${id}T00:00:00Z`);
+
+function printGaps(gaps) {
+  const line = (label, ids, step, parse) =>
+    console.log(`[repair] ${label}: ${ids.length} missing${ids.length ? ` — ${runs(ids, step, parse).join(", ")}` : ""}`);
+  line("hourly (canonical)", gaps.hourly, HOUR_MS, parseHour);
+  for (const [p, ids] of Object.entries(gaps.hourlyProviders)) line(`hourly/${p}`, ids, HOUR_MS, parseHour);
+  line("daily (canonical)", gaps.daily, 24 * HOUR_MS, parseDay);
+  for (const [p, ids] of Object.entries(gaps.dailyProviders)) line(`daily/${p}`, ids, 24 * HOUR_MS, parseDay);
+}
+
+// History-capable providers for `interval` on `chain`, optionally restricted to `only`, by consensus priority.
+function repairSources(interval, chain, only) {
+  const cmp = byPriority(consensusPolicy().priority);
+  return historyProviders(interval)
+    .filter((p) => supportsChain(p, chain) && (!only || only.includes(p.name)))
+    .sort((a, b) => cmp(a.name, b.name));
+}
+
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [ref, data] of writes.slice(i, i + BATCH_SIZE)) batch.set(ref, data, { merge: true });
+    await batch.commit();
+  }
+}
+
+// Resolves the days of the hours written.
+async function repairHours(db, target, gaps, only, result) {
+  const canonicalMissing = new Set(gaps.hourly);
+  const { collections } = target;
+  const days = new Set();
+  for (const p of repairSources("1h", target.chain, only)) {
+    const own = new Set(gaps.hourlyProviders[p.name] || []);
+    const wanted = [...new Set([...own, ...canonicalMissing])].sort();
+    if (!wanted.length) continue;
+
+    // From the hour before the first gap, for its interval volume.
+    const candles = await p.fetchHistory(target, {
+      interval: "1h",
+      from: parseHour(wanted[0]) - HOUR_MS,
+      to: parseHour(wanted.at(-1)) + HOUR_MS - 1,
+    });
+    const byTs = new Map(candles.map((k) => [k.ts, k]));
+    const writes = [];
+    for (const k of candles) {
+      const id = ymdh(k.ts);
+      const prev = byTs.get(k.ts - HOUR_MS);
+      const fields = {
+        ts: k.ts, priceUSD: k.open,
+        ...(prev ? { volumeUSD: prev.volumeUSD, volumeMethod: "candle", intervalStart: prev.ts, intervalEnd: k.ts } : {}),
+        token: target.token, pair: target.pair, backfilled: true, backfillSource: p.name, ...providerCandle(k),
+      };
+      if (own.has(id)) {
+        writes.push([db.collection(collections.hourlyProviders).doc(p.name).collection("hours").doc(id), hourlyDoc(id, fields)]);
+        result.hourlyProviders[p.name] = (result.hourlyProviders[p.name] || 0) + 1;
+      }
+      if (canonicalMissing.has(id)) {
+        writes.push([db.collection(collections.hourly).doc(id), hourlyDoc(id, { ...fields, provider: p.name, sources: [p.name] })]);
+        canonicalMissing.delete(id);
+        result.hourly++;
+      }
+    }
+    await commitInBatches(db, writes);
+    for (const [ref] of writes) days.add(ref.id.slice(0, 10));
+    console.log(`[repair] ${p.name}: filled ${writes.length} hourly docs from ${candles.length} candles`);
+  }
+  return [...days].sort();
+}
+
+// Resolves the days written.
+async function repairDays(db, target, gaps, only, result) {
+  const canonicalMissing = new Set(gaps.daily);
+  const days = new Set();
+  for (const p of repairSources("1d", target.chain, only)) {
+    const wanted = new Set([...(gaps.dailyProviders[p.name] || []), ...canonicalMissing]);
+    if (!wanted.size) continue;
+    const sorted = [...wanted].sort();
+
+    const candles = await p.fetchHistory(target, {
+      interval: "1d",
+      from: parseDay(sorted[0]),
+      to: parseDay(sorted.at(-1)) + 24 * HOUR_MS - 1,
+    });
+    const rows = candles
+      .filter((k) => wanted.has(ymd(k.ts)))
+      .map((k) => ({ day: ymd(k.ts), record: providerRecord({ ...k, backfilled: true }) }));
+    await upsertDailyBatch(db, p.name, rows, { token: target.token, chain: target.chain }, { collections: target.collections });
+    for (const { day } of rows) {
+      canonicalMissing.delete(day);
+      days.add(day);
+    }
+    result.dailyProviders[p.name] = rows.length;
+    console.log(`[repair] ${p.name}: filled ${rows.length} days`);
+  }
+  result.daily = gaps.daily.length - canonicalMissing.size;
+  return [...days].sort();
+}
+
+// What the filled hours and days feed: the daily docs (and per-provider day
+// docs) of the hours' days, then the candles over every repaired day.
+async function rollupRepaired(db, target, hourDays, days) {
+  const { collections } = target;
+  const meta = { token: target.token, chain: target.chain };
+  const providers = await hourlyProviderNames(db, collections);
+  for (const day of hourDays) await rollupDay(db, day, providers, meta, { collections });
+  if (days.length) await rollupCandles(db, { from: days[0], to: days.at(-1), collections, meta });
+}
+
+// Find gaps in [from, to] for one target (lib/target.js) and, unless dryRun,
+// fill them. Step failures are logged and reported as `failed` rather than thrown.
+export async function repairGaps(db, { from, to = ymd(), providers = null, dryRun = false, ...target }) {
+  if (!DAY_RE.test(from || "") || !DAY_RE.test(to)) throw new Error("--from (and optional --to) must be YYYY-MM-DD");
+  console.log(`[repair] ${target.id} (${target.collections.daily})`);
+  const gaps = await findGaps(db, { from, to, providers, collections: target.collections });
+  printGaps(gaps);
+  if (dryRun) return { token: target.id, gaps, filled: null, failed: false };
+
+  const filled = { hourly: 0, hourlyProviders: {}, daily: 0, dailyProviders: {} };
+  let failed = false;
+  const touched = {};
+  for (const step of [repairHours, repairDays]) {
+    try {
+      touched[step.name] = await step(db, target, gaps, providers, filled);
+    } catch (e) {
+      failed = true;
+      console.error(`[repair] ${step.name} failed:`, e?.message || e);
+    }
+  }
+  const hourDays = touched.repairHours || [];
+  const days = [...new Set([...hourDays, ...(touched.repairDays || [])])].sort();
+  try {
+    await rollupRepaired(db, target, hourDays, days);
+  } catch (e) {
+    failed = true;
+    console.error("[repair] rollup failed:", e?.message || e);
+  }
+  console.log("[repair] filled:", filled);
+  return { token: target.id, gaps, filled, failed };
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      providers: { type: "string" },
+      report: { type: "string" },
+    },
+  });
+  const { db } = await openStore();
+  const results = [];
+  for (const target of resolveTargets()) {
+    results.push(await repairGaps(db, {
+      ...target,
+      from: args.from,
+      to: args.to,
+      providers: args.providers ? args.providers.split(",").map((s) => s.trim()) : null,
+      dryRun: args["dry-run"],
+    }));
+  }
+  if (!args["dry-run"]) logHttpMetrics("[repair]");
+
+  if (args.report) {
+    const report = Object.fromEntries(results.map(({ token, gaps, filled }) => [token, { gaps, filled }]));
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`[repair] report written to ${args.report}`);
+  }
+  if (results.some((r) => r.failed)) process.exitCode = 1;
+}
+
+if (isMain(import.meta.url)) {
+  main().catch((e) => {
+    console.error("[repair] ERROR", e?.stack || e);
+    process.exitCode = 1;
+  });
+}
@@ -1,15 +1,16 @@
 // =============================
 // File: scripts/sanity/localSanityCheck.js (ESM)
-// Purpose: Quick test to confirm Admin init works and Firestore is writable.
+// Purpose: Quick test to confirm the configured store (see lib/storage) is writable.
 // Usage (locally):
 //   1) Put your serviceAccount.json in ./scripts/secrets/ (gitignored)
 //   2) node scripts/sanity/localSanityCheck.js
+// Offline: ZYPTO_STORE=local node scripts/sanity/localSanityCheck.js
 // =============================
 
-import { initAdmin } from '../firebaseAdmin.js';
+import { openStore } from '../lib/storage/index.js';
 
-const { admin, db } = initAdmin();
+const { db, FieldValue } = await openStore();
 const ref = db.collection('sanity').doc('hello');
-await ref.set({ ts: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+await ref.set({ ts: FieldValue.serverTimestamp() }, { merge: true });
 const snap = await ref.get();
 console.log('[sanity] wrote + read:', snap.data());
@@ -0,0 +1,38 @@
+// =============================
+// File: scripts/sanity/onchainSanityCheck.js (ESM)
+// Purpose: Run the on-chain Uniswap v2 provider against the local JSON-RPC
+//          stand-in (no network, no credentials) and check the derived price.
+// Usage:
+//   node scripts/sanity/onchainSanityCheck.js
+// =============================
+
+import assert from "node:assert/strict";
+import provider from "../lib/providers/uniswapV2Onchain.js";
+import { pairContracts, startRpcStandIn } from "./rpcStandIn.js";
+
+const ZYPTO = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const REF = "0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc";
+const E18 = 10n ** 18n;
+
+// 10,000,000 ZYPTO vs 100 WETH -> 0.00001 WETH; 3,000,000 USDC vs 1,000 WETH -> $3000/WETH
+const standIn = await startRpcStandIn({
+  contracts: {
+    ...pairContracts({ pair: PAIR, token0: ZYPTO, token1: WETH, decimals0: 18, decimals1: 18, reserve0: 10_000_000n * E18, reserve1: 100n * E18 }),
+    ...pairContracts({ pair: REF, token0: USDC, token1: WETH, decimals0: 6, decimals1: 18, reserve0: 3_000_000n * 10n ** 6n, reserve1: 1000n * E18 }),
+  },
+});
+
+try {
+  process.env.ETH_RPC_URL = standIn.url;
+  const quote = await provider.fetchQuote({ token: ZYPTO, pair: PAIR });
+  assert.ok(Math.abs(quote.priceUSD - 0.03) < 1e-12, `priceUSD ${quote.priceUSD}`);
+  assert.equal(quote.onchain.blockNumber, 19_000_000);
+  assert.equal(quote.onchain.reference.wethUSD, 3000);
+  assert.ok(Math.abs(quote.liquidityUSD - 600_000) < 1e-6);
+  console.log("[sanity] on-chain quote:", quote);
+} finally {
+  await standIn.close();
+}
@@ -0,0 +1,58 @@
+// =============================
+// File: scripts/sanity/rpcStandIn.js (ESM)
+// Purpose: Local Ethereum JSON-RPC stand-in for offline checks. Answers
+//          eth_blockNumber and eth_call from a table of canned contract
+//          results, so the on-chain provider can run without a node.
+// =============================
+
+import http from "node:http";
+import { SELECTORS } from "../lib/rpc.js";
+
+export function word(v) {
+  return BigInt(v).toString(16).padStart(64, "0");
+}
+
+// A Uniswap v2 pair + its two ERC-20s as eth_call tables.
+export function pairContracts({ pair, token0, token1, decimals0, decimals1, reserve0, reserve1 }) {
+  return {
+    [pair]: {
+      [SELECTORS.token0]: `0x${word(token0)}`,
+      [SELECTORS.token1]: `0x${word(token1)}`,
+      [SELECTORS.getReserves]: `0x${word(reserve0)}${word(reserve1)}${word(0)}`,
+    },
+    [token0]: { [SELECTORS.decimals]: `0x${word(decimals0)}` },
+    [token1]: { [SELECTORS.decimals]: `0x${word(decimals1)}` },
+  };
+}
+
+// contracts: { <address lowercase>: { <selector>: <hex result> } }
+export function startRpcStandIn({ contracts, block = 19_000_000 }) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      const { id, method, params } = JSON.parse(body || "{}");
+      calls.push({ method, params });
+      let result;
+      let error;
+      if (method === "eth_blockNumber") {
+        result = `0x${block.toString(16)}`;
+      } else if (method === "eth_call") {
+        const [{ to, data }] = params;
+        result = contracts[String(to).toLowerCase()]?.[String(data).slice(0, 10)];
+        if (!result) error = { code: -32000, message: "execution reverted" };
+      } else {
+        error = { code: -32601, message: `method ${method} not found` };
+      }
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(error ? { jsonrpc: "2.0", id, error } : { jsonrpc: "2.0", id, result }));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({ url: `http://127.0.0.1:${port}`, calls, close: () => new Promise((r) => server.close(r)) });
+    });
+  });
+}
@@ -0,0 +1,147 @@
+// =============================
+// File: scripts/sanity/verifyHistory.js (ESM)
+// Purpose: Read-only health check of the stored series for a date range, per
+//          registry token (or the one in ZYPTO_TOKEN / ZYPTO_ADDR):
+//          gaps (lib/gaps.js) plus per-doc checks on the canonical daily and
+//          hourly docs — current schemaVersion, id matches date/hour, a
+//          positive close/price, and low <= open/close <= high where present.
+//          Exits 1 when anything is off, so it can gate a workflow.
+//
+// --reconcile also lines the daily providers up against each other
+// (lib/reconcile.js): one `<ns>_reconciliation` record per day with a daily
+// doc, and flagged days count as failures. With --out <dir> the run's summary
+// goes to <dir>/reconciliation_<token>_<from>_<to>.md and .json.
+//
+// Usage:
+//   node scripts/sanity/verifyHistory.js --from 2024-05-01 [--to 2024-05-31] [--providers dexscreener]
+//     [--reconcile [--out reports]]
+//   (or `zypto-history verify …`)
+// =============================
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { SCHEMA_VERSION } from "../lib/dailyRecord.js";
+import { daysInRange, findGaps, hoursInRange, readAll } from "../lib/gaps.js";
+import { isMain } from "../lib/main.js";
+import { expectedProviders, reconcileDay, reconcileThresholds, reconciliationMarkdown, saveReconciliation } from "../lib/reconcile.js";
+import { openStore } from "../lib/storage/index.js";
+import { resolveTargets } from "../lib/target.js";
+import { ymd } from "../lib/time.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const positive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+function ohlcProblems(d) {
+  const out = [];
+  const legs = [d.open, d.close].filter((v) => v != null);
+  if (d.high != null && legs.some((v) => v > d.high)) out.push(`high ${d.high} below open/close`);
+  if (d.low != null && legs.some((v) => v < d.low)) out.push(`low ${d.low} above open/close`);
+  return out;
+}
+
+export function dailyProblems(id, d) {
+  const out = [];
+  if (d.schemaVersion !== SCHEMA_VERSION) out.push(`schemaVersion ${d.schemaVersion ?? "missing"}, expected ${SCHEMA_VERSION}`);
+  if (d.date !== id) out.push(`date "${d.date}" does not match id`);
+  if (!positive(d.close)) out.push(`close is ${d.close}`);
+  return [...out, ...ohlcProblems(d)];
+}
+
+export function hourlyProblems(id, d) {
+  const out = [];
+  if (d.schemaVersion !== SCHEMA_VERSION) out.push(`schemaVersion ${d.schemaVersion ?? "missing"}, expected ${SCHEMA_VERSION}`);
+  if (d.hour !== id) out.push(`hour "${d.hour}" does not match id`);
+  if (!positive(d.priceUSD)) out.push(`priceUSD is ${d.priceUSD}`);
+  if (d.close != null && !positive(d.close)) out.push(`close is ${d.close}`);
+  return [...out, ...ohlcProblems(d)];
+}
+
+// Reconciliation records of the days in `daily` (Map day -> doc | null) that have
+// a doc; written to the store and, with `out`, summarized to files.
+async function reconcileRange(db, daily, { from, to, providers, out, target }) {
+  const days = [...daily.entries()];
+  const expected = expectedProviders(days, providers);
+  const thresholds = reconcileThresholds();
+  const records = days
+    .filter(([, doc]) => doc)
+    .map(([day, doc]) => reconcileDay(day, doc, { expected: expected[day], thresholds, token: target.token, chain: target.chain }));
+  await saveReconciliation(db, records, { collections: target.collections });
+
+  const flagged = records.filter((r) => r.flagged);
+  for (const r of flagged) {
+    const why = [...r.flags.map((f) => `${f.provider} ${f.field} ${f.deviationPct}%`), ...r.missing.map((n) => `${n} missing`)];
+    console.log(`[verify] reconcile ${r.date}: ${why.join(", ")}`);
+  }
+  const files = [];
+  if (out) {
+    const base = path.join(out, `reconciliation_${target.id}_${from}_${to}`);
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(`${base}.md`, reconciliationMarkdown({ token: target.id, from, to, records }));
+    fs.writeFileSync(`${base}.json`, `${JSON.stringify({ token: target.id, from, to, thresholds, records }, null, 2)}\n`);
+    files.push(`${base}.md`, `${base}.json`);
+  }
+  console.log(`[verify] ${target.id} reconciled ${records.length} days, ${flagged.length} flagged`);
+  return { days: records.length, flagged: flagged.map((r) => r.date), thresholds, files };
+}
+
+// One target (lib/target.js) -> { token, ok, gaps, problems: [{ collection, id, problem }], reconciliation? }
+export async function verifyHistory(db, { from, to = ymd(), providers = null, reconcile = false, out = null, ...target }) {
+  if (!DAY_RE.test(from || "") || !DAY_RE.test(to)) throw new Error("--from (and optional --to) must be YYYY-MM-DD");
+  const { collections } = target;
+  const gaps = await findGaps(db, { from, to, providers, collections });
+  const problems = [];
+  const checks = [
+    [collections.daily, daysInRange(from, to), dailyProblems],
+    [collections.hourly, hoursInRange(from, to), hourlyProblems],
+  ];
+  const read = {};
+  for (const [collection, ids, check] of checks) {
+    const docs = await readAll(db, db.collection(collection), ids);
+    read[collection] = docs;
+    for (const [id, d] of docs) {
+      if (d) for (const problem of check(id, d)) problems.push({ collection, id, problem });
+    }
+  }
+
+  const missing = gaps.hourly.length + gaps.daily.length
+    + [...Object.values(gaps.hourlyProviders), ...Object.values(gaps.dailyProviders)].reduce((n, ids) => n + ids.length, 0);
+  for (const p of problems) console.log(`[verify] ${p.collection}/${p.id}: ${p.problem}`);
+  console.log(`[verify] ${target.id} ${from}..${to}: ${missing} missing, ${problems.length} bad docs`);
+  const result = { token: target.id, ok: !missing && !problems.length, gaps, problems };
+  if (!reconcile) return result;
+  const reconciliation = await reconcileRange(db, read[collections.daily], { from, to, providers, out, target });
+  return { ...result, ok: result.ok && !reconciliation.flagged.length, reconciliation };
+}
+
+if (isMain(import.meta.url)) {
+  (async () => {
+    try {
+      const { values: args } = parseArgs({
+        options: {
+          from: { type: "string" },
+          to: { type: "string" },
+          providers: { type: "string" },
+          reconcile: { type: "boolean", default: false },
+          out: { type: "string" },
+        },
+      });
+      const { db } = await openStore();
+      for (const target of resolveTargets()) {
+        const { ok } = await verifyHistory(db, {
+          ...target,
+          from: args.from,
+          to: args.to,
+          providers: args.providers ? args.providers.split(",").map((s) => s.trim()) : null,
+          reconcile: args.reconcile,
+          out: args.out ?? null,
+        });
+        if (!ok) process.exitCode = 1;
+      }
+    } catch (e) {
+      console.error("[verify] failed:", e?.stack || e);
+      process.exitCode = 1;
+    }
+  })();
+}
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { checkAlerts } from "../scripts/alerts/checkAlerts.js";
+import { alertPolicy, detectMove, detectStale, ingestAlerts, parseWebhooks, webhookPayload } from "../scripts/lib/alerts.js";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { hourlyDoc } from "../scripts/lib/hourlyRecord.js";
+import { createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { resolveTarget } from "../scripts/lib/target.js";
+import { ymdh } from "../scripts/lib/time.js";
+import { HOUR_MS } from "../scripts/lib/volume.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript } from "./support/runScript.js";
+
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+const NOW = Date.parse("2024-05-20T12:30:00Z");
+const POLICY = alertPolicy({});
+
+describe("alert detection", () => {
+  test("hour-over-hour moves, stale prices and ingest failures", () => {
+    const move = (price) => detectMove({ token: "zypto", hour: "2024-05-20-12", price, prevHour: "2024-05-20-11", prevPrice: 0.03 }, POLICY);
+    assert.equal(move(0.033), null);
+    assert.deepEqual([move(0.04).key, move(0.04).severity, move(0.04).details.changePct], ["move__2024-05-20-12", "warning", 33.3333]);
+    assert.equal(move(0.015).severity, "critical");
+
+    const stale = (prices) => detectStale({ token: "zypto", series: "dexscreener", prices }, POLICY);
+    assert.equal(stale(Array(6).fill(0.03)).key, "stale__dexscreener");
+    assert.equal(stale([...Array(5).fill(0.03), 0.031]), null);
+    assert.equal(stale([...Array(5).fill(0.03), null]), null);
+
+    const failed = ingestAlerts({ token: "zypto", failures: [{ provider: "coingecko", error: "HTTP 429" }], error: "all providers failed" });
+    assert.deepEqual(failed.map((a) => [a.key, a.severity]), [["provider_failed__coingecko", "warning"], ["ingest_failed", "critical"]]);
+    assert.throws(() => alertPolicy({ ZYPTO_ALERT_STALE_HOURS: "2.5" }), /whole number of hours/);
+  });
+
+  test("webhook list and the three payload formats", () => {
+    assert.deepEqual(parseWebhooks({ ZYPTO_ALERT_WEBHOOKS: "slack=https://hooks.example/a, https://ops.example/hook?k=v" }), [
+      { format: "slack", url: "https://hooks.example/a" },
+      { format: "json", url: "https://ops.example/hook?k=v" },
+    ]);
+    assert.throws(() => parseWebhooks({ ZYPTO_ALERT_WEBHOOKS: "discord=nope" }), /bad url "nope"/);
+
+    const alerts = [{ ...ingestAlerts({ token: "zypto", error: "boom" })[0], ts: NOW }];
+    assert.deepEqual(webhookPayload("slack", "zypto", alerts), {
+      text: "1 alert for zypto", attachments: [{ color: "danger", title: "zypto: ingest failed", text: "boom", ts: NOW / 1000 }],
+    });
+    const discord = webhookPayload("discord", "zypto", Array(12).fill(alerts[0]));
+    assert.equal(discord.embeds.length, 10);
+    assert.equal(discord.content, "12 alerts for zypto (first 10 shown)");
+    assert.equal(webhookPayload("json", "zypto", alerts).alerts[0].time, "2024-05-20T12:30:00.000Z");
+  });
+});
+
+describe("checkAlerts", () => {
+  // Canonical hours over the last day with one gap, a jump into the current hour,
+  // and a dexscreener price that hasn't changed in six hours.
+  async function seed() {
+    const db = createMemoryStore();
+    for (let k = 0; k < 24; k++) {
+      const ts = NOW - k * HOUR_MS;
+      const id = ymdh(ts);
+      if (id !== "2024-05-20-03") await db.collection(COLLECTIONS.hourly).doc(id).set(hourlyDoc(id, { ts, priceUSD: k === 0 ? 0.04 : 0.03 + k * 1e-4 }));
+      if (k < 6) await db.collection(COLLECTIONS.hourlyProviders).doc("dexscreener").collection("hours").doc(id).set(hourlyDoc(id, { ts, priceUSD: 0.0301 }));
+    }
+    return db;
+  }
+
+  test("posts what it finds to every webhook, then cools down per key", async () => {
+    const db = await seed();
+    const mock = await startMockServer([
+      { method: "POST", path: "/json", json: { ok: true } },
+      { method: "POST", path: "/slack", json: "ok" },
+      { method: "POST", path: "/discord", status: 204 },
+    ]);
+    try {
+      const webhooks = parseWebhooks({ ZYPTO_ALERT_WEBHOOKS: `json=${mock.url}/json,slack=${mock.url}/slack,discord=${mock.url}/discord` });
+      const target = { ...resolveTarget({ token: "zypto" }), webhooks, policy: POLICY };
+      const first = await checkAlerts(db, { ...target, now: NOW, ingest: { failures: [{ provider: "coingecko", error: "HTTP 500" }] } });
+      const keys = ["provider_failed__coingecko", "move__2024-05-20-12", "stale__dexscreener", "missing_hours"];
+      assert.deepEqual(first.alerts, keys);
+      assert.deepEqual(first.sent, keys);
+      assert.equal(mock.requests.length, 3);
+      const json = mock.requests.find((r) => r.path === "/json").body;
+      assert.deepEqual(json.alerts.find((a) => a.kind === "missing_hours").details.missing, ["2024-05-20-03"]);
+      assert.equal(mock.requests.find((r) => r.path === "/slack").body.attachments.length, 4);
+
+      const again = await checkAlerts(db, { ...target, now: NOW + 10 * 60 * 1000 });
+      assert.deepEqual(again.sent, []);
+      assert.equal(mock.requests.length, 3);
+      const state = (await db.collection(COLLECTIONS.alerts).doc("stale__dexscreener").get()).data();
+      assert.deepEqual([state.sent, state.lastSentAt], [1, NOW]);
+
+      const later = await checkAlerts(db, { ...target, now: NOW + POLICY.cooldownMin * 60 * 1000 });
+      assert.deepEqual(later.sent, ["missing_hours"]);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("nothing is recorded when every webhook fails, so the next run retries", async () => {
+    const db = await seed();
+    const mock = await startMockServer([{ method: "POST", path: "/json", status: 400, json: { error: "nope" } }]);
+    try {
+      const target = { ...resolveTarget({ token: "zypto" }), webhooks: [{ format: "json", url: `${mock.url}/json` }], policy: POLICY };
+      const run = await checkAlerts(db, { ...target, now: NOW });
+      assert.deepEqual(run.sent, []);
+      assert.equal(run.failed.length, 1);
+      assert.equal((await db.collection(COLLECTIONS.alerts).get()).size, 0);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("a window without any hour is an outage once the token has history", async () => {
+    const db = createMemoryStore();
+    const mock = await startMockServer([{ method: "POST", path: "/json", json: { ok: true } }]);
+    try {
+      const target = { ...resolveTarget({ token: "zypto" }), webhooks: [{ format: "json", url: `${mock.url}/json` }], policy: POLICY };
+      assert.deepEqual((await checkAlerts(db, { ...target, now: NOW })).alerts, []);
+
+      const ts = NOW - 30 * HOUR_MS;
+      await db.collection(COLLECTIONS.hourly).doc(ymdh(ts)).set(hourlyDoc(ymdh(ts), { ts, priceUSD: 0.03 }));
+      assert.deepEqual((await checkAlerts(db, { ...target, now: NOW })).sent, ["missing_hours"]);
+      const [alert] = mock.requests[0].body.alerts;
+      assert.equal(alert.severity, "critical");
+      assert.deepEqual([alert.details.missing.length, alert.details.missing[0], alert.details.missing.at(-1)], [24, "2024-05-19-12", "2024-05-20-11"]);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("the hourly ingest reports its failed providers", async () => {
+    const mock = await startMockServer([
+      { path: `/latest/dex/pairs/ethereum/${PAIR}`, fixture: "dexscreener/pairs_ethereum" },
+      { method: "POST", path: "/hook", json: { ok: true } },
+    ]);
+    try {
+      const run = await runScript("scripts/ingestors/zyptoIngestHourly.js", [], {
+        env: {
+          ZYPTO_PROVIDERS: "dexscreener,coingecko", DEXSCREENER_BASE_URL: mock.url, COINGECKO_BASE_URL: mock.url,
+          ZYPTO_ALERT_WEBHOOKS: `${mock.url}/hook`,
+        },
+      });
+      assert.equal(run.code, 0, run.stderr);
+      const hook = mock.requests.find((r) => r.path === "/hook");
+      assert.deepEqual(hook.body.alerts.map((a) => a.key), ["provider_failed__coingecko"]);
+    } finally {
+      await mock.close();
+    }
+  });
+});
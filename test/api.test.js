@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startHistoryApi } from "../scripts/api/historyApi.js";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { FieldPath, createMemoryStore } from "../scripts/lib/storage/localStore.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const NOW = Date.parse("2024-05-21T12:30:00Z");
+
+describe("history API", () => {
+  let server;
+  let base;
+  before(async () => {
+    const db = createMemoryStore();
+    const batch = db.batch();
+    for (const [day, close] of [["2024-05-17", 0.028], ["2024-05-18", 0.029], ["2024-05-20", 0.031]]) {
+      batch.set(db.collection(COLLECTIONS.daily).doc(day), {
+        schemaVersion: 2, date: day, open: close, high: close, low: close, close, priceUSD: close, volumeUSD: 100, sources: ["geckoterminal"],
+      });
+      batch.set(db.collection(COLLECTIONS.dailyProviders).doc("geckoterminal").collection("days").doc(day), { close, volumeUSD: 100 });
+    }
+    for (const hour of ["2024-05-21-10", "2024-05-21-11"]) {
+      batch.set(db.collection(COLLECTIONS.hourly).doc(hour), { schemaVersion: 2, hour, priceUSD: 0.032, volumeUSD: 5, provider: "dexscreener" });
+    }
+    batch.set(db.collection(COLLECTIONS.liquidityDaily).doc("2024-05-20"), {
+      schemaVersion: 2, date: "2024-05-20", liquidityUSD: 24000, liquidityLowUSD: 21000, fdvUSD: 3e6, trades: 40,
+      source: "ingest", thin: true, providers: { ingest: { pools: { "0xpair": { liquidityUSD: 24000 } } } },
+    });
+    batch.set(db.collection(COLLECTIONS.liquidityHourly).doc("2024-05-21-11"), {
+      schemaVersion: 2, hour: "2024-05-21-11", liquidityUSD: 26000, trades: 3, pools: { "0xpair": { liquidityUSD: 26000 } },
+    });
+    for (const [min, side, priceUSD, amountUSD] of [[5, "buy", 0.03, 30], [9, "sell", 0.029, 29], [70, "buy", 0.031, 62]]) {
+      const ts = Date.parse("2024-05-21T10:00:00Z") + min * 60000;
+      batch.set(db.collection(COLLECTIONS.swaps).doc(`${ts}_0xtx${min}_0`), { ts, logIndex: 0, side, priceUSD, amountUSD, amountToken: amountUSD / priceUSD });
+    }
+    await batch.commit();
+    server = await startHistoryApi(db, { port: 0, host: "127.0.0.1", FieldPath, now: () => NOW });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const get = async (path, headers = {}) => {
+    const res = await fetch(`${base}${path}`, { headers });
+    return { res, body: res.status === 304 ? null : await res.json() };
+  };
+
+  test("lists registry tokens and resolves them by id or address", async () => {
+    const { body } = await get("/tokens");
+    assert.deepEqual(body.tokens.map((t) => t.id), ["zypto"]);
+    assert.equal((await get(`/tokens/${TOKEN}`)).body.id, "zypto");
+    const missing = await get("/tokens/nope/candles");
+    assert.equal(missing.res.status, 404);
+    assert.match(missing.body.error.message, /unknown token "nope"/);
+    const malformed = await get("/tokens/%E0%A4/candles");
+    assert.equal(malformed.res.status, 404);
+    assert.match(malformed.body.error.message, /unknown token "%E0%A4"/);
+  });
+
+  test("daily candles page with a cursor, oldest first, gaps left out", async () => {
+    const first = await get("/tokens/zypto/candles?from=2024-05-17&to=2024-05-20&limit=2");
+    assert.equal(first.res.status, 200);
+    assert.deepEqual(first.body.candles.map((c) => c.id), ["2024-05-17", "2024-05-18"]);
+    assert.deepEqual(first.body.candles[0], {
+      id: "2024-05-17", time: "2024-05-17T00:00:00.000Z",
+      open: 0.028, high: 0.028, low: 0.028, close: 0.028, volumeUSD: 100, sources: ["geckoterminal"], backfilled: false,
+    });
+    assert.equal(first.body.next, "2024-05-18");
+    assert.equal(first.res.headers.get("cache-control"), "public, max-age=3600");
+
+    const second = await get(`/tokens/${TOKEN}/candles?from=2024-05-17&to=2024-05-20&limit=2&cursor=${first.body.next}`);
+    assert.deepEqual(second.body.candles.map((c) => c.id), ["2024-05-20"]);
+    assert.equal(second.body.next, null);
+  });
+
+  test("hourly and per-provider candles share the candle shape", async () => {
+    const hourly = await get("/tokens/zypto/candles?interval=1h");
+    assert.equal(hourly.body.from, "2024-04-21");
+    assert.deepEqual(hourly.body.candles.map((c) => [c.time, c.open, c.close]), [
+      ["2024-05-21T10:00:00.000Z", null, 0.032], ["2024-05-21T11:00:00.000Z", null, 0.032],
+    ]);
+    assert.equal(hourly.res.headers.get("cache-control"), "public, max-age=60");
+
+    const provider = await get("/tokens/zypto/providers/geckoterminal/candles?from=2024-05-18&to=2024-05-19");
+    assert.equal(provider.body.provider, "geckoterminal");
+    assert.deepEqual(provider.body.candles.map((c) => [c.id, c.close, c.open]), [["2024-05-18", 0.029, null]]);
+  });
+
+  test("latest returns the newest hourly and daily candle", async () => {
+    const { body } = await get("/tokens/zypto/latest");
+    assert.equal(body.priceUSD, 0.032);
+    assert.equal(body.hourly.id, "2024-05-21-11");
+    assert.equal(body.daily.id, "2024-05-20");
+  });
+
+  test("liquidity history by day and hour", async () => {
+    const daily = await get("/tokens/zypto/liquidity?from=2024-05-17&to=2024-05-20");
+    assert.deepEqual(daily.body.liquidity, [{
+      id: "2024-05-20", time: "2024-05-20T00:00:00.000Z", liquidityUSD: 24000, liquidityLowUSD: 21000,
+      fdvUSD: 3e6, trades: 40, thin: true, source: "ingest", pools: { "0xpair": { liquidityUSD: 24000 } },
+    }]);
+    const hourly = await get("/tokens/zypto/liquidity?interval=1h");
+    assert.deepEqual(hourly.body.liquidity.map((p) => [p.id, p.liquidityUSD, p.thin]), [["2024-05-21-11", 26000, null]]);
+    assert.equal((await get("/tokens/zypto/liquidity?interval=4h")).res.status, 400);
+  });
+
+  test("swap candles at any resolution over a bounded range", async () => {
+    const { body } = await get("/tokens/zypto/swaps/candles?resolution=30m");
+    assert.deepEqual(body.candles.map((k) => [k.time, k.open, k.close, k.buys, k.sells]), [
+      ["2024-05-21T10:00:00.000Z", 0.03, 0.029, 1, 1],
+      ["2024-05-21T11:00:00.000Z", 0.031, 0.031, 1, 0],
+    ]);
+    assert.equal((await get("/tokens/zypto/swaps/candles?resolution=5x")).res.status, 400);
+    assert.equal((await get("/tokens/zypto/swaps/candles?from=2024-01-01&to=2024-05-21")).res.status, 400);
+  });
+
+  test("ETag round-trips to a 304", async () => {
+    const first = await get("/tokens/zypto/candles?from=2024-05-17&to=2024-05-20");
+    const etag = first.res.headers.get("etag");
+    assert.ok(etag);
+    const again = await get("/tokens/zypto/candles?from=2024-05-17&to=2024-05-20", { "if-none-match": etag });
+    assert.equal(again.res.status, 304);
+  });
+
+  test("bad queries and methods are 4xx JSON errors", async () => {
+    for (const q of ["interval=5m", "from=2024-05-20&to=2024-05-01", "limit=0", "interval=1h&cursor=2024-05-20"]) {
+      const { res, body } = await get(`/tokens/zypto/candles?${q}`);
+      assert.equal(res.status, 400, q);
+      assert.equal(body.error.status, 400);
+    }
+    const post = await fetch(`${base}/tokens`, { method: "POST" });
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.get("allow"), "GET, HEAD");
+  });
+});
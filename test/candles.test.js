@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { buildCandle, periodsInRange, rollupCandles } from "../scripts/lib/candles.js";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { isoWeek, periodStart } from "../scripts/lib/time.js";
+
+const HOUR_MS = 3600 * 1000;
+
+// Hourly canonical doc sampled at `iso`, its volume covering the hour before.
+function hour(iso, priceUSD, volumeUSD) {
+  const ts = Date.parse(iso);
+  const d = new Date(ts);
+  const id = `${iso.slice(0, 10)}-${String(d.getUTCHours()).padStart(2, "0")}`;
+  return { hour: id, ts, priceUSD, volumeUSD, intervalStart: ts - HOUR_MS, intervalEnd: ts };
+}
+
+describe("4h / weekly / monthly candles", () => {
+  test("4h: OHLC from samples inside the bucket, volume by interval start", () => {
+    const hours = [
+      hour("2024-05-20T04:02:00Z", 0.030, 10), // interval starts 03:02, in the previous bucket
+      hour("2024-05-20T05:02:00Z", 0.034, 20),
+      hour("2024-05-20T07:02:00Z", 0.028, 30),
+      hour("2024-05-20T08:02:00Z", 0.031, 40), // next bucket, but its interval starts at 07:02
+    ];
+    const c = buildCandle("4h", "2024-05-20-04", hours, { now: Date.parse("2024-05-21T00:00:00Z") });
+    assert.deepEqual(
+      { open: c.open, high: c.high, low: c.low, close: c.close, volumeUSD: c.volumeUSD, count: c.count, complete: c.complete },
+      { open: 0.030, high: 0.034, low: 0.028, close: 0.028, volumeUSD: 90, count: 3, complete: true },
+    );
+    assert.equal(c.start, Date.parse("2024-05-20T04:00:00Z"));
+    assert.equal(c.end, Date.parse("2024-05-20T08:00:00Z"));
+    assert.equal(buildCandle("4h", "2024-05-20-12", hours), null);
+  });
+
+  test("ISO weeks and months span the right days", () => {
+    assert.deepEqual(periodsInRange("1w", "2020-12-27", "2021-01-04"), ["2020-W52", "2020-W53", "2021-W01"]);
+    assert.deepEqual(periodsInRange("1M", "2024-01-31", "2024-03-01"), ["2024-01", "2024-02", "2024-03"]);
+    assert.equal(periodsInRange("4h", "2024-05-20", "2024-05-20").length, 6);
+    assert.equal(new Date(periodStart("2021-W01")).toISOString(), "2021-01-04T00:00:00.000Z");
+  });
+
+  test("rebuild from daily docs, idempotent, and emptied periods are dropped", async () => {
+    const db = createMemoryStore();
+    const days = [["2024-04-29", 1, 10], ["2024-04-30", 2, null], ["2024-05-01", 3, 30], ["2024-05-05", 5, 50], ["2024-05-06", 6, 60]];
+    for (const [date, close, volumeUSD] of days) {
+      await db.collection(COLLECTIONS.daily).doc(date).set({ date, open: close - 0.5, high: close + 1, low: close - 1, close, volumeUSD });
+    }
+    const opts = { from: "2024-04-29", to: "2024-05-06", resolutions: ["1w", "1M"], now: Date.parse("2024-05-07T00:00:00Z") };
+    const counts = await rollupCandles(db, opts);
+    assert.deepEqual(counts, { "1w": { written: 2, deleted: 0 }, "1M": { written: 2, deleted: 0 } });
+
+    const week = (await db.collection(COLLECTIONS.weekly).doc(isoWeek(Date.parse("2024-04-29"))).get()).data();
+    assert.equal(week.period, "2024-W18");
+    assert.deepEqual(
+      { open: week.open, high: week.high, low: week.low, close: week.close, volumeUSD: week.volumeUSD, count: week.count, complete: week.complete },
+      { open: 0.5, high: 6, low: 0, close: 5, volumeUSD: 90, count: 4, complete: true },
+    );
+    const april = (await db.collection(COLLECTIONS.monthly).doc("2024-04").get()).data();
+    assert.deepEqual([april.open, april.close, april.volumeUSD], [0.5, 2, 10]);
+    const may = (await db.collection(COLLECTIONS.monthly).doc("2024-05").get()).data();
+    assert.equal(may.complete, false);
+
+    await rollupCandles(db, opts);
+    const again = (await db.collection(COLLECTIONS.weekly).doc("2024-W18").get()).data();
+    assert.deepEqual({ ...again, updatedAt: 0 }, { ...week, updatedAt: 0 });
+
+    await db.collection(COLLECTIONS.daily).doc("2024-05-06").delete();
+    const after = await rollupCandles(db, { ...opts, resolutions: ["1w"] });
+    assert.deepEqual(after["1w"], { written: 1, deleted: 1 });
+    assert.equal((await db.collection(COLLECTIONS.weekly).doc("2024-W19").get()).exists, false);
+  });
+
+  test("unknown resolutions are rejected", async () => {
+    await assert.rejects(rollupCandles(createMemoryStore(), { from: "2024-05-01", to: "2024-05-01", resolutions: ["3d"] }), /unknown resolution/);
+  });
+});
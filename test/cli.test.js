@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { createLocalStore } from "../scripts/lib/storage/localStore.js";
+import { resolveTarget, resolveTargets } from "../scripts/lib/target.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const CLI = "scripts/cli/zyptoHistory.js";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+
+// Two-token registry: zypto as shipped, plus a token on base with no pools.
+const OTHER = "0x4200000000000000000000000000000000000042";
+function tokensFile() {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "zypto-tokens-")), "tokens.json");
+  fs.writeFileSync(file, JSON.stringify({
+    tokens: [
+      ...JSON.parse(fs.readFileSync("config/tokens.json", "utf8")).tokens,
+      { id: "other", chain: "base", address: OTHER, decimals: 18, coingeckoId: "other-coin" },
+    ],
+  }));
+  return file;
+}
+
+describe("resolveTarget", () => {
+  const registry = { ZYPTO_TOKENS_FILE: tokensFile() };
+
+  test("selects by id or address, defaulting to the first registry token", () => {
+    assert.equal(resolveTarget({}, registry).id, "zypto");
+    assert.equal(resolveTarget({ token: "other" }, registry).token, OTHER);
+    assert.equal(resolveTarget({}, { ...registry, ZYPTO_ADDR: OTHER }).id, "other");
+    assert.equal(resolveTarget({ token: "other" }, { ...registry, ZYPTO_TOKEN: "zypto" }).id, "other");
+    assert.throws(() => resolveTarget({ token: "0xABC" }, registry), /not in the registry/);
+  });
+
+  test("flags beat env, ZYPTO_CHAIN beats the legacy CHAIN", () => {
+    const env = { ...registry, ZYPTO_TOKEN: "zypto", CHAIN: "base", GT_NETWORK: "base" };
+    const t = resolveTarget({}, env);
+    assert.deepEqual([t.token, t.pair, t.chain, t.network], ["0x7a65cb87f596caf31a4932f074c59c0592be77d7", PAIR, "base", "base"]);
+    assert.equal(t.collections.daily, COLLECTIONS.daily);
+    assert.equal(resolveTarget({}, { ...env, ZYPTO_CHAIN: "bsc" }).chain, "bsc");
+    assert.equal(resolveTarget({ chain: "ethereum" }, env).chain, "ethereum");
+  });
+
+  test("without a selected token every registry token is a target, with its own collections", () => {
+    const targets = resolveTargets({}, { ...registry, CHAIN: "bsc" });
+    assert.deepEqual(targets.map((t) => [t.id, t.chain, t.pair]), [["zypto", "ethereum", PAIR], ["other", "base", null]]);
+    assert.equal(targets[1].collections.daily, "other_prices_daily");
+    assert.throws(() => resolveTargets({ pair: PAIR }, registry), /need --token/);
+  });
+});
+
+describe("zypto-history", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockServer([{ path: `/networks/eth/pools/${PAIR}/ohlcv/day`, fixture: "geckoterminal/ohlcv_day" }]);
+  });
+  after(() => mock.close());
+
+  const env = () => ({ GECKOTERMINAL_BASE_URL: mock.url, GECKOTERMINAL_API_KEY: "test-key" });
+
+  test("--dry-run --json reports the writes and commits none", async () => {
+    const run = await runScript(CLI, ["backfill", "geckoterminal", "--timeframes", "day", "--token", "zypto", "--pair", PAIR, "--dry-run", "--json"], { env: env() });
+    assert.equal(run.code, 0, run.stderr);
+    const out = JSON.parse(run.stdout);
+    assert.equal(out.ok, true);
+    assert.equal(out.dryRun, true);
+    assert.equal(out.result[0].written, 3);
+    const day = out.writes.find((w) => w.path === `${COLLECTIONS.daily}/2024-05-19`);
+    assert.equal(day.data.providers.geckoterminal.close, 0.02991);
+    assert.ok(out.writes.some((w) => w.path.startsWith(`${COLLECTIONS.checkpoints}/`)));
+
+    assert.equal((await run.db.collection(COLLECTIONS.daily).doc("2024-05-19").get()).exists, false);
+  });
+
+  test("backfill then export as ndjson", async () => {
+    const storePath = tempStorePath();
+    const run = await runScript(CLI, ["backfill", "geckoterminal", "--timeframes", "day", "--token", "zypto", "--pair", PAIR], { env: env(), storePath });
+    assert.equal(run.code, 0, run.stderr);
+
+    const exp = await runScript(CLI, ["export", "--from", "2024-05-17", "--to", "2024-05-19", "--format", "ndjson"], { storePath });
+    assert.equal(exp.code, 0, exp.stderr);
+    const rows = exp.stdout.trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(rows.map((r) => r.id), ["2024-05-18", "2024-05-19"]);
+    assert.equal(rows[1].close, 0.02991);
+  });
+
+  test("without --token runs once per registry token, skipping what a token can't do", async () => {
+    const run = await runScript(CLI, ["backfill", "geckoterminal", "--timeframes", "day", "--dry-run", "--json"], { env: { ...env(), ZYPTO_TOKENS_FILE: tokensFile() } });
+    assert.equal(run.code, 0, run.stderr);
+    const out = JSON.parse(run.stdout);
+    assert.deepEqual(out.result.map((r) => r.token), ["zypto", "other"]);
+    assert.equal(out.result[0].written, 3);
+    assert.equal(out.result[1].skipped, true);
+    assert.ok(out.writes.every((w) => w.path.startsWith("zypto_")));
+  });
+
+  test("ingest and alerts --dry-run log alerts without posting them", async () => {
+    const hooks = await startMockServer([
+      { path: `/latest/dex/pairs/ethereum/${PAIR}`, fixture: "dexscreener/pairs_ethereum" },
+      { method: "POST", path: "/hook", json: { ok: true } },
+    ]);
+    try {
+      const storePath = tempStorePath();
+      const alertEnv = {
+        ZYPTO_PROVIDERS: "dexscreener,coingecko", DEXSCREENER_BASE_URL: hooks.url, COINGECKO_BASE_URL: hooks.url,
+        ZYPTO_ALERT_WEBHOOKS: `${hooks.url}/hook,slack=${hooks.url}/hook`,
+      };
+      const ingest = await runScript(CLI, ["ingest", "--token", "zypto", "--dry-run", "--json"], { env: alertEnv, storePath });
+      assert.equal(ingest.code, 0, ingest.stderr);
+      assert.match(ingest.stderr, /\[dry-run\] not posting alerts to 2 webhook\(s\)/);
+      assert.match(ingest.stderr, /\[alerts\] warning provider_failed__coingecko/);
+
+      const alerts = await runScript(CLI, ["alerts", "--token", "zypto", "--dry-run", "--json"], { env: alertEnv, storePath });
+      assert.equal(alerts.code, 0, alerts.stderr);
+      assert.deepEqual(JSON.parse(alerts.stdout).result[0].sent, []);
+      assert.equal(hooks.requests.filter((r) => r.path === "/hook").length, 0);
+    } finally {
+      await hooks.close();
+    }
+  });
+
+  test("verify flags malformed docs and exits 1", async () => {
+    const storePath = tempStorePath();
+    await createLocalStore(storePath).collection(COLLECTIONS.daily).doc("2024-05-20")
+      .set({ schemaVersion: 2, date: "2024-05-20", open: 0.03, high: 0.029, low: 0.028, close: 0.031 });
+    const run = await runScript(CLI, ["verify", "--from", "2024-05-20", "--to", "2024-05-20", "--json"], { storePath });
+    assert.equal(run.code, 1);
+    const out = JSON.parse(run.stdout);
+    assert.equal(out.ok, false);
+    assert.deepEqual(out.result[0].problems.map((p) => p.problem), ["high 0.029 below open/close"]);
+  });
+
+  test("unknown commands fail with usage", async () => {
+    const run = await runScript(CLI, ["frobnicate"]);
+    assert.equal(run.code, 1);
+    assert.match(run.stderr, /unknown command "frobnicate"/);
+  });
+});
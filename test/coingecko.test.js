@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import coingecko from "../scripts/lib/providers/coingecko.js";
+import { fixture } from "./support/fixtures.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript } from "./support/runScript.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const CHART = `/api/v3/coins/ethereum/contract/${TOKEN}/market_chart`;
+
+let mock;
+before(async () => {
+  mock = await startMockServer([
+    {
+      path: CHART,
+      reply: ({ query }) => (query.get("days") === "max"
+        ? { status: 401, json: fixture("coingecko/error_10012") }
+        : { json: fixture("coingecko/market_chart_365") }),
+    },
+  ]);
+});
+after(() => mock.close());
+
+function backfill(env = {}) {
+  return runScript("scripts/backfill/backfillFromCoinGecko.js", [], {
+    env: { ZYPTO_ADDR: TOKEN, COINGECKO_BASE_URL: mock.url, COINGECKO_API_KEY: "demo-key", ...env },
+  });
+}
+
+test("days=max hitting the demo window (10012) falls back to 365 days", async () => {
+  const start = mock.requests.length;
+  const run = await backfill();
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /falling back to 365 days/);
+
+  const calls = mock.requests.slice(start);
+  assert.deepEqual(calls.map((r) => r.query.get("days")), ["max", "365"]);
+  assert.equal(calls[0].headers["x-cg-demo-api-key"], "demo-key");
+
+  // Last sample of each UTC day becomes the close
+  const days = await run.db.getAll(...["2024-05-18", "2024-05-19", "2024-05-20"].map((d) => run.db.collection(COLLECTIONS.daily).doc(d)));
+  assert.deepEqual(days.map((s) => s.data().providers.coingecko.close), [0.02902, 0.02991, 0.03004]);
+  assert.deepEqual(days.map((s) => s.data().close), [0.02902, 0.02991, 0.03004]);
+
+  const cp = await run.db.collection(COLLECTIONS.checkpoints).doc(`coingecko__${TOKEN}`).get();
+  assert.equal(cp.data().done, true);
+  assert.equal(cp.data().written, 3);
+});
+
+test("other errors are not mistaken for the demo limit", async () => {
+  const other = await startMockServer([{ path: CHART, status: 500, json: { error: "internal" } }]);
+  try {
+    const run = await backfill({ COINGECKO_BASE_URL: other.url });
+    assert.equal(run.code, 1);
+    assert.match(run.stderr, /500/);
+    assert.equal(other.requests.length, 1);
+  } finally {
+    await other.close();
+  }
+});
+
+test("history for repair and verify asks the same endpoint as the backfill", async () => {
+  const byId = await startMockServer([{ path: "/api/v3/coins/zypto-coin/market_chart/range", fixture: "coingecko/market_chart_365" }]);
+  process.env.COINGECKO_BASE_URL = byId.url;
+  try {
+    const from = Date.parse("2024-05-19T00:00:00Z");
+    const candles = await coingecko.fetchHistory({ token: TOKEN, chain: "ethereum", coingeckoId: "zypto-coin" }, { interval: "1d", from, to: from + 2 * 86400000 - 1 });
+    assert.equal(byId.requests.length, 1);
+    assert.ok(candles.some((k) => k.close === 0.02991));
+  } finally {
+    delete process.env.COINGECKO_BASE_URL;
+    await byId.close();
+  }
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { consensus, consensusPolicy } from "../scripts/lib/consensus.js";
+
+const policy = (method, env = {}) => consensusPolicy({ ZYPTO_CONSENSUS: method, ...env });
+const CANDIDATES = [
+  { provider: "coingecko", price: 0.031, weight: 0 },
+  { provider: "dexscreener", price: 0.030, weight: 100000 },
+  { provider: "geckoterminal", price: 0.032, weight: 300000 },
+  { provider: "uniswap-v2", price: 0.045, weight: 500000 }, // 45% off the median
+];
+
+describe("price consensus", () => {
+  test("outliers beyond maxDeviation of the median are dropped", () => {
+    const r = consensus(CANDIDATES, policy("median"));
+    assert.equal(r.reference, 0.0315);
+    assert.deepEqual(r.excluded, [{ provider: "uniswap-v2", price: 0.045, deviation: 0.428571 }]);
+    assert.deepEqual(r.included, ["geckoterminal", "dexscreener", "coingecko"]);
+    assert.equal(r.source, "geckoterminal");
+    assert.equal(r.price, 0.031);
+    assert.equal(consensus(CANDIDATES, policy("median", { ZYPTO_CONSENSUS_MAX_DEV: "0.5" })).excluded.length, 0);
+  });
+
+  test("weighted, priority, and the fallbacks when the median can't decide", () => {
+    assert.ok(Math.abs(consensus(CANDIDATES, policy("weighted")).price - (0.030 * 1 + 0.032 * 3) / 4) < 1e-12);
+    assert.equal(consensus(CANDIDATES.map((c) => ({ ...c, weight: 0 })), policy("weighted")).price, 0.031);
+    assert.equal(consensus(CANDIDATES, policy("priority")).price, 0.032);
+    assert.equal(consensus(CANDIDATES, policy("priority", { ZYPTO_CONSENSUS_PRIORITY: "coingecko" })).price, 0.031);
+
+    // Two sources: the higher-priority one is the reference.
+    const two = consensus([{ provider: "coingecko", price: 0.05 }, { provider: "geckoterminal", price: 0.03 }], policy("median"));
+    assert.deepEqual([two.reference, two.price, two.excluded.map((e) => e.provider)], [0.03, 0.03, ["coingecko"]]);
+    // An even split leaves nobody near the median; priority breaks the tie.
+    const split = consensus(["geckoterminal", "dexscreener", "uniswap-v3", "coingecko"].map((provider, i) => ({ provider, price: i < 2 ? 1 : 10 })), policy("median"));
+    assert.deepEqual([split.price, split.included], [1, ["geckoterminal", "dexscreener"]]);
+
+    assert.equal(consensus([{ provider: "coingecko", price: 0 }, { provider: "dexscreener", price: NaN }]), null);
+    assert.throws(() => policy("mean"), /ZYPTO_CONSENSUS must be one of/);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import dexscreener, { pickDexPair } from "../scripts/lib/providers/dexscreener.js";
+import { fixture } from "./support/fixtures.js";
+import { startMockServer } from "./support/mockServer.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+
+test("pickDexPair prefers the exact pair address (case-insensitive)", () => {
+  const found = pickDexPair(fixture("dexscreener/pairs_ethereum"), { token: TOKEN, pair: PAIR });
+  assert.equal(found.priceUsd, "0.03012");
+});
+
+test("pickDexPair falls back to an ethereum pair containing the token", () => {
+  const found = pickDexPair(fixture("dexscreener/search"), { token: TOKEN, pair: PAIR });
+  assert.equal(found.chainId, "ethereum");
+  assert.equal(found.quoteToken.address, TOKEN);
+});
+
+test("pickDexPair takes the first pair when nothing matches, null when empty", () => {
+  const found = pickDexPair(fixture("dexscreener/search"), { token: "0xdead", pair: "0xbeef" });
+  assert.equal(found.chainId, "bsc");
+  assert.equal(pickDexPair({ pairs: [] }, { token: TOKEN, pair: PAIR }), null);
+  assert.equal(pickDexPair({ pair: { pairAddress: PAIR } }, { token: TOKEN, pair: PAIR }).pairAddress, PAIR);
+});
+
+let mock;
+before(async () => {
+  mock = await startMockServer([
+    { path: `/latest/dex/pairs/ethereum/${PAIR}`, status: 500, json: { error: "upstream" } },
+    { path: `/latest/dex/pairs/${PAIR}`, json: { pairs: null } },
+    { path: `/latest/dex/tokens/${TOKEN}`, fixture: "dexscreener/pairs_ethereum" },
+  ]);
+  process.env.DEXSCREENER_BASE_URL = mock.url;
+  process.env.ZYPTO_HTTP_RETRIES = "0";
+});
+after(() => mock.close());
+
+test("fetchQuote walks the endpoint list until one yields a pair", async () => {
+  const q = await dexscreener.fetchQuote({ token: TOKEN, pair: PAIR });
+  assert.deepEqual(mock.requests.map((r) => r.path), [
+    `/latest/dex/pairs/ethereum/${PAIR}`,
+    `/latest/dex/pairs/${PAIR}`,
+    `/latest/dex/tokens/${TOKEN}`,
+  ]);
+  assert.equal(q.priceUSD, 0.03012);
+  assert.equal(q.volume1hUSD, 612.77);
+  assert.equal(q.volume24hUSD, 18422.31);
+  assert.equal(q.liquidityUSD, 601234.12);
+});
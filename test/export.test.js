@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { before, describe, test } from "node:test";
+import { exportHistory, readSeries, timeFormatter } from "../scripts/export/exportHistory.js";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { providerRecord, upsertDailyBatch } from "../scripts/lib/dailyRecord.js";
+import { FieldPath, createMemoryStore } from "../scripts/lib/storage/localStore.js";
+
+const tmp = (name) => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "zypto-export-")), name);
+
+describe("exportHistory", () => {
+  const db = createMemoryStore();
+  before(async () => {
+    const batch = db.batch();
+    for (let h = 0; h < 24; h++) {
+      if (h === 7) continue; // a gap
+      const id = `2024-05-20-${String(h).padStart(2, "0")}`;
+      batch.set(db.collection(COLLECTIONS.hourly).doc(id), { hour: id, priceUSD: 0.03 + h / 1000, volumeUSD: h, sources: ["dexscreener", "geckoterminal"] });
+    }
+    await batch.commit();
+  });
+  const range = { FieldPath, from: "2024-05-20", to: "2024-05-20", interval: "1h", pageSize: 5 };
+
+  test("pages through the range in id order, gaps left out", async () => {
+    const rows = await readSeries(db, range);
+    assert.equal(rows.length, 23);
+    assert.deepEqual(rows.map((r) => r.id), [...rows.map((r) => r.id)].sort());
+    assert.ok(!rows.some((r) => r.id === "2024-05-20-07"));
+  });
+
+  test("csv with selected columns and a time zone", async () => {
+    const out = tmp("prices.csv");
+    const res = await exportHistory(db, { ...range, format: "csv", columns: ["time", "close", "sources"], tz: "Asia/Kolkata", out });
+    assert.equal(res.rows, 23);
+    const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+    assert.equal(lines[0], "time,close,sources");
+    assert.equal(lines[1], "2024-05-20T05:30:00+05:30,0.03,dexscreener|geckoterminal");
+    assert.equal(lines.length, 24);
+  });
+
+  test("json streams one valid array", async () => {
+    const out = tmp("prices.json");
+    await exportHistory(db, { ...range, format: "json", columns: ["id", "close"], out });
+    const rows = JSON.parse(fs.readFileSync(out, "utf8"));
+    assert.deepEqual(rows[0], { id: "2024-05-20-00", close: 0.03 });
+    assert.equal(rows.length, 23);
+
+    const empty = tmp("empty.json");
+    await exportHistory(db, { ...range, from: "2024-01-01", to: "2024-01-01", format: "json", out: empty });
+    assert.deepEqual(JSON.parse(fs.readFileSync(empty, "utf8")), []);
+  });
+
+  test("parquet is framed by PAR1 with the schema in its footer", async () => {
+    const out = tmp("prices.parquet");
+    await exportHistory(db, { ...range, format: "parquet", out });
+    const buf = fs.readFileSync(out);
+    assert.equal(buf.subarray(0, 4).toString(), "PAR1");
+    assert.equal(buf.subarray(-4).toString(), "PAR1");
+    const footerLen = buf.readUInt32LE(buf.length - 8);
+    const footer = buf.subarray(buf.length - 8 - footerLen, buf.length - 8).toString("latin1");
+    for (const c of ["id", "time", "close", "volumeUSD", "backfilled", "zypto-history"]) assert.ok(footer.includes(c), c);
+  });
+
+  test("bad options fail before anything is written", async () => {
+    const out = tmp("never.csv");
+    await assert.rejects(exportHistory(db, { ...range, format: "csv", columns: ["close", "vwap"], out }), /unknown column\(s\) vwap/);
+    await assert.rejects(exportHistory(db, { ...range, format: "xlsx", out }), /--format/);
+    await assert.rejects(exportHistory(db, { ...range, tz: "Mars/Olympus", out }), /unknown time zone/);
+    assert.equal(fs.existsSync(out), false);
+  });
+
+  test("a backfilled provider's daily series exports", async () => {
+    const days = ["2024-05-19", "2024-05-20"].map((day, i) => ({ day, record: providerRecord({ close: 0.03 + i / 1000, ts: Date.parse(day), backfilled: true }) }));
+    await upsertDailyBatch(db, "coingecko", days, { token: "0xabc", chain: "ethereum" });
+    const rows = await readSeries(db, { FieldPath, from: "2024-05-19", to: "2024-05-20", interval: "1d", provider: "coingecko" });
+    assert.deepEqual(rows.map((r) => [r.id, r.close, r.backfilled]), [["2024-05-19", 0.03, true], ["2024-05-20", 0.031, true]]);
+  });
+
+  test("time zone offsets follow DST", () => {
+    const berlin = timeFormatter("Europe/Berlin");
+    assert.equal(berlin("2024-01-15T00:00:00.000Z"), "2024-01-15T01:00:00+01:00");
+    assert.equal(berlin("2024-07-15T00:00:00.000Z"), "2024-07-15T02:00:00+02:00");
+    assert.equal(timeFormatter("UTC")("2024-07-15T00:00:00.000Z"), "2024-07-15T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,210 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { hourlyDoc } from "../scripts/lib/hourlyRecord.js";
+import geckoterminal from "../scripts/lib/providers/geckoterminal.js";
+import { createLocalStore } from "../scripts/lib/storage/localStore.js";
+import { ymdh } from "../scripts/lib/time.js";
+import { fixture } from "./support/fixtures.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+const POOL = `/networks/eth/pools/${PAIR}`;
+
+// One full page (1000 candles) ending just before `before` (unix s), shaped like the fixture.
+function fullPage(before, stepSec) {
+  const page = fixture("geckoterminal/ohlcv_day");
+  const [, o, h, l, c, v] = page.data.attributes.ohlcv_list[0];
+  page.data.attributes.ohlcv_list = Array.from({ length: 1000 }, (_, i) => [before - (i + 1) * stepSec, o, h, l, c, v]);
+  return page;
+}
+
+// First request (no before_timestamp, or the newest cursor) gets a full page, anything older a 401.
+function pageThen401(stepSec, newest) {
+  return ({ query }) => {
+    const before = Number(query.get("before_timestamp")) || newest;
+    return before >= newest ? { json: fullPage(newest, stepSec) } : { status: 401, json: fixture("geckoterminal/error_401") };
+  };
+}
+
+function backfill(mock, args = [TOKEN, PAIR], { timeframes = "day", storePath } = {}) {
+  return runScript("scripts/backfill/backfillFromGeckoTerminal.js", [...args, "--timeframes", timeframes], {
+    env: { GECKOTERMINAL_BASE_URL: mock.url, GECKOTERMINAL_API_KEY: "test-key" }, storePath,
+  });
+}
+
+const ohlcv = (rows) => ({ data: { attributes: { ohlcv_list: rows } } });
+const sec = (iso) => Date.parse(iso) / 1000;
+
+describe("GeckoTerminal backfill", () => {
+  test("writes daily OHLCV from one short page", async () => {
+    const mock = await startMockServer([{ path: `${POOL}/ohlcv/day`, fixture: "geckoterminal/ohlcv_day" }]);
+    try {
+      const run = await backfill(mock);
+      assert.equal(run.code, 0, run.stderr);
+      assert.equal(mock.requests.length, 1);
+      assert.equal(mock.requests[0].headers["x-api-key"], "test-key");
+      const doc = (await run.db.collection(COLLECTIONS.daily).doc("2024-05-19").get()).data();
+      assert.deepEqual(
+        (({ open, high, low, close, volumeUSD }) => ({ open, high, low, close, volumeUSD }))(doc.providers.geckoterminal),
+        { open: 0.02902, high: 0.03007, low: 0.02889, close: 0.02991, volumeUSD: 16640.7 },
+      );
+      assert.deepEqual([doc.token, doc.chain], [TOKEN, "ethereum"]);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("a 401 on the first page is the public-tier limit, not a failure", async () => {
+    const mock = await startMockServer([{ path: `${POOL}/ohlcv/day`, status: 401, fixture: "geckoterminal/error_401" }]);
+    try {
+      const run = await backfill(mock);
+      assert.equal(run.code, 0, run.stderr);
+      assert.match(run.stdout, /public‑tier window; treating as success/);
+      assert.match(run.stderr, /401 soft‑limit/);
+      const cp = await run.db.collection(COLLECTIONS.checkpoints).doc(`geckoterminal__${PAIR}`).get();
+      assert.equal(cp.data().done, true);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("keeps the pages written before the 401", async () => {
+    const newest = 1716249600; // 2024-05-21
+    const mock = await startMockServer([{ path: `${POOL}/ohlcv/day`, reply: pageThen401(86400, newest) }]);
+    try {
+      const run = await backfill(mock, [TOKEN, PAIR, "--to", "2024-05-20"]);
+      assert.equal(run.code, 0, run.stderr);
+      assert.deepEqual(mock.requests.map((r) => Number(r.query.get("before_timestamp"))), [newest, newest - 1000 * 86400]);
+      const days = await run.db.collection(COLLECTIONS.daily).get();
+      assert.equal(days.size, 1000);
+      const cp = (await run.db.collection(COLLECTIONS.checkpoints).doc(`geckoterminal__${PAIR}`).get()).data();
+      assert.equal(cp.cursor, newest - 1000 * 86400);
+      assert.equal(cp.done, true);
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe("GeckoTerminal hourly and minute backfill", () => {
+  const gtHours = (db) => db.collection(COLLECTIONS.hourlyProviders).doc("geckoterminal").collection("hours");
+
+  test("hour candles fill new hours whole and only add the candle to ingested ones", async () => {
+    const storePath = tempStorePath();
+    const seed = createLocalStore(storePath);
+    const ingested = { ts: Date.parse("2024-05-20T12:02:00Z"), priceUSD: 0.031, volumeUSD: 40, volumeMethod: "bucket", token: TOKEN };
+    await gtHours(seed).doc("2024-05-20-12").set(hourlyDoc("2024-05-20-12", ingested));
+    await seed.collection(COLLECTIONS.hourly).doc("2024-05-20-12").set(hourlyDoc("2024-05-20-12", { ...ingested, sources: ["geckoterminal"] }));
+
+    const mock = await startMockServer([
+      { path: POOL, fixture: "geckoterminal/pool" },
+      {
+        path: `${POOL}/ohlcv/hour`,
+        json: ohlcv([
+          [sec("2024-05-20T12:00:00Z"), 0.0305, 0.0330, 0.0300, 0.0320, 300],
+          [sec("2024-05-20T11:00:00Z"), 0.0300, 0.0310, 0.0290, 0.0305, 200],
+          [sec("2024-05-20T10:00:00Z"), 0.0290, 0.0300, 0.0285, 0.0300, 100],
+        ]),
+      },
+    ]);
+    try {
+      const run = await backfill(mock, [TOKEN, PAIR, "--from", "2024-05-20", "--to", "2024-05-20"], { timeframes: "hour", storePath });
+      assert.equal(run.code, 0, run.stderr);
+      const req = mock.requests.find((r) => r.path.endsWith("/ohlcv/hour"));
+      assert.deepEqual([req.query.get("token"), req.query.get("aggregate")], ["base", "1"]);
+
+      const h10 = (await gtHours(run.db).doc("2024-05-20-10").get()).data();
+      assert.deepEqual([h10.open, h10.high, h10.low, h10.close, h10.candleVolumeUSD, h10.ohlcSource], [0.029, 0.03, 0.0285, 0.03, 100, "candle"]);
+      assert.deepEqual([h10.ts, h10.priceUSD, h10.volumeUSD], [Date.parse("2024-05-20T10:00:00Z"), 0.029, null]);
+      // Hour 11 carries the interval volume of hour 10, as an ingested sample would.
+      const h11 = (await gtHours(run.db).doc("2024-05-20-11").get()).data();
+      assert.deepEqual([h11.volumeUSD, h11.intervalStart], [100, Date.parse("2024-05-20T10:00:00Z")]);
+
+      const h12 = (await gtHours(run.db).doc("2024-05-20-12").get()).data();
+      assert.deepEqual([h12.priceUSD, h12.volumeUSD, h12.volumeMethod], [0.031, 40, "bucket"]);
+      assert.deepEqual([h12.high, h12.close, h12.ohlcSource], [0.033, 0.032, "candle"]);
+      const canonical12 = (await run.db.collection(COLLECTIONS.hourly).doc("2024-05-20-12").get()).data();
+      assert.deepEqual([canonical12.priceUSD, canonical12.close, canonical12.ohlcSource], [0.031, 0.032, "candle"]);
+      const canonical10 = (await run.db.collection(COLLECTIONS.hourly).doc("2024-05-20-10").get()).data();
+      assert.deepEqual(canonical10.sources, ["geckoterminal"]);
+
+      const fourH = (await run.db.collection(COLLECTIONS.candles4h).doc("2024-05-20-08").get()).data();
+      assert.deepEqual([fourH.open, fourH.high, fourH.close], [0.029, 0.031, 0.0305]);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("the oldest hour of a page gets its interval from the next page", async () => {
+    const newest = 1716249600;
+    const mock = await startMockServer([
+      { path: POOL, fixture: "geckoterminal/pool" },
+      {
+        path: `${POOL}/ohlcv/hour`,
+        reply: ({ query }) => {
+          const before = Number(query.get("before_timestamp")) || newest;
+          return { json: before >= newest ? fullPage(newest, 3600) : ohlcv([[before - 3600, 1, 1, 1, 1, 7]]) };
+        },
+      },
+    ]);
+    try {
+      const run = await backfill(mock, [TOKEN, PAIR], { timeframes: "hour" });
+      assert.equal(run.code, 0, run.stderr);
+      const oldestOfFirstPage = (newest - 1000 * 3600) * 1000;
+      const doc = (await gtHours(run.db).doc(ymdh(oldestOfFirstPage)).get()).data();
+      assert.deepEqual([doc.volumeUSD, doc.intervalStart], [7, oldestOfFirstPage - 3600 * 1000]);
+      const cp = (await run.db.collection(COLLECTIONS.checkpoints).doc(`geckoterminal__${PAIR}__hour`).get()).data();
+      assert.equal(cp.done, true);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("minute candles go to the intraday collection per aggregate", async () => {
+    const mock = await startMockServer([
+      { path: POOL, fixture: "geckoterminal/pool" },
+      { path: `${POOL}/ohlcv/minute`, json: ohlcv([[sec("2024-05-20T10:15:00Z"), 0.03, 0.031, 0.029, 0.0305, 12.5]]) },
+    ]);
+    try {
+      const run = await backfill(mock, [TOKEN, PAIR, "--aggregate", "15"], { timeframes: "minute" });
+      assert.equal(run.code, 0, run.stderr);
+      assert.equal(mock.requests.at(-1).query.get("aggregate"), "15");
+      const doc = (await run.db.collection(COLLECTIONS.intraday).doc("15m").collection("candles").doc("2024-05-20-10-15").get()).data();
+      assert.deepEqual([doc.interval, doc.ts, doc.close, doc.volumeUSD], ["15m", Date.parse("2024-05-20T10:15:00Z"), 0.0305, 12.5]);
+
+      const bad = await backfill(mock, [TOKEN, PAIR, "--aggregate", "7"], { timeframes: "minute" });
+      assert.equal(bad.code, 1);
+      assert.match(bad.stderr, /--aggregate must be one of 1, 5, 15/);
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe("GeckoTerminal provider history", () => {
+  let mock;
+  const newest = 1716249600;
+  before(async () => {
+    mock = await startMockServer([
+      { path: POOL, fixture: "geckoterminal/pool" },
+      { path: `${POOL}/ohlcv/hour`, reply: pageThen401(3600, newest) },
+    ]);
+    process.env.GECKOTERMINAL_BASE_URL = mock.url;
+    process.env.ZYPTO_HTTP_RETRIES = "0";
+  });
+  after(() => mock.close());
+
+  test("pages back with before_timestamp and stops quietly at the 401", async () => {
+    const from = (newest - 1500 * 3600) * 1000;
+    const to = newest * 1000;
+    const candles = await geckoterminal.fetchHistory({ token: TOKEN, pair: PAIR, network: "eth" }, { interval: "1h", from, to });
+    assert.equal(candles.length, 1000);
+    assert.ok(candles.every((k, i) => i === 0 || k.ts > candles[i - 1].ts), "oldest first");
+    const ohlcv = mock.requests.filter((r) => r.path.endsWith("/ohlcv/hour"));
+    assert.equal(ohlcv.length, 2);
+    assert.equal(ohlcv[0].query.get("token"), "base"); // our token is the pool's base token
+  });
+});
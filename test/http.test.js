@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { GraphQLError, HttpError, TimeoutError, getJSON, gql, httpMetrics, resetHttpMetrics } from "../scripts/lib/http.js";
+import { fixture } from "./support/fixtures.js";
+import { startMockServer } from "./support/mockServer.js";
+
+let mock;
+let flaky = 0;
+before(async () => {
+  mock = await startMockServer([
+    { path: "/flaky", reply: () => (++flaky < 3 ? { status: 429, headers: { "retry-after": "0" }, json: {} } : { json: { ok: true } }) },
+    { path: "/cg-10012", status: 401, fixture: "coingecko/error_10012" },
+    { path: "/bad-request", status: 400, json: { error: "bad" } },
+    { path: "/slow", reply: () => new Promise((r) => setTimeout(() => r({ json: {} }), 300)) },
+    { method: "POST", path: "/gql", json: { errors: [{ message: "Store error: database unavailable" }] } },
+  ]);
+});
+after(() => mock.close());
+
+test("429 is retried (Retry-After honoured) and counted", async () => {
+  resetHttpMetrics();
+  assert.deepEqual(await getJSON(`${mock.url}/flaky`, { retries: 3 }), { ok: true });
+  const m = Object.values(httpMetrics())[0];
+  assert.deepEqual({ requests: m.requests, ok: m.ok, retries: m.retries, rateLimited: m.rateLimited }, { requests: 3, ok: 1, retries: 2, rateLimited: 2 });
+});
+
+test("provider error codes are surfaced on HttpError and not retried", async () => {
+  const err = await getJSON(`${mock.url}/cg-10012`, { retries: 3 }).catch((e) => e);
+  assert.ok(err instanceof HttpError);
+  assert.equal(err.status, 401);
+  assert.equal(err.code, fixture("coingecko/error_10012").error.status.error_code);
+  assert.match(err.message, /^401 .*\[10012\]: Your request exceeds/);
+
+  const before = mock.requests.length;
+  await assert.rejects(getJSON(`${mock.url}/bad-request`, { retries: 3 }), (e) => e.status === 400 && e.retryable === false);
+  assert.equal(mock.requests.length - before, 1);
+});
+
+test("timeouts and GraphQL errors have their own types", async () => {
+  await assert.rejects(getJSON(`${mock.url}/slow`, { timeout: 50, retries: 0 }), TimeoutError);
+  await assert.rejects(gql(`${mock.url}/gql`, "{ x }", {}, { retries: 0 }), (e) => e instanceof GraphQLError && /database unavailable/.test(e.message));
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import {
+  buildLiquidityDailyDoc, liquidityHourDoc, rollupLiquidityDay, thinThreshold, upsertLiquidityDays,
+} from "../scripts/lib/liquidity.js";
+import { createMemoryStore } from "../scripts/lib/storage/localStore.js";
+
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+const DAY = "2024-05-20";
+
+const reading = (provider, fields) => ({ provider, pair: PAIR, ...fields });
+const hourDoc = (iso, liquidityUSD, buys, sells) => {
+  const ts = Date.parse(iso);
+  const hour = iso.slice(0, 13).replace("T", "-");
+  return liquidityHourDoc(hour, [reading("dexscreener", { liquidityUSD, buys, sells, reserveToken: 1, fdvUSD: 3e6 })], { ts });
+};
+
+describe("liquidity history", () => {
+  test("hour docs take each field from the highest-priority provider that has it", () => {
+    const doc = liquidityHourDoc("2024-05-20-05", [
+      reading("dexscreener", { liquidityUSD: 600000, reserveToken: 9.9e6, reserveQuote: 94, buys: 3, sells: 2, fdvUSD: 3e6 }),
+      reading("uniswap-v2-onchain", { liquidityUSD: null, reserveToken: 9.8e6, reserveQuote: 95 }),
+      reading("geckoterminal", { liquidityUSD: 590000, buys: 4, sells: 1, fdvUSD: 2.9e6 }),
+    ], { ts: Date.parse("2024-05-20T05:02:00Z") });
+    assert.deepEqual(doc.pools[PAIR], {
+      liquidityUSD: 590000, reserveToken: 9.8e6, reserveQuote: 95, buys: 4, sells: 1, sources: ["geckoterminal", "uniswap-v2-onchain"],
+    });
+    assert.equal(doc.liquidityUSD, 590000);
+    assert.equal(doc.fdvUSD, 2.9e6);
+    assert.equal(doc.trades, 5);
+  });
+
+  test("days roll up levels from their samples and trades from their buckets", async () => {
+    const db = createMemoryStore();
+    const hours = db.collection(COLLECTIONS.liquidityHourly);
+    await hours.doc("2024-05-20-00").set(hourDoc("2024-05-20T00:05:00Z", 40000, 9, 9)); // trades belong to the 19th
+    await hours.doc("2024-05-20-05").set(hourDoc("2024-05-20T05:02:00Z", 20000, 1, 2));
+    await hours.doc("2024-05-20-23").set(hourDoc("2024-05-20T23:30:00Z", 30000, 2, 0));
+    await hours.doc("2024-05-21-00").set(hourDoc("2024-05-21T00:10:00Z", 50000, 4, 4)); // trades belong to the 20th
+
+    const doc = await rollupLiquidityDay(db, DAY, { thresholdUSD: 25000 });
+    const again = await rollupLiquidityDay(db, DAY, { thresholdUSD: 25000 });
+    assert.equal(again.providers.ingest.trades, doc.providers.ingest.trades);
+    const { ingest } = doc.providers;
+    assert.deepEqual([ingest.liquidityUSD, ingest.liquidityLowUSD, ingest.liquidityHighUSD, ingest.hours], [30000, 20000, 40000, 3]);
+    assert.deepEqual([ingest.buys, ingest.sells, ingest.trades], [7, 6, 13]);
+    assert.equal(ingest.pools[PAIR].liquidityLowUSD, 20000);
+    assert.equal(doc.source, "ingest");
+    assert.equal(doc.thin, true);
+    assert.equal(doc.thinThresholdUSD, 25000);
+  });
+
+  test("backfilled days keep ingest first and re-derive the top level", async () => {
+    const db = createMemoryStore();
+    await upsertLiquidityDays(db, "uniswap-v2", [{ day: DAY, record: { liquidityUSD: 10000, liquidityToken: 9e6 } }]);
+    const ref = db.collection(COLLECTIONS.liquidityDaily).doc(DAY);
+    const backfilled = (await ref.get()).data();
+    assert.deepEqual([backfilled.source, backfilled.liquidityUSD, backfilled.thin], ["uniswap-v2", 10000, true]);
+
+    const merged = buildLiquidityDailyDoc(DAY, backfilled, { ingest: { liquidityUSD: 60000, liquidityLowUSD: 55000 } });
+    assert.deepEqual([merged.source, merged.liquidityLowUSD, merged.thin], ["ingest", 55000, false]);
+    assert.equal(merged.providers["uniswap-v2"].liquidityToken, 9e6);
+  });
+
+  test("thin threshold: registry, then env, then the default", () => {
+    assert.equal(thinThreshold({ thinLiquidityUSD: 1000 }, { ZYPTO_THIN_LIQUIDITY_USD: "5000" }), 1000);
+    assert.equal(thinThreshold({}, { ZYPTO_THIN_LIQUIDITY_USD: "5000" }), 5000);
+    assert.equal(thinThreshold({}, {}), 25000);
+  });
+});
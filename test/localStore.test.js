@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FieldPath, FieldValue, createLocalStore, createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { tempStorePath } from "./support/runScript.js";
+
+test("set replaces, merge deep-merges maps, update needs a doc", async () => {
+  const db = createMemoryStore();
+  const ref = db.collection("daily").doc("2024-05-20");
+  await ref.set({ providers: { a: { close: 1 } }, close: 1 });
+  await ref.set({ providers: { b: { close: 2 } } }, { merge: true });
+  assert.deepEqual((await ref.get()).data(), { providers: { a: { close: 1 }, b: { close: 2 } }, close: 1 });
+  await ref.set({ close: 3 });
+  assert.deepEqual((await ref.get()).data(), { close: 3 });
+  await ref.update({ "providers.c.close": 4, n: FieldValue.increment(2) });
+  assert.deepEqual((await ref.get()).data(), { close: 3, providers: { c: { close: 4 } }, n: 2 });
+  await assert.rejects(db.collection("daily").doc("missing").update({ x: 1 }), /NOT_FOUND/);
+  await assert.rejects(ref.set({ x: undefined }), /undefined/);
+});
+
+test("listDocuments includes docs that only hold subcollections", async () => {
+  const db = createMemoryStore();
+  await db.collection("hourly_providers").doc("dexscreener").collection("hours").doc("2024-05-20-01").set({ p: 1 });
+  const ids = (await db.collection("hourly_providers").listDocuments()).map((r) => r.id);
+  assert.deepEqual(ids, ["dexscreener"]);
+  assert.equal((await db.collection("hourly_providers").doc("dexscreener").get()).exists, false);
+});
+
+test("queries order, filter and page like Firestore", async () => {
+  const db = createMemoryStore();
+  const batch = db.batch();
+  for (const [id, close] of [["b", 2], ["a", 1], ["d", 4], ["c", null]]) batch.set(db.collection("d").doc(id), close == null ? {} : { close });
+  await batch.commit();
+  const col = db.collection("d");
+  const ids = async (q) => (await q.get()).docs.map((s) => s.id);
+  assert.deepEqual(await ids(col.orderBy(FieldPath.documentId()).limit(2)), ["a", "b"]);
+  assert.deepEqual(await ids(col.orderBy(FieldPath.documentId()).startAfter("b")), ["c", "d"]);
+  assert.deepEqual(await ids(col.orderBy("close", "desc")), ["d", "b", "a"]); // "c" has no close
+  assert.deepEqual(await ids(col.where("close", ">=", 2)), ["b", "d"]);
+});
+
+test("the JSON-lines file survives a reopen, transactions included", async () => {
+  const file = tempStorePath();
+  const db = createLocalStore(file);
+  await db.collection("x").doc("1").set({ v: 1 });
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(db.collection("x").doc("1"));
+    tx.set(db.collection("x").doc("2"), { v: snap.data().v + 1 });
+    tx.delete(db.collection("x").doc("1"));
+  });
+  const reopened = createLocalStore(file);
+  const [one, two] = await reopened.getAll(reopened.doc("x/1"), reopened.doc("x/2"));
+  assert.equal(one.exists, false);
+  assert.deepEqual(two.data(), { v: 2 });
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { SCHEMA_VERSION, buildDailyDoc, providerRecord } from "../scripts/lib/dailyRecord.js";
+import { FieldPath, createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { resolveTarget } from "../scripts/lib/target.js";
+import { classifyDaily, migrateDaily, migrateSchema } from "../scripts/migrations/migrateSchema.js";
+
+const TS = Date.parse("2024-05-20T00:00:00Z");
+// What the CoinGecko, Uniswap v2 and v3 backfills left merged into one daily doc.
+const LEGACY = { source: "coingecko", cgUSD: 0.031, priceUSD: 0.032, uniV2USD: 0.032, uniV3: { priceUSD: 0.0305, volumeUSD: 900 }, ts: TS };
+
+describe("daily schema migration", () => {
+  test("classifyDaily names every legacy shape a doc carries", () => {
+    assert.deepEqual(classifyDaily(LEGACY), ["coingecko", "uniswap-v2", "uniswap-v3"]);
+    assert.deepEqual(classifyDaily({ source_gt: true, open: 1, close: 1 }), ["geckoterminal"]);
+    assert.deepEqual(classifyDaily({ open: 1, close: 1, firstTs: TS }), ["hourly-ohlc"]);
+    assert.deepEqual(classifyDaily({ schemaVersion: SCHEMA_VERSION, providers: {} }), ["v2"]);
+    assert.deepEqual(classifyDaily({ foo: 1 }), ["unknown"]);
+  });
+
+  test("migrateDaily moves legacy fields into providers, per-provider days taking precedence", () => {
+    const { shapes, next } = migrateDaily("2024-05-20", { ...LEGACY, contract: "0xabc" }, {
+      "uniswap-v2": providerRecord({ close: 0.0322, ts: TS }),
+    });
+    assert.deepEqual(shapes, ["coingecko", "uniswap-v2", "uniswap-v3"]);
+    assert.equal(next.schemaVersion, SCHEMA_VERSION);
+    assert.equal(next.token, "0xabc");
+    assert.deepEqual(next.migratedFrom, shapes);
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(next.providers).map(([p, r]) => [p, r.close])),
+      { coingecko: 0.031, "uniswap-v2": 0.0322, "uniswap-v3": 0.0305 },
+    );
+    assert.equal(next.providers["uniswap-v3"].volumeUSD, 900);
+    assert.equal("cgUSD" in next || "uniV3" in next, false);
+
+    const current = buildDailyDoc("2024-05-20", null, { coingecko: providerRecord({ close: 0.031, ts: TS }) });
+    assert.equal(migrateDaily("2024-05-20", current, {}).next, null);
+  });
+
+  test("a rerun picks up after the stored cursor, then skips the finished target", async () => {
+    const db = createMemoryStore();
+    const target = resolveTarget({ token: "zypto" });
+    const days = ["2024-05-18", "2024-05-19", "2024-05-20", "2024-05-21", "2024-05-22"];
+    for (const day of days) await db.collection(COLLECTIONS.daily).doc(day).set({ ...LEGACY, ts: Date.parse(day) });
+    // As if an earlier run was stopped after committing its first batch.
+    const state = db.collection("zypto_migrations").doc(`schema-v${SCHEMA_VERSION}`);
+    await state.set({ targets: { daily: { cursor: "2024-05-19", done: false, migrated: 2, skipped: 0 } } });
+
+    const report = await migrateSchema(db, FieldPath, { ...target, only: ["daily"], batch: 2 });
+    assert.deepEqual(report.targets.daily, { migrated: 5, skipped: 0 });
+    const docs = (await db.collection(COLLECTIONS.daily).get()).docs;
+    assert.deepEqual(docs.map((d) => d.data().schemaVersion ?? null), [null, null, SCHEMA_VERSION, SCHEMA_VERSION, SCHEMA_VERSION]);
+    assert.deepEqual((await state.get()).data().targets.daily, { cursor: "2024-05-22", done: true, migrated: 5, skipped: 0 });
+
+    const again = await migrateSchema(db, FieldPath, { ...target, only: ["daily"], batch: 2 });
+    assert.deepEqual(again.targets, {});
+    const reset = await migrateSchema(db, FieldPath, { ...target, only: ["daily"], batch: 2, reset: true });
+    assert.deepEqual(reset.targets.daily, { migrated: 2, skipped: 3 });
+  });
+});
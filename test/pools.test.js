@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { hourlyDoc } from "../scripts/lib/hourlyRecord.js";
+import { aggregatePools, backfillPools, checkPoolTimeframes, weightPools } from "../scripts/lib/pools.js";
+import { createMemoryStore } from "../scripts/lib/storage/localStore.js";
+
+const HOUR = "2024-05-20-05";
+const TS = Date.parse("2024-05-20T05:00:00Z");
+
+describe("pool-weighted price", () => {
+  const v3 = { id: "uniswap-v3__a", open: 0.029, high: 0.031, low: 0.028, close: 0.03, volumeUSD: 300, tvlUSD: 100000 };
+  const v2 = { id: "uniswap-v2__b", open: null, high: null, low: null, close: 0.033, volumeUSD: 100, tvlUSD: 400000 };
+
+  test("volume weighting, with OHLC legs over the pools that have them", () => {
+    const agg = weightPools([v3, v2], "volume");
+    assert.ok(Math.abs(agg.close - (0.03 * 300 + 0.033 * 100) / 400) < 1e-12);
+    assert.ok(Math.abs(agg.open - 0.029) < 1e-12);
+    assert.equal(agg.volumeUSD, 400);
+    assert.equal(agg.liquidityUSD, 500000);
+    assert.deepEqual(agg.weights, { "uniswap-v3__a": 0.75, "uniswap-v2__b": 0.25 });
+  });
+
+  test("liquidity weighting, and volume falling back to it when nothing traded", () => {
+    assert.ok(Math.abs(weightPools([v3, v2], "liquidity").close - (0.03 * 0.2 + 0.033 * 0.8)) < 1e-12);
+    const quiet = weightPools([{ ...v3, volumeUSD: 0 }, { ...v2, volumeUSD: 0 }], "volume");
+    assert.equal(quiet.weighting, "liquidity");
+    assert.equal(weightPools([{ ...v3, close: null }], "volume"), null);
+    assert.throws(() => checkPoolTimeframes(["minute"]), /unknown pool timeframe/);
+  });
+
+  test("hours become uniswap-pools docs and re-derive existing canonical hours", async () => {
+    const db = createMemoryStore();
+    for (const { id, ...k } of [v3, v2]) {
+      const pool = db.collection(COLLECTIONS.pools).doc(id);
+      await pool.set({ dex: id.split("__")[0] });
+      await pool.collection("hours").doc(HOUR).set({ ...k, ts: TS });
+    }
+    await db.collection(COLLECTIONS.hourly).doc(HOUR).set(hourlyDoc(HOUR, { ts: TS, priceUSD: 0.031, close: 0.031, open: 0.031, high: 0.031, low: 0.031 }));
+
+    assert.equal(await aggregatePools(db, "hour", [HOUR, "2024-05-20-06"], { weighting: "volume" }), 1);
+    const own = (await db.collection(COLLECTIONS.hourlyProviders).doc("uniswap-pools").collection("hours").doc(HOUR).get()).data();
+    assert.equal(own.ohlcSource, "candle");
+    assert.equal(own.candleVolumeUSD, 400);
+    const canonical = (await db.collection(COLLECTIONS.hourly).doc(HOUR).get()).data();
+    assert.equal(canonical.close, own.close);
+  });
+
+  test("a finished open-ended pool backfill fetches its last day again, and the days after it", async () => {
+    const db = createMemoryStore();
+    const DAY_S = Date.parse("2024-05-20T00:00:00Z") / 1000;
+    const pool = { dex: "uniswap-v3", address: "0xpool", feeTier: 3000, side: 0 };
+    let days = 2;
+    const afters = [];
+    async function* history(_pool, { after, before }) {
+      afters.push(after);
+      const rows = Array.from({ length: days }, (_, i) => ({
+        ts: (DAY_S + i * 86400) * 1000, open: null, high: null, low: null, close: 0.03 + days / 1000, volumeUSD: 100, tvlUSD: 1000, feesUSD: 0.3,
+      })).filter((k) => k.ts / 1000 > after && k.ts / 1000 < before);
+      if (rows.length) yield rows;
+    }
+    const run = () => backfillPools(db, { dex: "uniswap-v3", discover: async () => [pool], history, token: "0xtoken", weighting: "volume" });
+
+    assert.equal((await run()).written, 2);
+    days = 3;
+    const again = await run();
+    assert.deepEqual([again.written, again.skipped], [2, false]);
+    assert.deepEqual(afters, [-1, DAY_S + 86400 - 1]);
+    const stored = await db.collection(COLLECTIONS.pools).doc("uniswap-v3__0xpool").collection("days").get();
+    assert.deepEqual(stored.docs.map((d) => [d.id, d.data().close]), [["2024-05-20", 0.032], ["2024-05-21", 0.033], ["2024-05-22", 0.033]]);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { buildDailyDoc } from "../scripts/lib/dailyRecord.js";
+import { expectedProviders, reconcileDay, reconcileThresholds, reconciliationMarkdown } from "../scripts/lib/reconcile.js";
+import { createLocalStore } from "../scripts/lib/storage/localStore.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const THRESHOLDS = { closePct: 5, volumePct: 50 };
+const day = (providers) => ({ close: 0.03, volumeUSD: 1000, providers });
+
+describe("provider reconciliation", () => {
+  test("deviations from the canonical close/volume, flagged past the thresholds", () => {
+    const r = reconcileDay("2024-05-20", day({
+      coingecko: { close: 0.0321, volumeUSD: 1000 },
+      geckoterminal: { close: 0.03, volumeUSD: 2600 },
+      "uniswap-v2": { close: null },
+    }), { expected: ["coingecko", "geckoterminal", "uniswap-v2"], thresholds: THRESHOLDS });
+    assert.deepEqual(r.providers.coingecko, { close: 0.0321, volumeUSD: 1000, closeDevPct: 7, volumeDevPct: 0 });
+    assert.deepEqual(r.flags, [
+      { provider: "coingecko", field: "close", deviationPct: 7 },
+      { provider: "geckoterminal", field: "volumeUSD", deviationPct: 160 },
+    ]);
+    assert.deepEqual(r.missing, ["uniswap-v2"]);
+    assert.equal(r.flagged, true);
+
+    const quiet = reconcileDay("2024-05-21", { providers: { a: { close: 1 }, b: { close: 1.02 }, c: { close: 1.04 } } }, { thresholds: THRESHOLDS });
+    assert.equal(quiet.reference.close, 1.02);
+    assert.equal(quiet.flagged, false);
+    assert.throws(() => reconcileThresholds({ ZYPTO_RECONCILE_CLOSE_PCT: "-1" }), /ZYPTO_RECONCILE_CLOSE_PCT/);
+  });
+
+  test("a provider is expected from its first day in the range", () => {
+    const days = [["2024-05-19", day({ a: { close: 1 } })], ["2024-05-20", null], ["2024-05-21", day({ a: { close: 1 }, b: { close: 1 } })]];
+    assert.deepEqual(expectedProviders(days), { "2024-05-19": ["a"], "2024-05-20": ["a"], "2024-05-21": ["a", "b"] });
+    assert.deepEqual(expectedProviders(days, ["b"])["2024-05-21"], ["b"]);
+  });
+
+  test("markdown lists every provider and the flagged days", () => {
+    const records = [reconcileDay("2024-05-20", day({ a: { close: 0.033, volumeUSD: 1000 } }), { expected: ["a", "b"], thresholds: THRESHOLDS })];
+    const md = reconciliationMarkdown({ token: "zypto", from: "2024-05-20", to: "2024-05-20", records });
+    assert.match(md, /^# Reconciliation: zypto 2024-05-20\.\.2024-05-20/);
+    assert.match(md, /\| \*\*2024-05-20\*\* \| 0\.03 \| 0\.033 \(\+10\.00%\) \| missing \|/);
+    assert.match(md, /- 2024-05-20: a close \(\+10\.00%\), b missing/);
+  });
+
+  test("verify --reconcile writes a record per day and the summary files, and fails on flagged days", async () => {
+    const storePath = tempStorePath();
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), "zypto-reconcile-"));
+    const store = createLocalStore(storePath);
+    const docs = {
+      "2024-05-20": { coingecko: { close: 0.03, volumeUSD: 900 }, geckoterminal: { close: 0.0301, volumeUSD: 1000 } },
+      "2024-05-21": { coingecko: { close: 0.036, volumeUSD: 900 }, geckoterminal: { close: 0.03, volumeUSD: 1000 } },
+    };
+    for (const [id, providers] of Object.entries(docs)) {
+      await store.collection(COLLECTIONS.daily).doc(id).set(buildDailyDoc(id, null, providers, {}));
+    }
+    const run = await runScript("scripts/cli/zyptoHistory.js", [
+      "verify", "--from", "2024-05-20", "--to", "2024-05-21", "--providers", "coingecko,geckoterminal", "--reconcile", "--out", out, "--json",
+    ], { storePath });
+    assert.equal(run.code, 1);
+    const { result: [res] } = JSON.parse(run.stdout);
+    assert.deepEqual(res.reconciliation.flagged, ["2024-05-21"]);
+
+    const record = (await run.db.collection(COLLECTIONS.reconciliation).doc("2024-05-21").get()).data();
+    assert.deepEqual(record.flags, [{ provider: "coingecko", field: "close", deviationPct: 20 }]);
+    assert.equal((await run.db.collection(COLLECTIONS.reconciliation).doc("2024-05-20").get()).data().flagged, false);
+    const json = JSON.parse(fs.readFileSync(path.join(out, "reconciliation_zypto_2024-05-20_2024-05-21.json"), "utf8"));
+    assert.equal(json.records.length, 2);
+    assert.match(fs.readFileSync(path.join(out, "reconciliation_zypto_2024-05-20_2024-05-21.md"), "utf8"), /2 days, 1 flagged/);
+  });
+});
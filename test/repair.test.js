@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { buildDailyDoc, providerRecord } from "../scripts/lib/dailyRecord.js";
+import { findGaps } from "../scripts/lib/gaps.js";
+import { hourlyDoc } from "../scripts/lib/hourlyRecord.js";
+import { createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { resolveTarget } from "../scripts/lib/target.js";
+import { ymdh } from "../scripts/lib/time.js";
+import { HOUR_MS } from "../scripts/lib/volume.js";
+import { repairGaps } from "../scripts/repair/repairGaps.js";
+import { startMockServer } from "./support/mockServer.js";
+
+const DAY = "2024-05-20";
+const START = Date.parse(`${DAY}T00:00:00Z`);
+const at = (h) => START + h * HOUR_MS;
+const target = resolveTarget({ token: "zypto" });
+const POOL = `/networks/${target.network}/pools/${target.pair}`;
+
+// Every canonical hour of the day but 05 and 06; geckoterminal's own from 02, without 06.
+async function seed() {
+  const db = createMemoryStore();
+  for (let h = 0; h < 24; h++) {
+    const id = ymdh(at(h));
+    if (h !== 5 && h !== 6) await db.collection(COLLECTIONS.hourly).doc(id).set(hourlyDoc(id, { ts: at(h), priceUSD: 0.03 }));
+    if (h >= 2 && h !== 6) {
+      await db.collection(COLLECTIONS.hourlyProviders).doc("geckoterminal").collection("hours").doc(id).set(hourlyDoc(id, { ts: at(h), priceUSD: 0.03 }));
+    }
+  }
+  await db.collection(COLLECTIONS.daily).doc(DAY).set(buildDailyDoc(DAY, null, { geckoterminal: providerRecord({ close: 0.03, ts: START }) }));
+  return db;
+}
+
+describe("gap repair", () => {
+  let mock;
+  before(async () => {
+    // GeckoTerminal hour candles for 04..06, keyed by their start; newest first like the API.
+    const candles = [[6, 0.033, 0.034, 0.032, 0.0335, 60], [5, 0.031, 0.0325, 0.0305, 0.032, 50], [4, 0.03, 0.031, 0.029, 0.0305, 40]];
+    mock = await startMockServer([
+      { path: POOL, fixture: "geckoterminal/pool" },
+      { path: `${POOL}/ohlcv/hour`, json: { data: { attributes: { ohlcv_list: candles.map(([h, ...k]) => [at(h) / 1000, ...k]) } } } },
+    ]);
+    process.env.GECKOTERMINAL_BASE_URL = mock.url;
+    process.env.ZYPTO_HTTP_RETRIES = "0";
+  });
+  after(() => mock.close());
+
+  test("findGaps checks providers from their first hour and leaves out the current one", async () => {
+    const db = await seed();
+    const gaps = await findGaps(db, { from: DAY, to: DAY, collections: target.collections });
+    assert.deepEqual(gaps.hourly, ["2024-05-20-05", "2024-05-20-06"]);
+    assert.deepEqual(gaps.hourlyProviders, { geckoterminal: ["2024-05-20-06"] });
+    assert.deepEqual([gaps.daily, gaps.dailyProviders], [[], { geckoterminal: [] }]);
+
+    // At 06:01 hour 06 may not be ingested yet.
+    const early = await findGaps(db, { from: DAY, to: DAY, until: at(6) + 60000, collections: target.collections });
+    assert.deepEqual([early.hourly, early.hourlyProviders.geckoterminal], [["2024-05-20-05"], []]);
+  });
+
+  test("repaired hours hold their own candle, under its start hour", async () => {
+    const db = await seed();
+    const run = await repairGaps(db, { ...target, from: DAY, to: DAY, providers: ["geckoterminal"] });
+    assert.equal(run.failed, false);
+    assert.deepEqual(run.filled, { hourly: 2, hourlyProviders: { geckoterminal: 1 }, daily: 0, dailyProviders: {} });
+
+    const five = (await db.collection(COLLECTIONS.hourly).doc("2024-05-20-05").get()).data();
+    assert.deepEqual(five, hourlyDoc("2024-05-20-05", {
+      ts: at(5), priceUSD: 0.031, volumeUSD: 40, volumeMethod: "candle", intervalStart: at(4), intervalEnd: at(5),
+      token: target.token, pair: target.pair, backfilled: true, backfillSource: "geckoterminal",
+      provider: "geckoterminal", sources: ["geckoterminal"],
+      open: 0.031, high: 0.0325, low: 0.0305, close: 0.032, ohlcSource: "candle", candleVolumeUSD: 50,
+    }));
+    const own = (await db.collection(COLLECTIONS.hourlyProviders).doc("geckoterminal").collection("hours").doc("2024-05-20-06").get()).data();
+    assert.deepEqual([own.ts, own.priceUSD, own.close, own.candleVolumeUSD, own.volumeUSD], [at(6), 0.033, 0.0335, 60, 50]);
+    // The hour before the first gap was only fetched for its volume.
+    assert.equal((await db.collection(COLLECTIONS.hourly).doc("2024-05-20-04").get()).data().backfilled, undefined);
+  });
+
+  test("the repaired day and its candles are rolled up again", async () => {
+    const db = await seed();
+    await repairGaps(db, { ...target, from: DAY, to: DAY, providers: ["geckoterminal"] });
+    const providerDay = (await db.collection(COLLECTIONS.dailyProviders).doc("geckoterminal").collection("days").doc(DAY).get()).data();
+    assert.deepEqual([providerDay.high, providerDay.backfilled], [0.034, true]);
+    assert.equal((await db.collection(COLLECTIONS.daily).doc(DAY).get()).data().providers.geckoterminal.high, 0.034);
+    const candle = (await db.collection(COLLECTIONS.candles4h).doc("2024-05-20-04").get()).data();
+    assert.deepEqual([candle.open, candle.high, candle.count], [0.03, 0.034, 4]);
+    assert.ok((await db.collection(COLLECTIONS.weekly).get()).size > 0);
+  });
+});
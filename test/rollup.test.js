@@ -0,0 +1,234 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { hourlyDoc } from "../scripts/lib/hourlyRecord.js";
+import { rollupDay, rollupHour, rollupProviderDay } from "../scripts/lib/rollup.js";
+import { createLocalStore, createMemoryStore } from "../scripts/lib/storage/localStore.js";
+import { isoWeek, ym, ymd, ymdh, ymdh4 } from "../scripts/lib/time.js";
+import { HOUR_MS } from "../scripts/lib/volume.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+
+// Bucket-volume sample taken at `iso`, covering the hour before it.
+function sample(iso, priceUSD, volumeUSD) {
+  const ts = Date.parse(iso);
+  return { hour: ymdh(ts), ts, priceUSD, volumeUSD, volumeMethod: "bucket", intervalStart: ts - HOUR_MS, intervalEnd: ts };
+}
+
+function hours(db, provider) {
+  return db.collection(COLLECTIONS.hourlyProviders).doc(provider).collection("hours");
+}
+
+describe("hourly -> daily rollup", () => {
+  const day = "2024-05-20";
+  const samples = [
+    sample("2024-05-20T01:02:00Z", 0.030, 100),
+    sample("2024-05-20T05:02:00Z", 0.034, 50),
+    sample("2024-05-20T12:02:00Z", 0.028, 70),
+    sample("2024-05-20T23:02:00Z", 0.031, 20),
+    sample("2024-05-21T00:03:00Z", 0.032, 40), // interval starts 23:03 on the 20th
+  ];
+
+  test("OHLC from the day's samples, volume from intervals starting in the day", () => {
+    const r = rollupProviderDay(day, samples);
+    assert.deepEqual(
+      { open: r.open, high: r.high, low: r.low, close: r.close, volumeUSD: r.volumeUSD },
+      { open: 0.030, high: 0.034, low: 0.028, close: 0.031, volumeUSD: 280 },
+    );
+    assert.equal(r.firstTs, samples[0].ts);
+    assert.equal(r.lastTs, samples[3].ts);
+    assert.equal(rollupProviderDay("2024-05-22", samples), null);
+  });
+
+  test("rollupDay writes daily + per-provider docs and is idempotent", async () => {
+    const db = createMemoryStore();
+    for (const s of samples) await hours(db, "dexscreener").doc(s.hour).set(s);
+    await hours(db, "geckoterminal").doc("2024-05-20-23").set(sample("2024-05-20T23:02:00Z", 0.0312, 25));
+
+    const first = await rollupDay(db, day, ["dexscreener", "geckoterminal"], { token: TOKEN, chain: "ethereum" });
+    const second = await rollupDay(db, day, ["dexscreener", "geckoterminal"], { token: TOKEN, chain: "ethereum" });
+    const strip = ({ updatedAt, providers, ...rest }) => ({
+      ...rest,
+      providers: Object.fromEntries(Object.entries(providers).map(([p, { updatedAt: _, ...r }]) => [p, r])),
+    });
+    assert.deepEqual(strip(second), strip(first));
+
+    const doc = (await db.collection(COLLECTIONS.daily).doc(day).get()).data();
+    assert.equal(doc.providers.dexscreener.volumeUSD, 280);
+    assert.equal(doc.providers.geckoterminal.close, 0.0312);
+    assert.ok(Math.abs(doc.close - (0.031 + 0.0312) / 2) < 1e-12, `close ${doc.close}`);
+    assert.deepEqual([...doc.sources].sort(), ["dexscreener", "geckoterminal"]);
+    assert.equal(doc.token, TOKEN);
+
+    const providerDay = await db.collection(COLLECTIONS.dailyProviders).doc("dexscreener").collection("days").doc(day).get();
+    assert.equal(providerDay.data().high, 0.034);
+  });
+
+  test("a day without hourly data or a daily doc isn't created", async () => {
+    const db = createMemoryStore();
+    assert.equal(await rollupDay(db, day, ["dexscreener"]), null);
+    assert.equal((await db.collection(COLLECTIONS.daily).doc(day).get()).exists, false);
+  });
+});
+
+describe("hourly candles", () => {
+  test("the daily OHLC spans the hours' candles, not just their samples", () => {
+    const hours = [
+      { ...sample("2024-05-20T01:02:00Z", 0.030, 100), open: 0.029, high: 0.036, low: 0.029, close: 0.030, ohlcSource: "candle" },
+      sample("2024-05-20T05:02:00Z", 0.034, 50),
+      { ...sample("2024-05-20T12:02:00Z", 0.028, 70), open: 0.031, high: 0.031, low: 0.025, close: 0.027, ohlcSource: "samples" },
+    ];
+    const r = rollupProviderDay("2024-05-20", hours);
+    assert.deepEqual([r.open, r.high, r.low, r.close], [0.029, 0.036, 0.025, 0.027]);
+    assert.equal(r.volumeUSD, 220);
+  });
+
+  test("rollupHour derives the canonical candle from the providers'", async () => {
+    const db = createMemoryStore();
+    const id = "2024-05-20-05";
+    const gt = { open: 0.030, high: 0.035, low: 0.029, close: 0.034, ohlcSource: "candle", candleVolumeUSD: 900 };
+    await hours(db, "geckoterminal").doc(id).set({ ...sample("2024-05-20T05:02:00Z", 0.0301, 50), ...gt });
+    await hours(db, "dexscreener").doc(id).set(sample("2024-05-20T05:02:00Z", 0.0302, 60));
+    assert.equal(await rollupHour(db, id, ["geckoterminal", "dexscreener"]), null); // no canonical doc yet
+
+    await db.collection(COLLECTIONS.hourly).doc(id).set(hourlyDoc(id, { ts: Date.parse("2024-05-20T05:02:00Z"), priceUSD: 0.03015 }));
+    const fields = await rollupHour(db, id, ["geckoterminal", "dexscreener"], { collections: COLLECTIONS });
+    const doc = (await db.collection(COLLECTIONS.hourly).doc(id).get()).data();
+    assert.equal(doc.priceUSD, 0.03015); // the sample stays as it was
+    assert.ok(Math.abs(doc.close - (0.034 + 0.0302) / 2) < 1e-12, `close ${doc.close}`);
+    assert.ok(Math.abs(doc.high - (0.035 + 0.0302) / 2) < 1e-12, `high ${doc.high}`); // median, like the daily legs
+    assert.equal(doc.candleVolumeUSD, 900);
+    assert.equal(doc.ohlcSource, "candle");
+    assert.deepEqual(fields, { open: doc.open, high: doc.high, low: doc.low, close: doc.close, candleVolumeUSD: 900, ohlcSource: "candle" });
+  });
+});
+
+describe("zyptoIngestHourly end to end", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockServer([
+      { path: `/latest/dex/pairs/ethereum/${PAIR}`, fixture: "dexscreener/pairs_ethereum" },
+      { path: "/api/v3/simple/token_price/ethereum", fixture: "coingecko/token_price" },
+    ]);
+  });
+  after(() => mock.close());
+
+  test("writes canonical + per-provider hours and rebuilds today's OHLC", async () => {
+    const storePath = tempStorePath();
+    const now = Date.now();
+    const today = ymd(now);
+    // Earlier samples from today; the current hour is left to the ingestor.
+    const seeds = [[3, 0.0290, 300], [2, 0.0330, 200]]
+      .map(([h, price, vol]) => ({ ts: now - h * HOUR_MS, price, vol }))
+      .filter(({ ts }) => ymd(ts) === today)
+      .map(({ ts, price, vol }) => ({ ...sample(new Date(ts).toISOString(), price, vol), token: TOKEN }));
+    const seedDb = createLocalStore(storePath);
+    for (const s of seeds) await hours(seedDb, "dexscreener").doc(s.hour).set(s);
+
+    const env = {
+      ZYPTO_PROVIDERS: "dexscreener,coingecko",
+      DEXSCREENER_BASE_URL: mock.url,
+      COINGECKO_BASE_URL: mock.url,
+    };
+    const run = await runScript("scripts/ingestors/zyptoIngestHourly.js", [], { env, storePath });
+    assert.equal(run.code, 0, run.stderr);
+
+    const { db } = run;
+    const hourId = ymdh(now);
+    const canonical = (await db.collection(COLLECTIONS.hourly).doc(hourId).get()).data();
+    assert.ok(Math.abs(canonical.priceUSD - (0.03012 + 0.030087) / 2) < 1e-12);
+    assert.deepEqual([...canonical.sources].sort(), ["coingecko", "dexscreener"]);
+    const dexHour = (await hours(db, "dexscreener").doc(hourId).get()).data();
+    assert.equal(dexHour.volumeMethod, "bucket");
+    assert.equal(dexHour.volumeUSD, 612.77);
+
+    const rec = (await db.collection(COLLECTIONS.daily).doc(today).get()).data().providers.dexscreener;
+    const prices = [...seeds.map((s) => s.priceUSD), 0.03012];
+    const volume = [...seeds, dexHour].filter((h) => ymd(h.intervalStart) === today).reduce((a, h) => a + h.volumeUSD, 0);
+    assert.equal(rec.open, prices[0]);
+    assert.equal(rec.close, 0.03012);
+    assert.equal(rec.high, Math.max(...prices));
+    assert.equal(rec.low, Math.min(...prices));
+    assert.ok(Math.abs((rec.volumeUSD ?? 0) - volume) < 1e-9, `volume ${rec.volumeUSD} vs ${volume}`);
+
+    // The 4h, weekly and monthly candles holding this hour follow (lib/candles.js).
+    const fourH = (await db.collection(COLLECTIONS.candles4h).doc(ymdh4(now)).get()).data();
+    assert.equal(fourH.close, canonical.priceUSD);
+    assert.equal(fourH.complete, false);
+    const daily = (await db.collection(COLLECTIONS.daily).doc(today).get()).data();
+    assert.equal((await db.collection(COLLECTIONS.weekly).doc(isoWeek(now)).get()).data().close, daily.close);
+    assert.equal((await db.collection(COLLECTIONS.monthly).doc(ym(now)).get()).data().close, daily.close);
+
+    // Pool state from DexScreener goes to the liquidity history (lib/liquidity.js).
+    const liq = (await db.collection(COLLECTIONS.liquidityHourly).doc(hourId).get()).data();
+    assert.deepEqual(liq.pools[PAIR], {
+      liquidityUSD: 601234.12, reserveToken: 9978411, reserveQuote: 94.4, buys: 3, sells: 2, sources: ["dexscreener"],
+    });
+    assert.equal(liq.liquidityUSD, 601234.12);
+    assert.equal(liq.fdvUSD, 3012000);
+    assert.equal(liq.trades, 5);
+    const liqDay = (await db.collection(COLLECTIONS.liquidityDaily).doc(today).get()).data();
+    assert.equal(liqDay.liquidityUSD, 601234.12);
+    assert.equal(liqDay.source, "ingest");
+    assert.equal(liqDay.thin, false);
+
+    // Same hour again: nothing is double-counted.
+    const rerun = await runScript("scripts/ingestors/zyptoIngestHourly.js", [], { env, storePath });
+    assert.equal(rerun.code, 0, rerun.stderr);
+    const again = (await rerun.db.collection(COLLECTIONS.daily).doc(today).get()).data().providers.dexscreener;
+    assert.equal(again.volumeUSD, rec.volumeUSD);
+  });
+
+  test("closes the previous hour with GeckoTerminal's candle and keeps the samples", async () => {
+    const storePath = tempStorePath();
+    const now = Date.now();
+    const prevStart = Math.floor(now / HOUR_MS) * HOUR_MS - HOUR_MS;
+    const prevId = ymdh(prevStart);
+    const seed = { ts: prevStart + 2 * 60 * 1000, priceUSD: 0.0300, token: TOKEN };
+    const seedDb = createLocalStore(storePath);
+    await hours(seedDb, "geckoterminal").doc(prevId).set(hourlyDoc(prevId, { ...seed, close: 0.0300, samples: [seed] }));
+    await seedDb.collection(COLLECTIONS.hourly).doc(prevId).set(hourlyDoc(prevId, { ...seed, close: 0.0300, sources: ["geckoterminal"] }));
+
+    const gt = await startMockServer([
+      { path: `/networks/eth/pools/${PAIR}`, fixture: "geckoterminal/pool" },
+      {
+        path: `/networks/eth/pools/${PAIR}/ohlcv/hour`,
+        json: { data: { attributes: { ohlcv_list: [[prevStart / 1000, 0.0295, 0.0320, 0.0280, 0.0301, 1234]] } } },
+      },
+    ]);
+    try {
+      const env = { ZYPTO_PROVIDERS: "geckoterminal", GECKOTERMINAL_BASE_URL: gt.url };
+      const run = await runScript("scripts/ingestors/zyptoIngestHourly.js", [], { env, storePath });
+      assert.equal(run.code, 0, run.stderr);
+
+      const closed = (await hours(run.db, "geckoterminal").doc(prevId).get()).data();
+      assert.deepEqual(
+        [closed.open, closed.high, closed.low, closed.close, closed.candleVolumeUSD, closed.ohlcSource],
+        [0.0295, 0.0320, 0.0280, 0.0301, 1234, "candle"],
+      );
+      assert.equal(closed.priceUSD, 0.0300);
+      const canonicalPrev = (await run.db.collection(COLLECTIONS.hourly).doc(prevId).get()).data();
+      assert.deepEqual([canonicalPrev.high, canonicalPrev.close, canonicalPrev.ohlcSource], [0.0320, 0.0301, "candle"]);
+
+      const current = (await hours(run.db, "geckoterminal").doc(ymdh(now)).get()).data();
+      assert.equal(current.ohlcSource, "samples");
+      assert.equal(current.close, 0.0301177);
+      assert.equal(current.samples.length, 1);
+
+      const day = (await run.db.collection(COLLECTIONS.daily).doc(ymd(prevStart)).get()).data().providers.geckoterminal;
+      assert.equal(day.high, 0.0320);
+      assert.equal(day.low, 0.0280);
+
+      // A second run in the same hour adds a sample to the hour's candle.
+      const rerun = await runScript("scripts/ingestors/zyptoIngestHourly.js", [], { env, storePath });
+      assert.equal(rerun.code, 0, rerun.stderr);
+      const again = (await hours(rerun.db, "geckoterminal").doc(ymdh(now)).get()).data();
+      assert.equal(again.samples.length, 2);
+    } finally {
+      await gt.close();
+    }
+  });
+});
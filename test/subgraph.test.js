@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import uniswapV2 from "../scripts/lib/providers/uniswapV2.js";
+import { ymd } from "../scripts/lib/time.js";
+import { fixture } from "./support/fixtures.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const START = 1626307200; // 2021-07-15
+const DAYS = 1003; // one full page of 1000 + a short one
+
+// tokenDayDatas answering like the subgraph: date_gt/date_lt window, first 1000, ascending.
+// Rows are the fixture's last row with the date moved.
+function tokenDayDatas(name, days = DAYS) {
+  const template = fixture(name).data.tokenDayDatas.at(-1);
+  const series = Array.from({ length: days }, (_, i) => ({ ...template, date: START + i * 86400 }));
+  return ({ body }) => {
+    const { after: gt, before: lt } = body.variables;
+    return { json: { data: { tokenDayDatas: series.filter((r) => r.date > gt && r.date < lt).slice(0, 1000) } } };
+  };
+}
+
+// Token-level tokenDayDatas requests only; the backfills also look up pools.
+const tokenDayRequests = (mock) => mock.requests.filter((r) => r.body.variables.token === TOKEN && r.body.query.includes("tokenDayDatas"));
+const afters = (mock) => tokenDayRequests(mock).map((r) => r.body.variables.after);
+
+describe("Uniswap subgraph pagination", () => {
+  test("v2 backfill pages by date and checkpoints the last committed day", async () => {
+    const mock = await startMockServer([{ method: "POST", path: "/v2", reply: tokenDayDatas("thegraph/uniswap_v2_token_day_datas") }]);
+    try {
+      const run = await runScript("scripts/backfill/backfillFromUniswapV2.js", [TOKEN], { env: { UNIV2_SUBGRAPH_URL: `${mock.url}/v2` } });
+      assert.equal(run.code, 0, run.stderr);
+      assert.deepEqual(afters(mock), [-1, START + 999 * 86400]);
+      assert.equal((await run.db.collection(COLLECTIONS.daily).get()).size, DAYS);
+      const last = ymd((START + (DAYS - 1) * 86400) * 1000);
+      const doc = (await run.db.collection(COLLECTIONS.daily).doc(last).get()).data();
+      assert.equal(doc.providers["uniswap-v2"].close, 0.030118844);
+      const liquidity = (await run.db.collection(COLLECTIONS.liquidityDaily).doc(last).get()).data();
+      assert.deepEqual(
+        { liquidityUSD: liquidity.liquidityUSD, source: liquidity.source, thin: liquidity.thin },
+        { liquidityUSD: 601198.4, source: "uniswap-v2", thin: false },
+      );
+      assert.equal(liquidity.providers["uniswap-v2"].liquidityToken, 9978411);
+      const cp = (await run.db.collection(COLLECTIONS.checkpoints).doc(`uniswap-v2__${TOKEN}`).get()).data();
+      assert.equal(cp.cursor, START + (DAYS - 1) * 86400);
+      assert.equal(cp.written, DAYS);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("a finished open-ended v2 backfill fetches its last day again, and the days after it", async () => {
+    const storePath = tempStorePath();
+    const first = await startMockServer([{ method: "POST", path: "/v2", reply: tokenDayDatas("thegraph/uniswap_v2_token_day_datas") }]);
+    const second = await startMockServer([{ method: "POST", path: "/v2", reply: tokenDayDatas("thegraph/uniswap_v2_token_day_datas", DAYS + 2) }]);
+    try {
+      const done = await runScript("scripts/backfill/backfillFromUniswapV2.js", [TOKEN], { env: { UNIV2_SUBGRAPH_URL: `${first.url}/v2` }, storePath });
+      assert.equal(done.code, 0, done.stderr);
+      const run = await runScript("scripts/backfill/backfillFromUniswapV2.js", [TOKEN], { env: { UNIV2_SUBGRAPH_URL: `${second.url}/v2` }, storePath });
+      assert.equal(run.code, 0, run.stderr);
+      assert.deepEqual(afters(second), [START + (DAYS - 1) * 86400 - 1]);
+      assert.equal((await run.db.collection(COLLECTIONS.daily).get()).size, DAYS + 2);
+      const cp = (await run.db.collection(COLLECTIONS.checkpoints).doc(`uniswap-v2__${TOKEN}`).get()).data();
+      assert.deepEqual([cp.cursor, cp.done, cp.written], [START + (DAYS + 1) * 86400, true, DAYS + 3]);
+    } finally {
+      await first.close();
+      await second.close();
+    }
+  });
+
+  test("v3 backfill honours --from/--to and keeps volume", async () => {
+    const mock = await startMockServer([{ method: "POST", path: "/v3", reply: tokenDayDatas("thegraph/uniswap_v3_token_day_datas") }]);
+    try {
+      const run = await runScript("scripts/backfill/backfillFromUniswapV3.js", [TOKEN, "--from", "2021-07-20", "--to", "2021-07-24"], {
+        env: { UNIV3_SUBGRAPH_URL: `${mock.url}/v3` },
+      });
+      assert.equal(run.code, 0, run.stderr);
+      const [request, ...more] = tokenDayRequests(mock);
+      assert.equal(more.length, 0);
+      assert.equal(request.body.variables.after, Date.parse("2021-07-20T00:00:00Z") / 1000 - 1);
+      assert.equal(request.body.variables.before, Date.parse("2021-07-25T00:00:00Z") / 1000);
+      const days = await run.db.collection(COLLECTIONS.daily).get();
+      assert.deepEqual(days.docs.map((d) => d.id), ["2021-07-20", "2021-07-21", "2021-07-22", "2021-07-23", "2021-07-24"]);
+      assert.equal(days.docs[0].data().providers["uniswap-v3"].volumeUSD, 2211.04);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("v3 backfill stores every pool's days and the volume-weighted price", async () => {
+    const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+    const DAY = 1716163200; // 2024-05-20
+    // Pool OHLC is token0 per token1: ZYPTO per WETH in the first pool, USDC per ZYPTO in the second.
+    const poolDays = {
+      "0x9a834b70c07c81a9fcd6f22e842bf002fbffbe4d": { open: "125000", high: "150000", low: "100000", close: "100000", volumeUSD: "3000", tvlUSD: "512330.18", feesUSD: "9" },
+      "0x3f5228d0e7d75467366be7de2c31d0d098ba2c23": { open: "0.031", high: "0.033", low: "0.03", close: "0.032", volumeUSD: "1000", tvlUSD: "98120.55", feesUSD: "10" },
+    };
+    const quoteUSD = { [WETH]: "3000", "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48": "1" };
+    const mock = await startMockServer([{
+      method: "POST", path: "/v3", reply: ({ body: { query, variables } }) => {
+        if (query.includes("query Pools")) return { json: fixture("thegraph/uniswap_v3_pools") };
+        if (query.includes("poolDayDatas")) return { json: { data: { poolDayDatas: [{ date: DAY, ...poolDays[variables.pool] }] } } };
+        if (variables.token === TOKEN) return { json: { data: { tokenDayDatas: [{ date: DAY, priceUSD: "0.0301", volumeUSD: "4000" }] } } };
+        return { json: { data: { tokenDayDatas: [{ date: DAY, priceUSD: quoteUSD[variables.token] }] } } };
+      },
+    }]);
+    try {
+      const run = await runScript("scripts/backfill/backfillFromUniswapV3.js", [TOKEN, "--from", "2024-05-20", "--to", "2024-05-20"], {
+        env: { UNIV3_SUBGRAPH_URL: `${mock.url}/v3` },
+      });
+      assert.equal(run.code, 0, run.stderr);
+      const pools = await run.db.collection(COLLECTIONS.pools).get();
+      assert.deepEqual(pools.docs.map((d) => [d.id, d.data().side, d.data().feeTier]), [
+        ["uniswap-v3__0x3f5228d0e7d75467366be7de2c31d0d098ba2c23", 1, 10000],
+        ["uniswap-v3__0x9a834b70c07c81a9fcd6f22e842bf002fbffbe4d", 0, 3000],
+      ]);
+      const weth = (await pools.docs[1].ref.collection("days").doc("2024-05-20").get()).data();
+      assert.ok(Math.abs(weth.close - 0.03) < 1e-12);
+      assert.ok(Math.abs(weth.open - 0.024) < 1e-12);
+      assert.ok(Math.abs(weth.high - 0.03) < 1e-12 && Math.abs(weth.low - 0.02) < 1e-12); // inverted: high <-> low
+
+      const day = (await run.db.collection(COLLECTIONS.daily).doc("2024-05-20").get()).data();
+      const pooled = day.providers["uniswap-pools"];
+      assert.ok(Math.abs(pooled.close - (0.03 * 3000 + 0.032 * 1000) / 4000) < 1e-12);
+      assert.equal(pooled.volumeUSD, 4000);
+      assert.equal(pooled.liquidityUSD, 512330.18 + 98120.55);
+      assert.ok(day.sources.includes("uniswap-pools"));
+    } finally {
+      await mock.close();
+    }
+  });
+
+  describe("v2 provider history", () => {
+    let mock;
+    before(async () => {
+      mock = await startMockServer([{ method: "POST", path: "/v2", reply: tokenDayDatas("thegraph/uniswap_v2_token_day_datas") }]);
+      process.env.UNIV2_SUBGRAPH_URL = `${mock.url}/v2`;
+      process.env.ZYPTO_HTTP_RETRIES = "0";
+    });
+    after(() => mock.close());
+
+    test("fetchHistory follows the same cursor to the end", async () => {
+      const candles = await uniswapV2.fetchHistory({ token: TOKEN }, { interval: "1d", from: START * 1000, to: Date.now() });
+      assert.equal(candles.length, DAYS);
+      assert.deepEqual(afters(mock), [START - 1, START + 999 * 86400]);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+// =============================
+// File: test/support/fixtures.js (ESM)
+// Purpose: Load recorded provider responses from test/fixtures/<provider>/<name>.json.
+// =============================
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+// name: "coingecko/market_chart_365" (extension optional). Fresh copy per call.
+export function fixture(name) {
+  const file = path.join(FIXTURES, name.endsWith(".json") ? name : `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
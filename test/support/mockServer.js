@@ -0,0 +1,44 @@
+// =============================
+// File: test/support/mockServer.js (ESM)
+// Purpose: Local HTTP server standing in for the provider APIs. Routes match on
+//          method + pathname (string or RegExp) and answer with a fixture file,
+//          a status, or a handler computing the reply from the request.
+//          Every request is recorded so tests can assert on the call sequence.
+// =============================
+
+import http from "node:http";
+import { fixture } from "./fixtures.js";
+
+// route: { method?, path, status?, fixture?, json?, headers?, reply?(req) -> { status?, json?, headers? } }
+// req passed to reply(): { method, path, query (URLSearchParams), body (parsed JSON or null) }
+export async function startMockServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", async () => {
+      const u = new URL(req.url, "http://mock");
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch { body = raw; }
+      const entry = { method: req.method, path: u.pathname, query: u.searchParams, body, headers: req.headers };
+      requests.push(entry);
+
+      const route = routes.find((r) => (!r.method || r.method === req.method) &&
+        (r.path instanceof RegExp ? r.path.test(u.pathname) : r.path === u.pathname));
+      let out = { status: 404, json: { error: `no mock route for ${req.method} ${u.pathname}` } };
+      if (route) {
+        out = route.reply
+          ? await route.reply(entry)
+          : { status: route.status, json: route.fixture ? fixture(route.fixture) : route.json, headers: route.headers };
+      }
+      res.writeHead(out.status || 200, { "content-type": "application/json", ...out.headers });
+      res.end(out.json === undefined ? "" : JSON.stringify(out.json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
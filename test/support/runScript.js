@@ -0,0 +1,40 @@
+// =============================
+// File: test/support/runScript.js (ESM)
+// Purpose: Run one of the scripts as a child process against a throwaway local
+//          store (ZYPTO_STORE=local) with no Firebase credentials in sight,
+//          then hand back its output and the store it wrote.
+// =============================
+
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createLocalStore } from "../../scripts/lib/storage/localStore.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export function tempStorePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "zypto-test-")), "store.jsonl");
+}
+
+// script: path relative to the repo root. Resolves { code, stdout, stderr, db }.
+export function runScript(script, args = [], { env = {}, storePath = tempStorePath(), timeout = 30000 } = {}) {
+  const base = Object.fromEntries(Object.entries(process.env).filter(([k]) => !/^(FIREBASE_|FIRESTORE_|ZYPTO_|GOOGLE_)/.test(k)));
+  const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd: ROOT,
+    env: { ...base, ZYPTO_STORE: "local", ZYPTO_STORE_PATH: storePath, ZYPTO_HTTP_RETRIES: "0", ...env },
+  });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (c) => (stdout += c));
+  child.stderr.on("data", (c) => (stderr += c));
+  const timer = setTimeout(() => child.kill(), timeout);
+  return new Promise((resolve, reject) => {
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, db: createLocalStore(storePath) });
+    });
+  });
+}
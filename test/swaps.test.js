@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { COLLECTIONS } from "../scripts/lib/collections.js";
+import { TOPICS } from "../scripts/lib/rpc.js";
+import { pairContracts, word } from "../scripts/sanity/rpcStandIn.js";
+import { buildSwapCandles, normalizeSwap, resolutionMs } from "../scripts/lib/swaps.js";
+import { startMockServer } from "./support/mockServer.js";
+import { runScript, tempStorePath } from "./support/runScript.js";
+
+const TOKEN = "0x7a65cb87f596caf31a4932f074c59c0592be77d7";
+const PAIR = "0x1ecb460a532c1d76937bedbadf7d333da30255a4";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH_USD_PAIR = "0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc";
+const T0 = Date.parse("2024-05-20T00:00:00Z") / 1000;
+const E18 = 10n ** 18n;
+
+const swaps = (db) => db.collection(COLLECTIONS.swaps).get();
+const swapsHour = (db, hour) => db.collection(COLLECTIONS.hourlyProviders).doc("swaps").collection("hours").doc(hour).get();
+
+// Subgraph swaps of the ZYPTO/WETH pair (ZYPTO is token0).
+const SUBGRAPH_SWAPS = [
+  { at: "05:10", amount0Out: "1000", amount1In: "0.01", amountUSD: "30" },
+  { at: "05:20", amount0In: "500", amount1Out: "0.004", amountUSD: "16" },
+  { at: "05:50", amount0Out: "2000", amount1In: "0.02", amountUSD: "56" },
+  { at: "06:05", amount0In: "1000", amount1Out: "0.01", amountUSD: "31" },
+].map(({ at, ...amounts }, i) => ({
+  id: `0xtx${i}-0`, timestamp: String(Date.parse(`2024-05-20T${at}:00Z`) / 1000), logIndex: "0", to: "0xRouter",
+  amount0In: "0", amount1In: "0", amount0Out: "0", amount1Out: "0", ...amounts,
+  transaction: { id: `0xTX${i}`, blockNumber: String(19_900_000 + i) },
+}));
+
+function subgraph({ body }) {
+  if (body.query.includes("pair(id")) return { json: { data: { pair: { token0: { id: TOKEN }, token1: { id: WETH } } } } };
+  const { after, before } = body.variables;
+  return { json: { data: { swaps: SUBGRAPH_SWAPS.filter((s) => s.timestamp >= after && s.timestamp < before) } } };
+}
+
+// JSON-RPC node with one block every 12s from block B0 at T0, the pair, the
+// USDC/WETH reference pair ($3000 per WETH) and two Swap logs.
+const B0 = 20_000_000;
+const LATEST = B0 + 1000;
+const CONTRACTS = {
+  ...pairContracts({ pair: PAIR, token0: TOKEN, token1: WETH, decimals0: 18, decimals1: 18, reserve0: 10n ** 24n, reserve1: 10n ** 19n }),
+  ...pairContracts({ pair: WETH_USD_PAIR, token0: USDC, token1: WETH, decimals0: 6, decimals1: 18, reserve0: 3n * 10n ** 12n, reserve1: 1000n * E18 }),
+};
+const LOGS = [
+  { block: B0 + 100, amounts: [0n, E18 / 100n, 1000n * E18, 0n] }, // buy 1000 for 0.01 WETH
+  { block: B0 + 600, amounts: [500n * E18, 0n, 0n, 55n * E18 / 10000n] }, // sell 500 for 0.0055 WETH
+].map(({ block, amounts }, i) => ({
+  address: PAIR, blockNumber: `0x${block.toString(16)}`, transactionHash: `0xrpc${i}`, logIndex: "0x3", removed: false,
+  topics: [TOPICS.uniswapV2Swap, `0x${word(1)}`, `0x${word(2)}`], data: `0x${amounts.map(word).join("")}`,
+}));
+
+function node({ body: { id, method, params } }) {
+  const hex = (n) => `0x${n.toString(16)}`;
+  let result;
+  if (method === "eth_blockNumber") result = hex(LATEST);
+  else if (method === "eth_getBlockByNumber") {
+    const n = Number(BigInt(params[0]));
+    result = { number: hex(n), timestamp: hex(Math.max(T0 + (n - B0) * 12, 0)) };
+  } else if (method === "eth_call") result = CONTRACTS[params[0].to.toLowerCase()]?.[params[0].data.slice(0, 10)];
+  else if (method === "eth_getLogs") {
+    const [{ fromBlock, toBlock }] = params;
+    result = LOGS.filter((l) => BigInt(l.blockNumber) >= BigInt(fromBlock) && BigInt(l.blockNumber) <= BigInt(toBlock));
+  }
+  return { json: { jsonrpc: "2.0", id, result } };
+}
+
+describe("swaps", () => {
+  test("normalizeSwap takes our token's side and prices the trade", () => {
+    const buy = normalizeSwap({ ts: 1, txHash: "0xA", logIndex: 2, pair: PAIR, side: 1, amount0In: "0.01", amount1Out: "1000", quoteUSD: 3000, source: "rpc" });
+    assert.deepEqual(
+      { side: buy.side, amountToken: buy.amountToken, amountQuote: buy.amountQuote, priceUSD: buy.priceUSD, txHash: buy.txHash },
+      { side: "buy", amountToken: 1000, amountQuote: 0.01, priceUSD: 0.03, txHash: "0xa" },
+    );
+    const sell = normalizeSwap({ ts: 1, txHash: "0xb", logIndex: 0, pair: PAIR, side: 0, amount0In: "500", amount1Out: "0.004", amountUSD: "16", source: "subgraph" });
+    assert.equal(sell.side, "sell");
+    assert.equal(sell.priceUSD, 0.032);
+    assert.equal(normalizeSwap({ ts: 1, txHash: "0xc", logIndex: 0, pair: PAIR, side: 0, amount1In: "1", source: "rpc" }), null);
+    assert.throws(() => resolutionMs("5x"), /resolution must look like/);
+  });
+
+  test("candles of any resolution, with the buy/sell split", () => {
+    const t = (min, side, priceUSD, amountUSD) => ({ ts: T0 * 1000 + min * 60000, logIndex: 0, side, priceUSD, amountUSD, amountToken: amountUSD / priceUSD });
+    const trades = [t(7, "sell", 0.031, 31), t(1, "buy", 0.03, 30), t(3, "buy", 0.033, 66), t(4, "sell", null, 10)];
+    const [first, second] = buildSwapCandles(trades, "5m");
+    assert.deepEqual(
+      { open: first.open, high: first.high, low: first.low, close: first.close, volumeUSD: first.volumeUSD, buys: first.buys, sells: first.sells },
+      { open: 0.03, high: 0.033, low: 0.03, close: 0.033, volumeUSD: 106, buys: 2, sells: 1 },
+    );
+    assert.equal(first.buyVolumeUSD, 96);
+    assert.equal(second.time, "2024-05-20T00:05:00.000Z");
+    assert.equal(second.close, 0.031);
+    assert.equal(buildSwapCandles(trades, "1d").length, 1);
+  });
+
+  test("subgraph ingest stores trades and the swaps hours and day; a rerun resumes without duplicates", async () => {
+    const mock = await startMockServer([{ method: "POST", path: "/v2", reply: subgraph }]);
+    const storePath = tempStorePath();
+    const env = { UNIV2_SUBGRAPH_URL: `${mock.url}/v2` };
+    try {
+      const run = await runScript("scripts/ingestors/ingestSwaps.js", ["--from", "2024-05-20"], { env, storePath });
+      assert.equal(run.code, 0, run.stderr);
+      assert.equal((await swaps(run.db)).size, 4);
+      const hour = (await swapsHour(run.db, "2024-05-20-05")).data();
+      assert.deepEqual(
+        { open: hour.open, high: hour.high, low: hour.low, close: hour.close, candleVolumeUSD: hour.candleVolumeUSD, ohlcSource: hour.ohlcSource },
+        { open: 0.03, high: 0.032, low: 0.028, close: 0.028, candleVolumeUSD: 102, ohlcSource: "candle" },
+      );
+      const day = (await run.db.collection(COLLECTIONS.daily).doc("2024-05-20").get()).data();
+      assert.deepEqual(
+        { open: day.providers.swaps.open, close: day.providers.swaps.close, volumeUSD: day.providers.swaps.volumeUSD },
+        { open: 0.03, close: 0.031, volumeUSD: 133 },
+      );
+
+      const rerun = await runScript("scripts/ingestors/ingestSwaps.js", [], { env, storePath });
+      assert.equal(rerun.code, 0, rerun.stderr);
+      const swapQueries = mock.requests.filter((r) => r.body.query.includes("swaps("));
+      assert.equal(swapQueries.at(-1).body.variables.after, Number(SUBGRAPH_SWAPS.at(-1).timestamp));
+      assert.equal((await swaps(rerun.db)).size, 4);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  test("rpc ingest decodes Swap logs and values them at the block's WETH price", async () => {
+    const mock = await startMockServer([{ method: "POST", path: "/rpc", reply: node }]);
+    try {
+      const run = await runScript("scripts/ingestors/ingestSwaps.js", ["--source", "rpc", "--from", "2024-05-20", "--to", "2024-05-20"], {
+        env: { ETH_RPC_URL: `${mock.url}/rpc`, ZYPTO_SWAP_LOG_BLOCKS: "500" },
+      });
+      assert.equal(run.code, 0, run.stderr);
+      const logQueries = mock.requests.filter((r) => r.body.method === "eth_getLogs");
+      assert.deepEqual(logQueries.map((r) => Number(BigInt(r.body.params[0].fromBlock))), [B0, B0 + 500, B0 + 1000]);
+
+      const trades = (await swaps(run.db)).docs.map((s) => s.data());
+      assert.deepEqual(trades.map((t) => [t.side, t.amountToken, t.source]), [["buy", 1000, "rpc"], ["sell", 500, "rpc"]]);
+      assert.ok(Math.abs(trades[0].priceUSD - 0.03) < 1e-12);
+      assert.ok(Math.abs(trades[1].amountUSD - 16.5) < 1e-9);
+      assert.equal(trades[0].recipient, `0x${"2".padStart(40, "0")}`);
+      assert.equal((await swapsHour(run.db, "2024-05-20-00")).data().ohlcSource, "candle");
+      assert.ok((await swapsHour(run.db, "2024-05-20-02")).exists);
+
+      const noFrom = await runScript("scripts/ingestors/ingestSwaps.js", ["--source", "rpc"], { env: { ETH_RPC_URL: `${mock.url}/rpc` } });
+      assert.equal(noFrom.code, 1);
+      assert.match(noFrom.stderr, /first rpc run needs --from/);
+    } finally {
+      await mock.close();
+    }
+  });
+});
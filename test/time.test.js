@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { periodStart, ymd, ymdh, ymdhm } from "../scripts/lib/time.js";
+
+test("ymd formats the UTC day of Dates and epoch ms", () => {
+  assert.equal(ymd(new Date("2024-05-20T23:59:59Z")), "2024-05-20");
+  assert.equal(ymd(Date.parse("2024-05-21T00:00:00Z")), "2024-05-21");
+  assert.equal(ymd(new Date("2024-01-02T01:00:00+05:00")), "2024-01-01"); // local offset ignored
+});
+
+test("ymdh zero-pads month, day and hour", () => {
+  assert.equal(ymdh(new Date("2024-03-04T05:06:07Z")), "2024-03-04-05");
+  assert.equal(ymdh(Date.parse("2024-12-31T23:00:00Z")), "2024-12-31-23");
+});
+
+test("ymdhm keys minutes and periodStart reads them back", () => {
+  assert.equal(ymdhm(Date.parse("2024-05-20T13:05:59Z")), "2024-05-20-13-05");
+  assert.equal(periodStart("2024-05-20-13-05"), Date.parse("2024-05-20T13:05:00Z"));
+  assert.equal(periodStart("2024-05-20-13"), Date.parse("2024-05-20T13:00:00Z"));
+});